@@ -0,0 +1,86 @@
+/**
+ * MiniTel-Lite CLI Argument Parsing
+ * Minimal parser for `--name value`, `--name=value` and boolean flags
+ */
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments (without node and script path)
+ * @param {Object} spec - Option specification
+ * @param {string[]} spec.boolean - Names of flags that take no value
+ * @param {string[]} spec.string - Names of options that take a value
+ * @param {Object} spec.alias - Short aliases (e.g. { h: 'help' })
+ * @returns {Object} - { options, positional }
+ */
+function parseArgs(argv, spec = {}) {
+  const booleans = spec.boolean || [];
+  const strings = spec.string || [];
+  const aliases = spec.alias || {};
+  const options = {};
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--') {
+      positional.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (!arg.startsWith('-') || arg === '-') {
+      positional.push(arg);
+      continue;
+    }
+
+    // Split --name=value
+    const equalsIndex = arg.indexOf('=');
+    let name = arg.replace(/^--?/, '');
+    let inlineValue;
+    if (equalsIndex !== -1) {
+      name = arg.slice(0, equalsIndex).replace(/^--?/, '');
+      inlineValue = arg.slice(equalsIndex + 1);
+    }
+    name = aliases[name] || name;
+
+    if (booleans.includes(name)) {
+      if (inlineValue !== undefined) {
+        throw new Error(`Option --${name} does not take a value`);
+      }
+      options[name] = true;
+    } else if (strings.includes(name)) {
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (value === undefined) {
+        throw new Error(`Option --${name} requires a value`);
+      }
+      options[name] = value;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return { options, positional };
+}
+
+/**
+ * Build config overrides from the --host and --port options
+ * @param {Object} options - Parsed options
+ * @returns {Object} - Server overrides for loadConfig()
+ */
+function serverOverrides(options) {
+  const overrides = {};
+  if (options.host !== undefined) {
+    overrides.host = options.host;
+  }
+  if (options.port !== undefined) {
+    overrides.port = parseInt(options.port, 10);
+    if (isNaN(overrides.port)) {
+      throw new Error(`Invalid port: ${options.port}`);
+    }
+  }
+  return overrides;
+}
+
+module.exports = {
+  parseArgs,
+  serverOverrides
+};
@@ -0,0 +1,122 @@
+/**
+ * MiniTel-Lite CLI - cleanup command
+ * Applies the recording retention limits to a recordings directory
+ */
+
+const { RECORDING } = require('../../proxy/protocol/constants');
+const { createRetentionPolicy, applyRetention } = require('../../proxy/recorder/retention');
+const { parseArgs } = require('../args');
+const { EXIT_CODES } = require('../exit-codes');
+
+const USAGE = `Usage: minitel cleanup [options]
+
+Remove old recordings and gzip finished ones, as the proxy does on startup and
+every RECORDING_CLEANUP_INTERVAL_MS. Limits default to the RECORDING_MAX_*
+settings; 0 means no limit. Recordings still being written are left alone.
+
+Options:
+  --dir <directory>     Recordings directory (default: RECORDINGS_DIR or ./recordings)
+  --max-sessions <n>    Keep at most this many recordings
+  --max-age <days>      Remove recordings older than this
+  --max-bytes <n>       Remove the oldest recordings until the rest fit in this size
+  --no-compress         Leave recordings uncompressed
+  --dry-run             Report what would change without touching files
+  -h, --help            Show this help
+
+Exit codes:
+  0  Directory within limits (or would be, with --dry-run)
+  1  Some files could not be removed or compressed
+  2  Invalid usage`;
+
+/**
+ * Parse a numeric option
+ * @param {Object} options - Parsed options
+ * @param {string} name - Option name
+ * @param {number} fallback - Value when the option is not given
+ * @returns {number} - Option value (NaN when not a number)
+ */
+function numberOption(options, name, fallback) {
+  return options[name] === undefined ? fallback : Number(options[name]);
+}
+
+/**
+ * Format a size in bytes for output
+ * @param {number} bytes - Size
+ * @returns {string} - Size with a unit
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KiB` : `${(bytes / 1024 / 1024).toFixed(1)} MiB`;
+}
+
+/**
+ * Run the cleanup command
+ * @param {string[]} argv - Command arguments
+ * @returns {Promise<number>} - Exit code
+ */
+async function run(argv) {
+  let options;
+  let positional;
+  try {
+    ({ options, positional } = parseArgs(argv, {
+      boolean: ['dry-run', 'no-compress', 'help'],
+      string: ['dir', 'max-sessions', 'max-age', 'max-bytes'],
+      alias: { h: 'help' }
+    }));
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (options.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  if (positional.length > 0) {
+    process.stderr.write(`Unexpected argument: ${positional[0]}\n\n${USAGE}\n`);
+    return EXIT_CODES.USAGE;
+  }
+
+  let policy;
+  try {
+    policy = createRetentionPolicy({
+      maxSessions: numberOption(options, 'max-sessions', RECORDING.MAX_SESSIONS),
+      maxAgeDays: numberOption(options, 'max-age', RECORDING.MAX_AGE_DAYS),
+      maxTotalBytes: numberOption(options, 'max-bytes', RECORDING.MAX_TOTAL_BYTES),
+      compress: !options['no-compress'] && RECORDING.COMPRESS
+    });
+  } catch (error) {
+    process.stderr.write(`${error.message}\n`);
+    return EXIT_CODES.USAGE;
+  }
+
+  const dryRun = Boolean(options['dry-run']);
+  const result = await applyRetention(options.dir || RECORDING.DIR, policy, { dryRun });
+
+  result.compressed.forEach((entry) => {
+    process.stdout.write(`${entry.name}: ${dryRun ? 'would compress' : 'compressed'} ` +
+      `(${formatBytes(entry.size)} -> ${formatBytes(entry.compressedSize)})\n`);
+  });
+  result.removed.forEach((entry) => {
+    process.stdout.write(`${entry.name}: ${dryRun ? 'would remove' : 'removed'} ` +
+      `(${entry.reason}, ${formatBytes(entry.size)})\n`);
+  });
+  result.errors.forEach((entry) => {
+    process.stdout.write(`${entry.name}: FAILED: ${entry.error}\n`);
+  });
+
+  process.stdout.write(`\n${result.removed.length} ${dryRun ? 'to remove' : 'removed'}, ` +
+    `${result.compressed.length} ${dryRun ? 'to compress' : 'compressed'}, ` +
+    `${result.kept} kept (${formatBytes(result.totalBytes)}), ${result.errors.length} failed\n`);
+
+  return result.errors.length === 0 ? EXIT_CODES.SUCCESS : EXIT_CODES.ERROR;
+}
+
+module.exports = {
+  description: 'Apply recording retention limits',
+  usage: USAGE,
+  run
+};
@@ -0,0 +1,146 @@
+/**
+ * MiniTel-Lite CLI - compare command
+ * Lines up two recordings step by step and reports where they differ
+ */
+
+const { compareSessions, DEFAULT_TIMING_THRESHOLD_MS } = require('../../proxy/replay/compare');
+const { readSessionFile } = require('../../proxy/recorder/reader');
+const { parseArgs } = require('../args');
+const { EXIT_CODES } = require('../exit-codes');
+
+const USAGE = `Usage: minitel compare <left> <right> [options]
+
+Align the steps of two recordings by direction and command and report the
+command, payload, validity and timing differences, e.g. a failing run against
+a known-good one. The same view is available interactively with
+"npm run replay -- <left> <right>".
+
+Options:
+  --timing-threshold <ms>  Report gaps between steps that differ by more than
+                           this (default ${DEFAULT_TIMING_THRESHOLD_MS})
+  --ignore-timing          Do not compare timing
+  --json                   Print the comparison as JSON
+  -h, --help               Show this help
+
+Exit codes:
+  0  Recordings match
+  1  A recording could not be read
+  2  Invalid usage
+  6  Recordings differ`;
+
+/**
+ * Format one side of a row for the text report
+ * @param {Object|null} side - Side from compareSessions, or null
+ * @returns {string} - Short description
+ */
+function formatSide(side) {
+  if (!side) {
+    return '(none)';
+  }
+  const arrow = side.direction === 'client' ? '->' : '<-';
+  if (!side.valid) {
+    return `${side.step} ${arrow} INVALID`;
+  }
+  const payload = side.payload ? ` ${JSON.stringify(side.payload)}` : '';
+  return `${side.step} ${arrow} ${side.cmd}${payload}`;
+}
+
+/**
+ * Render the comparison as text
+ * @param {Object} comparison - Result of compareSessions
+ * @returns {string} - Report
+ */
+function formatComparison(comparison) {
+  const lines = comparison.rows.map((row) => {
+    const sides = `${formatSide(row.left).padEnd(36)} ${formatSide(row.right).padEnd(36)}`;
+    const details = row.differences
+      .filter((difference) => difference.field !== 'step')
+      .map((difference) => {
+        const unit = difference.field === 'timing' ? ' ms' : '';
+        return `      ${difference.field}: ${JSON.stringify(difference.left)}${unit} -> ${JSON.stringify(difference.right)}${unit}`;
+      });
+    return [`#${String(row.row).padEnd(4)} ${sides} ${row.same ? 'same' : 'DIFFERENT'}`, ...details].join('\n');
+  });
+
+  const { summary } = comparison;
+  lines.push('');
+  lines.push(comparison.same
+    ? `Result: all ${summary.rows} steps match`
+    : `Result: ${summary.different} of ${summary.rows} rows differ ` +
+      `(${summary.only_left} only in left, ${summary.only_right} only in right, ${summary.timing} timing)`);
+  return lines.join('\n');
+}
+
+/**
+ * Run the compare command
+ * @param {string[]} argv - Command arguments
+ * @returns {Promise<number>} - Exit code
+ */
+async function run(argv) {
+  let options;
+  let positional;
+  try {
+    ({ options, positional } = parseArgs(argv, {
+      boolean: ['ignore-timing', 'json', 'help'],
+      string: ['timing-threshold'],
+      alias: { h: 'help' }
+    }));
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (options.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  if (positional.length !== 2) {
+    process.stderr.write(`Expected exactly two session files\n\n${USAGE}\n`);
+    return EXIT_CODES.USAGE;
+  }
+
+  let timingThresholdMs = DEFAULT_TIMING_THRESHOLD_MS;
+  if (options['ignore-timing']) {
+    timingThresholdMs = Infinity;
+  } else if (options['timing-threshold'] !== undefined) {
+    timingThresholdMs = Number(options['timing-threshold']);
+    if (!Number.isFinite(timingThresholdMs) || timingThresholdMs < 0) {
+      process.stderr.write(`Invalid timing threshold: ${options['timing-threshold']}\n`);
+      return EXIT_CODES.USAGE;
+    }
+  }
+
+  const [leftPath, rightPath] = positional;
+  const sessions = [];
+  for (const filePath of positional) {
+    try {
+      sessions.push(readSessionFile(filePath));
+    } catch (error) {
+      process.stderr.write(`Error reading session file ${filePath}: ${error.message}\n`);
+      return EXIT_CODES.ERROR;
+    }
+  }
+
+  const comparison = compareSessions(sessions[0], sessions[1], { timingThresholdMs });
+
+  if (options.json) {
+    process.stdout.write(`${JSON.stringify({
+      left: leftPath,
+      right: rightPath,
+      same: comparison.same,
+      summary: comparison.summary,
+      rows: comparison.rows
+    }, null, 2)}\n`);
+  } else {
+    process.stdout.write(`${formatComparison(comparison)}\n`);
+  }
+
+  return comparison.same ? EXIT_CODES.SUCCESS : EXIT_CODES.DIFFERENCES;
+}
+
+module.exports = {
+  description: 'Compare two recordings step by step',
+  usage: USAGE,
+  run
+};
@@ -0,0 +1,112 @@
+/**
+ * MiniTel-Lite CLI - export command
+ * Converts a recording into a pcap or pcapng capture for Wireshark
+ */
+
+const fs = require('fs');
+const { exportSession, PCAP_FORMATS } = require('../../proxy/export/pcap');
+const { readSessionFile } = require('../../proxy/recorder/reader');
+const { splitRecordingName } = require('../../proxy/recorder/files');
+const { parseArgs } = require('../args');
+const { EXIT_CODES } = require('../exit-codes');
+
+const USAGE = `Usage: minitel export <recording> [options]
+
+Write a recording as a capture file with synthetic TCP/IP packets between the
+client and the recorded server, for analysis in Wireshark
+(decode the frames with wireshark/minitel-lite.lua).
+
+Options:
+  -o, --output <file>     Output file, "-" for stdout
+                          (default: the session file with a .pcap/.pcapng extension)
+  --format <format>       pcap (default) or pcapng
+  --client-host <ip>      Client IPv4 address (default: 10.0.0.1)
+  --client-port <port>    Client TCP port (default: 49152)
+  -h, --help              Show this help
+
+Exit codes:
+  0  Capture written
+  1  Unexpected error
+  2  Invalid usage`;
+
+/**
+ * Run the export command
+ * @param {string[]} argv - Command arguments
+ * @returns {Promise<number>} - Exit code
+ */
+async function run(argv) {
+  let options;
+  let positional;
+  try {
+    ({ options, positional } = parseArgs(argv, {
+      boolean: ['help'],
+      string: ['output', 'format', 'client-host', 'client-port'],
+      alias: { h: 'help', o: 'output' }
+    }));
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (options.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  if (positional.length !== 1) {
+    process.stderr.write(`Expected exactly one session file\n\n${USAGE}\n`);
+    return EXIT_CODES.USAGE;
+  }
+
+  const format = options.format || 'pcap';
+  if (!PCAP_FORMATS.includes(format)) {
+    process.stderr.write(`Invalid format: ${format} (expected ${PCAP_FORMATS.join(' or ')})\n`);
+    return EXIT_CODES.USAGE;
+  }
+
+  let clientPort;
+  if (options['client-port'] !== undefined) {
+    clientPort = parseInt(options['client-port'], 10);
+    if (!(clientPort > 0 && clientPort <= 0xffff)) {
+      process.stderr.write(`Invalid client port: ${options['client-port']}\n`);
+      return EXIT_CODES.USAGE;
+    }
+  }
+
+  const filePath = positional[0];
+  let sessionData;
+  try {
+    sessionData = readSessionFile(filePath);
+  } catch (error) {
+    process.stderr.write(`Error reading session file: ${error.message}\n`);
+    return EXIT_CODES.ERROR;
+  }
+
+  let capture;
+  try {
+    capture = exportSession(sessionData, {
+      format,
+      clientHost: options['client-host'],
+      clientPort
+    });
+  } catch (error) {
+    process.stderr.write(`Export failed: ${error.message}\n`);
+    return EXIT_CODES.ERROR;
+  }
+
+  const output = options.output || `${splitRecordingName(filePath).base}.${format}`;
+  if (output === '-') {
+    process.stdout.write(capture);
+  } else {
+    fs.writeFileSync(output, capture);
+    process.stderr.write(`Wrote ${capture.length} bytes to ${output}\n`);
+  }
+
+  return EXIT_CODES.SUCCESS;
+}
+
+module.exports = {
+  description: 'Export a recording as a pcap/pcapng capture',
+  usage: USAGE,
+  run
+};
@@ -0,0 +1,177 @@
+/**
+ * MiniTel-Lite CLI - hack command
+ * Runs HELLO -> DUMP -> DUMP -> STOP_CMD without a browser
+ */
+
+const { loadConfig, logToStderr, logger } = require('../../proxy/config');
+const { MiniTelClient } = require('../../proxy/client/client');
+const WorkflowStore = require('../../proxy/workflow/store');
+const { runWorkflow } = require('../../proxy/workflow/workflow');
+const { WORKFLOW } = require('../../proxy/protocol/constants');
+const SessionRecorder = require('../../proxy/recorder/recorder');
+const { parseArgs, serverOverrides } = require('../args');
+const { EXIT_CODES, exitCodeForError } = require('../exit-codes');
+
+const USAGE = `Usage: minitel hack [options]
+
+Run the HELLO -> DUMP -> DUMP -> STOP_CMD sequence and print the override code.
+Configuration is read from the environment and .env, as for the proxy.
+
+Options:
+  --host <host>       Server host (overrides SERVER_HOST)
+  --port <port>       Server port (overrides SERVER_PORT)
+  --workflow <name>   Run another workflow from WORKFLOWS_DIR (default: hack)
+  --record            Record the session to RECORDINGS_DIR
+  --json              Print a JSON result to stdout instead of the bare code
+  --verbose           Log protocol details to stderr
+  -h, --help          Show this help
+
+Exit codes:
+  0  Override code retrieved
+  1  Unexpected error
+  2  Invalid usage or configuration
+  3  Connection failure
+  4  Protocol violation
+  5  Timeout`;
+
+/**
+ * Run the hack command
+ * @param {string[]} argv - Command arguments
+ * @returns {Promise<number>} - Exit code
+ */
+async function run(argv) {
+  let options;
+  try {
+    ({ options } = parseArgs(argv, {
+      boolean: ['record', 'json', 'verbose', 'help'],
+      string: ['host', 'port', 'workflow'],
+      alias: { h: 'help' }
+    }));
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (options.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  // Keep stdout for the result only
+  logToStderr();
+  logger.level = options.verbose ? 'info' : 'warn';
+
+  // Command-line options take precedence over the environment
+  let config;
+  let workflow;
+  try {
+    config = loadConfig({ server: serverOverrides(options) });
+    workflow = new WorkflowStore(config.workflows.dir).load(options.workflow || WORKFLOW.DEFAULT);
+  } catch (error) {
+    process.stderr.write(`Configuration error: ${error.message}\n`);
+    return EXIT_CODES.USAGE;
+  }
+
+  const { host, port } = config.server;
+  const progress = (message) => process.stderr.write(`${message}\n`);
+  const startTime = Date.now();
+
+  let recorder = null;
+  let recordingFile = null;
+  if (options.record) {
+    recorder = new SessionRecorder({
+      dir: config.recordings.dir,
+      serverHost: host,
+      serverPort: port,
+      logger
+    });
+    await recorder.startRecording();
+    recordingFile = recorder.recordingFile;
+  }
+
+  const client = new MiniTelClient({
+    host,
+    port,
+    idleTimeout: config.timeouts.idle,
+    responseTimeout: config.timeouts.response,
+    maxBufferSize: config.framing.maxBufferSize,
+    recorder
+  });
+
+  // Keep a summary of the exchanged frames for the JSON result
+  const frames = [];
+  client.on('frameSent', (decodedFrame) => {
+    frames.push({ direction: 'client', cmd: decodedFrame.cmdName, nonce: decodedFrame.nonce });
+    progress(`Sent ${decodedFrame.cmdName} command`);
+  });
+  client.on('frameReceived', (decodedFrame) => {
+    frames.push({
+      direction: 'server',
+      cmd: decodedFrame.valid ? decodedFrame.cmdName : null,
+      nonce: decodedFrame.valid ? decodedFrame.nonce : null,
+      valid: decodedFrame.valid
+    });
+  });
+
+  let overrideCode = null;
+  let captures = {};
+  let failure = null;
+  try {
+    progress(`Connecting to ${host}:${port}...`);
+    try {
+      await client.connect();
+    } catch (connectionError) {
+      // Every error while connecting is a connection failure
+      connectionError.exitCode = EXIT_CODES.CONNECTION_FAILED;
+      throw connectionError;
+    }
+
+    ({ result: overrideCode, captures } = await runWorkflow(client, workflow, {
+      onUpdate: progress,
+      onResult: () => progress('Override code retrieved successfully!')
+    }));
+  } catch (error) {
+    failure = error;
+  } finally {
+    client.close();
+    if (recorder) {
+      await recorder.stopRecording();
+    }
+  }
+
+  const exitCode = failure
+    ? (failure.exitCode || exitCodeForError(failure))
+    : EXIT_CODES.SUCCESS;
+
+  if (failure) {
+    progress(`Hack failed: ${failure.message}`);
+  }
+
+  if (options.json) {
+    const result = {
+      success: !failure,
+      overrideCode,
+      workflow: workflow.name,
+      captures,
+      server: { host, port },
+      recording: recordingFile,
+      durationMs: Date.now() - startTime,
+      frames,
+      exitCode
+    };
+    if (failure) {
+      result.error = { message: failure.message, code: failure.code || null };
+    }
+    process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+  } else if (overrideCode) {
+    process.stdout.write(`${overrideCode}\n`);
+  }
+
+  return exitCode;
+}
+
+module.exports = {
+  description: 'Run the hack sequence and print the override code',
+  usage: USAGE,
+  run
+};
@@ -0,0 +1,140 @@
+/**
+ * MiniTel-Lite CLI - lint command
+ * Checks recordings against the protocol rules (also installed as `minitel-lint`)
+ */
+
+const { TIMEOUTS } = require('../../proxy/protocol/constants');
+const { lintSession } = require('../../proxy/analysis/conformance');
+const { readSessionFile } = require('../../proxy/recorder/reader');
+const { expandRecordingPaths } = require('../../proxy/recorder/files');
+const { parseArgs } = require('../args');
+const { EXIT_CODES } = require('../exit-codes');
+
+const USAGE = `Usage: minitel-lint <recording|directory>... [options]
+       minitel lint <recording|directory>... [options]
+
+Check recordings against the protocol rules: every raw frame decodes again
+with a valid hash, nonces follow the NonceManager chain, commands are allowed
+in the protocol state (no DUMP before HELLO), responses answer the command
+before them (HELLO_ACK after HELLO, DUMP_FAILED or DUMP_OK after DUMP, STOP_OK
+after STOP_CMD), and no gap between frames exceeds the idle timeout.
+Directories are scanned for recordings.
+
+Options:
+  --idle-timeout <ms>  Longest allowed gap between frames (default: IDLE_TIMEOUT_MS,
+                       currently ${TIMEOUTS.IDLE})
+  --quiet              Report errors and warnings only
+  --json               Print the findings as JSON
+  -h, --help           Show this help
+
+Exit codes:
+  0  No errors or warnings
+  1  Some files could not be read
+  2  Invalid usage
+  4  Protocol violations found (errors or warnings)`;
+
+/**
+ * Format a count with its noun
+ * @param {number} count - Count
+ * @param {string} noun - Singular noun
+ * @returns {string} - e.g. 1 error, 2 errors
+ */
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Render the findings of one file as text
+ * @param {Object} result - { file, findings, error }
+ * @returns {string} - Report
+ */
+function formatResult(result) {
+  if (result.error) {
+    return `${result.file}\n  FAILED: ${result.error}\n`;
+  }
+  if (result.findings.length === 0) {
+    return `${result.file}\n  no problems\n`;
+  }
+  const lines = result.findings.map((entry) => {
+    const where = entry.step === null ? 'session' : `step ${entry.step}`;
+    return `  ${where.padEnd(9)} ${entry.severity.padEnd(8)} ${entry.rule.padEnd(18)} ${entry.message}`;
+  });
+  return `${result.file}\n${lines.join('\n')}\n`;
+}
+
+/**
+ * Run the lint command
+ * @param {string[]} argv - Command arguments
+ * @returns {Promise<number>} - Exit code
+ */
+async function run(argv) {
+  let options;
+  let positional;
+  try {
+    ({ options, positional } = parseArgs(argv, {
+      boolean: ['quiet', 'json', 'help'],
+      string: ['idle-timeout'],
+      alias: { h: 'help' }
+    }));
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (options.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  if (positional.length === 0) {
+    process.stderr.write(`Expected at least one session file or directory\n\n${USAGE}\n`);
+    return EXIT_CODES.USAGE;
+  }
+
+  let idleTimeoutMs = TIMEOUTS.IDLE;
+  if (options['idle-timeout'] !== undefined) {
+    idleTimeoutMs = Number(options['idle-timeout']);
+    if (!Number.isFinite(idleTimeoutMs) || idleTimeoutMs <= 0) {
+      process.stderr.write(`Invalid idle timeout: ${options['idle-timeout']}\n`);
+      return EXIT_CODES.USAGE;
+    }
+  }
+
+  const results = expandRecordingPaths(positional).map((file) => {
+    try {
+      const lint = lintSession(readSessionFile(file), { idleTimeoutMs });
+      const findings = options.quiet ? lint.findings.filter((entry) => entry.severity !== 'info') : lint.findings;
+      return { file, findings, summary: lint.summary, violations: lint.violations, error: null };
+    } catch (error) {
+      return { file, findings: [], summary: null, violations: 0, error: error.message };
+    }
+  });
+
+  const failed = results.filter((result) => result.error).length;
+  const total = { error: 0, warning: 0, info: 0 };
+  results.filter((result) => result.summary).forEach((result) => {
+    Object.keys(total).forEach((severity) => {
+      total[severity] += result.summary[severity];
+    });
+  });
+  const violations = total.error + total.warning;
+
+  if (options.json) {
+    process.stdout.write(`${JSON.stringify({ idle_timeout_ms: idleTimeoutMs, summary: total, files: results }, null, 2)}\n`);
+  } else {
+    process.stdout.write(results.map(formatResult).join('\n'));
+    process.stdout.write(`\n${plural(results.length, 'file')}: ${plural(total.error, 'error')}, ` +
+      `${plural(total.warning, 'warning')}, ${total.info} info, ${failed} unreadable\n`);
+  }
+
+  if (failed > 0) {
+    return EXIT_CODES.ERROR;
+  }
+  return violations === 0 ? EXIT_CODES.SUCCESS : EXIT_CODES.PROTOCOL_VIOLATION;
+}
+
+module.exports = {
+  description: 'Check recordings against the protocol rules',
+  usage: USAGE,
+  run
+};
@@ -0,0 +1,132 @@
+/**
+ * MiniTel-Lite CLI - migrate command
+ * Upgrades recordings written in older formats to the current schema
+ */
+
+const fs = require('fs');
+const { FORMAT_VERSION, formatVersion, migrateSession, validateSession } = require('../../proxy/recorder/schema');
+const { parseSessionJson } = require('../../proxy/recorder/reader');
+const { JOURNAL_EXTENSION, isJournal, parseJournal, formatJournal } = require('../../proxy/recorder/journal');
+const { expandRecordingPaths, readRecordingText, writeRecordingText } = require('../../proxy/recorder/files');
+const { parseArgs } = require('../args');
+const { EXIT_CODES } = require('../exit-codes');
+
+const USAGE = `Usage: minitel migrate <recording|directory>... [options]
+
+Upgrade recordings to the current format (version ${FORMAT_VERSION}) in place and validate
+them against the session schema. Directories are scanned for *.json and
+*${JOURNAL_EXTENSION} (journal) files, compressed (.gz) or not; journals stay
+journals and compressed files stay compressed.
+Do not migrate recordings the proxy is still writing.
+
+Options:
+  --dry-run       Report what would change without writing
+  --backup        Keep the original file as <file>.v<version>.bak
+  -h, --help      Show this help
+
+Exit codes:
+  0  Every file is valid and current (or would be, with --dry-run)
+  1  Some files could not be read, migrated or validated
+  2  Invalid usage`;
+
+/**
+ * Migrate a single file
+ * @param {string} filePath - Session file
+ * @param {Object} options - { dryRun, backup }
+ * @returns {Object} - { file, from, to, status: 'current'|'upgraded'|'failed', error }
+ */
+function migrateFile(filePath, options) {
+  const result = { file: filePath, from: null, to: FORMAT_VERSION, status: 'failed', error: null };
+
+  try {
+    const text = readRecordingText(filePath);
+    const journal = isJournal(text);
+    const sessionData = journal ? parseJournal(text).sessionData : parseSessionJson(text);
+    result.from = formatVersion(sessionData);
+
+    const migrated = migrateSession(sessionData);
+    const errors = validateSession(migrated);
+    if (errors.length > 0) {
+      result.error = errors.join('; ');
+      return result;
+    }
+
+    if (migrated === sessionData) {
+      result.status = 'current';
+      return result;
+    }
+
+    if (!options.dryRun) {
+      if (options.backup) {
+        fs.copyFileSync(filePath, `${filePath}.v${result.from}.bak`);
+      }
+      // Write next to the file and rename, so a crash never leaves half a file
+      // (the temporary name keeps the .gz suffix, so it is compressed the same way)
+      const tempPath = filePath.replace(/(\.gz)?$/, '.tmp$1');
+      writeRecordingText(tempPath, journal ? formatJournal(migrated) : JSON.stringify(migrated, null, 2));
+      fs.renameSync(tempPath, filePath);
+    }
+    result.status = 'upgraded';
+  } catch (error) {
+    result.error = error.message;
+  }
+
+  return result;
+}
+
+/**
+ * Run the migrate command
+ * @param {string[]} argv - Command arguments
+ * @returns {Promise<number>} - Exit code
+ */
+async function run(argv) {
+  let options;
+  let positional;
+  try {
+    ({ options, positional } = parseArgs(argv, {
+      boolean: ['dry-run', 'backup', 'help'],
+      alias: { h: 'help' }
+    }));
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (options.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  if (positional.length === 0) {
+    process.stderr.write(`Expected at least one session file or directory\n\n${USAGE}\n`);
+    return EXIT_CODES.USAGE;
+  }
+
+  const dryRun = Boolean(options['dry-run']);
+  const results = expandRecordingPaths(positional).map((filePath) =>
+    migrateFile(filePath, { dryRun, backup: options.backup }));
+
+  results.forEach((result) => {
+    let line;
+    if (result.status === 'current') {
+      line = `already at version ${result.to}`;
+    } else if (result.status === 'upgraded') {
+      line = `${dryRun ? 'would upgrade' : 'upgraded'} from version ${result.from} to ${result.to}`;
+    } else {
+      line = `FAILED: ${result.error}`;
+    }
+    process.stdout.write(`${result.file}: ${line}\n`);
+  });
+
+  const failed = results.filter((result) => result.status === 'failed').length;
+  const upgraded = results.filter((result) => result.status === 'upgraded').length;
+  process.stdout.write(`\n${results.length} files, ${upgraded} ${dryRun ? 'to upgrade' : 'upgraded'}, ${failed} failed\n`);
+
+  return failed === 0 ? EXIT_CODES.SUCCESS : EXIT_CODES.ERROR;
+}
+
+module.exports = {
+  description: 'Upgrade recordings to the current format',
+  usage: USAGE,
+  run
+};
@@ -0,0 +1,181 @@
+/**
+ * MiniTel-Lite CLI - redrive command
+ * Re-sends a recording's client steps to a live server and diffs the responses
+ */
+
+const path = require('path');
+const { loadConfig, logToStderr, logger } = require('../../proxy/config');
+const { redriveSession } = require('../../proxy/replay/redrive');
+const SessionRecorder = require('../../proxy/recorder/recorder');
+const { readSessionFile } = require('../../proxy/recorder/reader');
+const { parseArgs, serverOverrides } = require('../args');
+const { EXIT_CODES, exitCodeForError } = require('../exit-codes');
+
+const USAGE = `Usage: minitel redrive <recording> [options]
+
+Re-send the client steps of a recording (same commands and payloads, fresh
+nonces) to a live server and print a step-by-step diff of the responses.
+
+Options:
+  --host <host>   Server host (overrides SERVER_HOST)
+  --port <port>   Server port (overrides SERVER_PORT)
+  --record        Record the new run to RECORDINGS_DIR
+  --json          Print the diff as JSON
+  --verbose       Log protocol details to stderr
+  -h, --help      Show this help
+
+Exit codes:
+  0  Server responses match the recording
+  1  Unexpected error
+  2  Invalid usage or configuration
+  3  Connection failure
+  6  Server responses differ from the recording`;
+
+/**
+ * Format a described step for the text report
+ * @param {Object|null} step - { cmd, payload, valid } or null
+ * @returns {string} - Short description
+ */
+function formatStep(step) {
+  if (!step) {
+    return '(none)';
+  }
+  if (!step.valid) {
+    return 'INVALID';
+  }
+  return step.payload ? `${step.cmd} ${JSON.stringify(step.payload)}` : step.cmd;
+}
+
+/**
+ * Render the diff as text
+ * @param {Object[]} diff - Diff entries from redriveSession
+ * @returns {string} - Report
+ */
+function formatDiff(diff) {
+  const lines = diff.map((entry) => {
+    const request = formatStep(entry.request.original || entry.request.replayed);
+    const responses = entry.responses.map((response) => formatStep(response.original)).join(', ');
+    const summary = `#${entry.exchange}  ${request} -> ${responses}`;
+    const status = entry.same ? 'same' : 'DIFFERENT';
+    const details = entry.differences.map((difference) =>
+      `      ${difference.field}: ${JSON.stringify(difference.original)} -> ${JSON.stringify(difference.replayed)}`);
+    return [`${summary.padEnd(60)} ${status}`, ...details].join('\n');
+  });
+
+  const changed = diff.filter((entry) => !entry.same).length;
+  lines.push('');
+  lines.push(changed === 0
+    ? `Result: all ${diff.length} exchanges match`
+    : `Result: ${changed} of ${diff.length} exchanges differ`);
+  return lines.join('\n');
+}
+
+/**
+ * Run the redrive command
+ * @param {string[]} argv - Command arguments
+ * @returns {Promise<number>} - Exit code
+ */
+async function run(argv) {
+  let options;
+  let positional;
+  try {
+    ({ options, positional } = parseArgs(argv, {
+      boolean: ['record', 'json', 'verbose', 'help'],
+      string: ['host', 'port'],
+      alias: { h: 'help' }
+    }));
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (options.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  if (positional.length !== 1) {
+    process.stderr.write(`Expected exactly one session file\n\n${USAGE}\n`);
+    return EXIT_CODES.USAGE;
+  }
+
+  // Keep stdout for the report only
+  logToStderr();
+  logger.level = options.verbose ? 'info' : 'warn';
+
+  const filePath = positional[0];
+  let sessionData;
+  try {
+    sessionData = readSessionFile(filePath);
+  } catch (error) {
+    process.stderr.write(`Error reading session file: ${error.message}\n`);
+    return EXIT_CODES.ERROR;
+  }
+
+  // Command-line options take precedence over the environment
+  let config;
+  try {
+    config = loadConfig({ server: serverOverrides(options) });
+  } catch (error) {
+    process.stderr.write(`Configuration error: ${error.message}\n`);
+    return EXIT_CODES.USAGE;
+  }
+
+  const { host, port } = config.server;
+
+  let recorder = null;
+  if (options.record) {
+    recorder = new SessionRecorder({
+      dir: config.recordings.dir,
+      serverHost: host,
+      serverPort: port,
+      logger
+    });
+    await recorder.startRecording();
+  }
+
+  process.stderr.write(`Re-driving ${path.basename(filePath)} against ${host}:${port}...\n`);
+
+  let result;
+  try {
+    result = await redriveSession(sessionData, {
+      host,
+      port,
+      idleTimeout: config.timeouts.idle,
+      responseTimeout: config.timeouts.response,
+      maxBufferSize: config.framing.maxBufferSize,
+      recorder
+    });
+  } catch (error) {
+    process.stderr.write(`Re-drive failed: ${error.message}\n`);
+    return exitCodeForError(error);
+  } finally {
+    if (recorder) {
+      await recorder.stopRecording();
+    }
+  }
+
+  result.errors.forEach((error) => {
+    process.stderr.write(`Step ${error.step}: ${error.message}\n`);
+  });
+
+  if (options.json) {
+    process.stdout.write(`${JSON.stringify({
+      session: filePath,
+      server: { host, port },
+      same: result.same,
+      errors: result.errors,
+      diff: result.diff
+    }, null, 2)}\n`);
+  } else {
+    process.stdout.write(`${formatDiff(result.diff)}\n`);
+  }
+
+  return result.same ? EXIT_CODES.SUCCESS : EXIT_CODES.DIFFERENCES;
+}
+
+module.exports = {
+  description: 'Re-send a recording to a live server and diff the responses',
+  usage: USAGE,
+  run
+};
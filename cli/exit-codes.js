@@ -0,0 +1,38 @@
+/**
+ * MiniTel-Lite CLI Exit Codes
+ * Distinct process exit codes so automation can tell failures apart
+ */
+
+const { ERROR_CATEGORIES, classifyError } = require('../proxy/client/client');
+
+const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1,
+  USAGE: 2,
+  CONNECTION_FAILED: 3,
+  PROTOCOL_VIOLATION: 4,
+  TIMEOUT: 5,
+  DIFFERENCES: 6
+};
+
+// Exit code for each error category
+const CATEGORY_EXIT_CODES = {
+  [ERROR_CATEGORIES.CONNECTION]: EXIT_CODES.CONNECTION_FAILED,
+  [ERROR_CATEGORIES.PROTOCOL]: EXIT_CODES.PROTOCOL_VIOLATION,
+  [ERROR_CATEGORIES.TIMEOUT]: EXIT_CODES.TIMEOUT,
+  [ERROR_CATEGORIES.UNKNOWN]: EXIT_CODES.ERROR
+};
+
+/**
+ * Map an error raised while talking to the server to an exit code
+ * @param {Error} error - Error to classify
+ * @returns {number} - Exit code
+ */
+function exitCodeForError(error) {
+  return CATEGORY_EXIT_CODES[classifyError(error)];
+}
+
+module.exports = {
+  EXIT_CODES,
+  exitCodeForError
+};
@@ -0,0 +1,19 @@
+#!/usr/bin/env node
+/**
+ * MiniTel-Lite Conformance Analyzer
+ * Entry point for the `minitel-lint` command, the same as `minitel lint`
+ */
+
+const lint = require('./commands/lint');
+const { EXIT_CODES } = require('./exit-codes');
+
+if (require.main === module) {
+  lint.run(process.argv.slice(2))
+    .catch((error) => {
+      process.stderr.write(`Error: ${error.message}\n`);
+      return EXIT_CODES.ERROR;
+    })
+    .then((exitCode) => {
+      process.exitCode = exitCode;
+    });
+}
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+/**
+ * MiniTel-Lite Command-Line Interface
+ * Entry point for the `minitel` command
+ */
+
+const { EXIT_CODES } = require('./exit-codes');
+
+// Available subcommands
+const COMMANDS = {
+  hack: require('./commands/hack'),
+  redrive: require('./commands/redrive'),
+  export: require('./commands/export'),
+  migrate: require('./commands/migrate'),
+  cleanup: require('./commands/cleanup'),
+  compare: require('./commands/compare'),
+  lint: require('./commands/lint')
+};
+
+/**
+ * Build the top-level usage text
+ * @returns {string} - Usage text
+ */
+function usage() {
+  const commandList = Object.keys(COMMANDS)
+    .map((name) => `  ${name.padEnd(12)}${COMMANDS[name].description}`)
+    .join('\n');
+
+  return `Usage: minitel <command> [options]
+
+Commands:
+${commandList}
+
+Run "minitel <command> --help" for command options.`;
+}
+
+/**
+ * Dispatch to a subcommand
+ * @param {string[]} argv - Arguments (without node and script path)
+ * @returns {Promise<number>} - Exit code
+ */
+async function main(argv) {
+  const [commandName, ...commandArgs] = argv;
+
+  if (!commandName || commandName === '--help' || commandName === '-h') {
+    process.stdout.write(`${usage()}\n`);
+    return commandName ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE;
+  }
+
+  const command = COMMANDS[commandName];
+  if (!command) {
+    process.stderr.write(`Unknown command: ${commandName}\n\n${usage()}\n`);
+    return EXIT_CODES.USAGE;
+  }
+
+  try {
+    return await command.run(commandArgs);
+  } catch (error) {
+    process.stderr.write(`Error: ${error.message}\n`);
+    return EXIT_CODES.ERROR;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((exitCode) => {
+    process.exitCode = exitCode;
+  });
+}
+
+module.exports = {
+  main
+};
@@ -6,16 +6,21 @@
 document.addEventListener('DOMContentLoaded', () => {
   // DOM elements
   const hackButton = document.getElementById('hack-button');
+  const workflowSelect = document.getElementById('workflow-select');
   const outputEl = document.getElementById('output');
   const recordingToggle = document.getElementById('recording-toggle');
   const connectionStatus = document.getElementById('connection-status');
   const overrideCodeContainer = document.getElementById('override-code-container');
   const overrideCodeEl = document.getElementById('override-code');
+  const recordingsList = document.getElementById('recordings-list');
+  const recordingsEmpty = document.getElementById('recordings-empty');
+  const recordingsRefresh = document.getElementById('recordings-refresh');
 
   // WebSocket connection
   let ws;
   let isConnecting = false;
   let isHacking = false;
+  let wasRecording = false;
 
   // Initialize the application
   initializeApp();
@@ -37,9 +42,12 @@ document.addEventListener('DOMContentLoaded', () => {
     // Set up event listeners
     hackButton.addEventListener('click', startHack);
     recordingToggle.addEventListener('change', toggleRecording);
+    recordingsRefresh.addEventListener('click', loadRecordings);
     
     // Set initial UI state
     updateConnectionStatus('disconnected');
+    loadWorkflows();
+    loadRecordings();
   }
 
   /**
@@ -104,6 +112,11 @@ document.addEventListener('DOMContentLoaded', () => {
         addMessage(data.message);
         break;
       
+      case 'attempt':
+        // Failed attempts that will be retried are shown as warnings
+        addMessage(data.message, data.error ? 'warning' : '');
+        break;
+      
       case 'error':
         addMessage(data.message, 'error');
         
@@ -141,6 +154,12 @@ document.addEventListener('DOMContentLoaded', () => {
     // Update recording toggle
     recordingToggle.checked = data.recording;
     
+    // Refresh the recordings list when a recording starts or is saved
+    if (data.recording !== wasRecording) {
+      wasRecording = data.recording;
+      loadRecordings();
+    }
+    
     // Update connection status
     updateConnectionStatus(data.connected ? 'connected' : 'disconnected');
     
@@ -185,9 +204,10 @@ document.addEventListener('DOMContentLoaded', () => {
     clearOutput();
     addMessage('Initiating hack sequence...');
     
-    // Send hack command to server
+    // Send hack command to server, with the selected workflow
     ws.send(JSON.stringify({
-      command: 'hack'
+      command: 'hack',
+      workflow: workflowSelect.value || undefined
     }));
   }
 
@@ -232,7 +252,7 @@ document.addEventListener('DOMContentLoaded', () => {
   /**
    * Add a message to the output area
    * @param {string} message - Message text
-   * @param {string} type - Message type (error, success, or empty for normal)
+   * @param {string} type - Message type (error, success, warning, or empty for normal)
    */
   function addMessage(message, type = '') {
     const msgEl = document.createElement('div');
@@ -281,4 +301,194 @@ document.addEventListener('DOMContentLoaded', () => {
       }, 10);
     }
   }
+  
+  /**
+   * Fetch the available workflows and fill the workflow selector
+   */
+  async function loadWorkflows() {
+    try {
+      const response = await fetch('/api/workflows');
+      const data = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(data.message);
+      }
+      
+      workflowSelect.innerHTML = '';
+      data.workflows.forEach((workflow) => {
+        const option = document.createElement('option');
+        option.value = workflow.name;
+        option.textContent = workflow.name.toUpperCase();
+        // Invalid definitions are listed but cannot be run
+        option.disabled = Boolean(workflow.error);
+        option.title = workflow.error || workflow.description;
+        option.selected = workflow.name === 'hack';
+        workflowSelect.appendChild(option);
+      });
+    } catch (error) {
+      console.error('Failed to load workflows:', error);
+      addMessage(`Failed to load workflows: ${error.message}`, 'error');
+    }
+  }
+  
+  /**
+   * Fetch the recordings list from the proxy and render it
+   */
+  async function loadRecordings() {
+    try {
+      const response = await fetch('/api/recordings');
+      const data = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(data.message);
+      }
+      
+      renderRecordings(data.recordings);
+    } catch (error) {
+      console.error('Failed to load recordings:', error);
+      addMessage(`Failed to load recordings: ${error.message}`, 'error');
+    }
+  }
+  
+  /**
+   * Render the recordings table
+   * @param {Object[]} recordings - Recording metadata from the API
+   */
+  function renderRecordings(recordings) {
+    recordingsList.innerHTML = '';
+    recordingsEmpty.style.display = recordings.length === 0 ? 'block' : 'none';
+    
+    recordings.forEach((recording) => {
+      const row = document.createElement('tr');
+      
+      // Date
+      const dateCell = document.createElement('td');
+      dateCell.textContent = recording.start_time
+        ? new Date(recording.start_time).toLocaleString()
+        : recording.name;
+      dateCell.title = recording.name;
+      row.appendChild(dateCell);
+      
+      // Step count
+      const stepsCell = document.createElement('td');
+      stepsCell.textContent = recording.error ? '-' : recording.step_count;
+      row.appendChild(stepsCell);
+      
+      // Outcome
+      const outcomeCell = document.createElement('td');
+      if (recording.recording) {
+        outcomeCell.textContent = 'RECORDING';
+        outcomeCell.className = 'outcome-recording';
+      } else if (recording.error) {
+        outcomeCell.textContent = 'UNREADABLE';
+        outcomeCell.className = 'outcome-failure';
+      } else {
+        outcomeCell.textContent = recording.success ? 'SUCCESS' : 'FAILURE';
+        outcomeCell.className = recording.success ? 'outcome-success' : 'outcome-failure';
+      }
+      row.appendChild(outcomeCell);
+      
+      // Tags
+      const tagsCell = document.createElement('td');
+      tagsCell.textContent = (recording.tags || []).join(', ');
+      row.appendChild(tagsCell);
+      
+      // Actions
+      const actionsCell = document.createElement('td');
+      actionsCell.className = 'actions';
+      
+      const downloadLink = document.createElement('a');
+      downloadLink.href = `/api/recordings/${encodeURIComponent(recording.name)}`;
+      downloadLink.textContent = 'GET';
+      downloadLink.setAttribute('download', recording.name);
+      actionsCell.appendChild(downloadLink);
+      
+      if (!recording.recording) {
+        actionsCell.appendChild(createActionButton('RENAME', () => renameRecording(recording)));
+        if (!recording.error) {
+          actionsCell.appendChild(createActionButton('TAG', () => tagRecording(recording)));
+        }
+        actionsCell.appendChild(createActionButton('DEL', () => deleteRecording(recording), 'danger'));
+      }
+      
+      row.appendChild(actionsCell);
+      recordingsList.appendChild(row);
+    });
+  }
+  
+  /**
+   * Create a small action button
+   * @param {string} label - Button label
+   * @param {Function} onClick - Click handler
+   * @param {string} extraClass - Additional CSS class
+   * @returns {HTMLButtonElement} - Button element
+   */
+  function createActionButton(label, onClick, extraClass = '') {
+    const button = document.createElement('button');
+    button.className = 'small-button';
+    if (extraClass) {
+      button.classList.add(extraClass);
+    }
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+  
+  /**
+   * Send a change to a recording and refresh the list
+   * @param {string} method - HTTP method
+   * @param {Object} recording - Recording metadata
+   * @param {Object} body - JSON body
+   */
+  async function updateRecording(method, recording, body) {
+    try {
+      const response = await fetch(`/api/recordings/${encodeURIComponent(recording.name)}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const data = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(data.message);
+      }
+    } catch (error) {
+      addMessage(`Recording update failed: ${error.message}`, 'error');
+      scrollOutputToBottom();
+    }
+    
+    loadRecordings();
+  }
+  
+  /**
+   * Ask for a new name and rename the recording
+   * @param {Object} recording - Recording metadata
+   */
+  function renameRecording(recording) {
+    const name = prompt('New file name:', recording.name);
+    if (name && name !== recording.name) {
+      updateRecording('PATCH', recording, { name });
+    }
+  }
+  
+  /**
+   * Ask for comma-separated tags and store them in the recording
+   * @param {Object} recording - Recording metadata
+   */
+  function tagRecording(recording) {
+    const tags = prompt('Tags (comma separated):', (recording.tags || []).join(', '));
+    if (tags !== null) {
+      updateRecording('PATCH', recording, { tags: tags.split(',') });
+    }
+  }
+  
+  /**
+   * Delete the recording after confirmation
+   * @param {Object} recording - Recording metadata
+   */
+  function deleteRecording(recording) {
+    if (confirm(`Delete ${recording.name}?`)) {
+      updateRecording('DELETE', recording);
+    }
+  }
 });
\ No newline at end of file
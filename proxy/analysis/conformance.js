@@ -0,0 +1,247 @@
+/**
+ * MiniTel-Lite Protocol Conformance
+ * Checks a recorded session against the protocol rules, for `minitel-lint`
+ *
+ * Rules:
+ * - frame-decode (error): the raw frame does not decode again, or its hash
+ *   does not match
+ * - frame-mismatch (error): the raw frame's CMD or NONCE differs from the
+ *   recorded decoded fields
+ * - unknown-command (error): a code nobody registered, or a code sent in the
+ *   wrong direction
+ * - nonce-chain (error): a nonce breaks the NonceManager chain (client =
+ *   last server + 1, server = client + 1)
+ * - command-sequence (error): a command the protocol state does not allow,
+ *   e.g. DUMP before HELLO or anything after STOP_OK (see protocol/state)
+ * - response-sequence (error): a response that does not answer the pending
+ *   command (HELLO_ACK after HELLO, DUMP_FAILED or DUMP_OK after DUMP,
+ *   STOP_OK after STOP_CMD), or one with no command to answer
+ * - no-response (warning): a command that got no response
+ * - idle-gap (warning): more than the idle timeout between two frames of a
+ *   connection, long enough for the server to drop it
+ * - frame-not-checked (info): a step whose raw frame was not recorded or was
+ *   removed by the redaction policy
+ * - unfinished (info): a recording without an end time
+ */
+
+const { frameAnatomy, expectedNonces } = require('../protocol/anatomy');
+const { defaultRegistry } = require('../protocol/registry');
+const { ProtocolStateMachine } = require('../protocol/state');
+const { TIMEOUTS } = require('../protocol/constants');
+const { isRedacted } = require('../recorder/redaction');
+
+// Severity levels, most severe first
+const SEVERITIES = ['error', 'warning', 'info'];
+
+// Severities that count as violations
+const VIOLATION_SEVERITIES = ['error', 'warning'];
+
+/**
+ * Build a finding
+ * @param {string} severity - One of SEVERITIES
+ * @param {string} rule - Rule name
+ * @param {Object|null} step - Step the finding is about (null for the whole session)
+ * @param {string} message - Description
+ * @returns {Object} - { severity, rule, step, message }
+ */
+function finding(severity, rule, step, message) {
+  return { severity, rule, step: step ? step.step : null, message };
+}
+
+/**
+ * Check that a step's raw frame decodes again and matches the recorded fields
+ * @param {Object} step - Recorded step
+ * @returns {Object[]} - Findings
+ */
+function checkFrame(step) {
+  if (isRedacted(step, 'frame')) {
+    return [finding('info', 'frame-not-checked', step, 'Raw frame removed by the redaction policy')];
+  }
+  const raw = step.direction === 'client' ? step.request : step.response;
+  if (!raw) {
+    return [finding('info', 'frame-not-checked', step, 'No raw frame recorded')];
+  }
+
+  const anatomy = frameAnatomy(Buffer.from(raw, 'base64'));
+  const findings = anatomy.errors.map((error) => finding('error', 'frame-decode', step, error));
+
+  if (anatomy.cmd !== null && step.valid && step.decoded) {
+    const cmd = defaultRegistry.nameOf(anatomy.cmd);
+    if (cmd !== step.decoded.cmd || anatomy.nonce !== step.decoded.nonce) {
+      findings.push(finding('error', 'frame-mismatch', step,
+        `Raw frame has ${cmd} (nonce=${anatomy.nonce}), recorded as ${step.decoded.cmd} (nonce=${step.decoded.nonce})`));
+    }
+  }
+  return findings;
+}
+
+/**
+ * Check that a step's code is registered for its direction
+ * @param {Object} step - Recorded step
+ * @returns {Object[]} - Findings
+ */
+function checkCommand(step) {
+  if (!step.valid || !step.decoded) {
+    return [];
+  }
+  const spec = defaultRegistry.byName(step.decoded.cmd);
+  if (!spec) {
+    return [finding('error', 'unknown-command', step, `Unknown ${step.direction === 'client' ? 'command' : 'response'} code`)];
+  }
+  if (spec.direction !== step.direction) {
+    return [finding('error', 'unknown-command', step,
+      `${spec.name} is a ${spec.direction === 'client' ? 'command' : 'response'}, sent by the ${step.direction}`)];
+  }
+  return [];
+}
+
+/**
+ * Check every nonce against the NonceManager chain
+ * @param {Object} sessionData - Session data
+ * @returns {Object[]} - Findings
+ */
+function checkNonces(sessionData) {
+  const expected = expectedNonces(sessionData);
+  const findings = [];
+
+  sessionData.steps.forEach((step, index) => {
+    const nonce = step.valid && step.decoded ? step.decoded.nonce : null;
+    if (nonce === null || expected[index] === null || nonce === expected[index]) {
+      return;
+    }
+    const rule = step.direction === 'client' ? 'last server nonce + 1' : 'client nonce + 1';
+    findings.push(finding('error', 'nonce-chain', step, `Nonce ${nonce}, expected ${expected[index]} (${rule})`));
+  });
+  return findings;
+}
+
+/**
+ * Run the steps through the protocol state machine
+ * The machine restarts at every retry attempt, which is a new connection.
+ * @param {Object} sessionData - Session data
+ * @returns {Object[]} - Findings
+ */
+function checkSequence(sessionData) {
+  const attemptStarts = new Set((sessionData.attempts || []).map((attempt) => attempt.first_step));
+  const machine = new ProtocolStateMachine();
+  const findings = [];
+  let pending = null;
+
+  const unanswered = (reason) => {
+    if (pending) {
+      findings.push(finding('warning', 'no-response', pending, `${pending.decoded.cmd} got no response ${reason}`));
+    }
+    pending = null;
+    machine.cancel();
+  };
+
+  machine.connect();
+  sessionData.steps.forEach((step) => {
+    if (attemptStarts.has(step.step)) {
+      unanswered('before the connection was retried');
+      machine.reset();
+      machine.connect();
+    }
+    const cmd = step.valid && step.decoded ? step.decoded.cmd : null;
+
+    if (step.direction === 'client') {
+      unanswered('before the next command');
+      if (cmd === null) {
+        return;
+      }
+      const illegal = machine.checkCommand(cmd);
+      if (illegal) {
+        // Its response is not checked: the command was already reported
+        findings.push(finding('error', 'command-sequence', step, illegal.message));
+      } else {
+        machine.command(cmd);
+      }
+      pending = step;
+      return;
+    }
+
+    // Invalid responses are reported as frame errors
+    if (cmd !== null && (machine.pending || !pending)) {
+      const expected = machine.expectedResponses();
+      try {
+        machine.response(cmd);
+      } catch (error) {
+        const message = machine.pending
+          ? `${cmd} in reply to ${machine.pending}, expected ${expected.join(' or ')}`
+          : error.message;
+        findings.push(finding('error', 'response-sequence', step, message));
+      }
+    }
+    pending = null;
+    machine.cancel();
+  });
+  unanswered('before the recording ended');
+
+  return findings;
+}
+
+/**
+ * Check the gaps between frames against the idle timeout
+ * Gaps before a retry attempt are not checked: each attempt is a new connection.
+ * @param {Object} sessionData - Session data
+ * @param {number} idleTimeoutMs - Idle timeout
+ * @returns {Object[]} - Findings
+ */
+function checkGaps(sessionData, idleTimeoutMs) {
+  const attemptStarts = new Set((sessionData.attempts || []).map((attempt) => attempt.first_step));
+  const findings = [];
+
+  sessionData.steps.forEach((step, index) => {
+    if (index === 0 || attemptStarts.has(step.step)) {
+      return;
+    }
+    const gap = new Date(step.timestamp).getTime() - new Date(sessionData.steps[index - 1].timestamp).getTime();
+    if (gap > idleTimeoutMs) {
+      findings.push(finding('warning', 'idle-gap', step,
+        `${(gap / 1000).toFixed(1)} s since the previous frame, over the idle timeout of ${idleTimeoutMs} ms`));
+    }
+  });
+  return findings;
+}
+
+/**
+ * Check a recorded session against the protocol rules
+ * @param {Object} sessionData - Session data (readSessionFile())
+ * @param {Object} options - Check options
+ * @param {number} options.idleTimeoutMs - Idle timeout (default IDLE_TIMEOUT_MS)
+ * @returns {Object} - { findings, summary, violations }: findings sorted by
+ *   step, then severity; summary counts findings per severity; violations
+ *   counts errors and warnings
+ */
+function lintSession(sessionData, options = {}) {
+  const idleTimeoutMs = options.idleTimeoutMs === undefined ? TIMEOUTS.IDLE : options.idleTimeoutMs;
+  const findings = [];
+
+  if (!sessionData.end_time) {
+    findings.push(finding('info', 'unfinished', null, 'Recording has no end time (interrupted or still running)'));
+  }
+  sessionData.steps.forEach((step) => {
+    findings.push(...checkFrame(step), ...checkCommand(step));
+  });
+  findings.push(...checkNonces(sessionData), ...checkSequence(sessionData), ...checkGaps(sessionData, idleTimeoutMs));
+
+  // Session-wide findings first, then in step order
+  findings.sort((a, b) => (a.step === null ? 0 : a.step) - (b.step === null ? 0 : b.step) ||
+    SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+
+  const summary = {};
+  SEVERITIES.forEach((severity) => {
+    summary[severity] = findings.filter((entry) => entry.severity === severity).length;
+  });
+
+  return {
+    findings,
+    summary,
+    violations: findings.filter((entry) => VIOLATION_SEVERITIES.includes(entry.severity)).length
+  };
+}
+
+module.exports = {
+  SEVERITIES,
+  lintSession
+};
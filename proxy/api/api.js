@@ -0,0 +1,238 @@
+/**
+ * MiniTel-Lite REST API
+ * JSON HTTP endpoints that mirror the WebSocket commands
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { logger } = require('../config');
+const { ERROR_CATEGORIES, classifyError } = require('../client/client');
+const SessionRecorder = require('../recorder/recorder');
+const { WORKFLOW } = require('../protocol/constants');
+const ProxySession = require('../session/session');
+const WorkflowStore = require('../workflow/store');
+const { createRecordingsRouter } = require('./recordings');
+const { WORKFLOW_HTTP_STATUS, createWorkflowsRouter } = require('./workflows');
+const { errorMessage } = require('./messages');
+
+// Number of finished hack jobs kept for GET /api/hack/:id
+const MAX_FINISHED_JOBS = 100;
+
+// HTTP status for each error category
+const CATEGORY_HTTP_STATUS = {
+  [ERROR_CATEGORIES.CONNECTION]: 502,
+  [ERROR_CATEGORIES.PROTOCOL]: 502,
+  [ERROR_CATEGORIES.TIMEOUT]: 504,
+  [ERROR_CATEGORIES.UNKNOWN]: 500
+};
+
+/**
+ * Create the /api router
+ *
+ * Every hack runs in its own ProxySession, exactly like a WebSocket client.
+ * All API-driven sessions share one recorder, toggled with
+ * POST /api/recording/start and POST /api/recording/stop.
+ *
+ * @param {Object} config - Configuration from loadConfig()
+ * @returns {express.Router} - Router to mount on /api
+ */
+function createApiRouter(config) {
+  const router = express.Router();
+
+  const recorder = new SessionRecorder({
+    dir: config.recordings.dir,
+    serverHost: config.server.host,
+    serverPort: config.server.port
+  });
+
+  const workflows = new WorkflowStore(config.workflows && config.workflows.dir);
+
+  // Hack jobs by ID, in creation order
+  const jobs = new Map();
+  let lastOverrideCode = null;
+
+  router.use(express.json());
+
+  /**
+   * Start a hack job
+   * @param {Object} workflow - Workflow to run (loaded from the workflow store)
+   * @returns {Object} - Job with a promise that settles when the hack finishes
+   */
+  function startJob(workflow) {
+    const job = {
+      id: crypto.randomUUID(),
+      workflow: workflow.name,
+      state: 'running',
+      created_at: new Date().toISOString(),
+      finished_at: null,
+      messages: [],
+      result: null
+    };
+
+    job.session = new ProxySession((message) => {
+      job.messages.push(message);
+    }, config, { recorder });
+
+    job.done = job.session.executeHack(workflow.name).then(({ overrideCode, error }) => {
+      job.finished_at = new Date().toISOString();
+
+      if (error) {
+        job.state = 'failed';
+        job.httpStatus = CATEGORY_HTTP_STATUS[classifyError(error)];
+        job.result = errorMessage(`Hack failed: ${error.message}`);
+      } else {
+        job.state = 'succeeded';
+        job.httpStatus = 200;
+        job.result = {
+          type: 'success',
+          message: workflow.result
+            ? 'Override code retrieved successfully!'
+            : `Workflow ${workflow.name} completed successfully`,
+          overrideCode
+        };
+        if (workflow.result) {
+          lastOverrideCode = overrideCode;
+        }
+      }
+      pruneJobs();
+      return job;
+    });
+
+    jobs.set(job.id, job);
+    return job;
+  }
+
+  /**
+   * Drop the oldest finished jobs beyond MAX_FINISHED_JOBS
+   */
+  function pruneJobs() {
+    const finished = [...jobs.values()].filter((job) => job.state !== 'running');
+    finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))
+      .forEach((job) => jobs.delete(job.id));
+  }
+
+  /**
+   * Serialize a job for the response body
+   * @param {Object} job - Hack job
+   * @returns {Object} - Public job representation
+   */
+  function serializeJob(job) {
+    return {
+      id: job.id,
+      workflow: job.workflow,
+      state: job.state,
+      created_at: job.created_at,
+      finished_at: job.finished_at,
+      messages: job.messages,
+      result: job.result
+    };
+  }
+
+  /**
+   * Build the current API status message
+   * @returns {Object} - Status message
+   */
+  function getStatus() {
+    const running = [...jobs.values()].filter((job) => job.state === 'running');
+    return {
+      type: 'status',
+      connected: running.some((job) => job.session.isConnected()),
+      recording: recorder.isRecording(),
+      overrideCode: lastOverrideCode,
+      running: running.length
+    };
+  }
+
+  // Run the hack sequence, or another workflow ({"workflow": "name"}),
+  // synchronously or as a background job (?async=true or {"async": true})
+  // polled through GET /api/hack/:id
+  router.post('/hack', async (req, res) => {
+    const body = req.body || {};
+    const runAsync = req.query.async === 'true' || body.async === true;
+    logger.info(`API hack requested${runAsync ? ' (async)' : ''}`);
+
+    let workflow;
+    try {
+      workflow = workflows.load(body.workflow === undefined ? WORKFLOW.DEFAULT : body.workflow);
+    } catch (error) {
+      res.status(WORKFLOW_HTTP_STATUS[error.code] || 500).json(errorMessage(error.message));
+      return;
+    }
+
+    const job = startJob(workflow);
+
+    if (runAsync) {
+      res.status(202)
+        .location(`${req.baseUrl}/hack/${job.id}`)
+        .json(serializeJob(job));
+      return;
+    }
+
+    await job.done;
+    res.status(job.httpStatus).json(job.result);
+  });
+
+  // Poll a hack job
+  router.get('/hack/:id', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+      res.status(404).json(errorMessage(`Unknown hack job: ${req.params.id}`));
+      return;
+    }
+    res.json(serializeJob(job));
+  });
+
+  // Current proxy status
+  router.get('/status', (req, res) => {
+    res.json(getStatus());
+  });
+
+  // Start a new recording session (will stop any existing recording)
+  router.post('/recording/start', async (req, res) => {
+    if (!(await recorder.startRecording())) {
+      res.status(500).json(errorMessage(`Failed to start recording: ${recorder.error.message}`));
+      return;
+    }
+    res.json(Object.assign(getStatus(), {
+      message: 'Started new recording session'
+    }));
+  });
+
+  // Stop the current recording
+  router.post('/recording/stop', async (req, res) => {
+    if (!recorder.isRecording()) {
+      res.status(409).json(errorMessage('Not recording'));
+      return;
+    }
+    if (!(await recorder.stopRecording())) {
+      res.status(500).json(errorMessage('Failed to save recording'));
+      return;
+    }
+    res.json(Object.assign(getStatus(), {
+      message: 'Recording stopped and saved'
+    }));
+  });
+
+  // Recordings management
+  router.use('/recordings', createRecordingsRouter(config));
+
+  // Available workflows
+  router.use('/workflows', createWorkflowsRouter(config));
+
+  // Unknown API routes
+  router.use((req, res) => {
+    res.status(404).json(errorMessage(`Unknown endpoint: ${req.method} ${req.originalUrl}`));
+  });
+
+  // Malformed requests (e.g. invalid JSON bodies) and unexpected failures
+  router.use((error, req, res, next) => {
+    logger.error(`API error: ${error.message}`);
+    res.status(error.status || 500).json(errorMessage(`Error: ${error.message}`));
+  });
+
+  return router;
+}
+
+module.exports = {
+  createApiRouter
+};
@@ -0,0 +1,27 @@
+/**
+ * MiniTel-Lite API Messages
+ * Builds response bodies in the same shapes the WebSocket sends
+ */
+
+/**
+ * Build an error message
+ * @param {string} message - Error description
+ * @returns {Object} - Error message
+ */
+function errorMessage(message) {
+  return { type: 'error', message };
+}
+
+/**
+ * Build an update message
+ * @param {string} message - Update description
+ * @returns {Object} - Update message
+ */
+function updateMessage(message) {
+  return { type: 'update', message };
+}
+
+module.exports = {
+  errorMessage,
+  updateMessage
+};
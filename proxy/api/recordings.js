@@ -0,0 +1,117 @@
+/**
+ * MiniTel-Lite Recordings API
+ * Browse, download, rename, tag and delete recorded sessions
+ */
+
+const express = require('express');
+const { logger } = require('../config');
+const RecordingStore = require('../recorder/store');
+const { exportSession } = require('../export/pcap');
+const { splitRecordingName } = require('../recorder/files');
+const { errorMessage, updateMessage } = require('./messages');
+
+// Header carrying the key that decrypts an encrypted recording
+const KEY_HEADER = 'X-Recording-Key';
+
+// HTTP status for each store error code
+const STORE_HTTP_STATUS = {
+  EINVAL: 400,
+  ENOENT: 404,
+  EEXIST: 409,
+  EBUSY: 409
+};
+
+/**
+ * Create the /api/recordings router
+ * @param {Object} config - Configuration from loadConfig()
+ * @returns {express.Router} - Router to mount on /api/recordings
+ */
+function createRecordingsRouter(config) {
+  const router = express.Router();
+  const store = new RecordingStore(config.recordings.dir);
+
+  /**
+   * Wrap a handler so store errors become JSON error responses
+   * @param {Function} handler - Route handler
+   * @returns {Function} - Express handler
+   */
+  function handle(handler) {
+    return (req, res) => {
+      try {
+        handler(req, res);
+      } catch (error) {
+        const status = STORE_HTTP_STATUS[error.code] || 500;
+        if (status === 500) {
+          logger.error(`Recordings API error: ${error.message}`);
+        }
+        res.status(status).json(errorMessage(error.message));
+      }
+    };
+  }
+
+  // List recordings with metadata
+  router.get('/', handle((req, res) => {
+    res.json({ recordings: store.list() });
+  }));
+
+  /**
+   * Read a recording for download
+   * Encrypted steps stay sealed unless the caller sends the key: the server's
+   * RECORDING_ENCRYPTION_KEY is never used on their behalf.
+   * @param {express.Request} req - Request with the recording name and optional key header
+   * @returns {Object} - Session data
+   */
+  function readForClient(req) {
+    return store.read(req.params.name, { key: req.get(KEY_HEADER) || null });
+  }
+
+  // Download a recording
+  router.get('/:name', handle((req, res) => {
+    const sessionData = readForClient(req);
+    // Journals and compressed files download as a single JSON document
+    res.attachment(`${splitRecordingName(req.params.name).base}.json`).json(sessionData);
+  }));
+
+  // Export a recording as a capture file: ?format=pcap (default) or pcapng
+  router.get('/:name/pcap', handle((req, res) => {
+    const format = req.query.format || 'pcap';
+    const capture = exportSession(readForClient(req), { format });
+    res.attachment(`${splitRecordingName(req.params.name).base}.${format}`)
+      .type('application/vnd.tcpdump.pcap')
+      .send(capture);
+  }));
+
+  // Rename and/or tag a recording: { "name": "...", "tags": ["..."] }
+  router.patch('/:name', handle((req, res) => {
+    const body = req.body || {};
+    let name = req.params.name;
+
+    if (body.name === undefined && body.tags === undefined) {
+      res.status(400).json(errorMessage('Nothing to update: expected "name" and/or "tags"'));
+      return;
+    }
+
+    if (body.name !== undefined) {
+      name = store.rename(name, body.name);
+      logger.info(`Renamed recording ${req.params.name} to ${name}`);
+    }
+    if (body.tags !== undefined) {
+      store.setTags(name, body.tags);
+    }
+
+    res.json(store.describe(name));
+  }));
+
+  // Delete a recording
+  router.delete('/:name', handle((req, res) => {
+    store.remove(req.params.name);
+    logger.info(`Deleted recording ${req.params.name}`);
+    res.json(updateMessage(`Deleted recording ${req.params.name}`));
+  }));
+
+  return router;
+}
+
+module.exports = {
+  createRecordingsRouter
+};
@@ -0,0 +1,45 @@
+/**
+ * MiniTel-Lite Workflows API
+ * Lists the workflows the proxy can run
+ */
+
+const express = require('express');
+const WorkflowStore = require('../workflow/store');
+const { errorMessage } = require('./messages');
+
+// HTTP status for each workflow store error code
+const WORKFLOW_HTTP_STATUS = {
+  EINVAL: 400,
+  ENOENT: 404
+};
+
+/**
+ * Create the /api/workflows router
+ * @param {Object} config - Configuration from loadConfig()
+ * @returns {express.Router} - Router to mount on /api/workflows
+ */
+function createWorkflowsRouter(config) {
+  const router = express.Router();
+  const store = new WorkflowStore(config.workflows && config.workflows.dir);
+
+  // List workflows with their description and step count
+  router.get('/', (req, res) => {
+    res.json({ workflows: store.list() });
+  });
+
+  // Get a workflow definition (with defaults applied)
+  router.get('/:name', (req, res) => {
+    try {
+      res.json(store.load(req.params.name));
+    } catch (error) {
+      res.status(WORKFLOW_HTTP_STATUS[error.code] || 500).json(errorMessage(error.message));
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  WORKFLOW_HTTP_STATUS,
+  createWorkflowsRouter
+};
@@ -0,0 +1,420 @@
+/**
+ * MiniTel-Lite Client
+ * Promise-based client for the MiniTel-Lite TCP protocol
+ */
+
+const net = require('net');
+const EventEmitter = require('events');
+const { logger } = require('../config');
+const { encodeFrame } = require('../protocol/encoder');
+const { decodeFrame } = require('../protocol/decoder');
+const FrameReassembler = require('../protocol/stream');
+const NonceManager = require('../protocol/nonce');
+const { ProtocolStateMachine, ILLEGAL_COMMAND, UNEXPECTED_RESPONSE } = require('../protocol/state');
+const { defaultRegistry, INVALID_PAYLOAD } = require('../protocol/registry');
+const { COMMANDS, RESPONSES, TIMEOUTS } = require('../protocol/constants');
+
+// Error codes attached to errors raised by the client
+const ERROR_CODES = {
+  NOT_CONNECTED: 'ENOTCONNECTED',
+  CONNECTION_CLOSED: 'ECONNCLOSED',
+  IDLE_TIMEOUT: 'EIDLETIMEOUT',
+  RESPONSE_TIMEOUT: 'ERESPONSETIMEOUT',
+  INVALID_FRAME: 'EINVALIDFRAME',
+  NONCE_MISMATCH: 'ENONCEMISMATCH',
+  UNEXPECTED_RESPONSE,
+  ILLEGAL_COMMAND,
+  INVALID_PAYLOAD
+};
+
+// Failure categories used to report errors (CLI exit codes, HTTP statuses)
+const ERROR_CATEGORIES = {
+  CONNECTION: 'connection',
+  PROTOCOL: 'protocol',
+  TIMEOUT: 'timeout',
+  UNKNOWN: 'unknown'
+};
+
+// Error codes that indicate a protocol violation
+const PROTOCOL_ERRORS = [
+  ERROR_CODES.INVALID_FRAME,
+  ERROR_CODES.NONCE_MISMATCH,
+  ERROR_CODES.UNEXPECTED_RESPONSE,
+  ERROR_CODES.ILLEGAL_COMMAND,
+  ERROR_CODES.INVALID_PAYLOAD
+];
+
+// Error codes that indicate a timeout
+const TIMEOUT_ERRORS = [
+  ERROR_CODES.IDLE_TIMEOUT,
+  ERROR_CODES.RESPONSE_TIMEOUT,
+  'ETIMEDOUT'
+];
+
+/**
+ * Classify an error raised while talking to the server
+ * Anything that is neither a protocol violation nor a timeout but carries a
+ * socket error code (ECONNREFUSED, ECONNRESET, ENOTFOUND, ...) is treated as
+ * a connection failure.
+ * @param {Error} error - Error to classify
+ * @returns {string} - One of ERROR_CATEGORIES
+ */
+function classifyError(error) {
+  if (PROTOCOL_ERRORS.includes(error.code)) {
+    return ERROR_CATEGORIES.PROTOCOL;
+  }
+  if (TIMEOUT_ERRORS.includes(error.code)) {
+    return ERROR_CATEGORIES.TIMEOUT;
+  }
+  if (typeof error.code === 'string' && error.code.startsWith('E')) {
+    return ERROR_CATEGORIES.CONNECTION;
+  }
+  return ERROR_CATEGORIES.UNKNOWN;
+}
+
+/**
+ * Create an error carrying one of the ERROR_CODES
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} - Error with a `code` property
+ */
+function clientError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Client for a single MiniTel-Lite connection
+ *
+ * Events:
+ * - 'connect' () - TCP connection established
+ * - 'frameSent' (decodedFrame, rawFrame) - a command frame was written
+ * - 'frameReceived' (decodedFrame, rawFrame) - a response frame was received
+ * - 'close' () - TCP connection closed
+ */
+class MiniTelClient extends EventEmitter {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.host - Server host
+   * @param {number} options.port - Server port
+   * @param {number} options.idleTimeout - Maximum gap allowed between frames (ms)
+   * @param {number} options.responseTimeout - Maximum wait for a response (ms)
+   * @param {SessionRecorder} options.recorder - Recorder to capture frames with
+   * @param {Object} options.logger - Logger (defaults to the configured logger)
+   * @param {number} options.maxBufferSize - Largest frame accepted from the server (bytes)
+   * @param {CommandRegistry} options.registry - Command registry (defaults to the built-in one)
+   * @param {boolean} options.enforceProtocol - Refuse commands and reject responses the
+   *   protocol state machine does not allow (by default they are only left out of the
+   *   tracked state, so anomalous sequences can still be sent)
+   */
+  constructor(options = {}) {
+    super();
+    this.host = options.host;
+    this.port = options.port;
+    this.idleTimeout = options.idleTimeout || TIMEOUTS.IDLE;
+    this.responseTimeout = options.responseTimeout || TIMEOUTS.RESPONSE;
+    this.recorder = options.recorder || null;
+    this.logger = options.logger || logger;
+    this.maxBufferSize = options.maxBufferSize;
+    this.registry = options.registry || defaultRegistry;
+    this.enforceProtocol = Boolean(options.enforceProtocol);
+
+    this.nonceManager = new NonceManager();
+    this.stateMachine = new ProtocolStateMachine();
+    this.socket = null;
+    this.connected = false;
+
+    // Pending request handlers
+    this.responseResolve = null;
+    this.responseReject = null;
+    this.responseTimer = null;
+  }
+
+  /**
+   * Whether the TCP connection is open
+   * @returns {boolean} - True if connected
+   */
+  isConnected() {
+    return this.connected;
+  }
+
+  /**
+   * Current protocol state (see STATES in protocol/state)
+   * Without enforceProtocol, commands and responses the state machine does
+   * not allow leave the state unchanged.
+   * @returns {string} - State name
+   */
+  getState() {
+    return this.stateMachine.state;
+  }
+
+  /**
+   * Connect to the MiniTel-Lite server
+   * @returns {Promise} - Resolves when connected
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      // Close existing connection if any
+      this.close();
+
+      // Reset nonce manager
+      this.nonceManager.reset();
+
+      const socket = new net.Socket();
+      this.socket = socket;
+
+      // Reassemble frames that TCP may split or coalesce
+      const reassembler = new FrameReassembler({ maxBufferSize: this.maxBufferSize, registry: this.registry });
+      reassembler.on('frame', (decodedFrame, rawFrame) => {
+        this._handleFrame(rawFrame, decodedFrame);
+      });
+      reassembler.on('error', (error) => {
+        this.logger.error(`Frame reassembly failed: ${error.message}`);
+        this._rejectPending(clientError(`Invalid frame: ${error.message}`, ERROR_CODES.INVALID_FRAME));
+        this.close();
+      });
+
+      // Set timeouts
+      socket.setTimeout(this.idleTimeout);
+
+      // Handle socket events
+      socket.on('connect', () => {
+        this.connected = true;
+        this.stateMachine.connect();
+        this.logger.info(`Connected to ${this.host}:${this.port}`);
+        this.emit('connect');
+        resolve();
+      });
+
+      socket.on('data', (data) => {
+        reassembler.push(data);
+      });
+
+      socket.on('error', (error) => {
+        this.logger.error(`Socket error: ${error.message}`);
+        this.connected = false;
+        this.stateMachine.disconnect();
+        this._rejectPending(error);
+        reject(error);
+      });
+
+      socket.on('timeout', () => {
+        this.logger.warn('Socket timeout');
+        const error = clientError('Connection timed out', ERROR_CODES.IDLE_TIMEOUT);
+        this.connected = false;
+        this.stateMachine.disconnect();
+        socket.destroy();
+        this._rejectPending(error);
+        reject(error);
+      });
+
+      socket.on('close', () => {
+        this.logger.info('Connection closed');
+        if (this.socket === socket) {
+          this.connected = false;
+          this.stateMachine.disconnect();
+          this._rejectPending(clientError('Connection closed by server', ERROR_CODES.CONNECTION_CLOSED));
+          this.emit('close');
+        }
+      });
+
+      // Connect to server
+      socket.connect(this.port, this.host);
+    });
+  }
+
+  /**
+   * Send HELLO
+   * @returns {Promise<Object>} - Decoded response frame
+   */
+  hello() {
+    return this.sendCommand(COMMANDS.HELLO);
+  }
+
+  /**
+   * Send DUMP
+   * @returns {Promise<Object>} - Decoded response frame
+   */
+  dump() {
+    return this.sendCommand(COMMANDS.DUMP);
+  }
+
+  /**
+   * Send STOP_CMD
+   * @returns {Promise<Object>} - Decoded response frame
+   */
+  stop() {
+    return this.sendCommand(COMMANDS.STOP_CMD);
+  }
+
+  /**
+   * Close the TCP connection and reject any pending request
+   */
+  close() {
+    const socket = this.socket;
+    this.socket = null;
+    this.connected = false;
+    this._rejectPending(clientError('Connection closed', ERROR_CODES.CONNECTION_CLOSED));
+    this.stateMachine.disconnect();
+
+    if (socket && !socket.destroyed) {
+      socket.destroy();
+      this.emit('close');
+    }
+  }
+
+  /**
+   * Send a command to the server and wait for response
+   * @param {number} cmd - Command code
+   * @param {*} payload - Optional payload, as declared for the command in the registry
+   * @returns {Promise<Object>} - Decoded response frame
+   */
+  sendCommand(cmd, payload = '') {
+    return new Promise((resolve, reject) => {
+      if (!this.connected) {
+        return reject(clientError('Not connected to server', ERROR_CODES.NOT_CONNECTED));
+      }
+
+      // Refuse commands the protocol state does not allow, before sending anything
+      const name = this.registry.nameOf(cmd);
+      const illegal = this.stateMachine.checkCommand(name);
+      if (illegal && this.enforceProtocol) {
+        return reject(illegal);
+      }
+
+      // Get the next client nonce
+      const nonce = this.nonceManager.getNextClientNonce();
+
+      // Encode the frame (rejects payloads that don't match the registry)
+      let frame;
+      try {
+        frame = encodeFrame(cmd, nonce, payload, this.registry);
+      } catch (error) {
+        return reject(error);
+      }
+
+      // Clear any existing handlers
+      this._clearResponseHandlers();
+      if (!illegal) {
+        this.stateMachine.command(name);
+      }
+
+      // Set up new promise handlers
+      this.responseResolve = resolve;
+      this.responseReject = reject;
+
+      // Update client nonce
+      this.nonceManager.updateClientNonce(nonce);
+
+      // Decode our own frame so requests carry the same fields as responses
+      const decodedRequest = decodeFrame(frame, this.registry);
+
+      // Record request if recording
+      if (this.recorder && this.recorder.isRecording()) {
+        this.recorder.recordRequest(frame, decodedRequest);
+      }
+
+      // Set response timeout
+      this.responseTimer = setTimeout(() => {
+        this._rejectPending(clientError('Response timeout', ERROR_CODES.RESPONSE_TIMEOUT));
+      }, this.responseTimeout);
+
+      // Send the frame
+      this.logger.info(`Sending ${decodedRequest.cmdName} (nonce=${nonce})`);
+      this.socket.write(frame);
+      this.emit('frameSent', decodedRequest, frame);
+    });
+  }
+
+  /**
+   * Handle a complete frame received from the server
+   * @param {Buffer} data - Raw frame received from server
+   * @param {Object} decodedFrame - Decoded frame
+   * @private
+   */
+  _handleFrame(data, decodedFrame) {
+    // Record response if recording
+    if (this.recorder && this.recorder.isRecording()) {
+      this.recorder.recordResponse(data, decodedFrame);
+    }
+
+    this.emit('frameReceived', decodedFrame, data);
+
+    if (!decodedFrame.valid) {
+      this.logger.error(`Invalid frame received: ${decodedFrame.error}`);
+      this._rejectPending(clientError(`Invalid frame: ${decodedFrame.error}`, ERROR_CODES.INVALID_FRAME));
+      return;
+    }
+
+    this.logger.info(`Received ${decodedFrame.cmdName} (nonce=${decodedFrame.nonce})`);
+
+    // Validate nonce
+    if (!this.nonceManager.validateServerNonce(decodedFrame.nonce)) {
+      this.logger.error(`Nonce mismatch: expected=${this.nonceManager.getExpectedServerNonce()}, got=${decodedFrame.nonce}`);
+      this._rejectPending(clientError('Nonce mismatch', ERROR_CODES.NONCE_MISMATCH));
+      return;
+    }
+
+    // Update server nonce
+    this.nonceManager.updateServerNonce(decodedFrame.nonce);
+
+    // Check that the response answers the pending command
+    try {
+      this.stateMachine.response(decodedFrame.cmdName);
+    } catch (error) {
+      if (this.enforceProtocol) {
+        this.logger.error(`Protocol violation: ${error.message}`);
+        this._rejectPending(error);
+        return;
+      }
+      this.stateMachine.cancel();
+    }
+
+    if (decodedFrame.cmd === RESPONSES.DUMP_OK) {
+      this.logger.info('Received override code');
+    }
+
+    // Resolve the pending promise
+    if (this.responseResolve) {
+      const resolve = this.responseResolve;
+      this._clearResponseHandlers();
+      resolve(decodedFrame);
+    }
+  }
+
+  /**
+   * Reject the pending request, if any, and stop waiting for its response
+   * @param {Error} error - Reason for the rejection
+   * @private
+   */
+  _rejectPending(error) {
+    this.stateMachine.cancel();
+    if (this.responseReject) {
+      const reject = this.responseReject;
+      this._clearResponseHandlers();
+      reject(error);
+    }
+  }
+
+  /**
+   * Clear response handlers and timers
+   * @private
+   */
+  _clearResponseHandlers() {
+    this.responseResolve = null;
+    this.responseReject = null;
+    if (this.responseTimer) {
+      clearTimeout(this.responseTimer);
+      this.responseTimer = null;
+    }
+  }
+}
+
+module.exports = {
+  MiniTelClient,
+  ERROR_CODES,
+  ERROR_CATEGORIES,
+  classifyError,
+  clientError
+};
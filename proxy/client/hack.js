@@ -0,0 +1,29 @@
+/**
+ * MiniTel-Lite Hack Sequence
+ * Runs the `hack` workflow (HELLO -> DUMP -> DUMP -> STOP_CMD) on a connected MiniTelClient
+ */
+
+const WorkflowStore = require('../workflow/store');
+const { runWorkflow } = require('../workflow/workflow');
+const { WORKFLOW } = require('../protocol/constants');
+
+/**
+ * Execute the hack sequence on a connected client
+ * @param {MiniTelClient} client - Connected client
+ * @param {Object} hooks - Progress callbacks
+ * @param {Function} hooks.onUpdate - Called with a progress message
+ * @param {Function} hooks.onOverrideCode - Called with the code as soon as it is retrieved
+ * @returns {Promise<string>} - Override code
+ */
+async function runHack(client, hooks = {}) {
+  const workflow = new WorkflowStore().load(WORKFLOW.DEFAULT);
+  const { result } = await runWorkflow(client, workflow, {
+    onUpdate: hooks.onUpdate,
+    onResult: hooks.onOverrideCode
+  });
+  return result;
+}
+
+module.exports = {
+  runHack
+};
@@ -0,0 +1,120 @@
+/**
+ * MiniTel-Lite Retry Policy
+ * Retries a whole sequence with exponential backoff and jitter
+ */
+
+const { RETRY } = require('../protocol/constants');
+
+/**
+ * Build a retry policy, filling unset values from the environment defaults
+ * @param {Object} options - Policy overrides
+ * @param {number} options.maxAttempts - Total attempts, including the first
+ * @param {number} options.baseDelay - Delay before the first retry (ms)
+ * @param {number} options.maxDelay - Upper bound for any delay (ms)
+ * @param {number} options.jitter - Fraction of each delay that is randomized (0..1)
+ * @param {string[]} options.retryOn - Error codes that trigger a retry
+ * @returns {Object} - Retry policy
+ */
+function createRetryPolicy(options = {}) {
+  const policy = {
+    maxAttempts: RETRY.MAX_ATTEMPTS,
+    baseDelay: RETRY.BASE_DELAY,
+    maxDelay: RETRY.MAX_DELAY,
+    jitter: RETRY.JITTER,
+    retryOn: RETRY.RETRY_ON
+  };
+
+  Object.keys(policy).forEach((key) => {
+    if (options[key] !== undefined) {
+      policy[key] = options[key];
+    }
+  });
+
+  if (!Number.isInteger(policy.maxAttempts) || policy.maxAttempts < 1) {
+    throw new Error(`Invalid retry policy: maxAttempts must be a positive integer, got ${policy.maxAttempts}`);
+  }
+  ['baseDelay', 'maxDelay'].forEach((key) => {
+    if (!Number.isInteger(policy[key]) || policy[key] < 0) {
+      throw new Error(`Invalid retry policy: ${key} must be a non-negative integer, got ${policy[key]}`);
+    }
+  });
+  if (!(policy.jitter >= 0 && policy.jitter <= 1)) {
+    throw new Error(`Invalid retry policy: jitter must be between 0 and 1, got ${policy.jitter}`);
+  }
+  if (!Array.isArray(policy.retryOn) || !policy.retryOn.every((code) => typeof code === 'string')) {
+    throw new Error(`Invalid retry policy: retryOn must be an array of error codes, got ${policy.retryOn}`);
+  }
+
+  return policy;
+}
+
+/**
+ * Whether an error should trigger a retry under a policy
+ * @param {Error} error - Error that ended the attempt
+ * @param {Object} policy - Retry policy
+ * @returns {boolean} - True if the error is retryable
+ */
+function isRetryable(error, policy) {
+  return Boolean(error && error.code) && policy.retryOn.includes(error.code);
+}
+
+/**
+ * Delay before the next attempt
+ * The delay doubles after every attempt, is capped at maxDelay, and a
+ * `jitter` fraction of it is randomized so that clients failing together do
+ * not retry in lockstep.
+ * @param {number} attempt - Attempt that just failed (1 = first)
+ * @param {Object} policy - Retry policy
+ * @param {Function} random - Source of numbers in [0, 1)
+ * @returns {number} - Delay in milliseconds
+ */
+function backoffDelay(attempt, policy, random = Math.random) {
+  const delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt - 1));
+  return Math.round(delay * (1 - policy.jitter * random()));
+}
+
+/**
+ * Run an operation, retrying it while it fails with a retryable error
+ * @param {Function} operation - Called with the attempt number; returns a promise
+ * @param {Object} policy - Retry policy
+ * @param {Object} hooks - Progress callbacks
+ * @param {Function} hooks.onAttempt - Called with the attempt number before it starts
+ * @param {Function} hooks.onAttemptEnd - Called with (attempt, error, retryDelay) when
+ *   an attempt ends; error is null on success, retryDelay is null if no retry follows
+ * @param {Function} hooks.canRetry - Called with the error; return false to stop retrying
+ * @returns {Promise<*>} - Result of the first successful attempt
+ */
+async function withRetry(operation, policy, hooks = {}) {
+  const onAttempt = hooks.onAttempt || (() => {});
+  const onAttemptEnd = hooks.onAttemptEnd || (() => {});
+  const canRetry = hooks.canRetry || (() => true);
+
+  for (let attempt = 1; ; attempt++) {
+    onAttempt(attempt);
+
+    let result;
+    try {
+      result = await operation(attempt);
+    } catch (error) {
+      const retry = attempt < policy.maxAttempts && isRetryable(error, policy) && canRetry(error);
+      const retryDelay = retry ? backoffDelay(attempt, policy) : null;
+      onAttemptEnd(attempt, error, retryDelay);
+
+      if (!retry) {
+        throw error;
+      }
+      await new Promise((resolve) => setTimeout(resolve, retryDelay));
+      continue;
+    }
+
+    onAttemptEnd(attempt, null, null);
+    return result;
+  }
+}
+
+module.exports = {
+  createRetryPolicy,
+  isRetryable,
+  backoffDelay,
+  withRetry
+};
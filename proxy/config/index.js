@@ -5,6 +5,10 @@
 
 require('dotenv').config();
 const winston = require('winston');
+const { RECORDING, RETRY } = require('../protocol/constants');
+const { createRedactionPolicy } = require('../recorder/redaction');
+const { configuredRetentionPolicy } = require('../recorder/retention');
+const { createRetryPolicy } = require('../client/retry');
 
 // Create logger
 const logger = winston.createLogger({
@@ -20,8 +24,22 @@ const logger = winston.createLogger({
   ]
 });
 
-// Load and validate configuration
-function loadConfig() {
+/**
+ * Send every log level to stderr, keeping stdout free for command output
+ */
+function logToStderr() {
+  logger.clear().add(new winston.transports.Console({
+    stderrLevels: Object.keys(logger.levels)
+  }));
+}
+
+/**
+ * Load and validate configuration
+ * @param {Object} overrides - Values that take precedence over the environment,
+ *   grouped by section (e.g. { server: { host, port } })
+ * @returns {Object} - Configuration
+ */
+function loadConfig(overrides = {}) {
   const config = {
     server: {
       host: process.env.SERVER_HOST,
@@ -39,9 +57,28 @@ function loadConfig() {
     },
     logging: {
       level: process.env.LOG_LEVEL
+    },
+    retry: {
+      maxAttempts: RETRY.MAX_ATTEMPTS,
+      baseDelay: RETRY.BASE_DELAY,
+      maxDelay: RETRY.MAX_DELAY,
+      jitter: RETRY.JITTER,
+      retryOn: RETRY.RETRY_ON
+    },
+    framing: {
+      maxBufferSize: parseInt(process.env.MAX_FRAME_BUFFER_BYTES || '65537', 10)
+    },
+    workflows: {
+      // Unset means the workflows bundled in ./workflows
+      dir: process.env.WORKFLOWS_DIR
     }
   };
 
+  // Apply overrides (e.g. command-line options) before validation
+  Object.keys(overrides).forEach((section) => {
+    config[section] = Object.assign({}, config[section], overrides[section]);
+  });
+
   // Validate configuration
   const missingVars = [];
 
@@ -58,10 +95,25 @@ function loadConfig() {
     throw new Error(errorMsg);
   }
 
+  // Report bad retry, redaction and retention settings now rather than when first used
+  try {
+    createRetryPolicy(config.retry);
+    createRedactionPolicy({
+      codes: RECORDING.REDACT_CODES,
+      dropRawFrames: RECORDING.DROP_RAW_FRAMES,
+      key: RECORDING.ENCRYPTION_KEY
+    });
+    configuredRetentionPolicy();
+  } catch (error) {
+    logger.error(error.message);
+    throw error;
+  }
+
   return config;
 }
 
 module.exports = {
   loadConfig,
+  logToStderr,
   logger
 };
\ No newline at end of file
@@ -0,0 +1,487 @@
+/**
+ * MiniTel-Lite PCAP Export
+ * Turns a recorded session into a pcap or pcapng capture for Wireshark
+ *
+ * The recording only holds the MiniTel-Lite frames, so the TCP/IP layers are
+ * synthesized: every connection gets a three-way handshake, each recorded
+ * frame becomes one or more data segments (split at the MSS) with consistent
+ * sequence numbers, and the connection ends with a FIN exchange. A session
+ * with several retry attempts is exported as one connection per attempt.
+ * Packets are raw IPv4 (no link-layer header) with valid checksums.
+ *
+ * Steps whose raw frame was dropped by a redaction policy are rebuilt from
+ * their decoded fields; a redacted payload is replaced by "[REDACTED]". A
+ * rebuilt frame carries a zeroed hash, so it fails validation instead of
+ * passing for the frame that was on the wire, and pcapng files add a comment
+ * to the packets that carry it.
+ */
+
+const net = require('net');
+const { encodeFrame } = require('../protocol/encoder');
+const { defaultRegistry } = require('../protocol/registry');
+const { recordedPayloadBytes } = require('../protocol/payload');
+const { REDACTED, isRedacted } = require('../recorder/redaction');
+
+// Capture file formats
+const PCAP_FORMATS = ['pcap', 'pcapng'];
+
+// Link-layer type for packets that start with the IP header
+const LINKTYPE_RAW = 101;
+
+// Largest packet stored in a capture
+const SNAPLEN = 65535;
+
+// TCP header flags
+const TCP_FLAGS = {
+  FIN: 0x01,
+  SYN: 0x02,
+  PSH: 0x08,
+  ACK: 0x10
+};
+
+// Addresses used when the recording has no IPv4 address to offer
+const DEFAULTS = {
+  CLIENT_HOST: '10.0.0.1',
+  SERVER_HOST: '10.0.0.2',
+  CLIENT_PORT: 49152,
+  MSS: 1460
+};
+
+// Ephemeral port range (RFC 6335); client ports of later connections wrap
+// around inside it
+const EPHEMERAL_PORTS = {
+  FIRST: 49152,
+  LAST: 65535
+};
+
+// Initial sequence numbers, fixed so exports are reproducible
+const CLIENT_ISN = 0x1000;
+const SERVER_ISN = 0x8000;
+
+const IPV4_HEADER_BYTES = 20;
+const TCP_HEADER_BYTES = 20;
+
+// SHA-256 hash at the end of every frame
+const HASH_BYTES = 32;
+
+// Comment on the pcapng packets of a rebuilt frame
+const REBUILT_COMMENT = 'MiniTel-Lite frame rebuilt from a redacted recording (hash zeroed)';
+
+/**
+ * Create an export error
+ * @param {string} message - Error message
+ * @returns {Error} - Error with code EINVAL
+ */
+function exportError(message) {
+  const error = new Error(message);
+  error.code = 'EINVAL';
+  return error;
+}
+
+/**
+ * Convert a dotted IPv4 address to bytes
+ * @param {string} host - Host from the recording or options
+ * @param {string} fallback - Address used when host is not an IPv4 address
+ * @returns {Buffer} - 4 address bytes
+ */
+function ipv4Bytes(host, fallback) {
+  const address = host === 'localhost' ? '127.0.0.1' : host;
+  return Buffer.from((net.isIPv4(address) ? address : fallback).split('.').map(Number));
+}
+
+/**
+ * Internet checksum (RFC 1071) over one or more buffers
+ * @param {Buffer[]} buffers - Data to sum, concatenated
+ * @returns {number} - 16-bit checksum
+ */
+function internetChecksum(buffers) {
+  const data = Buffer.concat(buffers);
+  let sum = 0;
+
+  for (let i = 0; i < data.length; i += 2) {
+    sum += (data[i] << 8) + (i + 1 < data.length ? data[i + 1] : 0);
+  }
+  while (sum > 0xffff) {
+    sum = (sum & 0xffff) + (sum >>> 16);
+  }
+
+  return ~sum & 0xffff;
+}
+
+/**
+ * Build an IPv4 packet carrying a TCP segment
+ * @param {Object} segment - Segment fields
+ * @param {Buffer} segment.src - Source address bytes
+ * @param {Buffer} segment.dst - Destination address bytes
+ * @param {number} segment.srcPort - Source port
+ * @param {number} segment.dstPort - Destination port
+ * @param {number} segment.seq - Sequence number
+ * @param {number} segment.ack - Acknowledgment number
+ * @param {number} segment.flags - TCP flags
+ * @param {number} segment.id - IP identification
+ * @param {Buffer} segment.data - TCP payload
+ * @returns {Buffer} - Packet, starting with the IP header
+ */
+function buildPacket(segment) {
+  const data = segment.data || Buffer.alloc(0);
+
+  const tcp = Buffer.alloc(TCP_HEADER_BYTES);
+  tcp.writeUInt16BE(segment.srcPort, 0);
+  tcp.writeUInt16BE(segment.dstPort, 2);
+  tcp.writeUInt32BE(segment.seq >>> 0, 4);
+  tcp.writeUInt32BE(segment.ack >>> 0, 8);
+  tcp.writeUInt8((TCP_HEADER_BYTES / 4) << 4, 12);
+  tcp.writeUInt8(segment.flags, 13);
+  tcp.writeUInt16BE(0xffff, 14); // window
+
+  // The TCP checksum covers a pseudo-header with the addresses and length
+  const pseudoHeader = Buffer.alloc(12);
+  segment.src.copy(pseudoHeader, 0);
+  segment.dst.copy(pseudoHeader, 4);
+  pseudoHeader.writeUInt8(6, 9);
+  pseudoHeader.writeUInt16BE(TCP_HEADER_BYTES + data.length, 10);
+  tcp.writeUInt16BE(internetChecksum([pseudoHeader, tcp, data]), 16);
+
+  const ip = Buffer.alloc(IPV4_HEADER_BYTES);
+  ip.writeUInt8(0x45, 0); // version 4, 5-word header
+  ip.writeUInt16BE(IPV4_HEADER_BYTES + TCP_HEADER_BYTES + data.length, 2);
+  ip.writeUInt16BE(segment.id & 0xffff, 4);
+  ip.writeUInt16BE(0x4000, 6); // don't fragment
+  ip.writeUInt8(64, 8); // TTL
+  ip.writeUInt8(6, 9); // TCP
+  segment.src.copy(ip, 12);
+  segment.dst.copy(ip, 16);
+  ip.writeUInt16BE(internetChecksum([ip]), 10);
+
+  return Buffer.concat([ip, tcp, data]);
+}
+
+/**
+ * Parse a recording timestamp
+ * @param {string} value - ISO timestamp
+ * @param {number} fallback - Value used when missing or invalid (ms)
+ * @returns {number} - Milliseconds since the epoch
+ */
+function timeOf(value, fallback) {
+  const time = Date.parse(value);
+  return isNaN(time) ? fallback : time;
+}
+
+/**
+ * Get the frame bytes of a recorded step
+ * @param {Object} step - Recorded step
+ * @returns {Object|null} - { frame, rebuilt }, with the length-prefixed frame,
+ *   or null when it cannot be rebuilt
+ */
+function stepFrame(step) {
+  const raw = step.direction === 'client' ? step.request : step.response;
+  if (raw) {
+    return { frame: Buffer.from(raw, 'base64'), rebuilt: false };
+  }
+
+  // Dropped by the redaction policy: rebuild it from the decoded fields
+  const spec = step.decoded && defaultRegistry.byName(step.decoded.cmd);
+  if (!spec || !Number.isInteger(step.decoded.nonce)) {
+    return null;
+  }
+  const payload = isRedacted(step, 'payload')
+    ? Buffer.from(REDACTED)
+    : recordedPayloadBytes(step.decoded) || Buffer.alloc(0);
+  // The recorded payload may not match the declared type; keep its bytes
+  const frame = encodeFrame(spec.code, step.decoded.nonce, payload, defaultRegistry.relaxed());
+
+  // Zero the hash; the Base64 text keeps its length
+  const binary = Buffer.from(frame.subarray(2).toString('ascii'), 'base64');
+  binary.fill(0, binary.length - HASH_BYTES);
+  frame.write(binary.toString('base64'), 2, 'ascii');
+  return { frame, rebuilt: true };
+}
+
+/**
+ * Split the steps into connections, one per retry attempt
+ * @param {Object} sessionData - Session data
+ * @returns {Object[][]} - Steps of each connection
+ */
+function splitConnections(sessionData) {
+  const steps = Array.isArray(sessionData.steps) ? sessionData.steps : [];
+  const attempts = Array.isArray(sessionData.attempts) ? sessionData.attempts : [];
+  if (attempts.length < 2) {
+    return [steps];
+  }
+
+  return attempts
+    .map((attempt) => steps.filter((step) => step.step >= attempt.first_step && step.step <= attempt.last_step))
+    .filter((connectionSteps) => connectionSteps.length > 0);
+}
+
+/**
+ * Pick the client port of a connection
+ * @param {number} firstPort - Client port of the first connection
+ * @param {number} index - Connection index
+ * @returns {number} - firstPort + index, wrapped inside the ephemeral range
+ *   once it passes 65535
+ */
+function connectionPort(firstPort, index) {
+  const port = firstPort + index;
+  if (port <= EPHEMERAL_PORTS.LAST) {
+    return port;
+  }
+  const rangeSize = EPHEMERAL_PORTS.LAST - EPHEMERAL_PORTS.FIRST + 1;
+  return EPHEMERAL_PORTS.FIRST + (port - EPHEMERAL_PORTS.LAST - 1) % rangeSize;
+}
+
+/**
+ * Build the synthetic packets of a recorded session
+ * @param {Object} sessionData - Session data (as written by SessionRecorder)
+ * @param {Object} options - Export options
+ * @param {string} options.clientHost - Client IPv4 address
+ * @param {number} options.clientPort - Client port of the first connection
+ *   (later connections use the following ports, see connectionPort())
+ * @param {number} options.mss - Largest TCP payload per packet
+ * @returns {Object[]} - Packets ({ time, data, comment }), time in ms since the
+ *   epoch; comment is set on the packets of a rebuilt frame
+ */
+function buildPackets(sessionData, options = {}) {
+  if (!sessionData || !Array.isArray(sessionData.steps)) {
+    throw exportError('Session data has no steps');
+  }
+
+  const mss = options.mss || DEFAULTS.MSS;
+  const firstClientPort = options.clientPort || DEFAULTS.CLIENT_PORT;
+  const serverPort = parseInt(sessionData.server_port, 10);
+  if (!Number.isInteger(mss) || mss < 1 || mss > SNAPLEN - IPV4_HEADER_BYTES - TCP_HEADER_BYTES) {
+    throw exportError(`Invalid MSS: ${options.mss}`);
+  }
+  if (!(serverPort > 0 && serverPort <= 0xffff)) {
+    throw exportError(`Invalid server port in session: ${sessionData.server_port}`);
+  }
+  if (!Number.isInteger(firstClientPort) || firstClientPort < 1 || firstClientPort > 0xffff) {
+    throw exportError(`Invalid client port: ${options.clientPort}`);
+  }
+
+  const client = ipv4Bytes(options.clientHost || DEFAULTS.CLIENT_HOST, DEFAULTS.CLIENT_HOST);
+  const server = ipv4Bytes(sessionData.server_host, DEFAULTS.SERVER_HOST);
+  const sessionStart = timeOf(sessionData.start_time, 0);
+  const connections = splitConnections(sessionData);
+  const packets = [];
+  let id = 1;
+
+  connections.forEach((steps, index) => {
+    const clientPort = connectionPort(firstClientPort, index);
+    let clientSeq = CLIENT_ISN;
+    let serverSeq = SERVER_ISN;
+
+    /**
+     * Add a packet in either direction
+     * @param {number} time - Timestamp (ms)
+     * @param {boolean} fromClient - Direction
+     * @param {number} flags - TCP flags
+     * @param {Buffer} data - TCP payload
+     * @param {string} comment - Packet comment (optional)
+     */
+    const add = (time, fromClient, flags, data = Buffer.alloc(0), comment = null) => {
+      packets.push({
+        time,
+        comment,
+        data: buildPacket({
+          src: fromClient ? client : server,
+          dst: fromClient ? server : client,
+          srcPort: fromClient ? clientPort : serverPort,
+          dstPort: fromClient ? serverPort : clientPort,
+          seq: fromClient ? clientSeq : serverSeq,
+          ack: flags & TCP_FLAGS.ACK ? (fromClient ? serverSeq : clientSeq) : 0,
+          flags,
+          id: id++,
+          data
+        })
+      });
+    };
+
+    const firstTime = timeOf(steps.length ? steps[0].timestamp : null, sessionStart);
+    const openTime = index === 0 ? Math.min(sessionStart || firstTime, firstTime) : firstTime;
+
+    // Three-way handshake (SYN and FIN each use one sequence number)
+    add(openTime, true, TCP_FLAGS.SYN);
+    clientSeq++;
+    add(openTime, false, TCP_FLAGS.SYN | TCP_FLAGS.ACK);
+    serverSeq++;
+    add(openTime, true, TCP_FLAGS.ACK);
+
+    let lastTime = openTime;
+    steps.forEach((step) => {
+      const stepData = stepFrame(step);
+      if (!stepData) {
+        return;
+      }
+      const { frame, rebuilt } = stepData;
+      const fromClient = step.direction === 'client';
+      const time = timeOf(step.timestamp, lastTime);
+
+      for (let offset = 0; offset < frame.length; offset += mss) {
+        const data = frame.subarray(offset, offset + mss);
+        add(time, fromClient, TCP_FLAGS.PSH | TCP_FLAGS.ACK, data, rebuilt ? REBUILT_COMMENT : null);
+        if (fromClient) {
+          clientSeq += data.length;
+        } else {
+          serverSeq += data.length;
+        }
+      }
+      lastTime = time;
+    });
+
+    const isLast = index === connections.length - 1;
+    const closeTime = isLast ? Math.max(lastTime, timeOf(sessionData.end_time, lastTime)) : lastTime;
+
+    // Client-initiated close
+    add(closeTime, true, TCP_FLAGS.FIN | TCP_FLAGS.ACK);
+    clientSeq++;
+    add(closeTime, false, TCP_FLAGS.FIN | TCP_FLAGS.ACK);
+    serverSeq++;
+    add(closeTime, true, TCP_FLAGS.ACK);
+  });
+
+  return packets;
+}
+
+/**
+ * Split a timestamp into seconds and microseconds
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {Object} - { seconds, micros }
+ */
+function splitTime(time) {
+  const totalMicros = Math.round(time * 1000);
+  return {
+    seconds: Math.floor(totalMicros / 1e6),
+    micros: totalMicros % 1e6
+  };
+}
+
+/**
+ * Write packets as a classic pcap file (little-endian, microsecond timestamps)
+ * The format has no room for packet comments.
+ * @param {Object[]} packets - Packets ({ time, data })
+ * @returns {Buffer} - File contents
+ */
+function writePcap(packets) {
+  const header = Buffer.alloc(24);
+  header.writeUInt32LE(0xa1b2c3d4, 0); // magic
+  header.writeUInt16LE(2, 4); // version 2.4
+  header.writeUInt16LE(4, 6);
+  header.writeInt32LE(0, 8); // GMT offset
+  header.writeUInt32LE(0, 12); // timestamp accuracy
+  header.writeUInt32LE(SNAPLEN, 16);
+  header.writeUInt32LE(LINKTYPE_RAW, 20);
+
+  const records = packets.map((packet) => {
+    const { seconds, micros } = splitTime(packet.time);
+    const recordHeader = Buffer.alloc(16);
+    recordHeader.writeUInt32LE(seconds, 0);
+    recordHeader.writeUInt32LE(micros, 4);
+    recordHeader.writeUInt32LE(packet.data.length, 8); // captured length
+    recordHeader.writeUInt32LE(packet.data.length, 12); // original length
+    return Buffer.concat([recordHeader, packet.data]);
+  });
+
+  return Buffer.concat([header, ...records]);
+}
+
+/**
+ * Wrap a pcapng block body with its type and length fields
+ * @param {number} type - Block type
+ * @param {Buffer} body - Block body (padded to 32 bits)
+ * @returns {Buffer} - Block
+ */
+function pcapngBlock(type, body) {
+  const length = 12 + body.length;
+  const block = Buffer.alloc(length);
+  block.writeUInt32LE(type, 0);
+  block.writeUInt32LE(length, 4);
+  body.copy(block, 8);
+  block.writeUInt32LE(length, length - 4);
+  return block;
+}
+
+/**
+ * Encode a packet comment as pcapng options (opt_comment, then opt_endofopt)
+ * @param {string} comment - Comment text
+ * @returns {Buffer} - Options (padded to 32 bits)
+ */
+function commentOptions(comment) {
+  const text = Buffer.from(comment, 'utf8');
+  const options = Buffer.alloc(4 + Math.ceil(text.length / 4) * 4 + 4);
+  options.writeUInt16LE(1, 0); // opt_comment
+  options.writeUInt16LE(text.length, 2);
+  text.copy(options, 4);
+  return options; // ends with opt_endofopt (zeros)
+}
+
+/**
+ * Write packets as a pcapng file (one section, one raw IPv4 interface)
+ * @param {Object[]} packets - Packets ({ time, data, comment })
+ * @returns {Buffer} - File contents
+ */
+function writePcapng(packets) {
+  // Section Header Block
+  const section = Buffer.alloc(16);
+  section.writeUInt32LE(0x1a2b3c4d, 0); // byte-order magic
+  section.writeUInt16LE(1, 4); // version 1.0
+  section.writeUInt16LE(0, 6);
+  section.writeBigInt64LE(-1n, 8); // section length not specified
+
+  // Interface Description Block (default microsecond resolution)
+  const iface = Buffer.alloc(8);
+  iface.writeUInt16LE(LINKTYPE_RAW, 0);
+  iface.writeUInt32LE(SNAPLEN, 4);
+
+  // Enhanced Packet Blocks
+  const blocks = packets.map((packet) => {
+    const micros = BigInt(Math.round(packet.time * 1000));
+    const padded = Math.ceil(packet.data.length / 4) * 4;
+    const options = packet.comment ? commentOptions(packet.comment) : Buffer.alloc(0);
+    const body = Buffer.alloc(20 + padded + options.length);
+    body.writeUInt32LE(0, 0); // interface ID
+    body.writeUInt32LE(Number(micros >> 32n), 4);
+    body.writeUInt32LE(Number(micros & 0xffffffffn), 8);
+    body.writeUInt32LE(packet.data.length, 12); // captured length
+    body.writeUInt32LE(packet.data.length, 16); // original length
+    packet.data.copy(body, 20);
+    options.copy(body, 20 + padded);
+    return pcapngBlock(0x00000006, body);
+  });
+
+  return Buffer.concat([
+    pcapngBlock(0x0a0d0d0a, section),
+    pcapngBlock(0x00000001, iface),
+    ...blocks
+  ]);
+}
+
+/**
+ * Export a recorded session as a capture file
+ * @param {Object} sessionData - Session data
+ * @param {Object} options - Export options (see buildPackets)
+ * @param {string} options.format - 'pcap' (default) or 'pcapng'
+ * @returns {Buffer} - File contents
+ */
+function exportSession(sessionData, options = {}) {
+  const format = options.format || 'pcap';
+  if (!PCAP_FORMATS.includes(format)) {
+    throw exportError(`Invalid capture format: ${format} (expected ${PCAP_FORMATS.join(' or ')})`);
+  }
+
+  const packets = buildPackets(sessionData, options);
+  return format === 'pcapng' ? writePcapng(packets) : writePcap(packets);
+}
+
+module.exports = {
+  PCAP_FORMATS,
+  LINKTYPE_RAW,
+  TCP_FLAGS,
+  REBUILT_COMMENT,
+  internetChecksum,
+  buildPacket,
+  buildPackets,
+  writePcap,
+  writePcapng,
+  exportSession
+};
@@ -0,0 +1,169 @@
+/**
+ * MiniTel-Lite Frame Anatomy
+ * Takes a raw frame apart field by field, for inspection tools
+ *
+ * Unlike decodeFrame(), nothing is rejected: a frame with a bad hash or a
+ * wrong length prefix still yields every field that can be located, with
+ * the problems listed, so tools can show exactly where a frame went wrong.
+ */
+
+const crypto = require('crypto');
+const NonceManager = require('./nonce');
+const { FRAMING } = require('./constants');
+
+// Sizes of the fixed fields of a decoded frame
+const CMD_BYTES = 1;
+const NONCE_BYTES = 4;
+const HASH_BYTES = 32;
+
+// Smallest decoded frame: CMD + NONCE + HASH with an empty payload
+const MIN_FRAME_BYTES = CMD_BYTES + NONCE_BYTES + HASH_BYTES;
+
+// Bytes per line of a field dump
+const DUMP_WIDTH = 16;
+
+/**
+ * Take a raw frame apart
+ * @param {Buffer} raw - Frame as sent on the wire: length prefix and Base64 data
+ * @returns {Object} - Anatomy:
+ *   - lengthPrefix: declared Base64 length (null when the prefix is missing)
+ *   - base64Length: Base64 bytes actually present after the prefix
+ *   - frame: decoded frame bytes (CMD + NONCE + PAYLOAD + HASH)
+ *   - fields: { name, offset, length } for cmd, nonce, payload and hash,
+ *     with offsets into `frame`
+ *   - cmd, nonce: field values (null when the frame is too short)
+ *   - hash: { stored, computed, valid } in hex (null when the frame is too short)
+ *   - errors: problems found, empty for a well-formed frame
+ */
+function frameAnatomy(raw) {
+  const prefixBytes = FRAMING.LENGTH_PREFIX_BYTES;
+  const anatomy = {
+    lengthPrefix: null,
+    base64Length: Math.max(raw.length - prefixBytes, 0),
+    frame: Buffer.alloc(0),
+    fields: [],
+    cmd: null,
+    nonce: null,
+    hash: null,
+    errors: []
+  };
+
+  if (raw.length < prefixBytes) {
+    anatomy.errors.push('Frame too short to contain length prefix');
+    return anatomy;
+  }
+
+  anatomy.lengthPrefix = raw.readUInt16BE(0);
+  if (anatomy.lengthPrefix !== anatomy.base64Length) {
+    anatomy.errors.push(`Length prefix says ${anatomy.lengthPrefix} Base64 bytes, frame has ${anatomy.base64Length}`);
+  }
+
+  const base64Data = raw.toString('utf8', prefixBytes);
+  if (!/^[A-Za-z0-9+/]*={0,2}$/.test(base64Data)) {
+    anatomy.errors.push('Frame data is not valid Base64');
+  }
+  anatomy.frame = Buffer.from(base64Data, 'base64');
+
+  const frame = anatomy.frame;
+  if (frame.length < MIN_FRAME_BYTES) {
+    anatomy.errors.push(`Decoded frame too short (${frame.length} bytes, minimum ${MIN_FRAME_BYTES})`);
+    return anatomy;
+  }
+
+  const payloadLength = frame.length - MIN_FRAME_BYTES;
+  anatomy.fields = [
+    { name: 'cmd', offset: 0, length: CMD_BYTES },
+    { name: 'nonce', offset: CMD_BYTES, length: NONCE_BYTES },
+    { name: 'payload', offset: CMD_BYTES + NONCE_BYTES, length: payloadLength },
+    { name: 'hash', offset: frame.length - HASH_BYTES, length: HASH_BYTES }
+  ];
+  anatomy.cmd = frame.readUInt8(0);
+  anatomy.nonce = frame.readUInt32BE(CMD_BYTES);
+
+  const stored = frame.subarray(frame.length - HASH_BYTES);
+  const computed = crypto.createHash('sha256').update(frame.subarray(0, frame.length - HASH_BYTES)).digest();
+  anatomy.hash = {
+    stored: stored.toString('hex'),
+    computed: computed.toString('hex'),
+    valid: computed.equals(stored)
+  };
+  if (!anatomy.hash.valid) {
+    anatomy.errors.push('Hash mismatch: SHA-256(CMD + NONCE + PAYLOAD) differs from the stored hash');
+  }
+
+  return anatomy;
+}
+
+/**
+ * Lay out frame bytes as dump lines, each byte tagged with its field
+ * @param {Buffer} frame - Decoded frame bytes
+ * @param {Object[]} fields - Fields from frameAnatomy()
+ * @param {number} width - Bytes per line
+ * @returns {Object[]} - { offset, cells: [{ byte, field }] } per line; bytes
+ *   outside every field have a null field
+ */
+function fieldDump(frame, fields, width = DUMP_WIDTH) {
+  const fieldAt = (offset) => {
+    const field = fields.find((candidate) => offset >= candidate.offset &&
+      offset < candidate.offset + candidate.length);
+    return field ? field.name : null;
+  };
+
+  const lines = [];
+  for (let offset = 0; offset < frame.length; offset += width) {
+    const cells = [...frame.subarray(offset, offset + width)]
+      .map((byte, index) => ({ byte, field: fieldAt(offset + index) }));
+    lines.push({ offset, cells });
+  }
+  return lines;
+}
+
+/**
+ * Work out the nonce every recorded step should carry
+ * Replays the steps through NonceManager, as the client does: the sequence
+ * restarts at each connection (each retry attempt) and at every HELLO.
+ * @param {Object} sessionData - Session data
+ * @returns {Array<number|null>} - Expected nonce per step; null when there is
+ *   no expectation (a server step that does not answer a valid client step)
+ */
+function expectedNonces(sessionData) {
+  const nonceManager = new NonceManager();
+  const attemptStarts = new Set((sessionData.attempts || []).map((attempt) => attempt.first_step));
+  let pending = false;
+
+  return sessionData.steps.map((step) => {
+    if (attemptStarts.has(step.step)) {
+      nonceManager.reset();
+      pending = false;
+    }
+
+    const nonce = step.valid && step.decoded ? step.decoded.nonce : null;
+    if (step.direction === 'client') {
+      if (step.decoded && step.decoded.cmd === 'HELLO') {
+        nonceManager.reset();
+      }
+      const expected = nonceManager.getNextClientNonce();
+      if (nonce !== null) {
+        nonceManager.updateClientNonce(nonce);
+      }
+      pending = nonce !== null;
+      return expected;
+    }
+
+    // Only a reply to a client frame has an expected nonce
+    const expected = pending ? nonceManager.getExpectedServerNonce() : null;
+    if (nonce !== null) {
+      nonceManager.updateServerNonce(nonce);
+    }
+    pending = false;
+    return expected;
+  });
+}
+
+module.exports = {
+  HASH_BYTES,
+  MIN_FRAME_BYTES,
+  frameAnatomy,
+  fieldDump,
+  expectedNonces
+};
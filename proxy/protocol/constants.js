@@ -3,33 +3,33 @@
  * Contains all protocol-specific constants and command codes
  */
 
+const path = require('path');
+const { defaultRegistry } = require('./registry');
+
 // Load environment variables
 require('dotenv').config();
 
-// Command codes (client -> server)
-const COMMANDS = {
-  HELLO: 0x01,
-  DUMP: 0x02,
-  STOP_CMD: 0x04
-};
+// Built-in codes, declared in the command registry (see registry.js).
+// Codes registered later are only known to the registry itself.
 
-// Response codes (server -> client)
-const RESPONSES = {
-  HELLO_ACK: 0x81,
-  DUMP_FAILED: 0x82,
-  DUMP_OK: 0x83,
-  STOP_OK: 0x84
-};
+// Command codes (client -> server), e.g. { HELLO: 0x01, ... }
+const COMMANDS = defaultRegistry.codes('client');
+
+// Response codes (server -> client), e.g. { HELLO_ACK: 0x81, ... }
+const RESPONSES = defaultRegistry.codes('server');
 
 // Command names for logging and debugging
-const COMMAND_NAMES = {
-  [COMMANDS.HELLO]: 'HELLO',
-  [COMMANDS.DUMP]: 'DUMP',
-  [COMMANDS.STOP_CMD]: 'STOP_CMD',
-  [RESPONSES.HELLO_ACK]: 'HELLO_ACK',
-  [RESPONSES.DUMP_FAILED]: 'DUMP_FAILED',
-  [RESPONSES.DUMP_OK]: 'DUMP_OK',
-  [RESPONSES.STOP_OK]: 'STOP_OK'
+const COMMAND_NAMES = {};
+defaultRegistry.list().forEach((spec) => {
+  COMMAND_NAMES[spec.code] = spec.name;
+});
+
+// Framing settings
+const FRAMING = {
+  // Size of the big-endian length prefix in front of every frame
+  LENGTH_PREFIX_BYTES: 2,
+  // Maximum bytes buffered while reassembling frames from the TCP stream
+  MAX_BUFFER_SIZE: parseInt(process.env.MAX_FRAME_BUFFER_BYTES || '65537', 10)
 };
 
 // Server connection settings
@@ -44,6 +44,17 @@ const TIMEOUTS = {
   RESPONSE: parseInt(process.env.RESPONSE_TIMEOUT_MS || '2000', 10)
 };
 
+// Retry policy for the hack sequence
+const RETRY = {
+  MAX_ATTEMPTS: parseInt(process.env.RETRY_MAX_ATTEMPTS || '3', 10),
+  BASE_DELAY: parseInt(process.env.RETRY_BASE_DELAY_MS || '250', 10),
+  MAX_DELAY: parseInt(process.env.RETRY_MAX_DELAY_MS || '4000', 10),
+  // Fraction of each delay that is randomized (0 = no jitter, 1 = full jitter)
+  JITTER: parseFloat(process.env.RETRY_JITTER || '0.5'),
+  // Error codes that trigger a retry
+  RETRY_ON: (process.env.RETRY_ON || 'ECONNRESET,ERESPONSETIMEOUT,EINVALIDFRAME').split(',').map((code) => code.trim())
+};
+
 // Proxy server settings
 const PROXY = {
   PORT: parseInt(process.env.PROXY_PORT || '8080', 10)
@@ -51,15 +62,43 @@ const PROXY = {
 
 // Recording settings
 const RECORDING = {
-  DIR: process.env.RECORDINGS_DIR || './recordings'
+  DIR: process.env.RECORDINGS_DIR || './recordings',
+  // How payload bytes are stored in recordings: base64 or hex
+  PAYLOAD_ENCODING: process.env.RECORDING_PAYLOAD_ENCODING || 'base64',
+  // Delay before buffered steps are appended to the recording file
+  FLUSH_INTERVAL_MS: parseInt(process.env.RECORDING_FLUSH_INTERVAL_MS || '200', 10),
+  // Command or response codes whose payloads are redacted (e.g. DUMP_OK)
+  REDACT_CODES: (process.env.RECORDING_REDACT_CODES || '').split(',').map((code) => code.trim()).filter(Boolean),
+  // Leave the raw frames out of every step
+  DROP_RAW_FRAMES: process.env.RECORDING_DROP_RAW_FRAMES === 'true',
+  // AES-256 key (64 hex characters or base64) that encrypts redacted data instead of discarding it
+  ENCRYPTION_KEY: process.env.RECORDING_ENCRYPTION_KEY || null,
+  // Retention limits for finished recordings (0 = no limit)
+  MAX_SESSIONS: parseInt(process.env.RECORDING_MAX_SESSIONS || '0', 10),
+  MAX_AGE_DAYS: parseFloat(process.env.RECORDING_MAX_AGE_DAYS || '0'),
+  MAX_TOTAL_BYTES: parseInt(process.env.RECORDING_MAX_TOTAL_BYTES || '0', 10),
+  // Gzip finished recordings
+  COMPRESS: process.env.RECORDING_COMPRESS !== 'false',
+  // Delay between retention cleanups while the proxy runs (0 = only at startup)
+  CLEANUP_INTERVAL_MS: parseInt(process.env.RECORDING_CLEANUP_INTERVAL_MS || '3600000', 10)
+};
+
+// Workflow settings
+const WORKFLOW = {
+  DIR: process.env.WORKFLOWS_DIR || path.join(__dirname, '../../workflows'),
+  // Workflow run when none is named
+  DEFAULT: 'hack'
 };
 
 module.exports = {
   COMMANDS,
   RESPONSES,
   COMMAND_NAMES,
+  FRAMING,
   SERVER,
   TIMEOUTS,
+  RETRY,
   PROXY,
-  RECORDING
+  RECORDING,
+  WORKFLOW
 };
\ No newline at end of file
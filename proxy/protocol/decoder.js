@@ -4,7 +4,8 @@
  */
 
 const crypto = require('crypto');
-const { COMMAND_NAMES } = require('./constants');
+const { defaultRegistry } = require('./registry');
+const { textView } = require('./payload');
 
 /**
  * Decodes a MiniTel-Lite frame according to protocol specs
@@ -16,11 +17,15 @@ const { COMMAND_NAMES } = require('./constants');
  * 4. Extract CMD, NONCE, PAYLOAD, HASH
  * 5. Verify hash: SHA-256(CMD + NONCE + PAYLOAD)
  * 6. Reject frame if hash validation fails
+ * 7. Parse the payload as declared in the command registry, rejecting
+ *    payloads that don't match (unregistered codes decode as text)
  * 
  * @param {Buffer} data - Raw frame data received from socket
- * @returns {Object|null} - Decoded frame or null if invalid
+ * @param {CommandRegistry} registry - Command registry (defaults to the built-in one)
+ * @returns {Object} - Decoded frame ({ cmd, cmdName, nonce, payload,
+ *   payloadBytes, payloadText, valid }), or { error, valid: false } if invalid
  */
-function decodeFrame(data) {
+function decodeFrame(data, registry = defaultRegistry) {
   try {
     // Minimum frame size check (2 bytes for length + some Base64 data)
     if (data.length < 3) {
@@ -67,12 +72,15 @@ function decodeFrame(data) {
       throw new Error('Hash validation failed');
     }
     
-    // Return decoded frame
+    // Return decoded frame, with the exact payload bytes and a text view
+    // next to the payload value
     return {
       cmd,
-      cmdName: COMMAND_NAMES[cmd] || 'UNKNOWN',
+      cmdName: registry.nameOf(cmd),
       nonce,
-      payload: payload.toString('utf8'),
+      payload: registry.decodePayload(cmd, payload),
+      payloadBytes: Buffer.from(payload),
+      payloadText: textView(payload),
       valid: true
     };
   } catch (error) {
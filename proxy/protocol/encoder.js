@@ -4,6 +4,7 @@
  */
 
 const crypto = require('crypto');
+const { defaultRegistry } = require('./registry');
 
 /**
  * Encodes a MiniTel-Lite frame according to protocol specs
@@ -14,14 +15,18 @@ const crypto = require('crypto');
  * 3. Base64 encode the complete frame
  * 4. Prepend 2-byte length prefix (big-endian)
  * 
+ * The payload is encoded according to the command's payload type in the
+ * registry; a payload that doesn't match throws an EINVALIDPAYLOAD error.
+ * 
  * @param {number} cmd - Command code (1 byte)
  * @param {number} nonce - Nonce value (4 bytes, big-endian)
- * @param {string} payload - Payload string (UTF-8 encoded)
+ * @param {string|Buffer|*} payload - Payload (string, Buffer or JSON value, per payload type)
+ * @param {CommandRegistry} registry - Command registry (defaults to the built-in one)
  * @returns {Buffer} - Fully encoded frame ready for transmission
  */
-function encodeFrame(cmd, nonce, payload = '') {
-  // Convert payload to Buffer if it's a string
-  const payloadBuffer = Buffer.from(payload, 'utf8');
+function encodeFrame(cmd, nonce, payload = '', registry = defaultRegistry) {
+  // Convert payload to bytes as declared for this command
+  const payloadBuffer = registry.encodePayload(cmd, payload);
   
   // Create buffer for CMD + NONCE + PAYLOAD
   const dataBuffer = Buffer.alloc(1 + 4 + payloadBuffer.length);
@@ -0,0 +1,125 @@
+/**
+ * MiniTel-Lite Payload Helpers
+ * Text views, hex dumps and storage encodings for raw payload bytes
+ */
+
+// Encodings recordings may store payload bytes in
+const PAYLOAD_ENCODINGS = ['base64', 'hex'];
+
+// Bytes per hex dump line
+const HEX_DUMP_WIDTH = 16;
+
+/**
+ * Best-effort text view of payload bytes
+ * Invalid UTF-8 sequences are replaced with U+FFFD.
+ * @param {Buffer} buffer - Payload bytes
+ * @returns {string} - Text view
+ */
+function textView(buffer) {
+  return buffer.toString('utf8');
+}
+
+/**
+ * Check whether payload bytes are readable text
+ * @param {Buffer} buffer - Payload bytes
+ * @returns {boolean} - True for valid UTF-8 without control characters
+ *   (tabs and line breaks allowed)
+ */
+function isPrintable(buffer) {
+  const text = buffer.toString('utf8');
+  if (!Buffer.from(text, 'utf8').equals(buffer)) {
+    return false;
+  }
+  return !/[\x00-\x08\x0b\x0c\x0e-\x1f\x7f]/.test(text);
+}
+
+/**
+ * Format payload bytes as a hex dump
+ * Each line holds an offset, up to 16 bytes in hex and their ASCII view:
+ *   00000000  48 45 4c 4c 4f 00 ff                              |HELLO..|
+ * @param {Buffer} buffer - Payload bytes
+ * @param {number} width - Bytes per line
+ * @returns {string[]} - Dump lines
+ */
+function hexDump(buffer, width = HEX_DUMP_WIDTH) {
+  const lines = [];
+
+  for (let offset = 0; offset < buffer.length; offset += width) {
+    const chunk = buffer.subarray(offset, offset + width);
+    const hex = [...chunk].map((byte) => byte.toString(16).padStart(2, '0')).join(' ');
+    const ascii = [...chunk].map((byte) => (byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.')).join('');
+    lines.push(`${offset.toString(16).padStart(8, '0')}  ${hex.padEnd(width * 3 - 1)}  |${ascii}|`);
+  }
+
+  return lines;
+}
+
+/**
+ * Short one-line label for payload bytes
+ * @param {Buffer} buffer - Payload bytes
+ * @returns {string} - The text if printable, otherwise `hex:` and the bytes in hex
+ */
+function payloadLabel(buffer) {
+  return isPrintable(buffer) ? buffer.toString('utf8') : `hex:${buffer.toString('hex')}`;
+}
+
+/**
+ * Check a payload storage encoding
+ * @param {string} encoding - Encoding name
+ * @returns {string} - The encoding
+ */
+function checkEncoding(encoding) {
+  if (!PAYLOAD_ENCODINGS.includes(encoding)) {
+    throw new Error(`Invalid payload encoding: ${encoding} (expected ${PAYLOAD_ENCODINGS.join(' or ')})`);
+  }
+  return encoding;
+}
+
+/**
+ * Build the payload fields of a recorded step's `decoded` block
+ * `payload` keeps the text view so existing readers keep working; the exact
+ * bytes are stored in `payload_bytes` using `payload_encoding`.
+ * @param {Object} decodedData - Decoded frame (with payloadBytes and payloadText)
+ * @param {string} encoding - 'base64' or 'hex'
+ * @returns {Object} - { payload, payload_encoding, payload_bytes }
+ */
+function recordPayload(decodedData, encoding) {
+  if (!decodedData.payloadBytes) {
+    // Invalid frames have no payload
+    return { payload: null, payload_encoding: null, payload_bytes: null };
+  }
+  return {
+    payload: decodedData.payloadText,
+    payload_encoding: checkEncoding(encoding),
+    payload_bytes: decodedData.payloadBytes.toString(encoding)
+  };
+}
+
+/**
+ * Get the payload bytes of a recorded step's `decoded` block
+ * Recordings made before payload bytes were stored fall back to the text payload.
+ * @param {Object} decoded - Recorded `decoded` block
+ * @returns {Buffer|null} - Payload bytes, or null when the step has no payload
+ */
+function recordedPayloadBytes(decoded) {
+  if (!decoded) {
+    return null;
+  }
+  if (typeof decoded.payload_bytes === 'string') {
+    return Buffer.from(decoded.payload_bytes, checkEncoding(decoded.payload_encoding));
+  }
+  if (typeof decoded.payload === 'string') {
+    return Buffer.from(decoded.payload, 'utf8');
+  }
+  return null;
+}
+
+module.exports = {
+  PAYLOAD_ENCODINGS,
+  textView,
+  isPrintable,
+  hexDump,
+  payloadLabel,
+  recordPayload,
+  recordedPayloadBytes
+};
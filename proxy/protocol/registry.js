@@ -0,0 +1,329 @@
+/**
+ * MiniTel-Lite Command Registry
+ * Declares every command and response code with its payload type and validation rules
+ */
+
+const { textView } = require('./payload');
+
+// Error code for payloads that do not match their command's declaration
+const INVALID_PAYLOAD = 'EINVALIDPAYLOAD';
+
+// Spec used for codes nobody registered: decoded leniently so callers can
+// report the unexpected code instead of a decoding failure
+const UNKNOWN_SPEC = Object.freeze({
+  code: null,
+  name: 'UNKNOWN',
+  direction: null,
+  payload: 'text',
+  maxLength: null,
+  pattern: null,
+  validate: null
+});
+
+/**
+ * Create a payload validation error
+ * @param {string} message - Error message
+ * @returns {Error} - Error with code EINVALIDPAYLOAD
+ */
+function payloadError(message) {
+  const error = new Error(message);
+  error.code = INVALID_PAYLOAD;
+  return error;
+}
+
+/**
+ * Payload types: how a payload value is turned into bytes and back
+ * `encode` receives the caller's value, `decode` the payload bytes of a frame.
+ */
+const PAYLOAD_TYPES = {
+  empty: {
+    encode(value) {
+      const isEmpty = value === undefined || value === null || value === '' ||
+        (Buffer.isBuffer(value) && value.length === 0);
+      if (!isEmpty) {
+        throw payloadError('payload must be empty');
+      }
+      return Buffer.alloc(0);
+    },
+    decode(buffer) {
+      if (buffer.length > 0) {
+        throw payloadError(`payload must be empty, got ${buffer.length} bytes`);
+      }
+      return '';
+    }
+  },
+  utf8: {
+    encode(value) {
+      if (value === undefined || value === null) {
+        return Buffer.alloc(0);
+      }
+      if (typeof value !== 'string') {
+        throw payloadError('payload must be a string');
+      }
+      return Buffer.from(value, 'utf8');
+    },
+    decode(buffer) {
+      const text = buffer.toString('utf8');
+      // Invalid sequences are replaced on decoding, so they don't round-trip
+      if (!Buffer.from(text, 'utf8').equals(buffer)) {
+        throw payloadError('payload is not valid UTF-8');
+      }
+      return text;
+    }
+  },
+  // Free-form bytes, usually text: strings or Buffers are sent as is and
+  // decoded to their best-effort text view (the exact bytes stay available
+  // as the frame's payloadBytes)
+  text: {
+    encode(value) {
+      if (value === undefined || value === null) {
+        return Buffer.alloc(0);
+      }
+      if (value instanceof Uint8Array) {
+        return Buffer.from(value);
+      }
+      if (typeof value !== 'string') {
+        throw payloadError('payload must be a string or a Buffer');
+      }
+      return Buffer.from(value, 'utf8');
+    },
+    decode(buffer) {
+      return textView(buffer);
+    }
+  },
+  binary: {
+    encode(value) {
+      if (value === undefined || value === null) {
+        return Buffer.alloc(0);
+      }
+      if (!(value instanceof Uint8Array)) {
+        throw payloadError('payload must be a Buffer');
+      }
+      return Buffer.from(value);
+    },
+    decode(buffer) {
+      return Buffer.from(buffer);
+    }
+  },
+  json: {
+    encode(value) {
+      const text = JSON.stringify(value);
+      if (text === undefined) {
+        throw payloadError('payload must be JSON serializable');
+      }
+      return Buffer.from(text, 'utf8');
+    },
+    decode(buffer) {
+      try {
+        return JSON.parse(buffer.toString('utf8'));
+      } catch (error) {
+        throw payloadError(`payload is not valid JSON: ${error.message}`);
+      }
+    }
+  }
+};
+
+class CommandRegistry {
+  /**
+   * @param {Object[]} definitions - Initial definitions (see register())
+   */
+  constructor(definitions = []) {
+    this.codeSpecs = new Map();
+    this.nameSpecs = new Map();
+    definitions.forEach((definition) => this.register(definition));
+  }
+
+  /**
+   * Register a command or response code
+   * @param {Object} definition - Code definition
+   * @param {number} definition.code - Code byte (0x00-0xFF)
+   * @param {string} definition.name - Unique name (e.g. DUMP_OK)
+   * @param {string} definition.direction - 'client' (command) or 'server' (response)
+   * @param {string} definition.payload - Payload type: empty, text, utf8, binary or json
+   * @param {number} definition.maxLength - Optional maximum payload size in bytes
+   * @param {RegExp} definition.pattern - Optional pattern a text or utf8 payload must match
+   * @param {Function} definition.validate - Optional check of the payload value;
+   *   returns true, or false / an error message to reject it
+   * @returns {Object} - Registered spec
+   */
+  register(definition) {
+    const { code, name, direction } = definition;
+    const payload = definition.payload || 'text';
+
+    if (!Number.isInteger(code) || code < 0 || code > 0xff) {
+      throw new Error(`Invalid command code: ${code}`);
+    }
+    if (typeof name !== 'string' || !/^[A-Z][A-Z0-9_]*$/.test(name) || name === UNKNOWN_SPEC.name) {
+      throw new Error(`Invalid command name: ${name}`);
+    }
+    if (direction !== 'client' && direction !== 'server') {
+      throw new Error(`Invalid direction for ${name}: ${direction}`);
+    }
+    if (!PAYLOAD_TYPES[payload]) {
+      throw new Error(`Invalid payload type for ${name}: ${payload}`);
+    }
+    if (definition.pattern && payload !== 'text' && payload !== 'utf8') {
+      throw new Error(`Payload pattern for ${name} requires the text or utf8 payload type`);
+    }
+    if (this.codeSpecs.has(code)) {
+      throw new Error(`Command code 0x${code.toString(16)} is already registered as ${this.codeSpecs.get(code).name}`);
+    }
+    if (this.nameSpecs.has(name)) {
+      throw new Error(`Command name ${name} is already registered`);
+    }
+
+    const spec = Object.freeze({
+      code,
+      name,
+      direction,
+      payload,
+      maxLength: definition.maxLength || null,
+      pattern: definition.pattern || null,
+      validate: definition.validate || null
+    });
+    this.codeSpecs.set(code, spec);
+    this.nameSpecs.set(name, spec);
+    return spec;
+  }
+
+  /**
+   * Look up a code
+   * @param {number} code - Code byte
+   * @returns {Object|undefined} - Spec, or undefined if not registered
+   */
+  get(code) {
+    return this.codeSpecs.get(code);
+  }
+
+  /**
+   * Look up a name
+   * @param {string} name - Command or response name
+   * @returns {Object|undefined} - Spec, or undefined if not registered
+   */
+  byName(name) {
+    return this.nameSpecs.get(name);
+  }
+
+  /**
+   * Name of a code, UNKNOWN if not registered
+   * @param {number} code - Code byte
+   * @returns {string} - Name
+   */
+  nameOf(code) {
+    return (this.get(code) || UNKNOWN_SPEC).name;
+  }
+
+  /**
+   * List registered specs, optionally for one direction
+   * @param {string} direction - 'client' or 'server' (all if omitted)
+   * @returns {Object[]} - Specs in code order
+   */
+  list(direction) {
+    return [...this.codeSpecs.values()]
+      .filter((spec) => !direction || spec.direction === direction)
+      .sort((a, b) => a.code - b.code);
+  }
+
+  /**
+   * Name -> code map for one direction
+   * @param {string} direction - 'client' or 'server'
+   * @returns {Object} - e.g. { HELLO: 0x01, ... }
+   */
+  codes(direction) {
+    const codes = {};
+    this.list(direction).forEach((spec) => {
+      codes[spec.name] = spec.code;
+    });
+    return codes;
+  }
+
+  /**
+   * Copy of this registry where every code carries free-form text payloads
+   * For tools that reproduce recorded or deliberately faulty frames byte for
+   * byte, whatever their payload (re-drive, capture export, the mock server)
+   * @returns {CommandRegistry} - New registry with the same codes and names
+   */
+  relaxed() {
+    return new CommandRegistry(this.list().map(({ code, name, direction }) => ({ code, name, direction, payload: 'text' })));
+  }
+
+  /**
+   * Encode a payload value for a code
+   * @param {number} code - Code byte
+   * @param {*} value - Payload value (string, Buffer or JSON value, per payload type)
+   * @returns {Buffer} - Payload bytes
+   */
+  encodePayload(code, value) {
+    const spec = this.get(code) || UNKNOWN_SPEC;
+    try {
+      const type = PAYLOAD_TYPES[spec.payload];
+      const buffer = type.encode(value);
+      // Validate what the receiving side will decode
+      this._check(spec, buffer, type.decode(buffer));
+      return buffer;
+    } catch (error) {
+      throw payloadError(`Invalid ${spec.name} payload: ${error.message}`);
+    }
+  }
+
+  /**
+   * Decode the payload bytes of a frame
+   * @param {number} code - Code byte
+   * @param {Buffer} buffer - Payload bytes
+   * @returns {*} - Payload value ('' for empty, string, Buffer or JSON value)
+   */
+  decodePayload(code, buffer) {
+    const spec = this.get(code) || UNKNOWN_SPEC;
+    try {
+      const value = PAYLOAD_TYPES[spec.payload].decode(buffer);
+      this._check(spec, buffer, value);
+      return value;
+    } catch (error) {
+      throw payloadError(`Invalid ${spec.name} payload: ${error.message}`);
+    }
+  }
+
+  /**
+   * Apply a spec's validation rules
+   * @param {Object} spec - Code spec
+   * @param {Buffer} buffer - Payload bytes
+   * @param {*} value - Payload value
+   * @private
+   */
+  _check(spec, buffer, value) {
+    if (spec.maxLength !== null && buffer.length > spec.maxLength) {
+      throw payloadError(`payload is ${buffer.length} bytes, maximum is ${spec.maxLength}`);
+    }
+    if (spec.pattern && !spec.pattern.test(value)) {
+      throw payloadError(`payload does not match ${spec.pattern}`);
+    }
+    if (spec.validate) {
+      const result = spec.validate(value);
+      if (result !== true) {
+        throw payloadError(typeof result === 'string' ? result : 'payload rejected by validation');
+      }
+    }
+  }
+}
+
+// Built-in MiniTel-Lite codes. Only DUMP_OK carries a payload, the override code
+const BUILTIN_DEFINITIONS = [
+  { code: 0x01, name: 'HELLO', direction: 'client', payload: 'empty' },
+  { code: 0x02, name: 'DUMP', direction: 'client', payload: 'empty' },
+  { code: 0x04, name: 'STOP_CMD', direction: 'client', payload: 'empty' },
+  { code: 0x81, name: 'HELLO_ACK', direction: 'server', payload: 'empty' },
+  { code: 0x82, name: 'DUMP_FAILED', direction: 'server', payload: 'empty' },
+  { code: 0x83, name: 'DUMP_OK', direction: 'server', payload: 'utf8' },
+  { code: 0x84, name: 'STOP_OK', direction: 'server', payload: 'empty' }
+];
+
+// Registry used by the encoder and decoder unless another one is passed in;
+// new server opcodes can be registered on it at startup
+const defaultRegistry = new CommandRegistry(BUILTIN_DEFINITIONS);
+
+module.exports = {
+  CommandRegistry,
+  PAYLOAD_TYPES,
+  INVALID_PAYLOAD,
+  defaultRegistry
+};
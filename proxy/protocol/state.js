@@ -0,0 +1,187 @@
+/**
+ * MiniTel-Lite Protocol State Machine
+ * Defines the connection states, the commands allowed in each state and the
+ * responses allowed for each command
+ *
+ * DISCONNECTED --connect--> CONNECTED --HELLO/HELLO_ACK--> AUTHENTICATED
+ * AUTHENTICATED --DUMP/DUMP_FAILED|DUMP_OK--> DUMPING
+ * CONNECTED|AUTHENTICATED|DUMPING --STOP_CMD/STOP_OK--> STOPPED
+ * any state --disconnect--> DISCONNECTED
+ *
+ * HELLO may be sent again from AUTHENTICATED or DUMPING, and restarts the
+ * sequence like it restarts the nonces. Only one command may wait for a
+ * response at a time. Commands registered without a rule here (custom codes)
+ * are allowed in any connected state before STOPPED, accept any response and
+ * leave the state unchanged.
+ *
+ * Shared by the client (refuses illegal commands, rejects illegal responses),
+ * the mock server (scripts its answers) and the conformance checks.
+ */
+
+// Connection states
+const STATES = {
+  DISCONNECTED: 'DISCONNECTED',
+  CONNECTED: 'CONNECTED',
+  AUTHENTICATED: 'AUTHENTICATED',
+  DUMPING: 'DUMPING',
+  STOPPED: 'STOPPED'
+};
+
+// Error codes for illegal transitions
+const ILLEGAL_COMMAND = 'EILLEGALCOMMAND';
+const UNEXPECTED_RESPONSE = 'EUNEXPECTEDRESPONSE';
+
+// States a command may be sent from, and the state each response leads to
+const TRANSITIONS = {
+  HELLO: {
+    from: [STATES.CONNECTED, STATES.AUTHENTICATED, STATES.DUMPING],
+    responses: { HELLO_ACK: STATES.AUTHENTICATED }
+  },
+  DUMP: {
+    from: [STATES.AUTHENTICATED, STATES.DUMPING],
+    responses: { DUMP_FAILED: STATES.DUMPING, DUMP_OK: STATES.DUMPING }
+  },
+  STOP_CMD: {
+    from: [STATES.CONNECTED, STATES.AUTHENTICATED, STATES.DUMPING],
+    responses: { STOP_OK: STATES.STOPPED }
+  }
+};
+
+// States a command without a rule may be sent from
+const OPEN_STATES = [STATES.CONNECTED, STATES.AUTHENTICATED, STATES.DUMPING];
+
+/**
+ * Create an error for an illegal transition
+ * @param {string} message - Error message
+ * @param {string} code - ILLEGAL_COMMAND or UNEXPECTED_RESPONSE
+ * @returns {Error} - Error with a `code` property
+ */
+function transitionError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Tracks one connection through the protocol states
+ * Commands and responses are identified by name (see CommandRegistry.nameOf()).
+ */
+class ProtocolStateMachine {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Return to DISCONNECTED with no command pending
+   */
+  reset() {
+    this.state = STATES.DISCONNECTED;
+    this.pending = null;
+  }
+
+  /**
+   * Open a connection
+   * @throws {Error} - ILLEGAL_COMMAND when already connected
+   */
+  connect() {
+    if (this.state !== STATES.DISCONNECTED) {
+      throw transitionError(`Already connected (state ${this.state})`, ILLEGAL_COMMAND);
+    }
+    this.state = STATES.CONNECTED;
+  }
+
+  /**
+   * Close the connection, from any state
+   */
+  disconnect() {
+    this.reset();
+  }
+
+  /**
+   * Check whether a command may be sent now, without sending it
+   * @param {string} name - Command name
+   * @returns {Error|null} - The error command() would throw, or null
+   */
+  checkCommand(name) {
+    const rule = TRANSITIONS[name];
+    const from = rule ? rule.from : OPEN_STATES;
+    if (!from.includes(this.state)) {
+      return transitionError(`${name} is not allowed in state ${this.state} ` +
+        `(allowed in ${from.join(' or ')})`, ILLEGAL_COMMAND);
+    }
+    if (this.pending) {
+      return transitionError(`${name} sent while ${this.pending} waits for its response`, ILLEGAL_COMMAND);
+    }
+    return null;
+  }
+
+  /**
+   * Whether a command may be sent now
+   * @param {string} name - Command name
+   * @returns {boolean} - True if command() would accept it
+   */
+  canSend(name) {
+    return this.checkCommand(name) === null;
+  }
+
+  /**
+   * Send a command: it becomes the pending command
+   * @param {string} name - Command name
+   * @throws {Error} - ILLEGAL_COMMAND when the state does not allow it
+   */
+  command(name) {
+    const error = this.checkCommand(name);
+    if (error) {
+      throw error;
+    }
+    this.pending = name;
+  }
+
+  /**
+   * Responses allowed for the pending command
+   * @returns {string[]|null} - Response names, [] when there is no pending
+   *   command, or null when the pending command accepts any response
+   */
+  expectedResponses() {
+    if (!this.pending) {
+      return [];
+    }
+    const rule = TRANSITIONS[this.pending];
+    return rule ? Object.keys(rule.responses) : null;
+  }
+
+  /**
+   * Receive a response to the pending command and move to its state
+   * @param {string} name - Response name
+   * @throws {Error} - UNEXPECTED_RESPONSE when no command is pending or the
+   *   response does not answer it; the pending command is kept
+   */
+  response(name) {
+    if (!this.pending) {
+      throw transitionError(`${name} without a command to answer`, UNEXPECTED_RESPONSE);
+    }
+    const rule = TRANSITIONS[this.pending];
+    if (rule) {
+      if (!Object.prototype.hasOwnProperty.call(rule.responses, name)) {
+        throw transitionError(`Expected ${Object.keys(rule.responses).join(' or ')}, got ${name}`, UNEXPECTED_RESPONSE);
+      }
+      this.state = rule.responses[name];
+    }
+    this.pending = null;
+  }
+
+  /**
+   * Stop waiting for the pending command's response (e.g. after a timeout)
+   */
+  cancel() {
+    this.pending = null;
+  }
+}
+
+module.exports = {
+  STATES,
+  TRANSITIONS,
+  ILLEGAL_COMMAND,
+  UNEXPECTED_RESPONSE,
+  ProtocolStateMachine
+};
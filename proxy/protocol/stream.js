@@ -0,0 +1,94 @@
+/**
+ * MiniTel-Lite Frame Reassembler
+ * Reassembles frames from a TCP byte stream that may fragment or coalesce them
+ */
+
+const EventEmitter = require('events');
+const { decodeFrame } = require('./decoder');
+const { FRAMING } = require('./constants');
+
+/**
+ * Stateful stream parser for MiniTel-Lite frames
+ *
+ * TCP gives no guarantee that one `data` event carries exactly one frame:
+ * a frame may arrive split across several chunks, and several frames may
+ * arrive in a single chunk. The reassembler buffers incoming bytes, uses the
+ * 2-byte length prefix to cut out each complete frame and emits them in order.
+ *
+ * Events:
+ * - 'frame' (decodedFrame, rawFrame) - a complete frame was extracted
+ * - 'error' (error) - the buffered data exceeded the maximum allowed size
+ */
+class FrameReassembler extends EventEmitter {
+  /**
+   * @param {Object} options - Reassembler options
+   * @param {number} options.maxBufferSize - Maximum number of buffered bytes
+   * @param {CommandRegistry} options.registry - Registry used to decode frames
+   */
+  constructor(options = {}) {
+    super();
+    this.maxBufferSize = options.maxBufferSize || FRAMING.MAX_BUFFER_SIZE;
+    this.registry = options.registry;
+    this.reset();
+  }
+
+  /**
+   * Discard any buffered bytes
+   */
+  reset() {
+    this.buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * Number of bytes currently buffered and not yet part of a complete frame
+   * @returns {number} - Buffered byte count
+   */
+  get bufferedLength() {
+    return this.buffer.length;
+  }
+
+  /**
+   * Feed a chunk of bytes received from the socket
+   * @param {Buffer} chunk - Raw bytes
+   */
+  push(chunk) {
+    this.buffer = this.buffer.length === 0 ? chunk : Buffer.concat([this.buffer, chunk]);
+
+    while (this.buffer.length >= FRAMING.LENGTH_PREFIX_BYTES) {
+      // Total frame size = length prefix + Base64 body
+      const frameLength = FRAMING.LENGTH_PREFIX_BYTES + this.buffer.readUInt16BE(0);
+
+      // Reject frames that could never fit in the buffer
+      if (frameLength > this.maxBufferSize) {
+        this._overflow(`Frame of ${frameLength} bytes exceeds maximum buffer size of ${this.maxBufferSize} bytes`);
+        return;
+      }
+
+      // Wait for the rest of the frame
+      if (this.buffer.length < frameLength) {
+        break;
+      }
+
+      const rawFrame = this.buffer.slice(0, frameLength);
+      this.buffer = this.buffer.slice(frameLength);
+
+      this.emit('frame', decodeFrame(rawFrame, this.registry), rawFrame);
+    }
+
+    if (this.buffer.length > this.maxBufferSize) {
+      this._overflow(`Buffered ${this.buffer.length} bytes, exceeding maximum of ${this.maxBufferSize} bytes`);
+    }
+  }
+
+  /**
+   * Drop the buffer and report an overflow
+   * @param {string} message - Error description
+   * @private
+   */
+  _overflow(message) {
+    this.reset();
+    this.emit('error', new Error(message));
+  }
+}
+
+module.exports = FrameReassembler;
@@ -0,0 +1,93 @@
+/**
+ * MiniTel-Lite Recording Files
+ * Recording file names and transparent gzip compression
+ *
+ * Recordings are JSON documents (.json) or journals (.jsonl), either of
+ * which may be gzip compressed once finished (.json.gz, .jsonl.gz).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+// Suffix of compressed recordings
+const COMPRESSED_EXTENSION = '.gz';
+
+// Extension of a recording file name, with the optional compression suffix
+const RECORDING_EXTENSION_PATTERN = /\.jsonl?(\.gz)?$/;
+
+/**
+ * Check whether a file name is a recording
+ * @param {string} name - File name
+ * @returns {boolean} - True for .json, .jsonl, .json.gz and .jsonl.gz files
+ */
+function isRecordingFile(name) {
+  return RECORDING_EXTENSION_PATTERN.test(name);
+}
+
+/**
+ * Check whether a recording file is compressed
+ * @param {string} filePath - Recording file
+ * @returns {boolean} - True for .gz files
+ */
+function isCompressed(filePath) {
+  return filePath.endsWith(COMPRESSED_EXTENSION);
+}
+
+/**
+ * Split a recording file name into its base name and extension
+ * @param {string} name - File name (e.g. session-1.jsonl.gz)
+ * @returns {Object} - { base, extension } (e.g. session-1 and .jsonl.gz)
+ */
+function splitRecordingName(name) {
+  const match = name.match(RECORDING_EXTENSION_PATTERN);
+  return match
+    ? { base: name.slice(0, match.index), extension: match[0] }
+    : { base: name, extension: '' };
+}
+
+/**
+ * Expand directories into the recordings they contain
+ * @param {string[]} paths - Files and directories
+ * @returns {string[]} - Files, with each directory's recordings sorted by name
+ */
+function expandRecordingPaths(paths) {
+  return paths.flatMap((target) => {
+    if (fs.existsSync(target) && fs.statSync(target).isDirectory()) {
+      return fs.readdirSync(target)
+        .filter(isRecordingFile)
+        .sort()
+        .map((name) => path.join(target, name));
+    }
+    return [target];
+  });
+}
+
+/**
+ * Read a recording's text, decompressing .gz files
+ * @param {string} filePath - Recording file
+ * @returns {string} - File contents
+ */
+function readRecordingText(filePath) {
+  const data = fs.readFileSync(filePath);
+  return (isCompressed(filePath) ? zlib.gunzipSync(data) : data).toString('utf8');
+}
+
+/**
+ * Write a recording's text, compressing .gz files
+ * @param {string} filePath - Recording file
+ * @param {string} text - File contents
+ */
+function writeRecordingText(filePath, text) {
+  fs.writeFileSync(filePath, isCompressed(filePath) ? zlib.gzipSync(text) : text);
+}
+
+module.exports = {
+  COMPRESSED_EXTENSION,
+  isRecordingFile,
+  isCompressed,
+  splitRecordingName,
+  expandRecordingPaths,
+  readRecordingText,
+  writeRecordingText
+};
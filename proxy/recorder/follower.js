@@ -0,0 +1,101 @@
+/**
+ * MiniTel-Lite Recording Follower
+ * Watches a recording that is still being written and reports new steps as
+ * the recorder appends them, e.g. to watch a session from another terminal
+ *
+ * The file is polled rather than watched with inotify-style events, so it
+ * works the same across processes, platforms and network filesystems. Each
+ * change re-reads the whole file: recordings are small, and this keeps
+ * decryption, upgrades and JSON documents rewritten in place working as they
+ * do for readSessionFile(). Following stops once the recording is finalized
+ * (its end_time is set).
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const { readSessionFile } = require('./reader');
+
+// Default delay between checks of the file for changes
+const DEFAULT_POLL_INTERVAL_MS = 250;
+
+/**
+ * Follows a recording as it grows
+ *
+ * Events:
+ * - 'update' (sessionData, newSteps) - the file changed; newSteps are the
+ *   steps added since the last update (empty when only attempts or tags changed)
+ * - 'end' (sessionData) - the recording was finalized; following has stopped
+ * - 'error' (error) - the file could not be read; following stops when the
+ *   file is gone and carries on otherwise, in case the next write fixes it
+ */
+class SessionFollower extends EventEmitter {
+  /**
+   * @param {string} filePath - Recording file
+   * @param {Object} options - Follower options
+   * @param {number} options.pollIntervalMs - Delay between checks for changes
+   * @param {string|Buffer|null} options.key - Decryption key (see readSessionFile)
+   */
+  constructor(filePath, options = {}) {
+    super();
+    this.filePath = filePath;
+    this.pollIntervalMs = options.pollIntervalMs || DEFAULT_POLL_INTERVAL_MS;
+    this.readOptions = options.key === undefined ? {} : { key: options.key };
+    this.sessionData = null;
+    this.following = false;
+    this._onChange = () => this.refresh();
+  }
+
+  /**
+   * Read the recording and start watching it, unless it is already finalized
+   * @returns {Object} - Session data as currently written
+   */
+  start() {
+    this.sessionData = readSessionFile(this.filePath, this.readOptions);
+    if (!this.sessionData.end_time && !this.following) {
+      this.following = true;
+      fs.watchFile(this.filePath, { interval: this.pollIntervalMs }, this._onChange);
+    }
+    return this.sessionData;
+  }
+
+  /**
+   * Stop watching the file
+   */
+  stop() {
+    if (this.following) {
+      fs.unwatchFile(this.filePath, this._onChange);
+      this.following = false;
+    }
+  }
+
+  /**
+   * Read the recording again and report what changed
+   * Called on every change of the file; can also be called directly.
+   */
+  refresh() {
+    let sessionData;
+    try {
+      sessionData = readSessionFile(this.filePath, this.readOptions);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.stop();
+      }
+      this.emit('error', error);
+      return;
+    }
+
+    const newSteps = sessionData.steps.slice(this.sessionData ? this.sessionData.steps.length : 0);
+    this.sessionData = sessionData;
+    this.emit('update', sessionData, newSteps);
+
+    if (sessionData.end_time) {
+      this.stop();
+      this.emit('end', sessionData);
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_POLL_INTERVAL_MS,
+  SessionFollower
+};
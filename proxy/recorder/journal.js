@@ -0,0 +1,387 @@
+/**
+ * MiniTel-Lite Session Journal
+ * Append-only JSON Lines recordings: a header line, one line per step or
+ * attempt, and a footer line written when the recording stops
+ *
+ *   {"type":"header","format_version":2,"session_id":"...","start_time":"...",...}
+ *   {"type":"step","step":1,"timestamp":"...","direction":"client",...}
+ *   {"type":"attempt","attempt":1,"max_attempts":3,...}
+ *   {"type":"footer","end_time":"...","step_count":4}
+ *   {"type":"tags","tags":["nightly"]}
+ *
+ * Lines are only ever appended, so a crash loses at most the buffered lines
+ * and the last partially written one. A journal without a footer is an
+ * interrupted (or still running) recording. While a journal is written, the
+ * writer holds a lock file next to it (session-1.jsonl.lock) naming its host
+ * and process, so recovery can tell a running recording from a crashed one.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// File extension of journal recordings
+const JOURNAL_EXTENSION = '.jsonl';
+
+// Suffix of the lock file held while a journal is written
+const LOCK_SUFFIX = '.lock';
+
+// Journal line types
+const ENTRY_TYPES = ['header', 'step', 'attempt', 'footer', 'tags'];
+
+// Default delay before buffered lines are written
+const DEFAULT_FLUSH_INTERVAL_MS = 200;
+
+// Buffered bytes that trigger an immediate write
+const DEFAULT_FLUSH_BYTES = 64 * 1024;
+
+/**
+ * Create a journal format error
+ * @param {string} message - Error message
+ * @returns {Error} - Error with code EINVAL
+ */
+function journalError(message) {
+  const error = new Error(message);
+  error.code = 'EINVAL';
+  return error;
+}
+
+/**
+ * Check whether file contents are a journal rather than a JSON document
+ * @param {string} text - File contents
+ * @returns {boolean} - True if the first line is a journal header
+ */
+function isJournal(text) {
+  const firstLine = text.slice(0, text.indexOf('\n') === -1 ? text.length : text.indexOf('\n'));
+  try {
+    const entry = JSON.parse(firstLine);
+    return Boolean(entry) && entry.type === 'header';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Lock file of a journal
+ * @param {string} filePath - Journal file
+ * @returns {string} - Lock file path
+ */
+function lockPath(filePath) {
+  return `${filePath}${LOCK_SUFFIX}`;
+}
+
+/**
+ * Check whether a journal is still being written
+ * The lock is held while its process runs. A lock from another host is
+ * assumed held, since its process cannot be checked from here; a lock from a
+ * process that is gone, or one that cannot be parsed, was left by a crash.
+ * @param {string} filePath - Journal file
+ * @returns {boolean} - True if a live writer holds the journal's lock
+ */
+function isLocked(filePath) {
+  let lock;
+  try {
+    lock = JSON.parse(fs.readFileSync(lockPath(filePath), 'utf8'));
+  } catch (error) {
+    return false;
+  }
+  if (!lock || !Number.isInteger(lock.pid)) {
+    return false;
+  }
+  if (lock.host !== os.hostname()) {
+    return true;
+  }
+  try {
+    process.kill(lock.pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Remove a journal's lock file, if any
+ * @param {string} filePath - Journal file
+ * @returns {Promise} - Resolves once the lock is gone
+ */
+async function releaseLock(filePath) {
+  try {
+    await fs.promises.unlink(lockPath(filePath));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Parse journal contents into session data
+ * A last line without a trailing newline that is not valid JSON was cut off
+ * by a crash and is dropped.
+ * @param {string} text - File contents
+ * @returns {Object} - { sessionData, complete, truncated }
+ */
+function parseJournal(text) {
+  const lines = text.split('\n');
+  const lastLine = lines.length - 1;
+  const entries = [];
+  let truncated = false;
+
+  lines.forEach((line, index) => {
+    if (line.trim() === '') {
+      return;
+    }
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      if (index !== lastLine) {
+        throw journalError(`Invalid journal line ${index + 1}: ${error.message}`);
+      }
+      truncated = true;
+    }
+  });
+
+  const header = entries[0];
+  if (!header || header.type !== 'header') {
+    throw journalError('Journal does not start with a header line');
+  }
+
+  // The header fields, minus the line type, make up the session metadata
+  const sessionData = Object.assign({}, header, { end_time: null, steps: [] });
+  delete sessionData.type;
+  let complete = false;
+
+  entries.slice(1).forEach((entry) => {
+    if (!entry || !ENTRY_TYPES.includes(entry.type) || entry.type === 'header') {
+      throw journalError(`Unexpected journal entry type: ${entry && entry.type}`);
+    }
+    const { type: entryType, ...fields } = entry;
+
+    if (entryType === 'step') {
+      sessionData.steps.push(fields);
+    } else if (entryType === 'attempt') {
+      sessionData.attempts = (sessionData.attempts || []).concat(fields);
+    } else if (entryType === 'footer') {
+      sessionData.end_time = fields.end_time;
+      complete = true;
+    } else {
+      sessionData.tags = fields.tags;
+    }
+  });
+
+  return { sessionData, complete, truncated };
+}
+
+/**
+ * Serialize a journal entry as one line
+ * @param {string} type - Entry type
+ * @param {Object} fields - Entry fields
+ * @returns {string} - JSON line with a trailing newline
+ */
+function journalLine(type, fields) {
+  return `${JSON.stringify(Object.assign({ type }, fields))}\n`;
+}
+
+/**
+ * Serialize complete session data as a journal
+ * @param {Object} sessionData - Session data
+ * @returns {string} - Journal contents; the footer is left out while end_time is null
+ */
+function formatJournal(sessionData) {
+  const { steps, attempts, end_time: endTime, tags, ...header } = sessionData;
+  const lines = [journalLine('header', header)];
+
+  // Attempts go right after the last step they cover, as the recorder writes them
+  const pending = (attempts || []).slice();
+  (steps || []).forEach((step) => {
+    while (pending.length > 0 && pending[0].last_step < step.step) {
+      lines.push(journalLine('attempt', pending.shift()));
+    }
+    lines.push(journalLine('step', step));
+  });
+  pending.forEach((attempt) => lines.push(journalLine('attempt', attempt)));
+
+  if (endTime) {
+    lines.push(journalLine('footer', { end_time: endTime, step_count: (steps || []).length }));
+  }
+  if (tags) {
+    lines.push(journalLine('tags', { tags }));
+  }
+  return lines.join('');
+}
+
+class JournalWriter {
+  /**
+   * @param {string} filePath - Journal file
+   * @param {Object} options - Writer options
+   * @param {number} options.flushIntervalMs - Delay before buffered lines are written
+   * @param {number} options.flushBytes - Buffered bytes that trigger an immediate write
+   * @param {Object} options.logger - Logger for write errors (defaults to console)
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.flushIntervalMs = options.flushIntervalMs === undefined
+      ? DEFAULT_FLUSH_INTERVAL_MS : options.flushIntervalMs;
+    this.flushBytes = options.flushBytes || DEFAULT_FLUSH_BYTES;
+    this.logger = options.logger || console;
+    this.buffer = [];
+    this.bufferedBytes = 0;
+    this.timer = null;
+    this.writing = Promise.resolve();
+    this.error = null;
+    this.closed = false;
+  }
+
+  /**
+   * Create the journal, take its lock and write its header
+   * The file is created exclusively, so an existing file is never overwritten.
+   * @param {Object} header - Session metadata
+   */
+  open(header) {
+    fs.writeFileSync(this.filePath, journalLine('header', header), { encoding: 'utf8', flag: 'wx' });
+    fs.writeFileSync(lockPath(this.filePath), JSON.stringify({ pid: process.pid, host: os.hostname() }), 'utf8');
+  }
+
+  /**
+   * Buffer an entry to be appended
+   * @param {string} type - Entry type: step, attempt or tags
+   * @param {Object} fields - Entry fields
+   */
+  append(type, fields) {
+    if (this.closed) {
+      throw new Error(`Journal is closed: ${this.filePath}`);
+    }
+
+    const line = journalLine(type, fields);
+    this.buffer.push(line);
+    this.bufferedBytes += Buffer.byteLength(line);
+
+    if (this.bufferedBytes >= this.flushBytes) {
+      this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.flushIntervalMs);
+    }
+  }
+
+  /**
+   * Write the buffered entries
+   * Writes are chained, so lines reach the file in the order they were appended.
+   * @returns {Promise<boolean>} - Resolves once everything buffered so far is written
+   */
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (this.buffer.length > 0) {
+      const chunk = this.buffer.join('');
+      this.buffer = [];
+      this.bufferedBytes = 0;
+
+      this.writing = this.writing
+        .then(() => fs.promises.appendFile(this.filePath, chunk, 'utf8'))
+        .catch((error) => {
+          this.error = error;
+          this.logger.error(`[RECORDER] Error writing ${this.filePath}: ${error.message}`);
+        });
+    }
+
+    return this.writing.then(() => !this.error);
+  }
+
+  /**
+   * Write the footer and everything still buffered, then release the lock
+   * @param {Object} footer - Footer fields (end_time, step_count)
+   * @returns {Promise<boolean>} - True if every line was written
+   */
+  close(footer) {
+    this.append('footer', footer);
+    this.closed = true;
+    return this.flush().then((written) => releaseLock(this.filePath).then(() => written, (error) => {
+      this.logger.error(`[RECORDER] Error removing ${lockPath(this.filePath)}: ${error.message}`);
+      return written;
+    }));
+  }
+}
+
+/**
+ * Finish a journal left without a footer by a crash
+ * Drops a partially written last line and appends a footer marked
+ * `recovered`, ending at the last recorded timestamp. The caller checks that
+ * no live writer holds the journal (see isLocked()); a stale lock is removed.
+ * @param {string} filePath - Journal file
+ * @returns {Promise<Object>} - { recovered, truncated, steps }
+ */
+async function recoverJournal(filePath) {
+  const text = await fs.promises.readFile(filePath, 'utf8');
+  const { sessionData, complete, truncated } = parseJournal(text);
+
+  if (complete) {
+    await releaseLock(filePath);
+    return { recovered: false, truncated: false, steps: sessionData.steps.length };
+  }
+
+  if (truncated) {
+    await fs.promises.truncate(filePath, Buffer.byteLength(text.slice(0, text.lastIndexOf('\n') + 1)));
+  }
+
+  const timestamps = sessionData.steps.concat(sessionData.attempts || [])
+    .map((entry) => entry.timestamp)
+    .filter(Boolean)
+    .sort();
+  await fs.promises.appendFile(filePath, journalLine('footer', {
+    end_time: timestamps.length > 0 ? timestamps[timestamps.length - 1] : sessionData.start_time,
+    step_count: sessionData.steps.length,
+    recovered: true
+  }), 'utf8');
+  await releaseLock(filePath);
+
+  return { recovered: true, truncated, steps: sessionData.steps.length };
+}
+
+/**
+ * Recover every interrupted journal in a directory
+ * Journals locked by a running process (this one or another, e.g. a second
+ * proxy or `minitel hack --record`) are still being written and left alone.
+ * @param {string} dir - Recordings directory
+ * @param {Set<string>} activeFiles - Absolute paths this process is writing, left alone
+ * @returns {Promise<Object[]>} - { file, recovered, truncated, steps, error } per recovered or unreadable journal
+ */
+async function recoverJournals(dir, activeFiles = new Set()) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  const names = fs.readdirSync(dir).filter((name) => name.endsWith(JOURNAL_EXTENSION)).sort();
+  const results = [];
+
+  for (const name of names) {
+    const filePath = path.join(dir, name);
+    if (activeFiles.has(path.resolve(filePath)) || isLocked(filePath)) {
+      continue;
+    }
+    try {
+      const result = await recoverJournal(filePath);
+      if (result.recovered) {
+        results.push(Object.assign({ file: filePath, error: null }, result));
+      }
+    } catch (error) {
+      results.push({ file: filePath, recovered: false, truncated: false, steps: 0, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  JOURNAL_EXTENSION,
+  JournalWriter,
+  isJournal,
+  isLocked,
+  lockPath,
+  parseJournal,
+  journalLine,
+  formatJournal,
+  recoverJournal,
+  recoverJournals
+};
@@ -0,0 +1,62 @@
+/**
+ * MiniTel-Lite Recording Reader
+ * Reads session files for replay and analysis tools, upgraded and validated
+ * Both formats are accepted: JSON documents and append-only journals
+ * (journal.js), either of them gzip compressed (.gz). A journal without a
+ * footer reads as a recording with no end time.
+ *
+ * Encrypted recordings (redaction.js) are decrypted with the configured
+ * RECORDING_ENCRYPTION_KEY, or the key passed in; without a key, redacted
+ * steps are returned as recorded.
+ */
+
+const { RECORDING } = require('../protocol/constants');
+const { loadSession } = require('./schema');
+const { isJournal, parseJournal } = require('./journal');
+const { unsealSession } = require('./redaction');
+const { readRecordingText } = require('./files');
+
+/**
+ * Parse a session file's JSON as written, without upgrading it
+ * @param {string} text - File contents
+ * @returns {Object} - Parsed session data
+ */
+function parseSessionJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const invalid = new Error(`Session file is not valid JSON: ${error.message}`);
+    invalid.code = 'EINVAL';
+    throw invalid;
+  }
+}
+
+/**
+ * Parse a session file's contents
+ * @param {string} text - File contents, a JSON document or a journal
+ * @param {Object} options - Read options
+ * @param {string|Buffer|null} options.key - Decryption key (defaults to RECORDING_ENCRYPTION_KEY;
+ *   null leaves encrypted steps redacted)
+ * @returns {Object} - Valid session data at the current format version
+ */
+function parseSession(text, options = {}) {
+  const sessionData = loadSession(isJournal(text) ? parseJournal(text).sessionData : parseSessionJson(text));
+  const key = options.key === undefined ? RECORDING.ENCRYPTION_KEY : options.key;
+  return key ? unsealSession(sessionData, key) : sessionData;
+}
+
+/**
+ * Read a session file
+ * @param {string} filePath - Path to the session file (.gz files are decompressed)
+ * @param {Object} options - Read options (see parseSession)
+ * @returns {Object} - Valid session data at the current format version
+ */
+function readSessionFile(filePath, options = {}) {
+  return parseSession(readRecordingText(filePath), options);
+}
+
+module.exports = {
+  parseSessionJson,
+  parseSession,
+  readSessionFile
+};
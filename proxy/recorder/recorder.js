@@ -1,94 +1,162 @@
 /**
  * MiniTel-Lite Session Recorder
- * Records client-server interactions for later replay
+ * Records client-server interactions for later replay, as an append-only
+ * journal (see journal.js)
  */
 
 const fs = require('fs');
 const path = require('path');
 const { RECORDING, SERVER } = require('../protocol/constants');
+const { PAYLOAD_ENCODINGS } = require('../protocol/payload');
+const { FORMAT_VERSION, decodedBlock } = require('./schema');
+const { JOURNAL_EXTENSION, JournalWriter } = require('./journal');
+const { createRedactionPolicy, policyHeader, redactStep } = require('./redaction');
+const { COMPRESSED_EXTENSION } = require('./files');
 
 class SessionRecorder {
-  constructor() {
+  /**
+   * @param {Object} options - Recorder options
+   * @param {string} options.dir - Directory where recordings are written
+   * @param {string} options.serverHost - Server host stored in the recording
+   * @param {number} options.serverPort - Server port stored in the recording
+   * @param {Object} options.logger - Logger for recorder messages (defaults to console)
+   * @param {string} options.payloadEncoding - How payload bytes are stored: base64 or hex
+   * @param {number} options.flushIntervalMs - Delay before buffered steps are written to disk
+   * @param {Object} options.redaction - Redaction policy (see redaction.js; defaults to
+   *   the RECORDING_REDACT_CODES, RECORDING_DROP_RAW_FRAMES and RECORDING_ENCRYPTION_KEY settings)
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || RECORDING.DIR;
+    this.serverHost = options.serverHost || SERVER.HOST || null;
+    this.serverPort = options.serverPort || SERVER.PORT || null;
+    this.logger = options.logger || console;
+    this.payloadEncoding = options.payloadEncoding || RECORDING.PAYLOAD_ENCODING;
+    if (!PAYLOAD_ENCODINGS.includes(this.payloadEncoding)) {
+      throw new Error(`Invalid payload encoding: ${this.payloadEncoding}`);
+    }
+    this.flushIntervalMs = options.flushIntervalMs === undefined
+      ? RECORDING.FLUSH_INTERVAL_MS : options.flushIntervalMs;
+    this.redaction = options.redaction || createRedactionPolicy({
+      codes: RECORDING.REDACT_CODES,
+      dropRawFrames: RECORDING.DROP_RAW_FRAMES,
+      key: RECORDING.ENCRYPTION_KEY
+    });
     this.active = false;
-    this.sessionData = null;
+    this.journal = null;
     this.recordingFile = null;
+    // Why the last startRecording() call failed, or null
+    this.error = null;
   }
 
   /**
    * Start a new recording session
-   * @returns {boolean} - True if recording started successfully
+   * The journal header is written right away; steps are buffered and
+   * appended asynchronously. A recording in progress is stopped, and its
+   * footer written, before the new one starts. On failure the cause is kept
+   * in this.error.
+   * @returns {Promise<boolean>} - True if recording started successfully
    */
-  startRecording() {
-    // If already recording, stop the current recording first
-    if (this.active) {
-      this.stopRecording();
+  async startRecording() {
+    // If already recording, stop the current recording first (again if
+    // another call started one while this one waited)
+    while (this.active) {
+      await this.stopRecording();
     }
 
     // Generate unique session ID based on timestamp
     const timestamp = new Date().toISOString().replace(/:/g, '-').replace(/\..+/, 'Z');
-    const sessionId = timestamp;
-    this.recordingFile = path.join(RECORDING.DIR, `session-${sessionId}.json`);
 
-    // Create recordings directory if it doesn't exist
-    if (!fs.existsSync(RECORDING.DIR)) {
-      fs.mkdirSync(RECORDING.DIR, { recursive: true });
-    }
+    let sessionId = timestamp;
+    try {
+      // Create recordings directory if it doesn't exist
+      if (!fs.existsSync(this.dir)) {
+        fs.mkdirSync(this.dir, { recursive: true });
+      }
 
-    // Initialize session data with empty steps
-    this.sessionData = {
-      session_id: sessionId,
-      start_time: new Date().toISOString(),
-      end_time: null,
-      server_host: SERVER.HOST,
-      server_port: SERVER.PORT,
-      steps: []
-    };
+      // Several clients may start recording within the same second
+      for (let suffix = 1; this._sessionTaken(sessionId); suffix++) {
+        sessionId = `${timestamp}-${suffix}`;
+      }
+      this.recordingFile = this._sessionPath(sessionId);
+
+      // The header is created exclusively, which claims the file name
+      this.journal = new JournalWriter(this.recordingFile, {
+        flushIntervalMs: this.flushIntervalMs,
+        logger: this.logger
+      });
+      const header = {
+        format_version: FORMAT_VERSION,
+        session_id: sessionId,
+        start_time: new Date().toISOString(),
+        server_host: this.serverHost,
+        server_port: this.serverPort
+      };
+      const redaction = policyHeader(this.redaction);
+      if (redaction) {
+        header.redaction = redaction;
+      }
+      this.journal.open(header);
+    } catch (error) {
+      this.logger.error(`[RECORDER] Error creating recording: ${error.message}`);
+      this.error = error;
+      this.journal = null;
+      this.recordingFile = null;
+      return false;
+    }
+    this.error = null;
+    SessionRecorder.activeFiles.add(path.resolve(this.recordingFile));
 
     this.active = true;
     this.currentStep = 0;
-    
-    console.log(`[RECORDER] Started recording session ${sessionId}`);
+    this.lastAttemptStep = 0;
+
+    this.logger.info(`[RECORDER] Started recording session ${sessionId}`);
     return true;
   }
 
   /**
    * Stop the current recording session
-   * @returns {boolean} - True if recording stopped successfully
+   * Writes the footer and waits for every buffered step to reach the file.
+   * @returns {Promise<boolean>} - True if recording stopped successfully
    */
-  stopRecording() {
+  async stopRecording() {
     if (!this.active) {
-      console.log('[RECORDER] Not recording');
-      return false;
-    }
-
-    // Update end time and write final version
-    this.sessionData.end_time = new Date().toISOString();
-    
-    // Write the final session data
-    try {
-      fs.writeFileSync(
-        this.recordingFile,
-        JSON.stringify(this.sessionData, null, 2),
-        'utf8'
-      );
-      console.log(`[RECORDER] Finalized recording at ${this.recordingFile}`);
-    } catch (error) {
-      console.error(`[RECORDER] Error finalizing recording: ${error.message}`);
+      this.logger.info('[RECORDER] Not recording');
       return false;
     }
 
-    // Store the file path before clearing
     const filePath = this.recordingFile;
-    
-    // Reset recorder state
+    const journal = this.journal;
+    const stepCount = this.currentStep;
+
+    // Reset recorder state first, so a new recording can start while this one is written
     this.active = false;
-    this.sessionData = null;
+    this.journal = null;
     this.recordingFile = null;
-    
-    console.log(`[RECORDER] Session recording complete: ${filePath}`);
+
+    const written = await journal.close({
+      end_time: new Date().toISOString(),
+      step_count: stepCount
+    });
+    SessionRecorder.activeFiles.delete(path.resolve(filePath));
+
+    if (!written) {
+      this.logger.error(`[RECORDER] Error finalizing recording: ${journal.error.message}`);
+      return false;
+    }
+
+    this.logger.info(`[RECORDER] Session recording complete: ${filePath}`);
     return true;
   }
 
+  /**
+   * Write every buffered step of the current recording
+   * @returns {Promise<boolean>} - True if everything was written (or nothing is recording)
+   */
+  flush() {
+    return this.journal ? this.journal.flush() : Promise.resolve(true);
+  }
+
   /**
    * Record a client request
    * @param {Buffer} rawData - Raw frame data sent to server
@@ -98,25 +166,15 @@ class SessionRecorder {
     if (!this.active) return;
 
     this.currentStep++;
-    const step = {
+    this.journal.append('step', redactStep({
       step: this.currentStep,
       timestamp: new Date().toISOString(),
       direction: 'client',
       request: rawData.toString('base64'),
       response: null,
-      decoded: {
-        cmd: decodedData.cmdName,
-        nonce: decodedData.nonce,
-        payload: decodedData.payload
-      },
+      decoded: decodedBlock(decodedData, this.payloadEncoding),
       valid: decodedData.valid
-    };
-    
-    // Add step to in-memory collection
-    this.sessionData.steps.push(step);
-    
-    // Write updated file to disk immediately
-    this._writeSessionData();
+    }, this.redaction));
   }
 
   /**
@@ -128,53 +186,65 @@ class SessionRecorder {
     if (!this.active) return;
 
     this.currentStep++;
-    const step = {
+    this.journal.append('step', redactStep({
       step: this.currentStep,
       timestamp: new Date().toISOString(),
       direction: 'server',
       request: null,
       response: rawData.toString('base64'),
-      decoded: {
-        cmd: decodedData.cmdName,
-        nonce: decodedData.nonce,
-        payload: decodedData.payload
-      },
+      decoded: decodedBlock(decodedData, this.payloadEncoding),
       valid: decodedData.valid
-    };
-    
-    // Add step to in-memory collection
-    this.sessionData.steps.push(step);
-    
-    // Write updated file to disk immediately
-    this._writeSessionData();
+    }, this.redaction));
   }
-  
+
   /**
-   * Private helper to write the current session data to disk
-   * Updates the file with the latest steps after each interaction
+   * Record the outcome of one attempt of a retried sequence
+   * Each entry covers the steps recorded since the previous attempt.
+   * @param {Object} attempt - Attempt outcome
+   * @param {number} attempt.attempt - Attempt number (1 = first)
+   * @param {number} attempt.maxAttempts - Attempts allowed by the retry policy
+   * @param {Error} attempt.error - Error that ended the attempt (null on success)
+   * @param {number} attempt.retryDelay - Delay before the next attempt (null if none follows)
+   */
+  recordAttempt(attempt) {
+    if (!this.active) return;
+
+    this.journal.append('attempt', {
+      attempt: attempt.attempt,
+      max_attempts: attempt.maxAttempts,
+      timestamp: new Date().toISOString(),
+      first_step: this.lastAttemptStep + 1,
+      last_step: this.currentStep,
+      error: attempt.error
+        ? { code: attempt.error.code || null, message: attempt.error.message }
+        : null,
+      retry_delay_ms: attempt.retryDelay === undefined ? null : attempt.retryDelay
+    });
+    this.lastAttemptStep = this.currentStep;
+  }
+
+  /**
+   * Build the file path for a session ID
+   * @param {string} sessionId - Session ID
+   * @returns {string} - Recording file path
    * @private
    */
-  _writeSessionData() {
-    if (!this.active || !this.recordingFile) return;
-    
-    try {
-      // Update end time to current time (will be overwritten on next write)
-      this.sessionData.end_time = new Date().toISOString();
-      
-      // Write the entire session data to file
-      fs.writeFileSync(
-        this.recordingFile,
-        JSON.stringify(this.sessionData, null, 2),
-        'utf8'
-      );
-      
-      // Log every few steps to avoid console spam
-      if (this.currentStep % 2 === 0) {
-        console.log(`[RECORDER] Updated recording file with step ${this.currentStep}`);
-      }
-    } catch (error) {
-      console.error(`[RECORDER] Error updating recording file: ${error.message}`);
-    }
+  _sessionPath(sessionId) {
+    return path.join(this.dir, `session-${sessionId}${JOURNAL_EXTENSION}`);
+  }
+
+  /**
+   * Whether a recording already uses a session ID, in either format,
+   * compressed or not
+   * @param {string} sessionId - Session ID
+   * @returns {boolean} - True if the ID is taken
+   * @private
+   */
+  _sessionTaken(sessionId) {
+    return [JOURNAL_EXTENSION, '.json'].some((extension) => {
+      const filePath = path.join(this.dir, `session-${sessionId}${extension}`);
+      return fs.existsSync(filePath) || fs.existsSync(`${filePath}${COMPRESSED_EXTENSION}`);
+    });
   }
 
   /**
@@ -186,4 +256,7 @@ class SessionRecorder {
   }
 }
 
+// Files currently being written by any recorder in this process
+SessionRecorder.activeFiles = new Set();
+
 module.exports = SessionRecorder;
\ No newline at end of file
@@ -0,0 +1,245 @@
+/**
+ * MiniTel-Lite Recording Redaction
+ * Keeps sensitive data such as the override code out of recordings
+ *
+ * A redaction policy removes, from every recorded step:
+ * - `payload`: the decoded payload of the chosen command or response codes,
+ *   and the raw frame that carries it
+ * - `frame`: the raw frame (request or response), when raw frames are dropped
+ *
+ * Removed fields are listed in the step's `redacted` array. With an
+ * encryption key, they are kept in `sealed` (AES-256-GCM) and restored by
+ * readers that have the key; without one they are gone for good.
+ */
+
+const crypto = require('crypto');
+const { defaultRegistry } = require('../protocol/registry');
+
+// Cipher used for sealed step data
+const SEAL_ALGORITHM = 'aes-256-gcm';
+
+// Key size for AES-256
+const KEY_BYTES = 32;
+
+// IV size recommended for GCM
+const IV_BYTES = 12;
+
+// Shown in place of redacted content
+const REDACTED = '[REDACTED]';
+
+// Error code for invalid policies, keys and sealed data
+const INVALID_REDACTION = 'EINVAL';
+
+/**
+ * Create a redaction error
+ * @param {string} message - Error message
+ * @returns {Error} - Error with code EINVAL
+ */
+function redactionError(message) {
+  const error = new Error(message);
+  error.code = INVALID_REDACTION;
+  return error;
+}
+
+/**
+ * Parse an encryption key
+ * @param {string|Buffer} value - 32-byte key, as 64 hex characters, base64 or a Buffer
+ * @returns {Buffer} - Key bytes
+ */
+function parseKey(value) {
+  let key = value;
+  if (typeof value === 'string') {
+    key = /^[0-9a-fA-F]{64}$/.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  }
+  if (!Buffer.isBuffer(key) || key.length !== KEY_BYTES) {
+    throw redactionError(`Invalid encryption key: expected ${KEY_BYTES} bytes as 64 hex characters or base64`);
+  }
+  return key;
+}
+
+/**
+ * Short identifier of a key, stored with encrypted recordings to detect a wrong key
+ * @param {Buffer} key - Key bytes
+ * @returns {string} - First 8 bytes of the key's SHA-256, in hex
+ */
+function keyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+/**
+ * Create a redaction policy
+ * @param {Object} options - Policy options
+ * @param {string[]} options.codes - Command or response names whose payloads are redacted
+ * @param {boolean} options.dropRawFrames - Leave raw frames out of every step
+ * @param {string|Buffer} options.key - Encryption key for the redacted data (optional)
+ * @returns {Object} - Policy { codes, dropRawFrames, key, keyId }
+ */
+function createRedactionPolicy(options = {}) {
+  const codes = options.codes || [];
+  codes.forEach((name) => {
+    if (!defaultRegistry.byName(name)) {
+      throw redactionError(`Invalid redaction code: ${name} is not a registered command or response`);
+    }
+  });
+
+  const key = options.key ? parseKey(options.key) : null;
+  return {
+    codes: [...new Set(codes)],
+    dropRawFrames: Boolean(options.dropRawFrames),
+    key,
+    keyId: key ? keyId(key) : null
+  };
+}
+
+/**
+ * Check whether a policy changes anything
+ * @param {Object} policy - Redaction policy
+ * @returns {boolean} - True if some data is redacted
+ */
+function isActive(policy) {
+  return Boolean(policy) && (policy.codes.length > 0 || policy.dropRawFrames);
+}
+
+/**
+ * Describe a policy for the recording header
+ * @param {Object} policy - Redaction policy
+ * @returns {Object|null} - { codes, drop_raw_frames, encrypted, key_id }, or null when inactive
+ */
+function policyHeader(policy) {
+  if (!isActive(policy)) {
+    return null;
+  }
+  return {
+    codes: policy.codes,
+    drop_raw_frames: policy.dropRawFrames,
+    encrypted: Boolean(policy.key),
+    key_id: policy.keyId
+  };
+}
+
+/**
+ * Encrypt step data
+ * @param {Object} data - Removed fields
+ * @param {Buffer} key - Key bytes
+ * @returns {Object} - { iv, tag, data }, base64 encoded
+ */
+function seal(data, key) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(SEAL_ALGORITHM, key, iv);
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: encrypted.toString('base64')
+  };
+}
+
+/**
+ * Decrypt step data
+ * @param {Object} sealed - { iv, tag, data }
+ * @param {Buffer} key - Key bytes
+ * @returns {Object} - Removed fields
+ */
+function unseal(sealed, key) {
+  try {
+    const decipher = crypto.createDecipheriv(SEAL_ALGORITHM, key, Buffer.from(sealed.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+    const decrypted = Buffer.concat([decipher.update(Buffer.from(sealed.data, 'base64')), decipher.final()]);
+    return JSON.parse(decrypted.toString('utf8'));
+  } catch (error) {
+    throw redactionError('Cannot decrypt recording: wrong key or damaged data');
+  }
+}
+
+/**
+ * Apply a redaction policy to a recorded step
+ * @param {Object} step - Step as recorded
+ * @param {Object} policy - Redaction policy
+ * @returns {Object} - The step, or a redacted copy
+ */
+function redactStep(step, policy) {
+  const redacted = [];
+  if (isActive(policy) && policy.codes.includes(step.decoded.cmd)) {
+    redacted.push('payload');
+  }
+  if (isActive(policy) && (policy.dropRawFrames || redacted.length > 0)) {
+    // The raw frame carries the payload too
+    redacted.push('frame');
+  }
+  if (redacted.length === 0) {
+    return step;
+  }
+
+  const removed = { request: step.request, response: step.response };
+  const copy = Object.assign({}, step, { request: null, response: null, redacted });
+  if (redacted.includes('payload')) {
+    const { payload, payload_encoding: encoding, payload_bytes: bytes } = step.decoded;
+    removed.decoded = { payload, payload_encoding: encoding, payload_bytes: bytes };
+    copy.decoded = Object.assign({}, step.decoded, { payload: null, payload_encoding: null, payload_bytes: null });
+  }
+  if (policy.key) {
+    copy.sealed = seal(removed, policy.key);
+  }
+  return copy;
+}
+
+/**
+ * Check whether a step had a field redacted
+ * @param {Object} step - Recorded step
+ * @param {string} field - 'payload' or 'frame'
+ * @returns {boolean} - True if the field was removed
+ */
+function isRedacted(step, field) {
+  return Boolean(step) && Array.isArray(step.redacted) && step.redacted.includes(field);
+}
+
+/**
+ * Restore the redacted data of an encrypted recording
+ * Steps redacted without encryption stay redacted.
+ * @param {Object} sessionData - Session data
+ * @param {string|Buffer} key - Encryption key
+ * @returns {Object} - Session data with sealed steps restored and `redaction.decrypted`
+ *   set (the input when nothing is encrypted)
+ */
+function unsealSession(sessionData, key) {
+  const redaction = sessionData.redaction;
+  if (!redaction || !redaction.encrypted) {
+    return sessionData;
+  }
+
+  const keyBytes = parseKey(key);
+  if (redaction.key_id && redaction.key_id !== keyId(keyBytes)) {
+    throw redactionError(`Cannot decrypt recording: it was encrypted with key ${redaction.key_id}, not ${keyId(keyBytes)}`);
+  }
+
+  const steps = sessionData.steps.map((step) => {
+    if (!step.sealed) {
+      return step;
+    }
+    const removed = unseal(step.sealed, keyBytes);
+    const restored = Object.assign({}, step, {
+      request: removed.request,
+      response: removed.response,
+      decoded: Object.assign({}, step.decoded, removed.decoded)
+    });
+    delete restored.redacted;
+    delete restored.sealed;
+    return restored;
+  });
+
+  return Object.assign({}, sessionData, {
+    redaction: Object.assign({}, redaction, { decrypted: true }),
+    steps
+  });
+}
+
+module.exports = {
+  REDACTED,
+  parseKey,
+  keyId,
+  createRedactionPolicy,
+  policyHeader,
+  redactStep,
+  isRedacted,
+  unsealSession
+};
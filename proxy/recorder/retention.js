@@ -0,0 +1,279 @@
+/**
+ * MiniTel-Lite Recording Retention
+ * Keeps the recordings directory within configured limits
+ *
+ * A cleanup pass over the finished recordings, newest first:
+ * 1. removes recordings older than `maxAgeDays`
+ * 2. removes all but the newest `maxSessions`
+ * 3. gzips the ones left (session-1.jsonl -> session-1.jsonl.gz)
+ * 4. removes the oldest until the total size is within `maxTotalBytes`
+ *
+ * Recordings still being written (and journals without a footer, which
+ * another process may be writing) are never touched. A limit of 0 means
+ * no limit.
+ *
+ * Cleanup runs on a timer in the proxy, so it only uses asynchronous I/O and
+ * does not read a file again while its size and modification time are
+ * unchanged. Compressed files are finished by definition and never read.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const zlib = require('zlib');
+const { RECORDING } = require('../protocol/constants');
+const { isJournal, parseJournal } = require('./journal');
+const { COMPRESSED_EXTENSION, isRecordingFile, isCompressed } = require('./files');
+const SessionRecorder = require('./recorder');
+
+const gzip = util.promisify(zlib.gzip);
+
+// Milliseconds per day, for maxAgeDays
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Whether each uncompressed recording read so far was finished, by absolute
+// path, with the size and modification time it had then
+const finishedCache = new Map();
+
+/**
+ * Create a retention setting error
+ * @param {string} message - Error message
+ * @returns {Error} - Error with code EINVAL
+ */
+function retentionError(message) {
+  const error = new Error(message);
+  error.code = 'EINVAL';
+  return error;
+}
+
+/**
+ * Check a retention limit
+ * @param {string} name - Setting name, for errors
+ * @param {*} value - Limit (undefined for no limit)
+ * @param {boolean} integer - Whether the limit must be a whole number
+ * @returns {number} - The limit, 0 for no limit
+ */
+function checkLimit(name, value, integer) {
+  if (value === undefined || value === null) {
+    return 0;
+  }
+  if (typeof value !== 'number' || isNaN(value) || value < 0 || (integer && !Number.isInteger(value))) {
+    throw retentionError(`Invalid ${name}: ${value} (expected ${integer ? 'a whole number' : 'a number'} >= 0)`);
+  }
+  return value;
+}
+
+/**
+ * Create a retention policy
+ * @param {Object} options - Policy options
+ * @param {number} options.maxSessions - Recordings to keep
+ * @param {number} options.maxAgeDays - Age after which recordings are removed
+ * @param {number} options.maxTotalBytes - Size budget for all finished recordings
+ * @param {boolean} options.compress - Gzip finished recordings (default true)
+ * @returns {Object} - Policy { maxSessions, maxAgeDays, maxTotalBytes, compress }
+ */
+function createRetentionPolicy(options = {}) {
+  return {
+    maxSessions: checkLimit('maxSessions', options.maxSessions, true),
+    maxAgeDays: checkLimit('maxAgeDays', options.maxAgeDays, false),
+    maxTotalBytes: checkLimit('maxTotalBytes', options.maxTotalBytes, true),
+    compress: options.compress !== false
+  };
+}
+
+/**
+ * Create the retention policy configured through the environment
+ * @returns {Object} - Retention policy
+ */
+function configuredRetentionPolicy() {
+  return createRetentionPolicy({
+    maxSessions: RECORDING.MAX_SESSIONS,
+    maxAgeDays: RECORDING.MAX_AGE_DAYS,
+    maxTotalBytes: RECORDING.MAX_TOTAL_BYTES,
+    compress: RECORDING.COMPRESS
+  });
+}
+
+/**
+ * Check whether a recording is finished
+ * Compressed files and JSON documents always are; journals once they have a footer.
+ * @param {string} filePath - Recording file
+ * @param {fs.Stats} stats - The file's current stats
+ * @returns {Promise<boolean>} - True if the recording is finished
+ */
+async function isFinished(filePath, stats) {
+  if (isCompressed(filePath)) {
+    return true;
+  }
+
+  const key = path.resolve(filePath);
+  const cached = finishedCache.get(key);
+  if (cached && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs) {
+    return cached.finished;
+  }
+  const text = await fs.promises.readFile(filePath, 'utf8');
+  const finished = !isJournal(text) || parseJournal(text).complete;
+  finishedCache.set(key, { size: stats.size, mtimeMs: stats.mtimeMs, finished });
+  return finished;
+}
+
+/**
+ * List the finished recordings in a directory, newest first
+ * @param {string} dir - Recordings directory
+ * @param {Set<string>} activeFiles - Absolute paths still being written
+ * @returns {Promise<Object[]>} - { name, file, mtime, size } per recording
+ */
+async function listFinished(dir, activeFiles) {
+  const names = (await fs.promises.readdir(dir)).filter(isRecordingFile);
+  const entries = [];
+
+  for (const name of names) {
+    const filePath = path.join(dir, name);
+    if (activeFiles.has(path.resolve(filePath))) {
+      continue;
+    }
+    try {
+      const stats = await fs.promises.stat(filePath);
+      if (stats.isFile() && await isFinished(filePath, stats)) {
+        entries.push({ name, file: filePath, mtime: stats.mtime, size: stats.size });
+      }
+    } catch (error) {
+      // Unreadable files are left for the user to look at
+    }
+  }
+
+  // Forget files that are gone
+  const listed = new Set(names.map((name) => path.resolve(dir, name)));
+  [...finishedCache.keys()]
+    .filter((key) => path.dirname(key) === path.resolve(dir) && !listed.has(key))
+    .forEach((key) => finishedCache.delete(key));
+
+  return entries.sort((a, b) => b.mtime - a.mtime || b.name.localeCompare(a.name));
+}
+
+/**
+ * Check whether a path exists
+ * @param {string} filePath - Path
+ * @returns {Promise<boolean>} - True if it exists
+ */
+async function exists(filePath) {
+  try {
+    await fs.promises.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Gzip a recording next to itself and remove the original
+ * The compressed file is written under a temporary name and renamed, and
+ * keeps the original modification time so age limits still apply.
+ * @param {Object} entry - { file, mtime }
+ * @returns {Promise<number>} - Compressed size
+ */
+async function compressFile(entry) {
+  const target = `${entry.file}${COMPRESSED_EXTENSION}`;
+  if (await exists(target)) {
+    throw new Error(`${path.basename(target)} already exists`);
+  }
+
+  const compressed = await gzip(await fs.promises.readFile(entry.file));
+  const tempPath = `${target}.tmp`;
+  await fs.promises.writeFile(tempPath, compressed);
+  await fs.promises.utimes(tempPath, entry.mtime, entry.mtime);
+  await fs.promises.rename(tempPath, target);
+  await fs.promises.unlink(entry.file);
+  return compressed.length;
+}
+
+/**
+ * Apply a retention policy to a recordings directory
+ * @param {string} dir - Recordings directory
+ * @param {Object} policy - Retention policy
+ * @param {Object} options - Cleanup options
+ * @param {boolean} options.dryRun - Report what would change without touching files
+ * @param {Set<string>} options.activeFiles - Absolute paths still being written
+ *   (defaults to the recordings in progress in this process)
+ * @param {number} options.now - Current time in milliseconds, for age limits
+ * @returns {Promise<Object>} - { compressed, removed, errors, kept, totalBytes }:
+ *   compressed lists { name, size, compressedSize }, removed lists
+ *   { name, size, reason: 'age'|'count'|'size' }, errors lists { name, error }
+ */
+async function applyRetention(dir, policy, options = {}) {
+  const activeFiles = options.activeFiles || SessionRecorder.activeFiles;
+  const now = options.now === undefined ? Date.now() : options.now;
+  const result = { compressed: [], removed: [], errors: [], kept: 0, totalBytes: 0 };
+
+  if (!(await exists(dir))) {
+    return result;
+  }
+
+  const remove = async (entry, reason) => {
+    try {
+      if (!options.dryRun) {
+        await fs.promises.unlink(entry.file);
+      }
+      result.removed.push({ name: entry.name, size: entry.size, reason });
+      return true;
+    } catch (error) {
+      result.errors.push({ name: entry.name, error: error.message });
+      return false;
+    }
+  };
+
+  const kept = [];
+  const entries = await listFinished(dir, activeFiles);
+  for (const [index, entry] of entries.entries()) {
+    if (policy.maxAgeDays > 0 && now - entry.mtime.getTime() > policy.maxAgeDays * DAY_MS) {
+      await remove(entry, 'age');
+    } else if (policy.maxSessions > 0 && index >= policy.maxSessions) {
+      await remove(entry, 'count');
+    } else {
+      kept.push(entry);
+    }
+  }
+
+  if (policy.compress) {
+    for (const entry of kept.filter((candidate) => !isCompressed(candidate.file))) {
+      try {
+        const compressedSize = options.dryRun
+          ? (await gzip(await fs.promises.readFile(entry.file))).length
+          : await compressFile(entry);
+        result.compressed.push({ name: entry.name, size: entry.size, compressedSize });
+        Object.assign(entry, {
+          name: `${entry.name}${COMPRESSED_EXTENSION}`,
+          file: `${entry.file}${COMPRESSED_EXTENSION}`,
+          size: compressedSize
+        });
+      } catch (error) {
+        result.errors.push({ name: entry.name, error: error.message });
+      }
+    }
+  }
+
+  let keptCount = kept.length;
+  let totalBytes = kept.reduce((sum, entry) => sum + entry.size, 0);
+  if (policy.maxTotalBytes > 0) {
+    // Oldest first, until the rest fits
+    for (const entry of kept.slice().reverse()) {
+      if (totalBytes <= policy.maxTotalBytes) {
+        break;
+      }
+      if (await remove(entry, 'size')) {
+        totalBytes -= entry.size;
+        keptCount--;
+      }
+    }
+  }
+
+  result.kept = keptCount;
+  result.totalBytes = totalBytes;
+  return result;
+}
+
+module.exports = {
+  createRetentionPolicy,
+  configuredRetentionPolicy,
+  applyRetention
+};
@@ -0,0 +1,194 @@
+/**
+ * MiniTel-Lite Recording Schema
+ * Validates session files against session.schema.json and upgrades files
+ * written in older formats
+ *
+ * Format versions:
+ * - 1: files without `format_version`; `decoded` fields may be missing and
+ *   payload bytes are not stored
+ * - 2: `format_version: 2`; every `decoded` block holds cmd, nonce, payload,
+ *   payload_encoding and payload_bytes (null for invalid frames)
+ */
+
+const Ajv = require('ajv');
+const SESSION_SCHEMA = require('./session.schema.json');
+const { decodeFrame } = require('../protocol/decoder');
+const { recordPayload } = require('../protocol/payload');
+
+// Version written by SessionRecorder
+const FORMAT_VERSION = 2;
+
+// Error code for files that are not valid recordings
+const INVALID_SESSION = 'EINVAL';
+
+// Errors listed in an error message before the rest are summarized
+const MAX_REPORTED_ERRORS = 5;
+
+const validator = new Ajv({ allErrors: true }).compile(SESSION_SCHEMA);
+
+/**
+ * Create a session format error
+ * @param {string} message - Error message
+ * @param {string[]} errors - Individual validation errors
+ * @returns {Error} - Error with code EINVAL and an `errors` list
+ */
+function sessionError(message, errors = []) {
+  const error = new Error(message);
+  error.code = INVALID_SESSION;
+  error.errors = errors;
+  return error;
+}
+
+/**
+ * Format version of parsed session data
+ * @param {Object} sessionData - Session data
+ * @returns {number} - Version (1 for files written before versioning)
+ */
+function formatVersion(sessionData) {
+  return sessionData.format_version === undefined ? 1 : sessionData.format_version;
+}
+
+/**
+ * Validate session data against the current schema
+ * @param {*} sessionData - Parsed session file
+ * @returns {string[]} - Validation errors (empty when valid)
+ */
+function validateSession(sessionData) {
+  if (validator(sessionData)) {
+    return [];
+  }
+  return validator.errors.map((error) => `${error.dataPath ? `${error.dataPath.replace(/^\./, '')} ` : ''}${error.message}`);
+}
+
+/**
+ * Build the `decoded` block of a recorded step
+ * @param {Object} decodedData - Decoded frame
+ * @param {string} payloadEncoding - How payload bytes are stored: base64 or hex
+ * @returns {Object} - { cmd, nonce, payload, payload_encoding, payload_bytes }
+ */
+function decodedBlock(decodedData, payloadEncoding) {
+  return Object.assign({
+    cmd: decodedData.valid ? decodedData.cmdName : null,
+    nonce: decodedData.valid ? decodedData.nonce : null
+  }, recordPayload(decodedData, payloadEncoding));
+}
+
+/**
+ * Payload bytes of a valid version 1 step, from its raw frame or its text payload
+ * @param {Object} step - Version 1 step
+ * @returns {Buffer|null} - Payload bytes
+ */
+function legacyPayloadBytes(step) {
+  const decoded = step.decoded || {};
+  if (typeof decoded.payload_bytes === 'string' && decoded.payload_encoding) {
+    return Buffer.from(decoded.payload_bytes, decoded.payload_encoding);
+  }
+
+  const raw = step.direction === 'client' ? step.request : step.response;
+  if (typeof raw === 'string') {
+    const frame = decodeFrame(Buffer.from(raw, 'base64'));
+    if (frame.valid) {
+      return frame.payloadBytes;
+    }
+  }
+  return typeof decoded.payload === 'string' ? Buffer.from(decoded.payload, 'utf8') : null;
+}
+
+/**
+ * Upgrade version 1 data to version 2
+ * @param {Object} sessionData - Version 1 session data
+ * @returns {Object} - Version 2 session data
+ */
+function migrateV1(sessionData) {
+  if (!Array.isArray(sessionData.steps)) {
+    throw sessionError('Cannot migrate: steps is not an array');
+  }
+
+  const steps = sessionData.steps.map((step, index) => {
+    const decoded = step.decoded || {};
+    const valid = step.valid !== false;
+    const payloadBytes = valid ? legacyPayloadBytes(step) : null;
+    const encoding = decoded.payload_encoding === 'hex' ? 'hex' : 'base64';
+
+    return Object.assign({}, step, {
+      step: Number.isInteger(step.step) ? step.step : index + 1,
+      request: step.request === undefined ? null : step.request,
+      response: step.response === undefined ? null : step.response,
+      decoded: {
+        cmd: typeof decoded.cmd === 'string' ? decoded.cmd : null,
+        nonce: Number.isInteger(decoded.nonce) ? decoded.nonce : null,
+        payload: payloadBytes ? payloadBytes.toString('utf8') : null,
+        payload_encoding: payloadBytes ? encoding : null,
+        payload_bytes: payloadBytes ? payloadBytes.toString(encoding) : null
+      },
+      valid
+    });
+  });
+
+  const serverPort = parseInt(sessionData.server_port, 10);
+  return Object.assign({ format_version: 2 }, sessionData, {
+    format_version: 2,
+    session_id: sessionData.session_id === undefined ? null : sessionData.session_id,
+    end_time: sessionData.end_time === undefined ? null : sessionData.end_time,
+    server_host: sessionData.server_host === undefined ? null : sessionData.server_host,
+    server_port: isNaN(serverPort) ? null : serverPort,
+    steps
+  });
+}
+
+// Upgrade from each version to the next one
+const MIGRATIONS = {
+  1: migrateV1
+};
+
+/**
+ * Upgrade session data to the current format version
+ * @param {Object} sessionData - Parsed session file
+ * @returns {Object} - Session data at FORMAT_VERSION (the input when already current)
+ */
+function migrateSession(sessionData) {
+  if (!sessionData || typeof sessionData !== 'object' || Array.isArray(sessionData)) {
+    throw sessionError('Session file must contain a JSON object');
+  }
+
+  let version = formatVersion(sessionData);
+  if (!Number.isInteger(version) || version < 1) {
+    throw sessionError(`Invalid format_version: ${JSON.stringify(sessionData.format_version)}`);
+  }
+  if (version > FORMAT_VERSION) {
+    throw sessionError(`Unsupported format_version ${version}: this tool reads up to version ${FORMAT_VERSION}`);
+  }
+
+  let migrated = sessionData;
+  for (; version < FORMAT_VERSION; version++) {
+    migrated = MIGRATIONS[version](migrated);
+  }
+  return migrated;
+}
+
+/**
+ * Upgrade and validate session data before using it
+ * @param {Object} sessionData - Parsed session file
+ * @returns {Object} - Valid session data at FORMAT_VERSION
+ */
+function loadSession(sessionData) {
+  const migrated = migrateSession(sessionData);
+  const errors = validateSession(migrated);
+
+  if (errors.length > 0) {
+    const shown = errors.slice(0, MAX_REPORTED_ERRORS).join('; ');
+    const more = errors.length > MAX_REPORTED_ERRORS ? ` (and ${errors.length - MAX_REPORTED_ERRORS} more)` : '';
+    throw sessionError(`Invalid session file: ${shown}${more}`, errors);
+  }
+  return migrated;
+}
+
+module.exports = {
+  FORMAT_VERSION,
+  SESSION_SCHEMA,
+  formatVersion,
+  validateSession,
+  migrateSession,
+  loadSession,
+  decodedBlock
+};
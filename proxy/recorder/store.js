@@ -0,0 +1,267 @@
+/**
+ * MiniTel-Lite Recording Store
+ * Lists, reads, renames, tags and deletes recordings in RECORDINGS_DIR
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SessionRecorder = require('./recorder');
+const { parseSession, parseSessionJson } = require('./reader');
+const { isJournal, parseJournal, journalLine, isLocked, lockPath } = require('./journal');
+const { isCompressed, splitRecordingName, readRecordingText, writeRecordingText } = require('./files');
+const { RECORDING } = require('../protocol/constants');
+
+// Recording file names: no directories, must end in .json or .jsonl (journals),
+// optionally followed by .gz
+const RECORDING_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*\.jsonl?(\.gz)?$/;
+
+/**
+ * Create an error carrying a Node-style code
+ * @param {string} message - Error message
+ * @param {string} code - Error code (ENOENT, EINVAL, EEXIST, EBUSY)
+ * @returns {Error} - Error with a `code` property
+ */
+function storeError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Summarize a session for listings
+ * @param {Object} sessionData - Parsed session file
+ * @returns {Object} - Metadata
+ */
+function summarizeSession(sessionData) {
+  const steps = Array.isArray(sessionData.steps) ? sessionData.steps : [];
+  const dumpOk = steps.find((step) => step.direction === 'server' &&
+    step.valid && step.decoded && step.decoded.cmd === 'DUMP_OK');
+
+  return {
+    session_id: sessionData.session_id || null,
+    start_time: sessionData.start_time || null,
+    end_time: sessionData.end_time || null,
+    server_host: sessionData.server_host || null,
+    server_port: sessionData.server_port || null,
+    step_count: steps.length,
+    success: Boolean(dumpOk),
+    tags: Array.isArray(sessionData.tags) ? sessionData.tags : []
+  };
+}
+
+/**
+ * Order recordings newest first
+ * Recordings are ordered by start time, then by name; those without a valid
+ * start time (such as unreadable files) come last, by name.
+ * @param {Object} a - Recording metadata
+ * @param {Object} b - Recording metadata
+ * @returns {number} - Sort order
+ */
+function compareRecordings(a, b) {
+  const aTime = Date.parse(a.start_time);
+  const bTime = Date.parse(b.start_time);
+  const aDated = !Number.isNaN(aTime);
+  const bDated = !Number.isNaN(bTime);
+
+  if (aDated !== bDated) {
+    return aDated ? -1 : 1;
+  }
+  if (aDated && aTime !== bTime) {
+    return bTime - aTime;
+  }
+  return a.name.localeCompare(b.name);
+}
+
+class RecordingStore {
+  /**
+   * @param {string} dir - Recordings directory
+   */
+  constructor(dir = RECORDING.DIR) {
+    this.dir = dir;
+  }
+
+  /**
+   * Resolve a recording name to a path inside the recordings directory
+   * @param {string} name - Recording file name
+   * @returns {string} - File path
+   */
+  resolve(name) {
+    if (typeof name !== 'string' || !RECORDING_NAME_PATTERN.test(name)) {
+      throw storeError(`Invalid recording name: ${name}`, 'EINVAL');
+    }
+    return path.join(this.dir, name);
+  }
+
+  /**
+   * List recordings with metadata, newest first
+   * @returns {Object[]} - Recording metadata
+   */
+  list() {
+    if (!fs.existsSync(this.dir)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.dir)
+      .filter((name) => RECORDING_NAME_PATTERN.test(name))
+      .map((name) => {
+        const filePath = path.join(this.dir, name);
+        const { size } = fs.statSync(filePath);
+        const base = { name, size, recording: this.isActive(name) };
+
+        try {
+          return Object.assign(base, summarizeSession(this.read(name)));
+        } catch (error) {
+          // Keep unreadable files visible so they can be deleted
+          return Object.assign(base, { error: error.message });
+        }
+      })
+      .sort(compareRecordings);
+  }
+
+  /**
+   * Read and parse a recording, upgraded to the current format
+   * @param {string} name - Recording file name
+   * @param {Object} options - Read options (see parseSession)
+   * @returns {Object} - Session data
+   */
+  read(name, options = {}) {
+    const filePath = this._existingPath(name);
+    return parseSession(readRecordingText(filePath), options);
+  }
+
+  /**
+   * Get the metadata of a single recording
+   * @param {string} name - Recording file name
+   * @returns {Object} - Recording metadata
+   */
+  describe(name) {
+    const { size } = fs.statSync(this._existingPath(name));
+    return Object.assign(
+      { name, size, recording: this.isActive(name) },
+      summarizeSession(this.read(name))
+    );
+  }
+
+  /**
+   * Whether a recorder is still writing the recording, in this process or
+   * in another one holding the journal's lock (see journal.js)
+   * @param {string} name - Recording file name
+   * @returns {boolean} - True if the recording is in progress
+   */
+  isActive(name) {
+    const filePath = this.resolve(name);
+    return SessionRecorder.activeFiles.has(path.resolve(filePath)) || isLocked(filePath);
+  }
+
+  /**
+   * Rename a recording
+   * The file keeps its format, so the extension of `name` replaces any in `newName`.
+   * @param {string} name - Current file name
+   * @param {string} newName - New file name, with or without an extension
+   * @returns {string} - New file name
+   */
+  rename(name, newName) {
+    const filePath = this._idlePath(name);
+    const { extension } = splitRecordingName(name);
+    const targetName = `${splitRecordingName(String(newName)).base}${extension}`;
+    const targetPath = this.resolve(targetName);
+
+    if (targetName !== name && fs.existsSync(targetPath)) {
+      throw storeError(`Recording already exists: ${targetName}`, 'EEXIST');
+    }
+
+    fs.renameSync(filePath, targetPath);
+    this._removeStaleLock(filePath);
+    return targetName;
+  }
+
+  /**
+   * Replace the tags stored in a recording
+   * Journals get a tags line appended; JSON documents and compressed files are
+   * rewritten. Only the tags change: an older JSON document keeps its format
+   * version (upgrading is left to `minitel migrate`).
+   * @param {string} name - Recording file name
+   * @param {string[]} tags - Tags
+   * @returns {string[]} - Normalized tags
+   */
+  setTags(name, tags) {
+    if (!Array.isArray(tags) || !tags.every((tag) => typeof tag === 'string')) {
+      throw storeError('Tags must be an array of strings', 'EINVAL');
+    }
+
+    const filePath = this._idlePath(name);
+    const text = readRecordingText(filePath);
+    // Not decrypted: the file is written back as it was recorded
+    const sessionData = parseSession(text, { key: null });
+    sessionData.tags = [...new Set(tags.map((tag) => tag.trim()).filter(Boolean))];
+
+    if (!isJournal(text)) {
+      const asWritten = Object.assign(parseSessionJson(text), { tags: sessionData.tags });
+      writeRecordingText(filePath, JSON.stringify(asWritten, null, 2));
+      return sessionData.tags;
+    }
+
+    // Drop a line a crash cut off, so the tags line starts on a line of its own
+    const truncated = parseJournal(text).truncated;
+    const complete = truncated ? text.slice(0, text.lastIndexOf('\n') + 1) : text;
+    const tagsLine = journalLine('tags', { tags: sessionData.tags });
+    if (isCompressed(filePath)) {
+      writeRecordingText(filePath, complete + tagsLine);
+    } else {
+      if (truncated) {
+        fs.truncateSync(filePath, Buffer.byteLength(complete));
+      }
+      fs.appendFileSync(filePath, tagsLine, 'utf8');
+    }
+    return sessionData.tags;
+  }
+
+  /**
+   * Delete a recording
+   * @param {string} name - Recording file name
+   */
+  remove(name) {
+    const filePath = this._idlePath(name);
+    fs.unlinkSync(filePath);
+    this._removeStaleLock(filePath);
+  }
+
+  /**
+   * Remove the lock a crashed writer left next to a journal that was moved away
+   * @param {string} filePath - Former journal path
+   * @private
+   */
+  _removeStaleLock(filePath) {
+    fs.rmSync(lockPath(filePath), { force: true });
+  }
+
+  /**
+   * Resolve a recording that must exist
+   * @param {string} name - Recording file name
+   * @returns {string} - File path
+   * @private
+   */
+  _existingPath(name) {
+    const filePath = this.resolve(name);
+    if (!fs.existsSync(filePath)) {
+      throw storeError(`Recording not found: ${name}`, 'ENOENT');
+    }
+    return filePath;
+  }
+
+  /**
+   * Resolve a recording that must exist and not be in progress
+   * @param {string} name - Recording file name
+   * @returns {string} - File path
+   * @private
+   */
+  _idlePath(name) {
+    const filePath = this._existingPath(name);
+    if (this.isActive(name)) {
+      throw storeError(`Recording in progress: ${name}`, 'EBUSY');
+    }
+    return filePath;
+  }
+}
+
+module.exports = RecordingStore;
@@ -0,0 +1,194 @@
+/**
+ * MiniTel-Lite Recording Comparison
+ * Lines up the steps of two recordings and reports where they differ, e.g. a
+ * failing run against a known-good one
+ *
+ * Steps are aligned by direction and command with a longest common
+ * subsequence, so a missing or extra frame shows up as a gap instead of
+ * shifting every later step. Unmatched steps with the same direction that
+ * end up side by side are paired, so a changed command reads as one row.
+ */
+
+const { describeStep } = require('./redrive');
+
+// Gap difference (ms) between the two recordings that counts as a timing difference
+const DEFAULT_TIMING_THRESHOLD_MS = 250;
+
+/**
+ * Key steps are aligned on
+ * @param {Object} step - Recording step
+ * @returns {string} - Direction and command
+ */
+function alignmentKey(step) {
+  return `${step.direction}:${step.decoded ? step.decoded.cmd : null}`;
+}
+
+/**
+ * Align two step sequences
+ * @param {Object[]} left - Steps of the first recording
+ * @param {Object[]} right - Steps of the second recording
+ * @returns {Array<Array<number|null>>} - [leftIndex, rightIndex] pairs in order;
+ *   null where a step has no counterpart
+ */
+function alignSteps(left, right) {
+  const leftKeys = left.map(alignmentKey);
+  const rightKeys = right.map(alignmentKey);
+
+  // lengths[i][j]: longest common subsequence of left[i..] and right[j..]
+  const lengths = Array.from({ length: left.length + 1 }, () => new Array(right.length + 1).fill(0));
+  for (let i = left.length - 1; i >= 0; i--) {
+    for (let j = right.length - 1; j >= 0; j--) {
+      lengths[i][j] = leftKeys[i] === rightKeys[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  // Walk the table: a match, or a step only on the side that keeps the longer subsequence
+  const steps = [];
+  let i = 0;
+  let j = 0;
+  while (i < left.length && j < right.length) {
+    if (leftKeys[i] === rightKeys[j]) {
+      steps.push([i++, j++]);
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      steps.push([i++, null]);
+    } else {
+      steps.push([null, j++]);
+    }
+  }
+  while (i < left.length) steps.push([i++, null]);
+  while (j < right.length) steps.push([null, j++]);
+
+  // Pair up the unmatched steps between two matches
+  const pairs = [];
+  let leftRun = [];
+  let rightRun = [];
+  const flush = () => {
+    pairs.push(...pairRuns(leftRun, rightRun, left, right));
+    leftRun = [];
+    rightRun = [];
+  };
+  steps.forEach(([leftIndex, rightIndex]) => {
+    if (leftIndex !== null && rightIndex !== null) {
+      flush();
+      pairs.push([leftIndex, rightIndex]);
+    } else if (leftIndex !== null) {
+      leftRun.push(leftIndex);
+    } else {
+      rightRun.push(rightIndex);
+    }
+  });
+  flush();
+
+  return pairs;
+}
+
+/**
+ * Pair the unmatched steps of both sides that have the same direction
+ * @param {number[]} leftRun - Unmatched left indexes
+ * @param {number[]} rightRun - Unmatched right indexes
+ * @param {Object[]} left - Left steps
+ * @param {Object[]} right - Right steps
+ * @returns {Array<Array<number|null>>} - Pairs
+ */
+function pairRuns(leftRun, rightRun, left, right) {
+  const pairs = [];
+  let r = 0;
+  leftRun.forEach((leftIndex) => {
+    const match = rightRun.findIndex((rightIndex, index) => index >= r &&
+      right[rightIndex].direction === left[leftIndex].direction);
+    if (match === -1) {
+      pairs.push([leftIndex, null]);
+      return;
+    }
+    rightRun.slice(r, match).forEach((rightIndex) => pairs.push([null, rightIndex]));
+    pairs.push([leftIndex, rightRun[match]]);
+    r = match + 1;
+  });
+  rightRun.slice(r).forEach((rightIndex) => pairs.push([null, rightIndex]));
+  return pairs;
+}
+
+/**
+ * Milliseconds between each step and the one before it
+ * @param {Object[]} steps - Recording steps
+ * @returns {Array<number|null>} - Gap per step (null for the first step or a missing timestamp)
+ */
+function stepGaps(steps) {
+  return steps.map((step, index) => {
+    if (index === 0) {
+      return null;
+    }
+    const gap = new Date(step.timestamp).getTime() - new Date(steps[index - 1].timestamp).getTime();
+    return isNaN(gap) ? null : gap;
+  });
+}
+
+/**
+ * Describe one side of a row
+ * @param {Object} step - Recording step
+ * @param {number|null} gap - Gap before the step
+ * @returns {Object} - { step, direction, cmd, payload, valid, gap_ms }
+ */
+function describeSide(step, gap) {
+  return Object.assign({ step: step.step, direction: step.direction }, describeStep(step), { gap_ms: gap });
+}
+
+/**
+ * Compare two recordings step by step
+ * @param {Object} left - Session data of the first recording (e.g. known-good)
+ * @param {Object} right - Session data of the second recording
+ * @param {Object} options - Comparison options
+ * @param {number} options.timingThresholdMs - Gap difference reported as a timing
+ *   difference (default 250; Infinity ignores timing)
+ * @returns {Object} - { rows, same, summary }: one row per aligned pair,
+ *   { row, left, right, differences, same }, with differences listed as
+ *   { field: 'step'|'cmd'|'payload'|'valid'|'timing', left, right }
+ */
+function compareSessions(left, right, options = {}) {
+  const threshold = options.timingThresholdMs === undefined
+    ? DEFAULT_TIMING_THRESHOLD_MS : options.timingThresholdMs;
+  const leftGaps = stepGaps(left.steps);
+  const rightGaps = stepGaps(right.steps);
+
+  const rows = alignSteps(left.steps, right.steps).map(([leftIndex, rightIndex], index) => {
+    const leftSide = leftIndex === null ? null : describeSide(left.steps[leftIndex], leftGaps[leftIndex]);
+    const rightSide = rightIndex === null ? null : describeSide(right.steps[rightIndex], rightGaps[rightIndex]);
+    const differences = [];
+
+    if (!leftSide || !rightSide) {
+      differences.push({ field: 'step', left: leftSide && leftSide.step, right: rightSide && rightSide.step });
+    } else {
+      ['cmd', 'payload', 'valid']
+        .filter((field) => leftSide[field] !== rightSide[field])
+        .forEach((field) => differences.push({ field, left: leftSide[field], right: rightSide[field] }));
+
+      if (leftSide.gap_ms !== null && rightSide.gap_ms !== null &&
+        Math.abs(leftSide.gap_ms - rightSide.gap_ms) > threshold) {
+        differences.push({ field: 'timing', left: leftSide.gap_ms, right: rightSide.gap_ms });
+      }
+    }
+
+    return { row: index + 1, left: leftSide, right: rightSide, differences, same: differences.length === 0 };
+  });
+
+  const count = (predicate) => rows.filter(predicate).length;
+  return {
+    rows,
+    same: rows.every((row) => row.same),
+    summary: {
+      rows: rows.length,
+      different: count((row) => !row.same),
+      only_left: count((row) => !row.right),
+      only_right: count((row) => !row.left),
+      timing: count((row) => row.differences.some((difference) => difference.field === 'timing'))
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_TIMING_THRESHOLD_MS,
+  alignSteps,
+  compareSessions
+};
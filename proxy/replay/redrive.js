@@ -0,0 +1,240 @@
+/**
+ * MiniTel-Lite Session Re-drive
+ * Re-sends the client steps of a recording to a live server and compares the
+ * new server responses with the recorded ones
+ */
+
+const { MiniTelClient } = require('../client/client');
+const { decodeFrame } = require('../protocol/decoder');
+const { defaultRegistry } = require('../protocol/registry');
+const { COMMANDS, RECORDING } = require('../protocol/constants');
+const { payloadLabel, recordedPayloadBytes } = require('../protocol/payload');
+const { decodedBlock } = require('../recorder/schema');
+const { REDACTED, isRedacted } = require('../recorder/redaction');
+
+/**
+ * Build a step in the same shape SessionRecorder writes
+ * @param {number} index - Step number (1-based)
+ * @param {string} direction - 'client' or 'server'
+ * @param {Buffer} rawData - Raw frame
+ * @param {Object} decodedData - Decoded frame
+ * @returns {Object} - Recording step
+ */
+function buildStep(index, direction, rawData, decodedData) {
+  return {
+    step: index,
+    timestamp: new Date().toISOString(),
+    direction,
+    request: direction === 'client' ? rawData.toString('base64') : null,
+    response: direction === 'server' ? rawData.toString('base64') : null,
+    decoded: decodedBlock(decodedData, RECORDING.PAYLOAD_ENCODING),
+    valid: decodedData.valid
+  };
+}
+
+/**
+ * Group steps into exchanges: a client request followed by its responses
+ * @param {Object[]} steps - Recording steps
+ * @returns {Object[]} - Exchanges ({ request, responses })
+ */
+function groupExchanges(steps) {
+  const exchanges = [];
+
+  steps.forEach((step) => {
+    if (step.direction === 'client') {
+      exchanges.push({ request: step, responses: [] });
+    } else if (exchanges.length > 0) {
+      exchanges[exchanges.length - 1].responses.push(step);
+    } else {
+      // Server frame before any request
+      exchanges.push({ request: null, responses: [step] });
+    }
+  });
+
+  return exchanges;
+}
+
+/**
+ * Work out the command code and payload a recorded client step sent
+ * The raw frame is preferred; the decoded fields are used as a fallback.
+ * @param {Object} step - Client step
+ * @param {CommandRegistry} registry - Registry used to decode the raw frame
+ * @returns {Object} - { cmd, payload }
+ */
+function requestOf(step, registry) {
+  if (isRedacted(step, 'payload')) {
+    throw new Error(`Step ${step.step}: the payload is redacted; re-drive needs the recording's encryption key`);
+  }
+  if (step.request) {
+    const frame = decodeFrame(Buffer.from(step.request, 'base64'), registry);
+    if (frame.valid) {
+      return { cmd: frame.cmd, payload: frame.payloadBytes };
+    }
+  }
+
+  const decoded = step.decoded || {};
+  const cmd = COMMANDS[decoded.cmd];
+  if (cmd === undefined) {
+    throw new Error(`Step ${step.step}: cannot determine command "${decoded.cmd}"`);
+  }
+  return { cmd, payload: recordedPayloadBytes(decoded) || '' };
+}
+
+/**
+ * Reduce a step to the fields that are compared
+ * Payloads are compared byte for byte: non-printable ones are shown in hex.
+ * @param {Object|undefined} step - Recording step
+ * @returns {Object|null} - { cmd, payload, valid } or null when missing
+ */
+function describeStep(step) {
+  if (!step) {
+    return null;
+  }
+  const decoded = step.decoded || {};
+  let payload = null;
+  if (isRedacted(step, 'payload')) {
+    payload = REDACTED;
+  } else {
+    const payloadBytes = recordedPayloadBytes(decoded);
+    payload = payloadBytes ? payloadLabel(payloadBytes) : null;
+  }
+  return {
+    cmd: decoded.cmd === undefined ? null : decoded.cmd,
+    payload,
+    valid: step.valid
+  };
+}
+
+/**
+ * Compare two described steps field by field
+ * @param {string} prefix - Field prefix (e.g. 'response[0]')
+ * @param {Object|null} original - Original step description
+ * @param {Object|null} replayed - Replayed step description
+ * @returns {Object[]} - Differences ({ field, original, replayed })
+ */
+function compareSteps(prefix, original, replayed) {
+  if (!original || !replayed) {
+    return original === replayed ? [] : [{ field: prefix, original, replayed }];
+  }
+
+  return ['cmd', 'payload', 'valid']
+    .filter((field) => original[field] !== replayed[field])
+    // A redacted payload cannot be compared
+    .filter((field) => field !== 'payload' || (original.payload !== REDACTED && replayed.payload !== REDACTED))
+    .map((field) => ({
+      field: `${prefix}.${field}`,
+      original: original[field],
+      replayed: replayed[field]
+    }));
+}
+
+/**
+ * Diff two sequences of recording steps exchange by exchange
+ * Nonces are not compared since they are recomputed on every run.
+ * @param {Object[]} originalSteps - Steps of the original recording
+ * @param {Object[]} replayedSteps - Steps of the new run
+ * @returns {Object[]} - One entry per exchange
+ */
+function diffSteps(originalSteps, replayedSteps) {
+  const original = groupExchanges(originalSteps);
+  const replayed = groupExchanges(replayedSteps);
+  const count = Math.max(original.length, replayed.length);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    const originalExchange = original[i] || { request: undefined, responses: [] };
+    const replayedExchange = replayed[i] || { request: undefined, responses: [] };
+
+    const request = {
+      original: describeStep(originalExchange.request),
+      replayed: describeStep(replayedExchange.request)
+    };
+    const responseCount = Math.max(originalExchange.responses.length, replayedExchange.responses.length, 1);
+    const responses = [];
+    for (let j = 0; j < responseCount; j++) {
+      responses.push({
+        original: describeStep(originalExchange.responses[j]),
+        replayed: describeStep(replayedExchange.responses[j])
+      });
+    }
+
+    const differences = compareSteps('request', request.original, request.replayed);
+    responses.forEach((response, j) => {
+      differences.push(...compareSteps(`response[${j}]`, response.original, response.replayed));
+    });
+
+    entries.push({
+      exchange: i + 1,
+      request,
+      responses,
+      differences,
+      same: differences.length === 0
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Re-drive a recorded session against a live server
+ *
+ * Every client step is re-sent with the same command and payload. Nonces are
+ * recomputed by the client's NonceManager, so the run follows the live
+ * server's nonce sequence. The run stops early if the connection is lost.
+ * Payloads are re-sent byte for byte with the relaxed registry (unless
+ * `options.registry` is given), even where they break the declared types.
+ *
+ * @param {Object} sessionData - Parsed recording
+ * @param {Object} options - MiniTelClient options (host, port, timeouts, recorder, registry)
+ * @returns {Promise<Object>} - { steps, errors, diff, same }
+ */
+async function redriveSession(sessionData, options) {
+  const registry = options.registry || defaultRegistry.relaxed();
+  const client = new MiniTelClient(Object.assign({}, options, { registry }));
+  const steps = [];
+  const errors = [];
+
+  client.on('frameSent', (decodedFrame, rawFrame) => {
+    steps.push(buildStep(steps.length + 1, 'client', rawFrame, decodedFrame));
+  });
+  client.on('frameReceived', (decodedFrame, rawFrame) => {
+    steps.push(buildStep(steps.length + 1, 'server', rawFrame, decodedFrame));
+  });
+
+  // Work out every request first, so an unusable recording fails before connecting
+  const requests = groupExchanges(sessionData.steps)
+    .filter((exchange) => exchange.request)
+    .map((exchange) => Object.assign({ step: exchange.request.step }, requestOf(exchange.request, registry)));
+
+  await client.connect();
+
+  try {
+    for (const { step, cmd, payload } of requests) {
+      try {
+        await client.sendCommand(cmd, payload);
+      } catch (error) {
+        errors.push({ step, code: error.code || null, message: error.message });
+        if (!client.isConnected()) {
+          break;
+        }
+      }
+    }
+  } finally {
+    client.close();
+  }
+
+  const diff = diffSteps(sessionData.steps, steps);
+  return {
+    steps,
+    errors,
+    diff,
+    same: diff.every((entry) => entry.same)
+  };
+}
+
+module.exports = {
+  redriveSession,
+  diffSteps,
+  describeStep,
+  groupExchanges
+};
@@ -0,0 +1,347 @@
+/**
+ * MiniTel-Lite Proxy Session
+ * Holds the state of a single proxy client (a WebSocket connection or a REST
+ * job): its MiniTel-Lite client connection and its recorder
+ */
+
+const { logger } = require('../config');
+const { MiniTelClient } = require('../client/client');
+const { createRetryPolicy, withRetry } = require('../client/retry');
+const SessionRecorder = require('../recorder/recorder');
+const WorkflowStore = require('../workflow/store');
+const { runWorkflow } = require('../workflow/workflow');
+const { WORKFLOW } = require('../protocol/constants');
+
+class ProxySession {
+  /**
+   * @param {Function} send - Delivers a status/update/error message to the client
+   * @param {Object} config - Configuration from loadConfig()
+   * @param {Object} options - Session options
+   * @param {SessionRecorder} options.recorder - Recorder shared with other sessions
+   *   (by default the session creates and owns its own)
+   */
+  constructor(send, config, options = {}) {
+    this.deliver = send;
+    this.config = config;
+
+    // Per-client protocol state
+    this.ownsRecorder = !options.recorder;
+    this.recorder = options.recorder || new SessionRecorder({
+      dir: config.recordings.dir,
+      serverHost: config.server.host,
+      serverPort: config.server.port
+    });
+    this.workflows = new WorkflowStore(config.workflows && config.workflows.dir);
+
+    // Connection state
+    this.client = null;
+    this.overrideCode = null;
+    this.closed = false;
+  }
+
+  /**
+   * Whether the session currently holds an open server connection
+   * @returns {boolean} - True if connected
+   */
+  isConnected() {
+    return this.client !== null && this.client.isConnected();
+  }
+
+  /**
+   * Send a message to the client
+   * @param {Object} message - Status, update, success or error message
+   */
+  send(message) {
+    this.deliver(message);
+  }
+
+  /**
+   * Handle a raw message received from the WebSocket client
+   * @param {string} message - JSON encoded message
+   */
+  async handleMessage(message) {
+    try {
+      const data = JSON.parse(message);
+      logger.info(`Received command: ${data.command}`);
+
+      switch (data.command) {
+        case 'hack':
+          await this.executeHack(data.workflow);
+          break;
+        case 'toggleRecording':
+          await this.toggleRecording(data.enable);
+          break;
+        default:
+          logger.warn(`Unknown command: ${data.command}`);
+          this.send({
+            type: 'error',
+            message: `Unknown command: ${data.command}`
+          });
+      }
+    } catch (error) {
+      logger.error(`Error processing message: ${error.message}`);
+      this.send({
+        type: 'error',
+        message: `Error: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Release everything owned by this session (called when the WebSocket closes)
+   */
+  destroy() {
+    this.closed = true;
+    this.closeConnection();
+
+    if (this.ownsRecorder && this.recorder.isRecording()) {
+      this.recorder.stopRecording();
+    }
+  }
+
+  /**
+   * Build the current status message
+   * @returns {Object} - Status message
+   */
+  getStatus() {
+    return {
+      type: 'status',
+      connected: this.isConnected(),
+      recording: this.recorder.isRecording(),
+      overrideCode: this.overrideCode
+    };
+  }
+
+  /**
+   * Send current status to the client
+   */
+  sendStatus() {
+    this.send(this.getStatus());
+  }
+
+  /**
+   * Toggle session recording
+   * @param {boolean} enable - Whether to enable or disable recording
+   * @returns {Promise<void>} - Resolves once a stopped recording is written
+   */
+  async toggleRecording(enable) {
+    if (enable) {
+      // Start a new recording session (will stop any existing recording)
+      if (!(await this.recorder.startRecording())) {
+        this.send({
+          type: 'error',
+          message: `Failed to start recording: ${this.recorder.error.message}`
+        });
+      } else {
+        this.send({
+          type: 'update',
+          message: 'Started new recording session'
+        });
+      }
+    } else {
+      // Stop current recording
+      if (await this.recorder.stopRecording()) {
+        this.send({
+          type: 'update',
+          message: 'Recording stopped and saved'
+        });
+      }
+    }
+    this.sendStatus();
+  }
+
+  /**
+   * Execute a workflow, by default the HACK sequence (HELLO -> DUMP -> DUMP)
+   * Retryable failures (see the retry policy) reconnect and restart the
+   * sequence from HELLO with fresh nonces. Every attempt is reported to the
+   * client and written to the recording.
+   * @param {string} workflowName - Workflow to run (see WorkflowStore)
+   * @returns {Promise<Object>} - { overrideCode, error } where error is null on success
+   */
+  async executeHack(workflowName = WORKFLOW.DEFAULT) {
+    // Reset state
+    this.overrideCode = null;
+
+    let workflow;
+    try {
+      workflow = this.workflows.load(workflowName);
+    } catch (error) {
+      logger.error(`Workflow error: ${error.message}`);
+      this.send({
+        type: 'error',
+        message: `Workflow error: ${error.message}`
+      });
+      return { overrideCode: null, error };
+    }
+
+    // Send status update
+    this.send({
+      type: 'status',
+      connected: false,
+      recording: this.recorder.isRecording(),
+      overrideCode: null,
+      message: workflow.name === WORKFLOW.DEFAULT
+        ? 'Starting hack sequence...'
+        : `Starting workflow ${workflow.name}...`
+    });
+
+    const policy = createRetryPolicy(this.config.retry);
+    let connected = false;
+
+    try {
+      await withRetry(async () => {
+        connected = false;
+        await this.connectToServer();
+        connected = true;
+
+        await runWorkflow(this.client, workflow, {
+          onUpdate: (message) => {
+            this.send({ type: 'update', message });
+          },
+          onResult: (overrideCode) => {
+            this.overrideCode = overrideCode;
+            this.send({
+              type: 'success',
+              message: 'Override code retrieved successfully!',
+              overrideCode
+            });
+          }
+        });
+      }, policy, {
+        onAttempt: (attempt) => this.reportAttemptStart(attempt, policy),
+        onAttemptEnd: (attempt, error, retryDelay) => {
+          this.closeConnection();
+          this.reportAttemptEnd(attempt, policy, error, retryDelay);
+        },
+        // Never repeat a sequence that already produced the code
+        canRetry: () => this.overrideCode === null && !this.closed
+      });
+
+      // Workflows without a result report success once every step passed
+      if (!workflow.result) {
+        this.send({
+          type: 'success',
+          message: `Workflow ${workflow.name} completed successfully`
+        });
+      }
+      return { overrideCode: this.overrideCode, error: null };
+    } catch (error) {
+      if (connected) {
+        logger.error(`Command sequence failed: ${error.message}`);
+        this.send({
+          type: 'error',
+          message: `Hack failed: ${error.message}`
+        });
+      } else {
+        logger.error(`Connection failed: ${error.message}`);
+        this.send({
+          type: 'error',
+          message: `Connection failed: ${error.message}. Please try again later.`
+        });
+      }
+      return { overrideCode: this.overrideCode, error };
+    } finally {
+      // Always close connection and update client regardless of outcome
+      this.closeConnection();
+      this.sendStatus();
+    }
+  }
+
+  /**
+   * Report the start of a hack attempt
+   * @param {number} attempt - Attempt number (1 = first)
+   * @param {Object} policy - Retry policy
+   */
+  reportAttemptStart(attempt, policy) {
+    this.send({
+      type: 'attempt',
+      attempt,
+      maxAttempts: policy.maxAttempts,
+      message: attempt === 1
+        ? `Attempt 1 of ${policy.maxAttempts}...`
+        : `Attempt ${attempt} of ${policy.maxAttempts}: reconnecting and restarting from HELLO...`
+    });
+  }
+
+  /**
+   * Report the end of a hack attempt and write it to the recording
+   * @param {number} attempt - Attempt number (1 = first)
+   * @param {Object} policy - Retry policy
+   * @param {Error} error - Error that ended the attempt (null on success)
+   * @param {number} retryDelay - Delay before the next attempt (null if none follows)
+   */
+  reportAttemptEnd(attempt, policy, error, retryDelay) {
+    this.recorder.recordAttempt({
+      attempt,
+      maxAttempts: policy.maxAttempts,
+      error,
+      retryDelay
+    });
+
+    if (error && retryDelay !== null) {
+      logger.warn(`Attempt ${attempt} failed (${error.code}), retrying in ${retryDelay} ms`);
+      this.send({
+        type: 'attempt',
+        attempt,
+        maxAttempts: policy.maxAttempts,
+        error: error.message,
+        code: error.code,
+        retryDelay,
+        message: `Attempt ${attempt} of ${policy.maxAttempts} failed: ${error.message}. Retrying in ${retryDelay} ms...`
+      });
+    }
+  }
+
+  /**
+   * Open a new client connection to the MiniTel-Lite server
+   * @returns {Promise} - Resolves when connected
+   */
+  async connectToServer() {
+    if (this.closed) {
+      throw new Error('Client disconnected');
+    }
+
+    // Close existing connection if any
+    this.closeConnection();
+
+    const { host, port } = this.config.server;
+
+    this.client = new MiniTelClient({
+      host,
+      port,
+      idleTimeout: this.config.timeouts.idle,
+      responseTimeout: this.config.timeouts.response,
+      maxBufferSize: this.config.framing && this.config.framing.maxBufferSize,
+      recorder: this.recorder,
+      enforceProtocol: true
+    });
+
+    // Report every command sent to the UI
+    this.client.on('frameSent', (decodedFrame) => {
+      this.send({
+        type: 'update',
+        message: `Sent ${decodedFrame.cmdName} command`
+      });
+    });
+
+    this.send({
+      type: 'update',
+      message: `Connecting to ${host}:${port}...`
+    });
+
+    await this.client.connect();
+  }
+
+  /**
+   * Close the server connection
+   */
+  closeConnection() {
+    if (this.client) {
+      this.client.removeAllListeners();
+      this.client.close();
+      this.client = null;
+    }
+  }
+}
+
+module.exports = ProxySession;
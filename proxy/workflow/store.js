@@ -0,0 +1,92 @@
+/**
+ * MiniTel-Lite Workflow Store
+ * Lists and loads workflow definitions (.json, .yaml, .yml) in WORKFLOWS_DIR
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseWorkflow } = require('./workflow');
+const { WORKFLOW } = require('../protocol/constants');
+
+// Workflow names: the file name without its extension
+const WORKFLOW_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+
+// File extension -> parser format, in lookup order
+const WORKFLOW_FORMATS = {
+  '.json': 'json',
+  '.yaml': 'yaml',
+  '.yml': 'yaml'
+};
+
+/**
+ * Create an error carrying a Node-style code
+ * @param {string} message - Error message
+ * @param {string} code - Error code (ENOENT, EINVAL)
+ * @returns {Error} - Error with a `code` property
+ */
+function storeError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class WorkflowStore {
+  /**
+   * @param {string} dir - Workflows directory
+   */
+  constructor(dir = WORKFLOW.DIR) {
+    this.dir = dir;
+  }
+
+  /**
+   * List workflows, sorted by name
+   * Invalid definitions are listed with an `error` so they can be fixed.
+   * @returns {Object[]} - { name, description, result, step_count } or { name, error }
+   */
+  list() {
+    if (!fs.existsSync(this.dir)) {
+      return [];
+    }
+
+    const names = new Set(fs.readdirSync(this.dir)
+      .filter((file) => WORKFLOW_FORMATS[path.extname(file)])
+      .map((file) => path.basename(file, path.extname(file)))
+      .filter((name) => WORKFLOW_NAME_PATTERN.test(name)));
+
+    return [...names].sort().map((name) => {
+      try {
+        const workflow = this.load(name);
+        return {
+          name,
+          description: workflow.description,
+          result: workflow.result,
+          step_count: workflow.steps.length
+        };
+      } catch (error) {
+        return { name, error: error.message };
+      }
+    });
+  }
+
+  /**
+   * Load and validate a workflow
+   * @param {string} name - Workflow name
+   * @returns {Object} - Normalized workflow
+   */
+  load(name) {
+    if (typeof name !== 'string' || !WORKFLOW_NAME_PATTERN.test(name)) {
+      throw storeError(`Invalid workflow name: ${name}`, 'EINVAL');
+    }
+
+    const extension = Object.keys(WORKFLOW_FORMATS)
+      .find((ext) => fs.existsSync(path.join(this.dir, name + ext)));
+    if (!extension) {
+      throw storeError(`Unknown workflow: ${name}`, 'ENOENT');
+    }
+
+    const text = fs.readFileSync(path.join(this.dir, name + extension), 'utf8');
+    return parseWorkflow(text, WORKFLOW_FORMATS[extension], name);
+  }
+}
+
+module.exports = WorkflowStore;
@@ -0,0 +1,241 @@
+/**
+ * MiniTel-Lite Workflows
+ * Validates and runs command sequences defined as data (JSON or YAML)
+ *
+ * A workflow file looks like:
+ *
+ *   description: Retrieve the override code
+ *   result: overrideCode
+ *   steps:
+ *     - command: HELLO
+ *       expect: HELLO_ACK
+ *     - command: DUMP
+ *       expect: [DUMP_OK]
+ *       on_mismatch: repeat
+ *       max_repeats: 1
+ *       capture: overrideCode
+ *
+ * Step fields:
+ * - command: command name (HELLO, DUMP, STOP_CMD, or any registered command)
+ * - payload: optional payload, matching the command's payload type
+ *   (a string for utf8 commands, any JSON value for json commands)
+ * - expect: expected response name, or a list of accepted names; for the
+ *   built-in commands, only responses the protocol state machine allows
+ * - on_mismatch: 'fail' (default), 'continue', or 'repeat' to send the
+ *   command again up to max_repeats times (default 1)
+ * - capture: name under which the response payload is stored (text is trimmed)
+ * - message: progress message reported before the command is sent
+ *
+ * `result` names the capture returned as the workflow result.
+ */
+
+const yaml = require('js-yaml');
+const { ERROR_CODES, clientError } = require('../client/client');
+const { defaultRegistry } = require('../protocol/registry');
+const { TRANSITIONS } = require('../protocol/state');
+
+// What a step can do when the response is not one of the expected codes
+const ON_MISMATCH = ['fail', 'continue', 'repeat'];
+
+// Capture names double as result keys
+const CAPTURE_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Create a workflow validation error
+ * @param {string} message - Error message
+ * @returns {Error} - Error with code EINVAL
+ */
+function workflowError(message) {
+  const error = new Error(message);
+  error.code = 'EINVAL';
+  return error;
+}
+
+/**
+ * Check that a name is registered for a direction
+ * @param {string} name - Command or response name
+ * @param {string} direction - 'client' or 'server'
+ * @returns {boolean} - True if registered
+ */
+function isRegistered(name, direction) {
+  const spec = defaultRegistry.byName(name);
+  return Boolean(spec) && spec.direction === direction;
+}
+
+/**
+ * Validate a single step and apply its defaults
+ * @param {Object} step - Step definition
+ * @param {number} index - Step index (for error messages)
+ * @returns {Object} - Normalized step
+ */
+function normalizeStep(step, index) {
+  const where = `step ${index + 1}`;
+
+  if (!step || typeof step !== 'object' || Array.isArray(step)) {
+    throw workflowError(`${where} must be an object`);
+  }
+  if (!isRegistered(step.command, 'client')) {
+    throw workflowError(`${where}: unknown command ${step.command}`);
+  }
+
+  const expect = Array.isArray(step.expect) ? step.expect : [step.expect];
+  if (expect.length === 0 || expect.some((name) => !isRegistered(name, 'server'))) {
+    const responses = defaultRegistry.list('server').map((spec) => spec.name);
+    throw workflowError(`${where}: expect must name response codes (${responses.join(', ')})`);
+  }
+
+  // A response the protocol state machine never allows for the command can never match
+  const rule = TRANSITIONS[step.command];
+  const impossible = rule ? expect.filter((name) => !Object.keys(rule.responses).includes(name)) : [];
+  if (impossible.length > 0) {
+    throw workflowError(`${where}: ${step.command} is never answered with ${impossible.join(' or ')} ` +
+      `(only ${Object.keys(rule.responses).join(' or ')})`);
+  }
+
+  const onMismatch = step.on_mismatch === undefined ? 'fail' : step.on_mismatch;
+  if (!ON_MISMATCH.includes(onMismatch)) {
+    throw workflowError(`${where}: on_mismatch must be one of ${ON_MISMATCH.join(', ')}`);
+  }
+
+  const maxRepeats = step.max_repeats === undefined ? 1 : step.max_repeats;
+  if (!Number.isInteger(maxRepeats) || maxRepeats < 1) {
+    throw workflowError(`${where}: max_repeats must be a positive integer`);
+  }
+
+  const code = defaultRegistry.byName(step.command).code;
+  const payload = step.payload === undefined ? '' : step.payload;
+  try {
+    defaultRegistry.encodePayload(code, payload);
+  } catch (error) {
+    throw workflowError(`${where}: ${error.message}`);
+  }
+
+  if (step.capture !== undefined && !CAPTURE_NAME_PATTERN.test(step.capture)) {
+    throw workflowError(`${where}: invalid capture name ${step.capture}`);
+  }
+  if (step.message !== undefined && typeof step.message !== 'string') {
+    throw workflowError(`${where}: message must be a string`);
+  }
+
+  return {
+    command: step.command,
+    code,
+    payload,
+    expect,
+    onMismatch,
+    maxRepeats,
+    capture: step.capture || null,
+    message: step.message || null
+  };
+}
+
+/**
+ * Validate a workflow definition and apply defaults
+ * @param {Object} definition - Parsed workflow file
+ * @param {string} name - Workflow name
+ * @returns {Object} - Normalized workflow { name, description, result, steps }
+ */
+function normalizeWorkflow(definition, name) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw workflowError(`Workflow ${name} must be an object`);
+  }
+  if (!Array.isArray(definition.steps) || definition.steps.length === 0) {
+    throw workflowError(`Workflow ${name} must have at least one step`);
+  }
+
+  let steps;
+  try {
+    steps = definition.steps.map(normalizeStep);
+  } catch (error) {
+    throw workflowError(`Workflow ${name}, ${error.message}`);
+  }
+
+  const result = definition.result || null;
+  if (result && !steps.some((step) => step.capture === result)) {
+    throw workflowError(`Workflow ${name}: result ${result} is not captured by any step`);
+  }
+
+  return {
+    name,
+    description: typeof definition.description === 'string' ? definition.description : '',
+    result,
+    steps
+  };
+}
+
+/**
+ * Parse and validate a workflow file's contents
+ * @param {string} text - File contents
+ * @param {string} format - 'json' or 'yaml'
+ * @param {string} name - Workflow name
+ * @returns {Object} - Normalized workflow
+ */
+function parseWorkflow(text, format, name) {
+  let definition;
+  try {
+    definition = format === 'json' ? JSON.parse(text) : yaml.load(text);
+  } catch (error) {
+    throw workflowError(`Workflow ${name} is not valid ${format.toUpperCase()}: ${error.message}`);
+  }
+  return normalizeWorkflow(definition, name);
+}
+
+/**
+ * Run a workflow on a connected client
+ * @param {MiniTelClient} client - Connected client
+ * @param {Object} workflow - Normalized workflow
+ * @param {Object} hooks - Progress callbacks
+ * @param {Function} hooks.onUpdate - Called with a progress message
+ * @param {Function} hooks.onCapture - Called with (name, value) for each captured payload
+ * @param {Function} hooks.onResult - Called with the result as soon as it is captured
+ * @returns {Promise<Object>} - { result, captures }
+ */
+async function runWorkflow(client, workflow, hooks = {}) {
+  const onUpdate = hooks.onUpdate || (() => {});
+  const onCapture = hooks.onCapture || (() => {});
+  const onResult = hooks.onResult || (() => {});
+  const captures = {};
+
+  for (const step of workflow.steps) {
+    if (step.message) {
+      onUpdate(step.message);
+    }
+
+    let response = await client.sendCommand(step.code, step.payload);
+    for (let repeats = 0; !step.expect.includes(response.cmdName) && step.onMismatch === 'repeat' &&
+      repeats < step.maxRepeats; repeats++) {
+      onUpdate(`Got ${response.cmdName}, sending ${step.command} again...`);
+      response = await client.sendCommand(step.code, step.payload);
+    }
+
+    if (!step.expect.includes(response.cmdName)) {
+      if (step.onMismatch === 'continue') {
+        continue;
+      }
+      throw clientError(
+        `Expected ${step.expect.join(' or ')}, got ${response.cmdName}`,
+        ERROR_CODES.UNEXPECTED_RESPONSE
+      );
+    }
+
+    if (step.capture) {
+      const value = typeof response.payload === 'string' ? response.payload.trim() : response.payload;
+      captures[step.capture] = value;
+      onCapture(step.capture, value);
+      if (step.capture === workflow.result) {
+        onResult(value);
+      }
+    }
+  }
+
+  return {
+    result: workflow.result ? captures[workflow.result] : null,
+    captures
+  };
+}
+
+module.exports = {
+  normalizeWorkflow,
+  parseWorkflow,
+  runWorkflow
+};
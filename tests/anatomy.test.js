@@ -0,0 +1,123 @@
+/**
+ * MiniTel-Lite Frame Anatomy Tests
+ * Tests taking raw frames apart field by field and the expected nonce sequence
+ */
+
+const chai = require('chai');
+const expect = chai.expect;
+const crypto = require('crypto');
+const { encodeFrame } = require('../proxy/protocol/encoder');
+const { COMMANDS, RESPONSES } = require('../proxy/protocol/constants');
+const { frameAnatomy, fieldDump, expectedNonces } = require('../proxy/protocol/anatomy');
+
+describe('MiniTel-Lite Frame Anatomy', () => {
+  /**
+   * Replace the Base64 data of a frame, keeping its length prefix consistent
+   * @param {Buffer} binary - Decoded frame bytes
+   * @returns {Buffer} - Raw frame
+   */
+  function rawFrame(binary) {
+    const base64 = binary.toString('base64');
+    const raw = Buffer.alloc(2 + base64.length);
+    raw.writeUInt16BE(base64.length, 0);
+    raw.write(base64, 2);
+    return raw;
+  }
+  
+  /**
+   * Build a recorded step
+   * @param {number} number - Step number
+   * @param {string} direction - client or server
+   * @param {string} cmd - Command name
+   * @param {number|null} nonce - Recorded nonce
+   * @returns {Object} - Step
+   */
+  function step(number, direction, cmd, nonce) {
+    return { step: number, direction, decoded: { cmd, nonce }, valid: nonce !== null };
+  }
+  
+  describe('Fields', () => {
+    it('should locate every field of a valid frame', () => {
+      const anatomy = frameAnatomy(encodeFrame(RESPONSES.DUMP_OK, 42, 'ABC'));
+      
+      expect(anatomy.errors).to.be.empty;
+      expect(anatomy.lengthPrefix).to.equal(anatomy.base64Length);
+      expect(anatomy.cmd).to.equal(RESPONSES.DUMP_OK);
+      expect(anatomy.nonce).to.equal(42);
+      expect(anatomy.fields).to.deep.equal([
+        { name: 'cmd', offset: 0, length: 1 },
+        { name: 'nonce', offset: 1, length: 4 },
+        { name: 'payload', offset: 5, length: 3 },
+        { name: 'hash', offset: 8, length: 32 }
+      ]);
+      expect(anatomy.frame.subarray(5, 8).toString()).to.equal('ABC');
+      expect(anatomy.hash.valid).to.be.true;
+      expect(anatomy.hash.computed).to.equal(anatomy.hash.stored);
+    });
+    
+    it('should recompute the hash and flag a mismatch', () => {
+      const binary = Buffer.from(frameAnatomy(encodeFrame(RESPONSES.DUMP_OK, 3, 'SECRET')).frame);
+      binary[6] ^= 0xff;
+      
+      const anatomy = frameAnatomy(rawFrame(binary));
+      expect(anatomy.hash.valid).to.be.false;
+      expect(anatomy.hash.computed).to.equal(crypto.createHash('sha256').update(binary.subarray(0, binary.length - 32)).digest('hex'));
+      expect(anatomy.hash.stored).to.equal(binary.subarray(binary.length - 32).toString('hex'));
+      expect(anatomy.errors).to.deep.equal(['Hash mismatch: SHA-256(CMD + NONCE + PAYLOAD) differs from the stored hash']);
+    });
+    
+    it('should report a wrong length prefix and a truncated frame', () => {
+      const raw = encodeFrame(COMMANDS.HELLO, 0, '');
+      raw.writeUInt16BE(1000, 0);
+      
+      expect(frameAnatomy(raw).errors[0]).to.match(/Length prefix says 1000 Base64 bytes, frame has \d+/);
+      
+      const short = frameAnatomy(rawFrame(Buffer.from([1, 0, 0, 0, 0])));
+      expect(short.fields).to.be.empty;
+      expect(short.hash).to.be.null;
+      expect(short.errors).to.deep.equal(['Decoded frame too short (5 bytes, minimum 37)']);
+    });
+    
+    it('should tag every dumped byte with its field', () => {
+      const anatomy = frameAnatomy(encodeFrame(RESPONSES.DUMP_OK, 1, 'ABC'));
+      const lines = fieldDump(anatomy.frame, anatomy.fields);
+      
+      expect(lines.map((line) => line.offset)).to.deep.equal([0, 16, 32]);
+      const fields = lines.flatMap((line) => line.cells.map((cell) => cell.field));
+      expect(fields.slice(0, 9)).to.deep.equal(['cmd', 'nonce', 'nonce', 'nonce', 'nonce', 'payload', 'payload', 'payload', 'hash']);
+      expect(fields).to.have.lengthOf(40);
+      expect(lines[0].cells[0].byte).to.equal(RESPONSES.DUMP_OK);
+    });
+  });
+  
+  describe('Expected nonces', () => {
+    it('should follow the client and server nonce rules', () => {
+      const steps = [
+        step(1, 'client', 'HELLO', 0),
+        step(2, 'server', 'HELLO_ACK', 1),
+        step(3, 'client', 'DUMP', 2),
+        step(4, 'server', 'DUMP_FAILED', 7),
+        step(5, 'client', 'DUMP', 8)
+      ];
+      
+      expect(expectedNonces({ steps })).to.deep.equal([0, 1, 2, 3, 8]);
+    });
+    
+    it('should restart at every attempt and HELLO, and skip unanswerable steps', () => {
+      const steps = [
+        step(1, 'client', 'HELLO', 0),
+        step(2, 'server', null, null),
+        step(3, 'client', 'HELLO', 0),
+        step(4, 'server', 'HELLO_ACK', 1),
+        step(5, 'server', 'HELLO_ACK', 3),
+        step(6, 'client', 'DUMP', 2)
+      ];
+      const attempts = [
+        { attempt: 1, first_step: 1, last_step: 2 },
+        { attempt: 2, first_step: 3, last_step: 6 }
+      ];
+      
+      expect(expectedNonces({ steps, attempts })).to.deep.equal([0, 1, 0, 1, null, 4]);
+    });
+  });
+});
@@ -0,0 +1,385 @@
+/**
+ * MiniTel-Lite REST API Tests
+ * Drives the proxy's HTTP endpoints against the mock server
+ */
+
+const chai = require('chai');
+const expect = chai.expect;
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const mockServer = require('./mock-server');
+const { createProxyServer } = require('../proxy/proxy');
+const { readSessionFile } = require('../proxy/recorder/reader');
+const SessionRecorder = require('../proxy/recorder/recorder');
+const { createRedactionPolicy } = require('../proxy/recorder/redaction');
+const { encodeFrame } = require('../proxy/protocol/encoder');
+const { decodeFrame } = require('../proxy/protocol/decoder');
+const { RESPONSES, RECORDING } = require('../proxy/protocol/constants');
+
+describe('MiniTel-Lite REST API', function() {
+  // Increase timeout for integration tests
+  this.timeout(10000);
+  
+  const TEST_PORT = 7326;
+  let proxy;
+  let proxyPort;
+  let recordingsDir;
+  
+  before(async () => {
+    // Start the mock server
+    mockServer.start(TEST_PORT);
+  });
+  
+  after(async () => {
+    // Stop the mock server
+    await mockServer.stop();
+  });
+  
+  /**
+   * Start a proxy pointing at the given server port
+   * @param {number} serverPort - MiniTel-Lite server port
+   */
+  async function startProxy(serverPort) {
+    proxy = createProxyServer({
+      server: { host: 'localhost', port: serverPort },
+      timeouts: { idle: 2000, response: 2000 },
+      proxy: { port: 0 },
+      recordings: { dir: recordingsDir },
+      logging: { level: 'error' }
+    });
+    
+    await new Promise((resolve) => proxy.server.listen(0, resolve));
+    proxyPort = proxy.server.address().port;
+  }
+  
+  beforeEach(async () => {
+    recordingsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'minitel-recordings-'));
+    await startProxy(TEST_PORT);
+  });
+  
+  afterEach(async () => {
+    await new Promise((resolve) => proxy.server.close(resolve));
+    fs.rmSync(recordingsDir, { recursive: true, force: true });
+  });
+  
+  /**
+   * Send an HTTP request to the proxy
+   * @param {string} method - HTTP method
+   * @param {string} urlPath - Request path
+   * @param {Object|string} body - JSON body (objects are serialized)
+   * @param {Object} headers - Extra request headers
+   * @returns {Promise<Object>} - { status, headers, body } (body is a Buffer for non-JSON responses)
+   */
+  function request(method, urlPath, body, headers = {}) {
+    return new Promise((resolve, reject) => {
+      const payload = body === undefined ? null : (typeof body === 'string' ? body : JSON.stringify(body));
+      const req = http.request({
+        host: 'localhost',
+        port: proxyPort,
+        method,
+        path: urlPath,
+        headers: Object.assign(payload ? { 'Content-Type': 'application/json' } : {}, headers)
+      }, (res) => {
+        const chunks = [];
+        res.on('data', (chunk) => { chunks.push(chunk); });
+        res.on('end', () => {
+          const data = Buffer.concat(chunks);
+          const isJson = /json/.test(res.headers['content-type']);
+          resolve({ status: res.statusCode, headers: res.headers, body: isJson ? JSON.parse(data) : data });
+        });
+      });
+      req.on('error', reject);
+      if (payload) {
+        req.write(payload);
+      }
+      req.end();
+    });
+  }
+  
+  it('should run a synchronous hack', async () => {
+    const response = await request('POST', '/api/hack');
+    
+    expect(response.status).to.equal(200);
+    expect(response.body).to.deep.equal({
+      type: 'success',
+      message: 'Override code retrieved successfully!',
+      overrideCode: 'CPE1704TKS'
+    });
+  });
+  
+  it('should run an asynchronous hack that can be polled', async () => {
+    const started = await request('POST', '/api/hack', { async: true });
+    
+    expect(started.status).to.equal(202);
+    expect(started.body.state).to.equal('running');
+    expect(started.headers.location).to.equal(`/api/hack/${started.body.id}`);
+    
+    // Poll until the job finishes
+    let job;
+    for (let attempt = 0; attempt < 50; attempt++) {
+      job = (await request('GET', started.headers.location)).body;
+      if (job.state !== 'running') break;
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    
+    expect(job.state).to.equal('succeeded');
+    expect(job.result.overrideCode).to.equal('CPE1704TKS');
+    expect(job.messages.map((message) => message.type)).to.include('update');
+  });
+  
+  it('should run a named workflow', async () => {
+    const response = await request('POST', '/api/hack', { workflow: 'handshake' });
+    
+    expect(response.status).to.equal(200);
+    expect(response.body).to.deep.equal({
+      type: 'success',
+      message: 'Workflow handshake completed successfully',
+      overrideCode: null
+    });
+  });
+  
+  it('should reject an unknown workflow before connecting', async () => {
+    const response = await request('POST', '/api/hack', { workflow: 'missing' });
+    
+    expect(response.status).to.equal(404);
+    expect(response.body.message).to.equal('Unknown workflow: missing');
+  });
+  
+  it('should list the available workflows', async () => {
+    const response = await request('GET', '/api/workflows');
+    
+    expect(response.status).to.equal(200);
+    expect(response.body.workflows.map((workflow) => workflow.name)).to.deep.equal(['hack', 'handshake']);
+    expect(response.body.workflows[0]).to.include({ result: 'overrideCode', step_count: 4 });
+  });
+  
+  it('should return 404 for an unknown hack job', async () => {
+    const response = await request('GET', '/api/hack/does-not-exist');
+    
+    expect(response.status).to.equal(404);
+    expect(response.body.type).to.equal('error');
+  });
+  
+  it('should report the proxy status', async () => {
+    await request('POST', '/api/hack');
+    const response = await request('GET', '/api/status');
+    
+    expect(response.status).to.equal(200);
+    expect(response.body).to.deep.equal({
+      type: 'status',
+      connected: false,
+      recording: false,
+      overrideCode: 'CPE1704TKS',
+      running: 0
+    });
+  });
+  
+  it('should record API-driven hacks between start and stop', async () => {
+    const started = await request('POST', '/api/recording/start');
+    expect(started.status).to.equal(200);
+    expect(started.body.recording).to.be.true;
+    
+    await request('POST', '/api/hack');
+    
+    const stopped = await request('POST', '/api/recording/stop');
+    expect(stopped.status).to.equal(200);
+    expect(stopped.body.recording).to.be.false;
+    
+    const [file] = fs.readdirSync(recordingsDir);
+    const session = readSessionFile(path.join(recordingsDir, file));
+    expect(session.steps).to.have.lengthOf(8);
+  });
+  
+  it('should return 409 when stopping a recording that is not running', async () => {
+    const response = await request('POST', '/api/recording/stop');
+    
+    expect(response.status).to.equal(409);
+    expect(response.body).to.deep.equal({ type: 'error', message: 'Not recording' });
+  });
+  
+  it('should return 500 when the recording cannot be created', async () => {
+    // A regular file where the recordings directory should be
+    await new Promise((resolve) => proxy.server.close(resolve));
+    fs.rmSync(recordingsDir, { recursive: true, force: true });
+    fs.writeFileSync(recordingsDir, '');
+    await startProxy(TEST_PORT);
+    
+    const response = await request('POST', '/api/recording/start');
+    
+    expect(response.status).to.equal(500);
+    expect(response.body.type).to.equal('error');
+    expect(response.body.message).to.match(/^Failed to start recording: /);
+    
+    const status = await request('GET', '/api/status');
+    expect(status.body.recording).to.be.false;
+  });
+  
+  it('should return 502 when the server is unreachable', async () => {
+    // Point a fresh proxy at a port with nothing listening on it
+    await new Promise((resolve) => proxy.server.close(resolve));
+    await startProxy(1);
+    
+    const response = await request('POST', '/api/hack');
+    
+    expect(response.status).to.equal(502);
+    expect(response.body.type).to.equal('error');
+  });
+  
+  it('should return 400 for a malformed JSON body', async () => {
+    const response = await request('POST', '/api/hack', '{not json');
+    
+    expect(response.status).to.equal(400);
+    expect(response.body.type).to.equal('error');
+  });
+  
+  describe('Recordings', () => {
+    let recordingName;
+    
+    beforeEach(async () => {
+      // Capture one successful session
+      await request('POST', '/api/recording/start');
+      await request('POST', '/api/hack');
+      await request('POST', '/api/recording/stop');
+      [recordingName] = fs.readdirSync(recordingsDir);
+    });
+    
+    it('should list recordings with metadata', async () => {
+      const response = await request('GET', '/api/recordings');
+      
+      expect(response.status).to.equal(200);
+      expect(response.body.recordings).to.have.lengthOf(1);
+      
+      const [recording] = response.body.recordings;
+      expect(recording.name).to.equal(recordingName);
+      expect(recording.step_count).to.equal(8);
+      expect(recording.success).to.be.true;
+      expect(recording.recording).to.be.false;
+      expect(recording.tags).to.deep.equal([]);
+      expect(new Date(recording.end_time) >= new Date(recording.start_time)).to.be.true;
+    });
+    
+    it('should download a recording as an attachment', async () => {
+      const response = await request('GET', `/api/recordings/${recordingName}`);
+      
+      expect(response.status).to.equal(200);
+      expect(response.headers['content-disposition'])
+        .to.include(`attachment; filename="${recordingName.replace(/\.jsonl$/, '.json')}"`);
+      expect(response.body.steps).to.have.lengthOf(8);
+    });
+    
+    it('should export a recording as a capture file', async () => {
+      const pcap = await request('GET', `/api/recordings/${recordingName}/pcap`);
+      
+      expect(pcap.status).to.equal(200);
+      expect(pcap.headers['content-type']).to.equal('application/vnd.tcpdump.pcap');
+      expect(pcap.headers['content-disposition']).to.include(`${recordingName.replace(/\.jsonl$/, '')}.pcap`);
+      expect(pcap.body.readUInt32LE(0)).to.equal(0xa1b2c3d4);
+      
+      const pcapng = await request('GET', `/api/recordings/${recordingName}/pcap?format=pcapng`);
+      expect(pcapng.body.readUInt32LE(0)).to.equal(0x0a0d0d0a);
+      
+      const invalid = await request('GET', `/api/recordings/${recordingName}/pcap?format=erf`);
+      expect(invalid.status).to.equal(400);
+      expect(invalid.body.message).to.include('Invalid capture format');
+    });
+    
+    it('should keep encrypted steps sealed unless the caller sends the key', async () => {
+      const key = crypto.randomBytes(32).toString('hex');
+      const frame = encodeFrame(RESPONSES.DUMP_OK, 1, 'CPE1704TKS');
+      const recorder = new SessionRecorder({
+        dir: recordingsDir,
+        serverHost: 'localhost',
+        serverPort: TEST_PORT,
+        logger: { info: () => {}, error: () => {} },
+        redaction: createRedactionPolicy({ codes: ['DUMP_OK'], key })
+      });
+      await recorder.startRecording();
+      const name = path.basename(recorder.recordingFile);
+      recorder.recordResponse(frame, decodeFrame(frame));
+      await recorder.stopRecording();
+      
+      // The server's own key must not decrypt recordings for anonymous callers
+      const serverKey = RECORDING.ENCRYPTION_KEY;
+      RECORDING.ENCRYPTION_KEY = key;
+      try {
+        const sealed = await request('GET', `/api/recordings/${name}`);
+        expect(sealed.status).to.equal(200);
+        expect(sealed.body.steps[0].redacted).to.deep.equal(['payload', 'frame']);
+        expect(JSON.stringify(sealed.body)).to.not.include('CPE1704TKS');
+        
+        const capture = await request('GET', `/api/recordings/${name}/pcap`);
+        expect(capture.status).to.equal(200);
+        expect(capture.body.includes(frame)).to.be.false;
+        
+        const opened = await request('GET', `/api/recordings/${name}`, undefined, { 'X-Recording-Key': key });
+        expect(opened.body.steps[0].decoded.payload).to.equal('CPE1704TKS');
+        expect(opened.body.redaction.decrypted).to.be.true;
+        
+        const wrong = await request('GET', `/api/recordings/${name}/pcap`, undefined,
+          { 'X-Recording-Key': crypto.randomBytes(32).toString('hex') });
+        expect(wrong.status).to.equal(400);
+        expect(wrong.body.message).to.include('Cannot decrypt recording');
+      } finally {
+        RECORDING.ENCRYPTION_KEY = serverKey;
+      }
+    });
+    
+    it('should rename and tag a recording', async () => {
+      const response = await request('PATCH', `/api/recordings/${recordingName}`, {
+        name: 'known-good',
+        tags: ['baseline', ' prod ', 'baseline']
+      });
+      
+      expect(response.status).to.equal(200);
+      expect(response.body.name).to.equal('known-good.jsonl');
+      expect(response.body.tags).to.deep.equal(['baseline', 'prod']);
+      expect(fs.readdirSync(recordingsDir)).to.deep.equal(['known-good.jsonl']);
+      expect(readSessionFile(path.join(recordingsDir, 'known-good.jsonl')).tags).to.deep.equal(['baseline', 'prod']);
+    });
+    
+    it('should refuse to overwrite another recording when renaming', async () => {
+      fs.writeFileSync(path.join(recordingsDir, 'other.jsonl'), '{"type":"header"}\n');
+      
+      const response = await request('PATCH', `/api/recordings/${recordingName}`, { name: 'other' });
+      
+      expect(response.status).to.equal(409);
+      expect(response.body.type).to.equal('error');
+    });
+    
+    it('should delete a recording', async () => {
+      const response = await request('DELETE', `/api/recordings/${recordingName}`);
+      
+      expect(response.status).to.equal(200);
+      expect(response.body.type).to.equal('update');
+      expect(fs.readdirSync(recordingsDir)).to.deep.equal([]);
+    });
+    
+    it('should return 404 for an unknown recording', async () => {
+      const response = await request('GET', '/api/recordings/missing.json');
+      
+      expect(response.status).to.equal(404);
+      expect(response.body.type).to.equal('error');
+    });
+    
+    it('should reject names outside the recordings directory', async () => {
+      const response = await request('DELETE', '/api/recordings/..%2F..%2Fpackage.json');
+      
+      expect(response.status).to.equal(400);
+      expect(response.body.type).to.equal('error');
+    });
+    
+    it('should not modify a recording that is still in progress', async () => {
+      await request('POST', '/api/recording/start');
+      const list = (await request('GET', '/api/recordings')).body.recordings;
+      const active = list.find((recording) => recording.recording);
+      
+      const response = await request('DELETE', `/api/recordings/${active.name}`);
+      await request('POST', '/api/recording/stop');
+      
+      expect(response.status).to.equal(409);
+    });
+  });
+});
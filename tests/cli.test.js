@@ -0,0 +1,336 @@
+/**
+ * MiniTel-Lite CLI Tests
+ * Runs the `minitel` command against the mock server
+ */
+
+const chai = require('chai');
+const expect = chai.expect;
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const mockServer = require('./mock-server');
+const { encodeFrame } = require('../proxy/protocol/encoder');
+const { readSessionFile } = require('../proxy/recorder/reader');
+const { EXIT_CODES } = require('../cli/exit-codes');
+
+const CLI_PATH = path.join(__dirname, '../cli/minitel.js');
+const LINT_PATH = path.join(__dirname, '../cli/minitel-lint.js');
+
+describe('MiniTel-Lite CLI', function() {
+  // Increase timeout for integration tests
+  this.timeout(10000);
+  
+  const TEST_PORT = 7325;
+  let recordingsDir;
+  
+  before(async () => {
+    // Start the mock server
+    mockServer.start(TEST_PORT);
+  });
+  
+  after(async () => {
+    // Stop the mock server
+    await mockServer.stop();
+  });
+  
+  beforeEach(() => {
+    recordingsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'minitel-recordings-'));
+  });
+  
+  afterEach(() => {
+    fs.rmSync(recordingsDir, { recursive: true, force: true });
+  });
+  
+  /**
+   * Run the CLI with a complete test configuration
+   * @param {string[]} args - CLI arguments
+   * @param {Object} env - Extra environment variables
+   * @param {string} script - Entry point to run
+   * @returns {Promise<Object>} - { exitCode, stdout, stderr }
+   */
+  function runCli(args, env = {}, script = CLI_PATH) {
+    return new Promise((resolve) => {
+      execFile(process.execPath, [script, ...args], {
+        env: Object.assign({}, process.env, {
+          SERVER_HOST: 'localhost',
+          SERVER_PORT: String(TEST_PORT),
+          IDLE_TIMEOUT_MS: '2000',
+          RESPONSE_TIMEOUT_MS: '2000',
+          PROXY_PORT: '8080',
+          RECORDINGS_DIR: recordingsDir
+        }, env)
+      }, (error, stdout, stderr) => {
+        resolve({ exitCode: error ? error.code : 0, stdout, stderr });
+      });
+    });
+  }
+  
+  /**
+   * Start a TCP server with a custom connection handler
+   * @param {Function} handler - Connection handler
+   * @returns {Promise<net.Server>} - Listening server
+   */
+  async function startServer(handler) {
+    const server = net.createServer(handler);
+    await new Promise((resolve) => server.listen(0, resolve));
+    return server;
+  }
+  
+  it('should print only the override code to stdout', async () => {
+    const { exitCode, stdout, stderr } = await runCli(['hack']);
+    
+    expect(exitCode).to.equal(EXIT_CODES.SUCCESS);
+    expect(stdout).to.equal('CPE1704TKS\n');
+    expect(stderr).to.include('Sending HELLO command...');
+  });
+  
+  it('should print a structured result with --json', async () => {
+    const { exitCode, stdout } = await runCli(['hack', '--json']);
+    const result = JSON.parse(stdout);
+    
+    expect(exitCode).to.equal(EXIT_CODES.SUCCESS);
+    expect(result.success).to.be.true;
+    expect(result.overrideCode).to.equal('CPE1704TKS');
+    expect(result.server).to.deep.equal({ host: 'localhost', port: TEST_PORT });
+    expect(result.frames.map((frame) => frame.cmd)).to.deep.equal([
+      'HELLO', 'HELLO_ACK', 'DUMP', 'DUMP_FAILED', 'DUMP', 'DUMP_OK', 'STOP_CMD', 'STOP_OK'
+    ]);
+  });
+  
+  it('should let --host and --port override the environment', async () => {
+    const { exitCode, stdout } = await runCli(
+      ['hack', '--host', 'localhost', `--port=${TEST_PORT}`],
+      { SERVER_HOST: '', SERVER_PORT: '1' }
+    );
+    
+    expect(exitCode).to.equal(EXIT_CODES.SUCCESS);
+    expect(stdout).to.equal('CPE1704TKS\n');
+  });
+  
+  it('should run another workflow with --workflow', async () => {
+    const { exitCode, stdout } = await runCli(['hack', '--workflow', 'handshake', '--json']);
+    const result = JSON.parse(stdout);
+    
+    expect(exitCode).to.equal(EXIT_CODES.SUCCESS);
+    expect(result.workflow).to.equal('handshake');
+    expect(result.overrideCode).to.be.null;
+    expect(result.frames.map((frame) => frame.cmd)).to.deep.equal(['HELLO', 'HELLO_ACK', 'STOP_CMD', 'STOP_OK']);
+  });
+  
+  it('should reject an unknown workflow as a usage error', async () => {
+    const { exitCode, stderr } = await runCli(['hack', '--workflow', 'missing']);
+    
+    expect(exitCode).to.equal(EXIT_CODES.USAGE);
+    expect(stderr).to.include('Unknown workflow: missing');
+  });
+  
+  it('should record the session with --record', async () => {
+    const { exitCode, stdout } = await runCli(['hack', '--record', '--json']);
+    const result = JSON.parse(stdout);
+    
+    expect(exitCode).to.equal(EXIT_CODES.SUCCESS);
+    expect(fs.readdirSync(recordingsDir)).to.deep.equal([path.basename(result.recording)]);
+    
+    const session = readSessionFile(result.recording);
+    expect(session.steps).to.have.lengthOf(8);
+  });
+  
+  it('should exit with the connection failure code when the server is unreachable', async () => {
+    // Find a port with nothing listening on it
+    const server = await startServer(() => {});
+    const { port } = server.address();
+    await new Promise((resolve) => server.close(resolve));
+    
+    const { exitCode, stdout } = await runCli(['hack', '--port', String(port), '--json']);
+    
+    expect(exitCode).to.equal(EXIT_CODES.CONNECTION_FAILED);
+    expect(JSON.parse(stdout).error.code).to.equal('ECONNREFUSED');
+  });
+  
+  it('should exit with the protocol violation code on a tampered frame', async () => {
+    const server = await startServer((socket) => {
+      socket.once('data', () => {
+        const frame = encodeFrame(0x81, 1);
+        frame[10] = (frame[10] + 1) % 256;
+        socket.write(frame);
+      });
+    });
+    
+    try {
+      const { exitCode, stderr } = await runCli(['hack', '--port', String(server.address().port)]);
+      
+      expect(exitCode).to.equal(EXIT_CODES.PROTOCOL_VIOLATION);
+      expect(stderr).to.include('Invalid frame');
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+  
+  it('should exit with the timeout code when the server does not answer', async () => {
+    const server = await startServer((socket) => socket.resume());
+    
+    try {
+      const { exitCode, stdout } = await runCli(
+        ['hack', '--port', String(server.address().port)],
+        { RESPONSE_TIMEOUT_MS: '100' }
+      );
+      
+      expect(exitCode).to.equal(EXIT_CODES.TIMEOUT);
+      expect(stdout).to.equal('');
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+  
+  it('should re-drive a recording and report whether responses changed', async () => {
+    const recorded = JSON.parse((await runCli(['hack', '--record', '--json'])).stdout).recording;
+    
+    const same = await runCli(['redrive', recorded]);
+    expect(same.exitCode).to.equal(EXIT_CODES.SUCCESS);
+    expect(same.stdout).to.include('Result: all 4 exchanges match');
+    
+    // Pretend the server used to return a different code
+    const session = readSessionFile(recorded);
+    const dumpOk = session.steps.find((step) => step.decoded.cmd === 'DUMP_OK');
+    dumpOk.decoded.payload_bytes = Buffer.from('OLDCODE').toString(dumpOk.decoded.payload_encoding);
+    const edited = path.join(recordingsDir, 'edited.json');
+    fs.writeFileSync(edited, JSON.stringify(session));
+    
+    const changed = await runCli(['redrive', edited, '--json']);
+    expect(changed.exitCode).to.equal(EXIT_CODES.DIFFERENCES);
+    expect(JSON.parse(changed.stdout).same).to.be.false;
+  });
+  
+  it('should export a recording as a capture file', async () => {
+    const recorded = JSON.parse((await runCli(['hack', '--record', '--json'])).stdout).recording;
+    
+    const written = await runCli(['export', recorded, '--format', 'pcapng']);
+    expect(written.exitCode).to.equal(EXIT_CODES.SUCCESS);
+    const capture = fs.readFileSync(recorded.replace(/\.jsonl$/, '.pcapng'));
+    expect(capture.readUInt32LE(0)).to.equal(0x0a0d0d0a);
+    
+    const output = path.join(recordingsDir, 'capture.pcap');
+    expect((await runCli(['export', recorded, '-o', output])).exitCode).to.equal(EXIT_CODES.SUCCESS);
+    expect(fs.readFileSync(output).readUInt32LE(0)).to.equal(0xa1b2c3d4);
+    
+    const invalid = await runCli(['export', recorded, '--format', 'erf']);
+    expect(invalid.exitCode).to.equal(EXIT_CODES.USAGE);
+    expect(invalid.stderr).to.include('Invalid format: erf');
+  });
+  
+  it('should migrate old recordings in place', async () => {
+    const recorded = JSON.parse((await runCli(['hack', '--record', '--json'])).stdout).recording;
+    const legacyPath = path.join(recordingsDir, 'legacy.json');
+    const legacy = readSessionFile(recorded);
+    delete legacy.format_version;
+    legacy.steps.forEach((step) => {
+      step.decoded = { cmd: step.decoded.cmd, nonce: step.decoded.nonce, payload: step.decoded.payload };
+    });
+    fs.writeFileSync(legacyPath, JSON.stringify(legacy));
+    fs.writeFileSync(path.join(recordingsDir, 'broken.json'), '{"steps": [');
+    
+    const dryRun = await runCli(['migrate', recordingsDir, '--dry-run']);
+    expect(dryRun.exitCode).to.equal(EXIT_CODES.ERROR);
+    expect(dryRun.stdout).to.include(`${legacyPath}: would upgrade from version 1 to 2`);
+    expect(dryRun.stdout).to.include(`${recorded}: already at version 2`);
+    expect(dryRun.stdout).to.include('broken.json: FAILED: Session file is not valid JSON');
+    expect(JSON.parse(fs.readFileSync(legacyPath, 'utf8'))).to.not.have.property('format_version');
+    
+    const migrated = await runCli(['migrate', legacyPath, '--backup']);
+    expect(migrated.exitCode).to.equal(EXIT_CODES.SUCCESS);
+    expect(migrated.stdout).to.include('1 files, 1 upgraded, 0 failed');
+    expect(JSON.parse(fs.readFileSync(`${legacyPath}.v1.bak`, 'utf8'))).to.deep.equal(legacy);
+    
+    const upgraded = JSON.parse(fs.readFileSync(legacyPath, 'utf8'));
+    expect(upgraded.format_version).to.equal(2);
+    expect(upgraded.steps).to.deep.equal(readSessionFile(recorded).steps);
+  });
+  
+  it('should apply retention limits with cleanup', async () => {
+    const recorded = JSON.parse((await runCli(['hack', '--record', '--json'])).stdout).recording;
+    const name = path.basename(recorded);
+    
+    const dryRun = await runCli(['cleanup', '--dry-run']);
+    expect(dryRun.exitCode).to.equal(EXIT_CODES.SUCCESS);
+    expect(dryRun.stdout).to.include(`${name}: would compress`);
+    expect(fs.existsSync(recorded)).to.be.true;
+    
+    const compressed = await runCli(['cleanup', '--dir', recordingsDir]);
+    expect(compressed.exitCode).to.equal(EXIT_CODES.SUCCESS);
+    expect(compressed.stdout).to.include('0 removed, 1 compressed, 1 kept');
+    expect(readSessionFile(`${recorded}.gz`).steps).to.have.lengthOf(8);
+    
+    const removed = await runCli(['cleanup', '--max-bytes', '1']);
+    expect(removed.stdout).to.include(`${name}.gz: removed (size,`);
+    expect(fs.readdirSync(recordingsDir)).to.be.empty;
+    
+    const invalid = await runCli(['cleanup', '--max-sessions', 'many']);
+    expect(invalid.exitCode).to.equal(EXIT_CODES.USAGE);
+    expect(invalid.stderr).to.include('Invalid maxSessions');
+  });
+  
+  it('should compare two recordings', async () => {
+    const recorded = JSON.parse((await runCli(['hack', '--record', '--json'])).stdout).recording;
+    
+    const same = await runCli(['compare', recorded, recorded]);
+    expect(same.exitCode).to.equal(EXIT_CODES.SUCCESS);
+    expect(same.stdout).to.include('Result: all 8 steps match');
+    
+    // Pretend the server returned a different code
+    const session = readSessionFile(recorded);
+    const dumpOk = session.steps.find((step) => step.decoded.cmd === 'DUMP_OK');
+    dumpOk.decoded.payload_bytes = Buffer.from('OTHERCODE').toString(dumpOk.decoded.payload_encoding);
+    const edited = path.join(recordingsDir, 'edited.json');
+    fs.writeFileSync(edited, JSON.stringify(session));
+    
+    const changed = await runCli(['compare', recorded, edited, '--ignore-timing']);
+    expect(changed.exitCode).to.equal(EXIT_CODES.DIFFERENCES);
+    expect(changed.stdout).to.match(/DUMP_OK .* DIFFERENT/);
+    expect(changed.stdout).to.include('payload:');
+    expect(changed.stdout).to.include('"OTHERCODE"');
+    
+    const json = JSON.parse((await runCli(['compare', recorded, edited, '--json'])).stdout);
+    expect(json.same).to.be.false;
+    expect(json.summary.different).to.equal(1);
+    
+    const missing = await runCli(['compare', recorded, path.join(recordingsDir, 'missing.json')]);
+    expect(missing.exitCode).to.equal(EXIT_CODES.ERROR);
+    expect((await runCli(['compare', recorded])).exitCode).to.equal(EXIT_CODES.USAGE);
+    expect((await runCli(['compare', recorded, edited, '--timing-threshold', 'x'])).exitCode).to.equal(EXIT_CODES.USAGE);
+  });
+  
+  it('should check recordings against the protocol rules with lint', async () => {
+    const recorded = JSON.parse((await runCli(['hack', '--record', '--json'])).stdout).recording;
+    
+    const clean = await runCli(['lint', recorded]);
+    expect(clean.exitCode).to.equal(EXIT_CODES.SUCCESS);
+    expect(clean.stdout).to.include('no problems');
+    expect(clean.stdout).to.include('1 file: 0 errors, 0 warnings, 0 info, 0 unreadable');
+    
+    // Break the nonce chain in the recorded fields and the raw frame alike
+    const session = readSessionFile(recorded);
+    const dumpOk = session.steps.find((step) => step.decoded.cmd === 'DUMP_OK');
+    dumpOk.decoded.nonce += 10;
+    dumpOk.response = encodeFrame(0x83, dumpOk.decoded.nonce, 'CODE').toString('base64');
+    fs.writeFileSync(path.join(recordingsDir, 'edited.json'), JSON.stringify(session));
+    
+    const broken = await runCli([recordingsDir, '--json'], {}, LINT_PATH);
+    expect(broken.exitCode).to.equal(EXIT_CODES.PROTOCOL_VIOLATION);
+    const report = JSON.parse(broken.stdout);
+    expect(report.summary.error).to.be.at.least(1);
+    expect(report.files.map((file) => file.violations)).to.include(0);
+    expect(report.files.flatMap((file) => file.findings).map((entry) => entry.rule)).to.include('nonce-chain');
+    
+    expect((await runCli(['lint', recorded, '--idle-timeout', '0'])).exitCode).to.equal(EXIT_CODES.USAGE);
+    expect((await runCli([], {}, LINT_PATH)).exitCode).to.equal(EXIT_CODES.USAGE);
+  });
+  
+  it('should exit with the usage code on unknown options', async () => {
+    const { exitCode, stderr } = await runCli(['hack', '--bogus']);
+    
+    expect(exitCode).to.equal(EXIT_CODES.USAGE);
+    expect(stderr).to.include('Unknown option: --bogus');
+  });
+});
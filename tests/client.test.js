@@ -0,0 +1,182 @@
+/**
+ * MiniTel-Lite Client Tests
+ * Tests the MiniTelClient library against the mock server
+ */
+
+const chai = require('chai');
+const expect = chai.expect;
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const mockServer = require('./mock-server');
+const { MiniTelClient, ERROR_CODES } = require('../proxy/client/client');
+const SessionRecorder = require('../proxy/recorder/recorder');
+const { readSessionFile } = require('../proxy/recorder/reader');
+const { COMMANDS, RESPONSES } = require('../proxy/protocol/constants');
+
+describe('MiniTel-Lite Client', function() {
+  // Increase timeout for integration tests
+  this.timeout(10000);
+  
+  const TEST_PORT = 7324;
+  let client;
+  
+  before(async () => {
+    // Start the mock server
+    mockServer.start(TEST_PORT);
+  });
+  
+  after(async () => {
+    // Stop the mock server
+    await mockServer.stop();
+  });
+  
+  beforeEach(() => {
+    client = new MiniTelClient({ host: 'localhost', port: TEST_PORT });
+  });
+  
+  afterEach(() => {
+    client.close();
+  });
+  
+  it('should run the complete HELLO -> DUMP -> DUMP -> STOP_CMD sequence', async () => {
+    await client.connect();
+    expect(client.isConnected()).to.be.true;
+    
+    const helloResponse = await client.hello();
+    expect(helloResponse.cmd).to.equal(RESPONSES.HELLO_ACK);
+    
+    const dumpFailedResponse = await client.dump();
+    expect(dumpFailedResponse.cmd).to.equal(RESPONSES.DUMP_FAILED);
+    
+    const dumpOkResponse = await client.dump();
+    expect(dumpOkResponse.cmd).to.equal(RESPONSES.DUMP_OK);
+    expect(dumpOkResponse.payload).to.equal('CPE1704TKS');
+    
+    const stopResponse = await client.stop();
+    expect(stopResponse.cmd).to.equal(RESPONSES.STOP_OK);
+  });
+  
+  it('should emit events for frames sent and received', async () => {
+    const sent = [];
+    const received = [];
+    client.on('frameSent', (decodedFrame, rawFrame) => sent.push({ decodedFrame, rawFrame }));
+    client.on('frameReceived', (decodedFrame) => received.push(decodedFrame));
+    
+    await client.connect();
+    await client.hello();
+    await client.dump();
+    
+    expect(sent.map((frame) => frame.decodedFrame.cmd)).to.deep.equal([COMMANDS.HELLO, COMMANDS.DUMP]);
+    expect(sent.map((frame) => frame.decodedFrame.nonce)).to.deep.equal([0, 2]);
+    expect(Buffer.isBuffer(sent[0].rawFrame)).to.be.true;
+    expect(received.map((frame) => frame.cmd)).to.deep.equal([RESPONSES.HELLO_ACK, RESPONSES.DUMP_FAILED]);
+  });
+  
+  it('should capture frames with the supplied recorder', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'minitel-recordings-'));
+    const recorder = new SessionRecorder({ dir, serverHost: 'localhost', serverPort: TEST_PORT });
+    client = new MiniTelClient({ host: 'localhost', port: TEST_PORT, recorder });
+    
+    try {
+      await recorder.startRecording();
+      await client.connect();
+      await client.hello();
+      await recorder.stopRecording();
+      
+      const [file] = fs.readdirSync(dir);
+      const session = readSessionFile(path.join(dir, file));
+      expect(session.steps.map((step) => step.decoded.cmd)).to.deep.equal(['HELLO', 'HELLO_ACK']);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+  
+  it('should reject commands when not connected', async () => {
+    try {
+      await client.hello();
+      expect.fail('hello() should have been rejected');
+    } catch (error) {
+      expect(error.code).to.equal(ERROR_CODES.NOT_CONNECTED);
+    }
+  });
+  
+  it('should refuse a command the protocol state does not allow without sending it', async () => {
+    client = new MiniTelClient({ host: 'localhost', port: TEST_PORT, enforceProtocol: true });
+    const sent = [];
+    client.on('frameSent', (frame) => sent.push(frame.cmdName));
+    await client.connect();
+    expect(client.getState()).to.equal('CONNECTED');
+    
+    try {
+      await client.dump();
+      expect.fail('dump() should have been rejected');
+    } catch (error) {
+      expect(error.code).to.equal(ERROR_CODES.ILLEGAL_COMMAND);
+      expect(error.message).to.equal('DUMP is not allowed in state CONNECTED (allowed in AUTHENTICATED or DUMPING)');
+    }
+    expect(sent).to.deep.equal([]);
+    
+    // The connection is still usable
+    await client.hello();
+    await client.dump();
+    expect(client.getState()).to.equal('DUMPING');
+    await client.stop();
+    expect(client.getState()).to.equal('STOPPED');
+  });
+  
+  it('should send commands out of sequence when the protocol is not enforced', async () => {
+    const sent = [];
+    client.on('frameSent', (frame) => sent.push(frame.cmdName));
+    await client.connect();
+    
+    // The mock server closes the connection on DUMP before HELLO
+    try {
+      await client.dump();
+      expect.fail('dump() should have been rejected');
+    } catch (error) {
+      expect(error.code).to.equal(ERROR_CODES.CONNECTION_CLOSED);
+    }
+    expect(sent).to.deep.equal(['DUMP']);
+  });
+  
+  it('should reject a pending command after the configured response timeout', async () => {
+    // A server that accepts connections but never answers
+    const silentServer = net.createServer((socket) => socket.resume());
+    await new Promise((resolve) => silentServer.listen(0, resolve));
+    
+    client = new MiniTelClient({
+      host: 'localhost',
+      port: silentServer.address().port,
+      responseTimeout: 100,
+      idleTimeout: 5000
+    });
+    
+    try {
+      await client.connect();
+      await client.hello();
+      expect.fail('hello() should have timed out');
+    } catch (error) {
+      expect(error.code).to.equal(ERROR_CODES.RESPONSE_TIMEOUT);
+    } finally {
+      client.close();
+      await new Promise((resolve) => silentServer.close(resolve));
+    }
+  });
+  
+  it('should reject a pending command when the client is closed', async () => {
+    await client.connect();
+    
+    const pending = client.hello();
+    client.close();
+    
+    try {
+      await pending;
+      expect.fail('hello() should have been rejected');
+    } catch (error) {
+      expect(error.code).to.equal(ERROR_CODES.CONNECTION_CLOSED);
+      expect(client.isConnected()).to.be.false;
+    }
+  });
+});
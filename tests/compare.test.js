@@ -0,0 +1,111 @@
+/**
+ * MiniTel-Lite Recording Comparison Tests
+ * Tests lining up two recordings and reporting their differences
+ */
+
+const chai = require('chai');
+const expect = chai.expect;
+const { alignSteps, compareSessions } = require('../proxy/replay/compare');
+
+describe('MiniTel-Lite Recording Comparison', () => {
+  const START = new Date('2026-01-01T10:00:00.000Z').getTime();
+  
+  /**
+   * Build a session from step descriptions
+   * @param {Array<Array>} descriptions - [direction, cmd, payload, offsetMs] per step;
+   *   a null cmd makes an invalid step
+   * @returns {Object} - Session data
+   */
+  function session(descriptions) {
+    const steps = descriptions.map(([direction, cmd, payload, offset], index) => ({
+      step: index + 1,
+      direction,
+      timestamp: new Date(START + (offset || index * 100)).toISOString(),
+      decoded: cmd === null ? null : { cmd, nonce: index, payload },
+      valid: cmd !== null
+    }));
+    return { steps };
+  }
+  
+  const GOOD = [
+    ['client', 'HELLO', ''],
+    ['server', 'HELLO_ACK', ''],
+    ['client', 'DUMP', ''],
+    ['server', 'DUMP_OK', 'CODE'],
+    ['client', 'STOP_CMD', ''],
+    ['server', 'STOP_OK', '']
+  ];
+  
+  describe('Alignment', () => {
+    it('should line up identical recordings step for step', () => {
+      const { steps } = session(GOOD);
+      expect(alignSteps(steps, steps)).to.deep.equal([[0, 0], [1, 1], [2, 2], [3, 3], [4, 4], [5, 5]]);
+    });
+    
+    it('should leave a gap for extra and missing steps', () => {
+      const left = session(GOOD).steps;
+      const right = session([
+        ...GOOD.slice(0, 3),
+        ['server', 'DUMP_FAILED', ''],
+        ['client', 'DUMP', ''],
+        ...GOOD.slice(3)
+      ]).steps;
+      
+      expect(alignSteps(left, right)).to.deep.equal([[0, 0], [1, 1], [2, 2], [null, 3], [null, 4], [3, 5], [4, 6], [5, 7]]);
+      expect(alignSteps(left, right.slice(0, 2))).to.deep.equal([[0, 0], [1, 1], [2, null], [3, null], [4, null], [5, null]]);
+    });
+    
+    it('should pair a changed command with its counterpart', () => {
+      const left = session(GOOD).steps;
+      const right = session([...GOOD.slice(0, 3), ['server', 'DUMP_FAILED', ''], ...GOOD.slice(4)]).steps;
+      
+      expect(alignSteps(left, right)).to.deep.equal([[0, 0], [1, 1], [2, 2], [3, 3], [4, 4], [5, 5]]);
+    });
+  });
+  
+  describe('Differences', () => {
+    it('should report no differences for the same recording', () => {
+      const comparison = compareSessions(session(GOOD), session(GOOD));
+      
+      expect(comparison.same).to.be.true;
+      expect(comparison.summary).to.deep.equal({ rows: 6, different: 0, only_left: 0, only_right: 0, timing: 0 });
+      expect(comparison.rows[3].left).to.include({ step: 4, direction: 'server', cmd: 'DUMP_OK', payload: 'CODE', valid: true, gap_ms: 100 });
+    });
+    
+    it('should report command, payload and validity differences', () => {
+      const right = [...GOOD];
+      right[1] = ['server', 'HELLO_ACK', 'HI'];
+      right[3] = ['server', 'DUMP_FAILED', ''];
+      right[5] = ['server', null, null];
+      
+      const comparison = compareSessions(session(GOOD), session(right));
+      expect(comparison.same).to.be.false;
+      expect(comparison.rows[1].differences).to.deep.equal([{ field: 'payload', left: '', right: 'HI' }]);
+      expect(comparison.rows[3].differences).to.deep.equal([
+        { field: 'cmd', left: 'DUMP_OK', right: 'DUMP_FAILED' },
+        { field: 'payload', left: 'CODE', right: '' }
+      ]);
+      expect(comparison.rows[5].differences.map((difference) => difference.field)).to.deep.equal(['cmd', 'payload', 'valid']);
+      expect(comparison.summary.different).to.equal(3);
+    });
+    
+    it('should report steps on one side only', () => {
+      const comparison = compareSessions(session(GOOD), session(GOOD.slice(0, 4)));
+      
+      expect(comparison.summary).to.include({ rows: 6, different: 2, only_left: 2, only_right: 0 });
+      expect(comparison.rows[4]).to.include({ right: null, same: false });
+      expect(comparison.rows[4].differences).to.deep.equal([{ field: 'step', left: 5, right: null }]);
+    });
+    
+    it('should report gaps that differ by more than the timing threshold', () => {
+      const slow = GOOD.map((description, index) => [...description, index < 3 ? index * 100 : index * 100 + 2000]);
+      
+      const comparison = compareSessions(session(GOOD), session(slow));
+      expect(comparison.summary.timing).to.equal(1);
+      expect(comparison.rows[3].differences).to.deep.equal([{ field: 'timing', left: 100, right: 2100 }]);
+      
+      expect(compareSessions(session(GOOD), session(slow), { timingThresholdMs: 5000 }).same).to.be.true;
+      expect(compareSessions(session(GOOD), session(slow), { timingThresholdMs: Infinity }).same).to.be.true;
+    });
+  });
+});
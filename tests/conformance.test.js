@@ -0,0 +1,176 @@
+/**
+ * MiniTel-Lite Protocol Conformance Tests
+ * Tests checking recorded sessions against the protocol rules
+ */
+
+const chai = require('chai');
+const expect = chai.expect;
+const { encodeFrame } = require('../proxy/protocol/encoder');
+const { defaultRegistry } = require('../proxy/protocol/registry');
+const { lintSession } = require('../proxy/analysis/conformance');
+
+describe('MiniTel-Lite Protocol Conformance', () => {
+  const START = new Date('2026-01-01T10:00:00.000Z').getTime();
+  
+  /**
+   * Build a recorded step with its raw frame
+   * @param {number} number - Step number
+   * @param {string} direction - client or server
+   * @param {string} cmd - Command name
+   * @param {number} nonce - Nonce
+   * @param {number} offset - Milliseconds from the session start
+   * @returns {Object} - Step
+   */
+  function step(number, direction, cmd, nonce, offset = number * 100) {
+    const raw = encodeFrame(defaultRegistry.byName(cmd).code, nonce, '');
+    return {
+      step: number,
+      timestamp: new Date(START + offset).toISOString(),
+      direction,
+      request: direction === 'client' ? raw.toString('base64') : null,
+      response: direction === 'server' ? raw.toString('base64') : null,
+      decoded: { cmd, nonce, payload: '' },
+      valid: true
+    };
+  }
+  
+  /**
+   * Build a finished session
+   * @param {Object[]} steps - Steps
+   * @param {Object[]} attempts - Retry attempts
+   * @returns {Object} - Session data
+   */
+  function session(steps, attempts) {
+    return { end_time: new Date(START + 10000).toISOString(), steps, attempts };
+  }
+  
+  /**
+   * The hack sequence as a conforming server answers it
+   * @returns {Object[]} - Steps
+   */
+  function hackSteps() {
+    return [
+      step(1, 'client', 'HELLO', 0),
+      step(2, 'server', 'HELLO_ACK', 1),
+      step(3, 'client', 'DUMP', 2),
+      step(4, 'server', 'DUMP_FAILED', 3),
+      step(5, 'client', 'DUMP', 4),
+      step(6, 'server', 'DUMP_OK', 5),
+      step(7, 'client', 'STOP_CMD', 6),
+      step(8, 'server', 'STOP_OK', 7)
+    ];
+  }
+  
+  /**
+   * Rules of the findings, in order
+   * @param {Object} result - Result of lintSession
+   * @returns {string[]} - step:severity:rule per finding
+   */
+  function rules(result) {
+    return result.findings.map((entry) => `${entry.step}:${entry.severity}:${entry.rule}`);
+  }
+  
+  it('should find nothing wrong with a conforming session', () => {
+    const result = lintSession(session(hackSteps()), { idleTimeoutMs: 2000 });
+    
+    expect(result.findings).to.be.empty;
+    expect(result.violations).to.equal(0);
+    expect(result.summary).to.deep.equal({ error: 0, warning: 0, info: 0 });
+  });
+  
+  it('should report frames that do not decode again or differ from the recording', () => {
+    const steps = hackSteps();
+    const raw = Buffer.from(steps[3].response, 'base64');
+    const frame = Buffer.from(raw.toString('utf8', 2), 'base64');
+    frame[frame.length - 1] ^= 0xff;
+    steps[3].response = Buffer.concat([raw.subarray(0, 2), Buffer.from(frame.toString('base64'))]).toString('base64');
+    steps[5].decoded.nonce = 5;
+    steps[5].response = encodeFrame(defaultRegistry.byName('DUMP_OK').code, 9, '').toString('base64');
+    
+    const result = lintSession(session(steps), { idleTimeoutMs: 2000 });
+    expect(rules(result)).to.deep.equal(['4:error:frame-decode', '6:error:frame-mismatch']);
+    expect(result.findings[1].message).to.equal('Raw frame has DUMP_OK (nonce=9), recorded as DUMP_OK (nonce=5)');
+  });
+  
+  it('should report nonces that break the chain', () => {
+    const steps = hackSteps();
+    steps[3] = step(4, 'server', 'DUMP_FAILED', 7);
+    steps[4] = step(5, 'client', 'DUMP', 8);
+    steps[5] = step(6, 'server', 'DUMP_OK', 9);
+    steps[6] = step(7, 'client', 'STOP_CMD', 10);
+    steps[7] = step(8, 'server', 'STOP_OK', 11);
+    
+    const result = lintSession(session(steps), { idleTimeoutMs: 2000 });
+    expect(rules(result)).to.deep.equal(['4:error:nonce-chain']);
+    expect(result.findings[0].message).to.equal('Nonce 7, expected 3 (client nonce + 1)');
+  });
+  
+  it('should report commands and responses out of sequence', () => {
+    const steps = [
+      step(1, 'client', 'HELLO', 0),
+      step(2, 'server', 'DUMP_OK', 1),
+      step(3, 'server', 'STOP_OK', 2),
+      step(4, 'client', 'DUMP', 3),
+      step(5, 'client', 'HELLO', 0),
+      step(6, 'server', 'HELLO', 1)
+    ];
+    
+    const result = lintSession(session(steps), { idleTimeoutMs: 2000 });
+    expect(rules(result)).to.deep.equal([
+      '2:error:response-sequence',
+      '3:error:response-sequence',
+      '4:error:command-sequence',
+      '4:warning:no-response',
+      '6:error:unknown-command',
+      '6:error:response-sequence'
+    ]);
+    expect(result.findings[0].message).to.equal('DUMP_OK in reply to HELLO, expected HELLO_ACK');
+    expect(result.findings[1].message).to.equal('STOP_OK without a command to answer');
+    expect(result.findings[2].message).to.equal('DUMP is not allowed in state CONNECTED (allowed in AUTHENTICATED or DUMPING)');
+    expect(result.findings[4].message).to.equal('HELLO is a command, sent by the server');
+    expect(result.violations).to.equal(6);
+  });
+  
+  it('should restart the state machine at every retry attempt', () => {
+    const steps = [
+      ...hackSteps().slice(0, 4),
+      step(5, 'client', 'DUMP', 0, 5000),
+      step(6, 'server', 'DUMP_FAILED', 1, 5100)
+    ];
+    const attempts = [
+      { attempt: 1, first_step: 1, last_step: 4 },
+      { attempt: 2, first_step: 5, last_step: 6 }
+    ];
+    
+    const result = lintSession(session(steps, attempts), { idleTimeoutMs: 2000 });
+    expect(rules(result)).to.deep.equal(['5:error:command-sequence']);
+  });
+  
+  it('should flag idle gaps, except before a retry attempt', () => {
+    const steps = [
+      step(1, 'client', 'HELLO', 0, 0),
+      step(2, 'server', 'HELLO_ACK', 1, 100),
+      step(3, 'client', 'DUMP', 2, 2600),
+      step(4, 'client', 'HELLO', 0, 9000),
+      step(5, 'server', 'HELLO_ACK', 1, 9100)
+    ];
+    const attempts = [
+      { attempt: 1, first_step: 1, last_step: 3 },
+      { attempt: 2, first_step: 4, last_step: 5 }
+    ];
+    
+    const result = lintSession(session(steps, attempts), { idleTimeoutMs: 2000 });
+    expect(rules(result)).to.deep.equal(['3:warning:no-response', '3:warning:idle-gap']);
+    expect(result.findings[0].message).to.equal('DUMP got no response before the connection was retried');
+    expect(result.findings[1].message).to.equal('2.5 s since the previous frame, over the idle timeout of 2000 ms');
+  });
+  
+  it('should note unfinished recordings and frames it cannot check', () => {
+    const steps = hackSteps().slice(0, 2);
+    steps[1] = Object.assign(steps[1], { response: null, redacted: ['frame'] });
+    
+    const result = lintSession({ end_time: null, steps }, { idleTimeoutMs: 2000 });
+    expect(rules(result)).to.deep.equal(['null:info:unfinished', '2:info:frame-not-checked']);
+    expect(result.violations).to.equal(0);
+  });
+});
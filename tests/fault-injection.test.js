@@ -0,0 +1,314 @@
+/**
+ * MiniTel-Lite Fault Injection Tests
+ * Drives the client and the proxy against mock server fault scenarios
+ */
+
+const chai = require('chai');
+const expect = chai.expect;
+const { spawn } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const mockServer = require('./mock-server');
+const { MiniTelClient, ERROR_CODES } = require('../proxy/client/client');
+const { runHack } = require('../proxy/client/hack');
+const { createProxyServer } = require('../proxy/proxy');
+const { encodeFrame } = require('../proxy/protocol/encoder');
+const FrameReassembler = require('../proxy/protocol/stream');
+const { COMMANDS, RESPONSES } = require('../proxy/protocol/constants');
+
+describe('MiniTel-Lite Fault Injection', function() {
+  // Increase timeout for integration tests
+  this.timeout(10000);
+  
+  const TEST_PORT = 7329;
+  let client;
+  let proxy;
+  let proxyPort;
+  let recordingsDir;
+  
+  before(async () => {
+    // Start the mock server
+    mockServer.start(TEST_PORT);
+  });
+  
+  after(async () => {
+    // Stop the mock server
+    await mockServer.stop();
+  });
+  
+  afterEach(() => {
+    if (client) {
+      client.close();
+      client = null;
+    }
+  });
+  
+  /**
+   * Create a client for the mock server
+   * @param {Object} options - Extra client options
+   * @returns {MiniTelClient} - Client
+   */
+  function createClient(options = {}) {
+    client = new MiniTelClient(Object.assign({ host: 'localhost', port: TEST_PORT }, options));
+    return client;
+  }
+  
+  /**
+   * Run the hack sequence on a new client and return the error it fails with
+   * @param {Object} options - Extra client options
+   * @returns {Promise<Error>} - Error thrown by the sequence
+   */
+  async function hackError(options) {
+    createClient(options);
+    await client.connect();
+    try {
+      await runHack(client);
+    } catch (error) {
+      return error;
+    }
+    throw new Error('Expected the hack sequence to fail');
+  }
+  
+  /**
+   * Run a hack through a proxy's REST API
+   * @param {Object} overrides - Config sections that replace the defaults
+   * @returns {Promise<Object>} - { status, body }
+   */
+  async function proxyHack(overrides = {}) {
+    recordingsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'minitel-recordings-'));
+    proxy = createProxyServer(Object.assign({
+      server: { host: 'localhost', port: TEST_PORT },
+      timeouts: { idle: 2000, response: 2000 },
+      proxy: { port: 0 },
+      recordings: { dir: recordingsDir },
+      logging: { level: 'error' },
+      // Report the first fault; retries are covered by retry.test.js
+      retry: { maxAttempts: 1 }
+    }, overrides));
+    await new Promise((resolve) => proxy.server.listen(0, resolve));
+    proxyPort = proxy.server.address().port;
+    
+    try {
+      return await new Promise((resolve, reject) => {
+        const req = http.request({ host: 'localhost', port: proxyPort, method: 'POST', path: '/api/hack' }, (res) => {
+          let data = '';
+          res.on('data', (chunk) => { data += chunk; });
+          res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+        });
+        req.on('error', reject);
+        req.end();
+      });
+    } finally {
+      await new Promise((resolve) => proxy.server.close(resolve));
+      fs.rmSync(recordingsDir, { recursive: true, force: true });
+    }
+  }
+  
+  describe('corrupt-hash', () => {
+    it('should reject the response as an invalid frame in the client', async () => {
+      mockServer.queueScenario('corrupt-hash');
+      const error = await hackError();
+      
+      expect(error.code).to.equal(ERROR_CODES.INVALID_FRAME);
+      expect(error.message).to.include('Hash validation failed');
+    });
+    
+    it('should fail the hack with 502 in the proxy', async () => {
+      mockServer.queueScenario('corrupt-hash');
+      const response = await proxyHack();
+      
+      expect(response.status).to.equal(502);
+      expect(response.body.message).to.include('Invalid frame');
+    });
+  });
+  
+  describe('wrong-nonce', () => {
+    it('should reject the response as a nonce mismatch in the client', async () => {
+      mockServer.queueScenario('wrong-nonce');
+      const error = await hackError();
+      
+      expect(error.code).to.equal(ERROR_CODES.NONCE_MISMATCH);
+    });
+    
+    it('should fail the hack with 502 in the proxy', async () => {
+      mockServer.queueScenario('wrong-nonce');
+      const response = await proxyHack();
+      
+      expect(response.status).to.equal(502);
+      expect(response.body.message).to.equal('Hack failed: Nonce mismatch');
+    });
+  });
+  
+  describe('delay', () => {
+    it('should time out waiting for the response in the client', async () => {
+      mockServer.queueScenario('delay', { delayMs: 500 });
+      const error = await hackError({ responseTimeout: 200 });
+      
+      expect(error.code).to.equal(ERROR_CODES.RESPONSE_TIMEOUT);
+    });
+    
+    it('should fail the hack with 504 in the proxy', async () => {
+      mockServer.queueScenario('delay', { delayMs: 500 });
+      const response = await proxyHack({ timeouts: { idle: 2000, response: 200 } });
+      
+      expect(response.status).to.equal(504);
+    });
+  });
+  
+  describe('split', () => {
+    it('should reassemble responses written a few bytes at a time in the client', async () => {
+      mockServer.queueScenario('split');
+      createClient();
+      const chunks = [];
+      await client.connect();
+      client.socket.on('data', (data) => chunks.push(data.length));
+      
+      const overrideCode = await runHack(client);
+      
+      expect(overrideCode).to.equal('CPE1704TKS');
+      // More data events than the 4 frames received
+      expect(chunks.length).to.be.above(4);
+    });
+    
+    it('should complete the hack in the proxy', async () => {
+      mockServer.queueScenario('split');
+      const response = await proxyHack();
+      
+      expect(response.status).to.equal(200);
+      expect(response.body.overrideCode).to.equal('CPE1704TKS');
+    });
+  });
+  
+  describe('coalesce', () => {
+    it('should deliver pipelined responses in a single write', (done) => {
+      mockServer.queueScenario('coalesce');
+      const socket = net.connect(TEST_PORT, 'localhost');
+      const reassembler = new FrameReassembler();
+      const frames = [];
+      
+      reassembler.on('frame', (frame) => frames.push(frame));
+      socket.once('data', (data) => {
+        reassembler.push(data);
+        socket.destroy();
+        
+        expect(frames.map((frame) => frame.cmd)).to.deep.equal([RESPONSES.HELLO_ACK, RESPONSES.DUMP_FAILED]);
+        expect(frames.map((frame) => frame.nonce)).to.deep.equal([1, 3]);
+        done();
+      });
+      
+      // HELLO (nonce 0) and the first DUMP (nonce 2) sent in one write
+      socket.write(Buffer.concat([
+        encodeFrame(COMMANDS.HELLO, 0),
+        encodeFrame(COMMANDS.DUMP, 2)
+      ]));
+    });
+    
+    it('should complete the hack in the proxy', async () => {
+      mockServer.queueScenario('coalesce');
+      const response = await proxyHack();
+      
+      expect(response.status).to.equal(200);
+      expect(response.body.overrideCode).to.equal('CPE1704TKS');
+    });
+  });
+  
+  describe('drop-after-first-dump', () => {
+    it('should report the closed connection in the client', async () => {
+      mockServer.queueScenario('drop-after-first-dump');
+      const error = await hackError();
+      
+      expect(error.code).to.equal(ERROR_CODES.CONNECTION_CLOSED);
+      expect(client.isConnected()).to.be.false;
+    });
+    
+    it('should fail the hack with 502 in the proxy', async () => {
+      mockServer.queueScenario('drop-after-first-dump');
+      const response = await proxyHack();
+      
+      expect(response.status).to.equal(502);
+      expect(response.body.message).to.equal('Hack failed: Connection closed by server');
+    });
+  });
+  
+  describe('unknown-response', () => {
+    it('should reject the unknown response code in the hack sequence', async () => {
+      mockServer.queueScenario('unknown-response');
+      const error = await hackError();
+      
+      expect(error.code).to.equal(ERROR_CODES.UNEXPECTED_RESPONSE);
+      expect(error.message).to.equal('Expected HELLO_ACK, got UNKNOWN');
+    });
+    
+    it('should fail the hack with 502 in the proxy', async () => {
+      mockServer.queueScenario('unknown-response');
+      const response = await proxyHack();
+      
+      expect(response.status).to.equal(502);
+      expect(response.body.message).to.equal('Hack failed: Expected HELLO_ACK, got UNKNOWN');
+    });
+  });
+  
+  describe('oversize-payload', () => {
+    // Buffer limit the scenario's frame is sized to exceed
+    const LIMIT = 4096;
+    
+    it('should reject a frame larger than the client buffer limit', async () => {
+      mockServer.queueScenario('oversize-payload', { maxBufferSize: LIMIT });
+      const error = await hackError({ maxBufferSize: LIMIT });
+      
+      expect(error.code).to.equal(ERROR_CODES.INVALID_FRAME);
+      expect(error.message).to.include(`Frame of ${LIMIT + 2} bytes exceeds maximum buffer size of ${LIMIT} bytes`);
+    });
+    
+    it('should size the frame just past the limit', async () => {
+      mockServer.queueScenario('oversize-payload', { maxBufferSize: LIMIT });
+      createClient({ maxBufferSize: LIMIT + 2 });
+      await client.connect();
+      
+      await client.hello();
+      await client.dump();
+      const response = await client.dump();
+      
+      expect(response.cmd).to.equal(RESPONSES.DUMP_OK);
+      expect(response.payload).to.have.lengthOf(LIMIT / 4 * 3 - 37);
+    });
+    
+    it('should refuse a limit no frame can exceed', () => {
+      expect(() => mockServer.queueScenario('oversize-payload', { maxBufferSize: 65537 }))
+        .to.throw('no frame exceeds a buffer limit of 65537 bytes');
+    });
+    
+    it('should take the limit from the standalone server command line', async () => {
+      const STANDALONE_PORT = 7334;
+      const server = spawn(process.execPath, [path.join(__dirname, 'mock-server.js'), String(STANDALONE_PORT),
+        '--scenario', 'oversize-payload', '--max-buffer-size', String(LIMIT)]);
+      try {
+        await new Promise((resolve, reject) => {
+          server.stdout.on('data', (data) => {
+            if (data.toString().includes(`listening on port ${STANDALONE_PORT}`)) resolve();
+          });
+          server.on('exit', (code) => reject(new Error(`Mock server exited with ${code}`)));
+        });
+        
+        createClient({ port: STANDALONE_PORT, maxBufferSize: LIMIT });
+        await client.connect();
+        const error = await runHack(client).then(() => null, (failure) => failure);
+        
+        expect(error.message).to.include(`Frame of ${LIMIT + 2} bytes exceeds maximum buffer size of ${LIMIT} bytes`);
+      } finally {
+        server.kill();
+      }
+    });
+    
+    it('should fail the hack with 502 in the proxy', async () => {
+      mockServer.queueScenario('oversize-payload', { maxBufferSize: LIMIT });
+      const response = await proxyHack({ framing: { maxBufferSize: LIMIT } });
+      
+      expect(response.status).to.equal(502);
+      expect(response.body.message).to.include('exceeds maximum buffer size');
+    });
+  });
+});
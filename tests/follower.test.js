@@ -0,0 +1,96 @@
+/**
+ * MiniTel-Lite Recording Follower Tests
+ * Tests following a recording while the recorder is still writing it
+ */
+
+const chai = require('chai');
+const expect = chai.expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const SessionRecorder = require('../proxy/recorder/recorder');
+const { SessionFollower } = require('../proxy/recorder/follower');
+const { encodeFrame } = require('../proxy/protocol/encoder');
+const { decodeFrame } = require('../proxy/protocol/decoder');
+const { COMMANDS, RESPONSES } = require('../proxy/protocol/constants');
+
+describe('MiniTel-Lite Recording Follower', () => {
+  const HELLO = encodeFrame(COMMANDS.HELLO, 0, '');
+  const HELLO_ACK = encodeFrame(RESPONSES.HELLO_ACK, 1, '');
+  const quietLogger = { info: () => {}, error: () => {} };
+  let recordingsDir;
+  let follower;
+  
+  beforeEach(() => {
+    recordingsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'minitel-recordings-'));
+  });
+  
+  afterEach(() => {
+    if (follower) {
+      follower.stop();
+      follower = null;
+    }
+    fs.rmSync(recordingsDir, { recursive: true, force: true });
+  });
+  
+  /**
+   * Start a recording with its first step written
+   * @returns {Promise<SessionRecorder>} - Recorder, still recording
+   */
+  async function startedRecording() {
+    const recorder = new SessionRecorder({ dir: recordingsDir, logger: quietLogger });
+    await recorder.startRecording();
+    recorder.recordRequest(HELLO, decodeFrame(HELLO));
+    await recorder.flush();
+    return recorder;
+  }
+  
+  it('should report steps as they are written until the recording is finalized', async () => {
+    const recorder = await startedRecording();
+    const file = recorder.recordingFile;
+    follower = new SessionFollower(file, { pollIntervalMs: 20 });
+    
+    expect(follower.start().steps).to.have.lengthOf(1);
+    expect(follower.following).to.be.true;
+    
+    const updated = once(follower, 'update');
+    recorder.recordResponse(HELLO_ACK, decodeFrame(HELLO_ACK));
+    await recorder.flush();
+    const [sessionData, newSteps] = await updated;
+    expect(sessionData.steps).to.have.lengthOf(2);
+    expect(sessionData.end_time).to.be.null;
+    expect(newSteps.map((step) => step.decoded.cmd)).to.deep.equal(['HELLO_ACK']);
+    
+    const ended = once(follower, 'end');
+    await recorder.stopRecording();
+    const [finished] = await ended;
+    expect(finished.end_time).to.be.a('string');
+    expect(follower.following).to.be.false;
+  });
+  
+  it('should not watch a recording that is already finalized', async () => {
+    const recorder = await startedRecording();
+    const file = recorder.recordingFile;
+    await recorder.stopRecording();
+    
+    follower = new SessionFollower(file);
+    expect(follower.start().end_time).to.be.a('string');
+    expect(follower.following).to.be.false;
+  });
+  
+  it('should stop following when the file is gone', async () => {
+    const recorder = await startedRecording();
+    const file = recorder.recordingFile;
+    follower = new SessionFollower(file, { pollIntervalMs: 20 });
+    follower.start();
+    await recorder.stopRecording();
+    fs.unlinkSync(file);
+    
+    const errors = [];
+    follower.on('error', (error) => errors.push(error));
+    follower.refresh();
+    expect(errors.map((error) => error.code)).to.deep.equal(['ENOENT']);
+    expect(follower.following).to.be.false;
+  });
+});
@@ -8,7 +8,7 @@ const expect = chai.expect;
 const net = require('net');
 const mockServer = require('./mock-server');
 const { encodeFrame } = require('../proxy/protocol/encoder');
-const { decodeFrame } = require('../proxy/protocol/decoder');
+const FrameReassembler = require('../proxy/protocol/stream');
 const { COMMANDS, RESPONSES } = require('../proxy/protocol/constants');
 const NonceManager = require('../proxy/protocol/nonce');
 
@@ -19,6 +19,7 @@ describe('MiniTel-Lite Integration', function() {
   const TEST_PORT = 7322;
   let server;
   let client;
+  let reassembler;
   let nonceManager;
   
   before(async () => {
@@ -47,9 +48,10 @@ describe('MiniTel-Lite Integration', function() {
    * Send a command to the server and wait for response
    * @param {number} cmd - Command code
    * @param {string} payload - Command payload
+   * @param {Function} write - Writes the encoded frame to the socket
    * @returns {Promise<Object>} - Decoded response
    */
-  function sendCommand(cmd, payload = '') {
+  function sendCommand(cmd, payload = '', write = (frame) => client.write(frame)) {
     return new Promise((resolve, reject) => {
       // Get next nonce
       const nonce = nonceManager.getNextClientNonce();
@@ -61,11 +63,8 @@ describe('MiniTel-Lite Integration', function() {
       nonceManager.updateClientNonce(nonce);
       
       // Set up response handler
-      const responseHandler = (data) => {
+      const responseHandler = (response) => {
         try {
-          // Decode response
-          const response = decodeFrame(data);
-          
           if (!response.valid) {
             return reject(new Error(`Invalid response: ${response.error}`));
           }
@@ -79,7 +78,8 @@ describe('MiniTel-Lite Integration', function() {
           nonceManager.updateServerNonce(response.nonce);
           
           // Remove handler
-          client.removeListener('data', responseHandler);
+          clearTimeout(timeoutId);
+          reassembler.removeListener('frame', responseHandler);
           
           // Resolve with response
           resolve(response);
@@ -90,23 +90,23 @@ describe('MiniTel-Lite Integration', function() {
       
       // Set up timeout
       const timeoutId = setTimeout(() => {
-        client.removeListener('data', responseHandler);
+        reassembler.removeListener('frame', responseHandler);
         reject(new Error('Response timeout'));
       }, 2000);
       
       // Set up error handler
       const errorHandler = (error) => {
         clearTimeout(timeoutId);
-        client.removeListener('data', responseHandler);
+        reassembler.removeListener('frame', responseHandler);
         reject(error);
       };
       
       // Listen for response
       client.once('error', errorHandler);
-      client.on('data', responseHandler);
+      reassembler.on('frame', responseHandler);
       
       // Send command
-      client.write(frame);
+      write(frame);
     });
   }
   
@@ -119,6 +119,12 @@ describe('MiniTel-Lite Integration', function() {
       // Create socket
       client = new net.Socket();
       
+      // Reassemble frames from the socket stream
+      reassembler = new FrameReassembler();
+      client.on('data', (data) => {
+        reassembler.push(data);
+      });
+      
       // Set up event handlers
       client.on('connect', () => {
         resolve(client);
@@ -199,6 +205,72 @@ describe('MiniTel-Lite Integration', function() {
     expect(stopResponse.cmd).to.equal(RESPONSES.STOP_OK);
   });
   
+  it('should accept a command written one byte at a time', async () => {
+    // Connect to server
+    await connectToServer();
+    
+    // Write the HELLO frame byte by byte, as a heavily fragmented stream would
+    const response = await sendCommand(COMMANDS.HELLO, '', (frame) => {
+      for (let i = 0; i < frame.length; i++) {
+        client.write(frame.slice(i, i + 1));
+      }
+    });
+    
+    // Verify response
+    expect(response.cmd).to.equal(RESPONSES.HELLO_ACK);
+    expect(response.nonce).to.equal(1);
+  });
+  
+  it('should answer every command when several arrive in one write', async () => {
+    // Connect to server
+    await connectToServer();
+    
+    // HELLO uses nonce 0, the server answers with 1, so DUMP uses nonce 2
+    const coalesced = Buffer.concat([
+      encodeFrame(COMMANDS.HELLO, 0),
+      encodeFrame(COMMANDS.DUMP, 2)
+    ]);
+    
+    // Collect both responses from the stream
+    const responses = await new Promise((resolve, reject) => {
+      const frames = [];
+      const timeoutId = setTimeout(() => reject(new Error('Response timeout')), 2000);
+      reassembler.on('frame', (frame) => {
+        frames.push(frame);
+        if (frames.length === 2) {
+          clearTimeout(timeoutId);
+          resolve(frames);
+        }
+      });
+      client.write(coalesced);
+    });
+    
+    // Verify responses arrive in order
+    expect(responses.map((frame) => frame.cmd)).to.deep.equal([
+      RESPONSES.HELLO_ACK,
+      RESPONSES.DUMP_FAILED
+    ]);
+    expect(responses.map((frame) => frame.nonce)).to.deep.equal([1, 3]);
+  });
+  
+  it('should close the connection on DUMP before HELLO', async () => {
+    // Connect to server
+    await connectToServer();
+    
+    // DUMP is not allowed until HELLO has been answered
+    const disconnectPromise = new Promise((resolve) => {
+      client.once('close', () => {
+        resolve();
+      });
+    });
+    
+    client.write(encodeFrame(COMMANDS.DUMP, 0));
+    
+    // Wait for disconnection
+    await disconnectPromise;
+    expect(client.destroyed).to.be.true;
+  });
+  
   it('should reject frames with incorrect nonce', async () => {
     // Connect to server
     await connectToServer();
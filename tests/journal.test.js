@@ -0,0 +1,288 @@
+/**
+ * MiniTel-Lite Session Journal Tests
+ * Tests the append-only recording format, buffered writes and crash recovery
+ */
+
+const chai = require('chai');
+const expect = chai.expect;
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SessionRecorder = require('../proxy/recorder/recorder');
+const RecordingStore = require('../proxy/recorder/store');
+const { readSessionFile } = require('../proxy/recorder/reader');
+const {
+  JournalWriter,
+  isJournal,
+  isLocked,
+  lockPath,
+  parseJournal,
+  formatJournal,
+  recoverJournal,
+  recoverJournals
+} = require('../proxy/recorder/journal');
+const { encodeFrame } = require('../proxy/protocol/encoder');
+const { decodeFrame } = require('../proxy/protocol/decoder');
+const { COMMANDS, RESPONSES } = require('../proxy/protocol/constants');
+
+describe('MiniTel-Lite Session Journal', () => {
+  const HELLO = encodeFrame(COMMANDS.HELLO, 0, '');
+  const HELLO_ACK = encodeFrame(RESPONSES.HELLO_ACK, 1, '');
+  const quietLogger = { info: () => {}, error: () => {} };
+  let recordingsDir;
+  
+  beforeEach(() => {
+    recordingsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'minitel-recordings-'));
+  });
+  
+  afterEach(() => {
+    fs.rmSync(recordingsDir, { recursive: true, force: true });
+  });
+  
+  /**
+   * Read the entry types of a journal file
+   * @param {string} file - Journal file
+   * @returns {string[]} - Type of each line
+   */
+  function entryTypes(file) {
+    return fs.readFileSync(file, 'utf8').trim().split('\n').map((line) => JSON.parse(line).type);
+  }
+  
+  /**
+   * Start a recording with two steps and leave it without a footer, as a crash would
+   * @returns {Promise<string>} - Journal file
+   */
+  async function interruptedRecording() {
+    const recorder = new SessionRecorder({ dir: recordingsDir, logger: quietLogger });
+    await recorder.startRecording();
+    recorder.recordRequest(HELLO, decodeFrame(HELLO));
+    recorder.recordResponse(HELLO_ACK, decodeFrame(HELLO_ACK));
+    await recorder.flush();
+    
+    const file = recorder.recordingFile;
+    SessionRecorder.activeFiles.delete(path.resolve(file));
+    clearTimeout(recorder.journal.timer);
+    
+    // The lock stays behind, naming a process that has exited
+    const deadPid = spawnSync(process.execPath, ['-e', '']).pid;
+    fs.writeFileSync(lockPath(file), JSON.stringify({ pid: deadPid, host: os.hostname() }));
+    return file;
+  }
+  
+  describe('Recorder', () => {
+    it('should write a header, one line per step and a footer', async () => {
+      const recorder = new SessionRecorder({ dir: recordingsDir, logger: quietLogger });
+      await recorder.startRecording();
+      const file = recorder.recordingFile;
+      recorder.recordRequest(HELLO, decodeFrame(HELLO));
+      recorder.recordResponse(HELLO_ACK, decodeFrame(HELLO_ACK));
+      recorder.recordAttempt({ attempt: 1, maxAttempts: 1, error: null });
+      
+      expect(path.extname(file)).to.equal('.jsonl');
+      expect(isLocked(file)).to.be.true;
+      expect(await recorder.stopRecording()).to.be.true;
+      expect(fs.existsSync(lockPath(file))).to.be.false;
+      
+      expect(entryTypes(file)).to.deep.equal(['header', 'step', 'step', 'attempt', 'footer']);
+      const sessionData = readSessionFile(file);
+      expect(sessionData.steps.map((step) => step.decoded.cmd)).to.deep.equal(['HELLO', 'HELLO_ACK']);
+      expect(sessionData.attempts[0]).to.include({ first_step: 1, last_step: 2 });
+      expect(sessionData.end_time).to.be.a('string');
+      expect(SessionRecorder.activeFiles.has(path.resolve(file))).to.be.false;
+    });
+    
+    it('should buffer steps and append them asynchronously', async () => {
+      const recorder = new SessionRecorder({ dir: recordingsDir, logger: quietLogger, flushIntervalMs: 20 });
+      await recorder.startRecording();
+      const file = recorder.recordingFile;
+      
+      recorder.recordRequest(HELLO, decodeFrame(HELLO));
+      expect(entryTypes(file)).to.deep.equal(['header']);
+      
+      await new Promise((resolve) => setTimeout(resolve, 60));
+      expect(entryTypes(file)).to.deep.equal(['header', 'step']);
+      expect(readSessionFile(file).end_time).to.be.null;
+      
+      await recorder.stopRecording();
+    });
+    
+    it('should finish the current recording before starting the next one', async () => {
+      const recorder = new SessionRecorder({ dir: recordingsDir, logger: quietLogger, flushIntervalMs: 60000 });
+      await recorder.startRecording();
+      const first = recorder.recordingFile;
+      recorder.recordRequest(HELLO, decodeFrame(HELLO));
+      
+      expect(await recorder.startRecording()).to.be.true;
+      
+      expect(entryTypes(first)).to.deep.equal(['header', 'step', 'footer']);
+      expect(fs.existsSync(lockPath(first))).to.be.false;
+      expect(recorder.recordingFile).to.not.equal(first);
+      expect(await recorder.stopRecording()).to.be.true;
+    });
+    
+    it('should write large bursts without waiting for the timer', async () => {
+      const writer = new JournalWriter(path.join(recordingsDir, 'burst.jsonl'), {
+        flushIntervalMs: 60000,
+        flushBytes: 100
+      });
+      writer.open({ format_version: 2, session_id: 'burst', start_time: new Date().toISOString() });
+      
+      writer.append('step', { step: 1, padding: 'x'.repeat(200) });
+      await writer.writing;
+      
+      expect(entryTypes(writer.filePath)).to.deep.equal(['header', 'step']);
+      expect(writer.timer).to.be.null;
+      expect(await writer.close({ end_time: new Date().toISOString(), step_count: 1 })).to.be.true;
+      expect(() => writer.append('step', { step: 2 })).to.throw('Journal is closed');
+    });
+    
+    it('should not overwrite an existing file', () => {
+      const file = path.join(recordingsDir, 'taken.jsonl');
+      fs.writeFileSync(file, 'keep');
+      
+      expect(() => new JournalWriter(file).open({})).to.throw().with.property('code', 'EEXIST');
+      expect(fs.readFileSync(file, 'utf8')).to.equal('keep');
+    });
+  });
+  
+  describe('Reading', () => {
+    it('should tell journals from JSON documents', () => {
+      expect(isJournal('{"type":"header","format_version":2}\n')).to.be.true;
+      expect(isJournal('{\n  "format_version": 2\n}')).to.be.false;
+      expect(isJournal('{"format_version":2,"steps":[]}')).to.be.false;
+    });
+    
+    it('should drop a line cut off by a crash', async () => {
+      const file = await interruptedRecording();
+      fs.appendFileSync(file, '{"type":"step","step":3,"times');
+      
+      const { sessionData, complete, truncated } = parseJournal(fs.readFileSync(file, 'utf8'));
+      
+      expect(complete).to.be.false;
+      expect(truncated).to.be.true;
+      expect(sessionData.steps).to.have.lengthOf(2);
+      expect(readSessionFile(file).end_time).to.be.null;
+    });
+    
+    it('should reject damaged journals', () => {
+      expect(() => parseJournal('{"type":"step"}\n')).to.throw('does not start with a header')
+        .with.property('code', 'EINVAL');
+      expect(() => parseJournal('{"type":"header"}\nnot json\n{"type":"footer"}\n')).to.throw('Invalid journal line 2');
+      expect(() => parseJournal('{"type":"header"}\n{"type":"note"}\n')).to.throw('Unexpected journal entry type: note');
+    });
+    
+    it('should write session data back as an equivalent journal', async () => {
+      const recorder = new SessionRecorder({ dir: recordingsDir, logger: quietLogger });
+      await recorder.startRecording();
+      const file = recorder.recordingFile;
+      recorder.recordAttempt({ attempt: 1, maxAttempts: 2, error: new Error('refused'), retryDelay: 10 });
+      recorder.recordRequest(HELLO, decodeFrame(HELLO));
+      recorder.recordResponse(HELLO_ACK, decodeFrame(HELLO_ACK));
+      recorder.recordAttempt({ attempt: 2, maxAttempts: 2, error: null });
+      await recorder.stopRecording();
+      
+      const text = fs.readFileSync(file, 'utf8');
+      
+      expect(formatJournal(parseJournal(text).sessionData)).to.equal(text);
+    });
+  });
+  
+  describe('Recovery', () => {
+    it('should finish an interrupted journal with a recovered footer', async () => {
+      const file = await interruptedRecording();
+      fs.appendFileSync(file, '{"type":"step"');
+      
+      const result = await recoverJournal(file);
+      
+      expect(result).to.deep.equal({ recovered: true, truncated: true, steps: 2 });
+      const { sessionData, complete } = parseJournal(fs.readFileSync(file, 'utf8'));
+      expect(complete).to.be.true;
+      expect(sessionData.end_time).to.equal(sessionData.steps[1].timestamp);
+      expect(entryTypes(file)).to.deep.equal(['header', 'step', 'step', 'footer']);
+      expect(fs.existsSync(lockPath(file))).to.be.false;
+      
+      expect((await recoverJournal(file)).recovered).to.be.false;
+    });
+    
+    it('should leave recordings that are still being written alone', async () => {
+      const interrupted = await interruptedRecording();
+      const recorder = new SessionRecorder({ dir: recordingsDir, logger: quietLogger });
+      await recorder.startRecording();
+      fs.writeFileSync(path.join(recordingsDir, 'legacy.json'), '{"steps": []}');
+      
+      const results = await recoverJournals(recordingsDir, SessionRecorder.activeFiles);
+      
+      expect(results.map((result) => result.file)).to.deep.equal([interrupted]);
+      expect(entryTypes(recorder.recordingFile)).to.deep.equal(['header']);
+      await recorder.stopRecording();
+    });
+    
+    it('should leave a journal another running process is writing alone', async () => {
+      const file = await interruptedRecording();
+      expect(isLocked(file)).to.be.false;
+      
+      // Locked by a live process other than this one, such as a second proxy
+      fs.writeFileSync(lockPath(file), JSON.stringify({ pid: process.ppid, host: os.hostname() }));
+      expect(isLocked(file)).to.be.true;
+      expect(await recoverJournals(recordingsDir)).to.deep.equal([]);
+      expect(entryTypes(file)).to.deep.equal(['header', 'step', 'step']);
+      
+      // A lock from another host cannot be checked, so it is assumed held
+      fs.writeFileSync(lockPath(file), JSON.stringify({ pid: 1, host: `not-${os.hostname()}` }));
+      expect(await recoverJournals(recordingsDir)).to.deep.equal([]);
+    });
+  });
+  
+  describe('Store', () => {
+    it('should append tags to a journal', async () => {
+      const file = await interruptedRecording();
+      fs.appendFileSync(file, '{"type":"st');
+      const store = new RecordingStore(recordingsDir);
+      
+      expect(store.setTags(path.basename(file), ['crash'])).to.deep.equal(['crash']);
+      
+      expect(entryTypes(file)).to.deep.equal(['header', 'step', 'step', 'tags']);
+      expect(store.describe(path.basename(file))).to.include({ step_count: 2, end_time: null });
+      expect(store.describe(path.basename(file)).tags).to.deep.equal(['crash']);
+    });
+    
+    it('should not change a journal another process is writing', async () => {
+      const file = await interruptedRecording();
+      const name = path.basename(file);
+      const store = new RecordingStore(recordingsDir);
+      fs.writeFileSync(lockPath(file), JSON.stringify({ pid: process.ppid, host: os.hostname() }));
+      
+      expect(store.describe(name).recording).to.be.true;
+      expect(() => store.rename(name, 'moved')).to.throw('Recording in progress').with.property('code', 'EBUSY');
+      expect(() => store.setTags(name, ['busy'])).to.throw('Recording in progress');
+      expect(() => store.remove(name)).to.throw('Recording in progress');
+      expect(entryTypes(file)).to.deep.equal(['header', 'step', 'step']);
+    });
+    
+    it('should list recordings newest first, then by name, undated ones last', () => {
+      const write = (name, startTime) => fs.writeFileSync(path.join(recordingsDir, name),
+        JSON.stringify({ session_id: name, start_time: startTime, steps: [] }));
+      write('older.json', '2025-01-01T00:00:00.000Z');
+      write('b-newer.json', '2025-01-02T00:00:00.000Z');
+      write('a-newer.json', '2025-01-02T00:00:00.000Z');
+      write('undated.json', null);
+      fs.writeFileSync(path.join(recordingsDir, 'broken.json'), '{');
+      
+      expect(new RecordingStore(recordingsDir).list().map((recording) => recording.name)).to.deep.equal([
+        'a-newer.json', 'b-newer.json', 'older.json', 'broken.json', 'undated.json'
+      ]);
+    });
+    
+    it('should remove the lock a crash left behind when moving a journal', async () => {
+      const file = await interruptedRecording();
+      const store = new RecordingStore(recordingsDir);
+      
+      expect(store.rename(path.basename(file), 'moved')).to.equal('moved.jsonl');
+      expect(fs.readdirSync(recordingsDir)).to.deep.equal(['moved.jsonl']);
+      
+      store.remove('moved.jsonl');
+      expect(fs.readdirSync(recordingsDir)).to.deep.equal([]);
+    });
+  });
+});
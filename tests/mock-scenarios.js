@@ -0,0 +1,235 @@
+/**
+ * MiniTel-Lite Mock Server Fault Scenarios
+ * Alters how the mock server writes its responses on a single connection
+ */
+
+const { encodeFrame } = require('../proxy/protocol/encoder');
+const { defaultRegistry } = require('../proxy/protocol/registry');
+const { COMMAND_NAMES, TIMEOUTS, FRAMING } = require('../proxy/protocol/constants');
+
+// Available scenarios and the command whose response they affect by default
+// (null affects every response)
+const SCENARIOS = {
+  'corrupt-hash': { command: 'HELLO' },
+  'wrong-nonce': { command: 'HELLO' },
+  'delay': { command: 'HELLO' },
+  'split': { command: null },
+  'coalesce': { command: null },
+  'drop-after-first-dump': { command: 'DUMP' },
+  'unknown-response': { command: 'HELLO' },
+  // DUMP_OK, the only response that carries a payload
+  'oversize-payload': { command: 'DUMP', occurrence: 2 }
+};
+
+// The mock server's own registry: the built-in codes with free-form payloads,
+// so scenarios and recordings can send payloads the real protocol forbids
+const MOCK_REGISTRY = defaultRegistry.relaxed();
+
+// Response code no MiniTel-Lite server sends
+const UNKNOWN_RESPONSE_CODE = 0x99;
+
+// Bytes of a frame around its payload: CMD + NONCE + HASH
+const FRAME_OVERHEAD_BYTES = 1 + 4 + 32;
+
+// Largest Base64 length the 2-byte prefix can declare
+const MAX_BASE64_LENGTH = 0xffff;
+
+/**
+ * Smallest payload whose frame is larger than a buffer limit
+ * @param {number} maxBufferSize - Client buffer limit (bytes)
+ * @returns {number} - Payload bytes
+ */
+function oversizePayloadBytes(maxBufferSize) {
+  // Base64 text is written in 4-character groups of 3 bytes
+  const base64Length = Math.ceil((maxBufferSize + 1 - FRAMING.LENGTH_PREFIX_BYTES) / 4) * 4;
+  if (base64Length > MAX_BASE64_LENGTH) {
+    throw new Error(`oversize-payload: no frame exceeds a buffer limit of ${maxBufferSize} bytes ` +
+      '(set maxBufferSize, or --max-buffer-size, to the client\'s smaller limit)');
+  }
+  return Math.max(0, base64Length / 4 * 3 - FRAME_OVERHEAD_BYTES);
+}
+
+/**
+ * Normalize a scenario given as a name or an options object
+ * @param {string|Object|null} scenario - Scenario name or { name, ...options }
+ * @returns {Object|null} - Scenario with defaults applied
+ */
+function normalizeScenario(scenario) {
+  if (!scenario) {
+    return null;
+  }
+  
+  const options = typeof scenario === 'string' ? { name: scenario } : scenario;
+  const defaults = SCENARIOS[options.name];
+  if (!defaults) {
+    throw new Error(`Unknown mock server scenario: ${options.name}`);
+  }
+  
+  const normalized = Object.assign({
+    // Which occurrence of the command is affected (1 = first)
+    occurrence: 1,
+    // 'delay': how long to hold the response
+    delayMs: TIMEOUTS.RESPONSE + 500,
+    // 'split': bytes per write and pause between writes
+    chunkSize: 3,
+    chunkDelayMs: 5,
+    // 'drop-after-first-dump': send a TCP RST (client sees ECONNRESET) instead of FIN
+    reset: false,
+    // 'oversize-payload': the client's buffer limit; payloadSize defaults to
+    // the smallest payload whose frame exceeds it
+    maxBufferSize: FRAMING.MAX_BUFFER_SIZE
+  }, defaults, options);
+  
+  if (normalized.name === 'oversize-payload' && normalized.payloadSize === undefined) {
+    normalized.payloadSize = oversizePayloadBytes(normalized.maxBufferSize);
+  }
+  return normalized;
+}
+
+/**
+ * Encode a frame whose SHA-256 hash does not match its content
+ * @param {number} cmd - Response code
+ * @param {number} nonce - Nonce
+ * @param {string} payload - Payload
+ * @returns {Buffer} - Frame with a corrupted hash
+ */
+function encodeWithCorruptHash(cmd, nonce, payload) {
+  const frame = encodeFrame(cmd, nonce, payload, MOCK_REGISTRY);
+  const binaryFrame = Buffer.from(frame.toString('utf8', 2), 'base64');
+  binaryFrame[binaryFrame.length - 1] ^= 0xff;
+  
+  const base64Frame = binaryFrame.toString('base64');
+  const corrupted = Buffer.alloc(2 + base64Frame.length);
+  corrupted.writeUInt16BE(base64Frame.length, 0);
+  corrupted.write(base64Frame, 2);
+  return corrupted;
+}
+
+/**
+ * Create the response writer for one connection
+ * @param {net.Socket} socket - Client socket
+ * @param {Object} state - Connection state (its `timers` are cleared on close)
+ * @param {string|Object|null} scenarioOption - Scenario for this connection
+ * @returns {Object} - { respond(request, cmd, nonce, payload), writeRaw(buffer), flush() }
+ */
+function createResponder(socket, state, scenarioOption) {
+  const scenario = normalizeScenario(scenarioOption);
+  const commandCounts = {};
+  const coalesced = [];
+  
+  /**
+   * Whether the scenario applies to the response for this request
+   * @param {Object} request - Decoded client frame
+   * @returns {boolean} - True if the response should be altered
+   */
+  function targets(request) {
+    if (!scenario) {
+      return false;
+    }
+    if (scenario.command === null) {
+      return true;
+    }
+    const name = COMMAND_NAMES[request.cmd];
+    commandCounts[name] = (commandCounts[name] || 0) + 1;
+    return name === scenario.command && commandCounts[name] === scenario.occurrence;
+  }
+  
+  /**
+   * Write bytes to the socket, applying split/coalesce write strategies
+   * @param {Buffer} data - Bytes to write
+   * @param {boolean} altered - Whether the scenario applies to this write
+   */
+  function writeRaw(data, altered = scenario !== null && scenario.command === null) {
+    if (socket.destroyed) {
+      return;
+    }
+    
+    if (altered && scenario.name === 'coalesce') {
+      // Held until flush(), after the current chunk of client data is processed
+      coalesced.push(data);
+      return;
+    }
+    
+    if (altered && scenario.name === 'split') {
+      for (let offset = 0, i = 0; offset < data.length; offset += scenario.chunkSize, i++) {
+        const chunk = data.slice(offset, offset + scenario.chunkSize);
+        state.timers.push(setTimeout(() => {
+          if (!socket.destroyed) {
+            socket.write(chunk);
+          }
+        }, i * scenario.chunkDelayMs));
+      }
+      return;
+    }
+    
+    socket.write(data);
+  }
+  
+  /**
+   * Send a response to a client frame
+   * @param {Object} request - Decoded client frame being answered
+   * @param {number} cmd - Response code
+   * @param {number} nonce - Response nonce
+   * @param {string} payload - Response payload
+   */
+  function respond(request, cmd, nonce, payload) {
+    const altered = targets(request);
+    const name = altered ? scenario.name : null;
+    let frame;
+    
+    switch (name) {
+      case 'drop-after-first-dump':
+        console.log(`[FAULT] Dropping connection${scenario.reset ? ' with a TCP reset' : ''}`);
+        if (scenario.reset) {
+          socket.resetAndDestroy();
+        } else {
+          socket.destroy();
+        }
+        return;
+      case 'corrupt-hash':
+        frame = encodeWithCorruptHash(cmd, nonce, payload);
+        break;
+      case 'wrong-nonce':
+        frame = encodeFrame(cmd, nonce + 1, payload, MOCK_REGISTRY);
+        break;
+      case 'unknown-response':
+        frame = encodeFrame(UNKNOWN_RESPONSE_CODE, nonce, payload, MOCK_REGISTRY);
+        break;
+      case 'oversize-payload':
+        frame = encodeFrame(cmd, nonce, 'X'.repeat(scenario.payloadSize), MOCK_REGISTRY);
+        break;
+      default:
+        frame = encodeFrame(cmd, nonce, payload, MOCK_REGISTRY);
+    }
+    
+    if (name) {
+      console.log(`[FAULT] ${name} on response to ${COMMAND_NAMES[request.cmd]}`);
+    }
+    
+    if (name === 'delay') {
+      state.timers.push(setTimeout(() => writeRaw(frame, false), scenario.delayMs));
+    } else {
+      writeRaw(frame, altered);
+    }
+    console.log(`[SENT] ${cmd} (nonce=${nonce})`);
+  }
+  
+  /**
+   * Write every held response in a single write
+   */
+  function flush() {
+    if (coalesced.length > 0 && !socket.destroyed) {
+      socket.write(Buffer.concat(coalesced.splice(0)));
+    }
+  }
+  
+  return { respond, writeRaw, flush };
+}
+
+module.exports = {
+  SCENARIOS,
+  MOCK_REGISTRY,
+  UNKNOWN_RESPONSE_CODE,
+  createResponder,
+  normalizeScenario
+};
@@ -1,35 +1,72 @@
 /**
  * MiniTel-Lite Mock Server
  * Used for integration testing without connecting to the real server
+ *
+ * By default it follows the scripted HELLO_ACK / DUMP_FAILED / DUMP_OK /
+ * STOP_OK flow. When started with a recording it answers each client frame
+ * with the server response recorded by SessionRecorder instead. Fault
+ * scenarios (see mock-scenarios.js) can be applied to every connection or
+ * queued for the next ones.
  */
 
 const net = require('net');
-const { encodeFrame } = require('../proxy/protocol/encoder');
 const { decodeFrame } = require('../proxy/protocol/decoder');
+const FrameReassembler = require('../proxy/protocol/stream');
+const { groupExchanges } = require('../proxy/replay/redrive');
+const { recordedPayloadBytes } = require('../proxy/protocol/payload');
+const { loadSession } = require('../proxy/recorder/schema');
+const { readSessionFile } = require('../proxy/recorder/reader');
+const { MOCK_REGISTRY, createResponder, normalizeScenario } = require('./mock-scenarios');
+const { defaultRegistry } = require('../proxy/protocol/registry');
+const { ProtocolStateMachine, STATES } = require('../proxy/protocol/state');
 const { COMMANDS, RESPONSES } = require('../proxy/protocol/constants');
 
-// Server state
-let dumpCount = 0;
-let connectionNonce = 0;
-let lastCommand = null;
+// Server options, set by start()
+let recordedExchanges = null;
+let preserveTiming = false;
+let defaultScenario = null;
+
+// Scenarios for the next connections, consumed in order
+const scenarioQueue = [];
 
 // Create TCP server
 const server = net.createServer((socket) => {
   console.log('Client connected');
   
-  // Reset state for new connection
-  dumpCount = 0;
-  connectionNonce = 0;
-  lastCommand = null;
+  // Per-connection state, so concurrent clients don't interfere
+  const state = {
+    connectionNonce: 0,
+    timers: []
+  };
+  const scenario = scenarioQueue.length > 0 ? scenarioQueue.shift() : defaultScenario;
+  const responder = createResponder(socket, state, scenario);
+  const handleCommand = recordedExchanges
+    ? createRecordedHandler(socket, state, responder, recordedExchanges)
+    : createScriptedHandler(socket, state, responder);
   
   // Set idle timeout
   socket.setTimeout(2000);
   
+  // Reassemble frames that TCP may split or coalesce
+  const reassembler = new FrameReassembler({ registry: MOCK_REGISTRY });
+  
+  reassembler.on('error', (error) => {
+    console.log(`[ERROR] ${error.message}`);
+    socket.destroy();
+  });
+  
   socket.on('data', (data) => {
+    reassembler.push(data);
+    responder.flush();
+  });
+  
+  reassembler.on('frame', (frame) => {
+    // Ignore frames coalesced after a protocol violation closed the socket
+    if (socket.destroyed) {
+      return;
+    }
+    
     try {
-      // Decode the frame
-      const frame = decodeFrame(data);
-      
       if (!frame.valid) {
         console.log(`[ERROR] Invalid frame: ${frame.error}`);
         socket.destroy();
@@ -39,64 +76,13 @@ const server = net.createServer((socket) => {
       console.log(`[RECV] ${frame.cmdName} (nonce=${frame.nonce})`);
       
       // Validate nonce
-      if (frame.cmd !== COMMANDS.HELLO && frame.nonce !== connectionNonce) {
-        console.log(`[ERROR] Nonce mismatch: expected=${connectionNonce}, got=${frame.nonce}`);
+      if (frame.cmd !== COMMANDS.HELLO && frame.nonce !== state.connectionNonce) {
+        console.log(`[ERROR] Nonce mismatch: expected=${state.connectionNonce}, got=${frame.nonce}`);
         socket.destroy();
         return;
       }
       
-      // Handle commands
-      switch (frame.cmd) {
-        case COMMANDS.HELLO:
-          // Reset dump count and set nonce
-          dumpCount = 0;
-          connectionNonce = frame.nonce + 1;
-          lastCommand = 'HELLO';
-          
-          // Send HELLO_ACK
-          sendResponse(socket, RESPONSES.HELLO_ACK, connectionNonce, '');
-          connectionNonce++;
-          break;
-        
-        case COMMANDS.DUMP:
-          // First DUMP -> DUMP_FAILED, second DUMP -> DUMP_OK
-          if (lastCommand !== 'HELLO' && lastCommand !== 'DUMP') {
-            console.log('[ERROR] DUMP must follow HELLO or DUMP');
-            socket.destroy();
-            return;
-          }
-          
-          lastCommand = 'DUMP';
-          connectionNonce = frame.nonce + 1;
-          
-          if (dumpCount === 0) {
-            // First DUMP -> DUMP_FAILED
-            dumpCount++;
-            sendResponse(socket, RESPONSES.DUMP_FAILED, connectionNonce, '');
-          } else {
-            // Second DUMP -> DUMP_OK with override code
-            sendResponse(socket, RESPONSES.DUMP_OK, connectionNonce, 'CPE1704TKS');
-          }
-          connectionNonce++;
-          break;
-        
-        case COMMANDS.STOP_CMD:
-          lastCommand = 'STOP_CMD';
-          connectionNonce = frame.nonce + 1;
-          
-          // Send STOP_OK
-          sendResponse(socket, RESPONSES.STOP_OK, connectionNonce, '');
-          
-          // Close connection
-          setTimeout(() => {
-            socket.end();
-          }, 100);
-          break;
-        
-        default:
-          console.log(`[ERROR] Unknown command: ${frame.cmd}`);
-          socket.destroy();
-      }
+      handleCommand(frame);
     } catch (error) {
       console.error(`[ERROR] ${error.message}`);
       socket.destroy();
@@ -113,34 +99,230 @@ const server = net.createServer((socket) => {
   });
   
   socket.on('close', () => {
+    state.timers.forEach(clearTimeout);
     console.log('Client disconnected');
   });
 });
 
 /**
- * Send a response to the client
+ * Create the scripted command handler for one connection
+ * HELLO -> HELLO_ACK, first DUMP -> DUMP_FAILED, second DUMP -> DUMP_OK,
+ * STOP_CMD -> STOP_OK. Commands the protocol state machine does not allow
+ * (e.g. DUMP before HELLO) close the connection.
+ * @param {net.Socket} socket - Client socket
+ * @param {Object} state - Connection state
+ * @param {Object} responder - Response writer from createResponder()
+ * @returns {Function} - Handler for valid client frames
+ */
+function createScriptedHandler(socket, state, responder) {
+  const machine = new ProtocolStateMachine();
+  machine.connect();
+  
+  // Answer the pending command and move the state machine along
+  const respond = (frame, code, payload) => {
+    responder.respond(frame, code, state.connectionNonce, payload);
+    machine.response(defaultRegistry.nameOf(code));
+  };
+  
+  return (frame) => {
+    const illegal = machine.checkCommand(frame.cmdName);
+    if (illegal) {
+      console.log(`[ERROR] ${illegal.message}`);
+      socket.destroy();
+      return;
+    }
+    
+    // The first DUMP after HELLO fails, the next ones succeed
+    const dumping = machine.state === STATES.DUMPING;
+    machine.command(frame.cmdName);
+    state.connectionNonce = frame.nonce + 1;
+    
+    switch (frame.cmd) {
+      case COMMANDS.HELLO:
+        respond(frame, RESPONSES.HELLO_ACK, '');
+        state.connectionNonce++;
+        break;
+      
+      case COMMANDS.DUMP:
+        if (dumping) {
+          // Second DUMP -> DUMP_OK with override code
+          respond(frame, RESPONSES.DUMP_OK, 'CPE1704TKS');
+        } else {
+          respond(frame, RESPONSES.DUMP_FAILED, '');
+        }
+        state.connectionNonce++;
+        break;
+      
+      case COMMANDS.STOP_CMD:
+        respond(frame, RESPONSES.STOP_OK, '');
+        
+        // Close connection
+        setTimeout(() => {
+          socket.end();
+        }, 100);
+        break;
+      
+      default:
+        console.log(`[ERROR] Unknown command: ${frame.cmd}`);
+        socket.destroy();
+    }
+  };
+}
+
+/**
+ * Create a command handler that replays recorded server responses
+ * Each client frame must match the next recorded request. Valid recorded
+ * responses are re-encoded with nonces that fit the live exchange; invalid
+ * ones are sent back byte for byte.
  * @param {net.Socket} socket - Client socket
- * @param {number} cmd - Response command code
- * @param {number} nonce - Response nonce
- * @param {string} payload - Response payload
+ * @param {Object} state - Connection state
+ * @param {Object} responder - Response writer from createResponder()
+ * @param {Object[]} exchanges - Recorded exchanges ({ request, responses })
+ * @returns {Function} - Handler for valid client frames
  */
-function sendResponse(socket, cmd, nonce, payload) {
-  const response = encodeFrame(cmd, nonce, payload);
-  socket.write(response);
-  console.log(`[SENT] ${cmd} (nonce=${nonce})`);
+function createRecordedHandler(socket, state, responder, exchanges) {
+  const requests = exchanges.filter((exchange) => exchange.request);
+  let index = 0;
+  
+  return (frame) => {
+    const exchange = requests[index++];
+    if (!exchange) {
+      console.log(`[ERROR] Recording has no more requests, got ${frame.cmdName}`);
+      socket.destroy();
+      return;
+    }
+    
+    const recordedCmd = recordedFrame(exchange.request, COMMANDS).cmd;
+    if (frame.cmd !== recordedCmd) {
+      console.log(`[ERROR] Expected ${exchange.request.decoded.cmd} from recording, got ${frame.cmdName}`);
+      socket.destroy();
+      return;
+    }
+    
+    // Server nonce = client nonce + 1, then one more per response
+    state.connectionNonce = frame.nonce + 1;
+    const requestTime = new Date(exchange.request.timestamp).getTime();
+    const isLast = index === requests.length;
+    
+    exchange.responses.forEach((response, responseIndex) => {
+      const nonce = state.connectionNonce;
+      state.connectionNonce++;
+      
+      const send = () => {
+        if (socket.destroyed) {
+          return;
+        }
+        
+        if (!response.valid && response.response) {
+          // Reproduce the recorded invalid frame exactly
+          responder.writeRaw(Buffer.from(response.response, 'base64'));
+          console.log(`[SENT] recorded invalid frame`);
+        } else {
+          const { cmd, payload } = recordedFrame(response, RESPONSES);
+          responder.respond(frame, cmd, nonce, payload);
+        }
+        responder.flush();
+        
+        if (isLast && responseIndex === exchange.responses.length - 1) {
+          // Close connection after the last recorded response
+          state.timers.push(setTimeout(() => socket.end(), 100));
+        }
+      };
+      
+      const delay = preserveTiming
+        ? Math.max(0, new Date(response.timestamp).getTime() - requestTime)
+        : 0;
+      if (delay > 0) {
+        state.timers.push(setTimeout(send, delay));
+      } else {
+        send();
+      }
+    });
+  };
+}
+
+/**
+ * Get the command code and payload of a recorded step
+ * The raw frame is preferred; the decoded fields are used as a fallback.
+ * @param {Object} step - Recorded step
+ * @param {Object} codes - Code table to resolve names (COMMANDS or RESPONSES)
+ * @returns {Object} - { cmd, payload }
+ */
+function recordedFrame(step, codes) {
+  const raw = step.direction === 'client' ? step.request : step.response;
+  if (raw) {
+    const frame = decodeFrame(Buffer.from(raw, 'base64'), MOCK_REGISTRY);
+    if (frame.valid) {
+      return { cmd: frame.cmd, payload: frame.payloadBytes };
+    }
+  }
+  return { cmd: codes[step.decoded.cmd], payload: recordedPayloadBytes(step.decoded) || '' };
+}
+
+/**
+ * Apply server options
+ * @param {Object} options - Server options
+ * @param {Object|string} options.recording - Session data or path to a recording
+ * @param {boolean} options.preserveTiming - Keep the recorded gap between request and response
+ * @param {string|Object} options.scenario - Fault scenario for every connection
+ */
+function configure(options = {}) {
+  let recording = options.recording || null;
+  if (typeof recording === 'string') {
+    recording = readSessionFile(recording);
+  } else if (recording) {
+    recording = loadSession(recording);
+  }
+  
+  recordedExchanges = recording ? groupExchanges(recording.steps) : null;
+  preserveTiming = Boolean(options.preserveTiming);
+  defaultScenario = normalizeScenario(options.scenario || null);
+  scenarioQueue.length = 0;
 }
 
 // Export for testing
 module.exports = {
-  start: (port) => {
+  start: (port, options = {}) => {
+    configure(options);
     server.listen(port, () => {
-      console.log(`Mock server listening on port ${port}`);
+      console.log(`Mock server listening on port ${port}${recordedExchanges ? ' (recorded session)' : ''}`);
     });
     return server;
   },
   stop: () => {
+    scenarioQueue.length = 0;
     return new Promise((resolve) => {
       server.close(resolve);
     });
+  },
+  /**
+   * Apply a fault scenario to the next connection only
+   * Queued scenarios are consumed one per connection, in order.
+   * @param {string} name - Scenario name (see SCENARIOS in mock-scenarios.js)
+   * @param {Object} options - Scenario options (command, occurrence, delayMs, ...)
+   */
+  queueScenario: (name, options = {}) => {
+    scenarioQueue.push(normalizeScenario(Object.assign({ name }, options)));
   }
-};
\ No newline at end of file
+};
+
+// Run standalone:
+// node tests/mock-server.js [port] [--recording <file>] [--preserve-timing] [--scenario <name>]
+//   [--max-buffer-size <bytes>]
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const valueIndexes = ['--recording', '--scenario', '--max-buffer-size']
+    .map((name) => args.indexOf(name) + 1)
+    .filter((index) => index > 0);
+  const optionValue = (name) => (args.includes(name) ? args[args.indexOf(name) + 1] : null);
+  const port = parseInt(args.find((arg, index) => /^\d+$/.test(arg) && !valueIndexes.includes(index)) || '7321', 10);
+  const scenario = optionValue('--scenario');
+  const maxBufferSize = optionValue('--max-buffer-size');
+  
+  module.exports.start(port, {
+    recording: optionValue('--recording'),
+    preserveTiming: args.includes('--preserve-timing'),
+    // The client buffer limit the oversize-payload scenario must exceed
+    scenario: scenario && maxBufferSize ? { name: scenario, maxBufferSize: parseInt(maxBufferSize, 10) } : scenario
+  });
+}
@@ -0,0 +1,191 @@
+/**
+ * MiniTel-Lite Binary Payload Tests
+ * Tests payload text views, hex dumps and how payload bytes are recorded and re-read
+ */
+
+const chai = require('chai');
+const expect = chai.expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mockServer = require('./mock-server');
+const { MiniTelClient, ERROR_CODES } = require('../proxy/client/client');
+const SessionRecorder = require('../proxy/recorder/recorder');
+const { readSessionFile } = require('../proxy/recorder/reader');
+const { encodeFrame } = require('../proxy/protocol/encoder');
+const { decodeFrame } = require('../proxy/protocol/decoder');
+const { CommandRegistry, INVALID_PAYLOAD, defaultRegistry } = require('../proxy/protocol/registry');
+const { diffSteps } = require('../proxy/replay/redrive');
+const { COMMANDS, RESPONSES } = require('../proxy/protocol/constants');
+const {
+  textView,
+  isPrintable,
+  hexDump,
+  payloadLabel,
+  recordPayload,
+  recordedPayloadBytes
+} = require('../proxy/protocol/payload');
+
+describe('MiniTel-Lite Binary Payloads', () => {
+  const BINARY = Buffer.from([0x00, 0xff, 0x41, 0x0a, 0x80]);
+  
+  // The built-in codes only take empty or UTF-8 payloads; Buffers travel on
+  // codes declared binary (or text), such as this extra server code
+  const BLOB = 0x85;
+  const WITH_BLOB = new CommandRegistry(defaultRegistry.list().concat({
+    code: BLOB, name: 'BLOB', direction: 'server', payload: 'binary'
+  }));
+  const RELAXED = defaultRegistry.relaxed();
+  
+  describe('Views', () => {
+    it('should tell text from binary data', () => {
+      expect(isPrintable(Buffer.from('CPE1704TKS'))).to.be.true;
+      expect(isPrintable(Buffer.from('line 1\nline 2\twith tab'))).to.be.true;
+      expect(isPrintable(Buffer.from('héllo'))).to.be.true;
+      expect(isPrintable(BINARY)).to.be.false;
+      expect(isPrintable(Buffer.from([0x41, 0x07]))).to.be.false;
+    });
+    
+    it('should give a best-effort text view', () => {
+      expect(textView(Buffer.from('CPE1704TKS'))).to.equal('CPE1704TKS');
+      expect(textView(BINARY)).to.equal('\u0000�A\n�');
+    });
+    
+    it('should format a hex dump with offsets and an ASCII column', () => {
+      const lines = hexDump(Buffer.concat([Buffer.from('HELLO, MINITEL!!'), BINARY]));
+      
+      expect(lines).to.deep.equal([
+        '00000000  48 45 4c 4c 4f 2c 20 4d 49 4e 49 54 45 4c 21 21  |HELLO, MINITEL!!|',
+        '00000010  00 ff 41 0a 80                                   |..A..|'
+      ]);
+      expect(hexDump(Buffer.alloc(0))).to.deep.equal([]);
+    });
+    
+    it('should label payloads on one line', () => {
+      expect(payloadLabel(Buffer.from('CPE1704TKS'))).to.equal('CPE1704TKS');
+      expect(payloadLabel(BINARY)).to.equal('hex:00ff410a80');
+    });
+  });
+  
+  describe('Codec', () => {
+    it('should carry Buffer payloads byte for byte on a binary code', () => {
+      const decoded = decodeFrame(encodeFrame(BLOB, 3, BINARY, WITH_BLOB), WITH_BLOB);
+      
+      expect(decoded.valid).to.be.true;
+      expect(decoded.payload).to.deep.equal(BINARY);
+      expect(decoded.payloadBytes).to.deep.equal(BINARY);
+      expect(decoded.payloadText).to.equal(textView(BINARY));
+    });
+    
+    it('should refuse binary payloads on the built-in codes with the default registry', () => {
+      expect(() => encodeFrame(RESPONSES.DUMP_OK, 3, BINARY)).to.throw('Invalid DUMP_OK payload')
+        .with.property('code', INVALID_PAYLOAD);
+      
+      // A server sending them anyway sends an invalid frame
+      const decoded = decodeFrame(encodeFrame(RESPONSES.DUMP_OK, 3, BINARY, RELAXED));
+      expect(decoded.valid).to.be.false;
+      expect(decoded.error).to.equal('Invalid DUMP_OK payload: payload is not valid UTF-8');
+    });
+  });
+  
+  describe('Recordings', () => {
+    it('should store payload bytes in the configured encoding', () => {
+      const decoded = decodeFrame(encodeFrame(BLOB, 3, BINARY, WITH_BLOB), WITH_BLOB);
+      
+      expect(recordPayload(decoded, 'hex')).to.deep.equal({
+        payload: textView(BINARY),
+        payload_encoding: 'hex',
+        payload_bytes: '00ff410a80'
+      });
+      expect(recordPayload(decoded, 'base64').payload_bytes).to.equal(BINARY.toString('base64'));
+      expect(() => recordPayload(decoded, 'base32')).to.throw('Invalid payload encoding');
+    });
+    
+    it('should read payload bytes back, falling back to the text of older recordings', () => {
+      expect(recordedPayloadBytes({ payload: 'ignored', payload_encoding: 'hex', payload_bytes: '00ff' }))
+        .to.deep.equal(Buffer.from([0x00, 0xff]));
+      expect(recordedPayloadBytes({ payload: 'CPE1704TKS' })).to.deep.equal(Buffer.from('CPE1704TKS'));
+      expect(recordedPayloadBytes({ payload: null, payload_encoding: null, payload_bytes: null })).to.be.null;
+    });
+    
+    it('should compare binary payloads byte for byte', () => {
+      const responseStep = (bytes) => ({
+        direction: 'server',
+        decoded: { cmd: 'DUMP_OK', payload: textView(bytes), payload_encoding: 'hex', payload_bytes: bytes.toString('hex') },
+        valid: true
+      });
+      // Both invalid bytes have the same text view
+      const [entry] = diffSteps([responseStep(Buffer.from([0xfe]))], [responseStep(Buffer.from([0xff]))]);
+      
+      expect(entry.differences).to.deep.equal([
+        { field: 'response[0].payload', original: 'hex:fe', replayed: 'hex:ff' }
+      ]);
+    });
+  });
+  
+  describe('Client', function() {
+    // Increase timeout for integration tests
+    this.timeout(10000);
+    
+    const TEST_PORT = 7333;
+    let recordingsDir;
+    
+    before(async () => {
+      // Start the mock server
+      mockServer.start(TEST_PORT);
+    });
+    
+    after(async () => {
+      // Stop the mock server
+      await mockServer.stop();
+    });
+    
+    beforeEach(() => {
+      recordingsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'minitel-recordings-'));
+    });
+    
+    afterEach(() => {
+      fs.rmSync(recordingsDir, { recursive: true, force: true });
+    });
+    
+    it('should send and record a binary request with a relaxed registry', async () => {
+      const recorder = new SessionRecorder({
+        dir: recordingsDir,
+        payloadEncoding: 'hex',
+        logger: { info: () => {}, error: () => {} }
+      });
+      const client = new MiniTelClient({ host: 'localhost', port: TEST_PORT, recorder, registry: RELAXED });
+      await recorder.startRecording();
+      const file = recorder.recordingFile;
+      await client.connect();
+      
+      await client.sendCommand(COMMANDS.HELLO, BINARY);
+      client.close();
+      await recorder.stopRecording();
+      
+      const [request, response] = readSessionFile(file).steps;
+      expect(request.decoded).to.include({ cmd: 'HELLO', payload_encoding: 'hex', payload_bytes: '00ff410a80' });
+      expect(recordedPayloadBytes(request.decoded)).to.deep.equal(BINARY);
+      expect(response.decoded).to.include({ cmd: 'HELLO_ACK', payload: '', payload_bytes: '' });
+    });
+    
+    it('should refuse a binary request on a built-in code with the default registry', async () => {
+      const client = new MiniTelClient({ host: 'localhost', port: TEST_PORT });
+      await client.connect();
+      
+      try {
+        await client.sendCommand(COMMANDS.HELLO, BINARY);
+        expect.fail('Expected the command to be refused');
+      } catch (error) {
+        expect(error.code).to.equal(ERROR_CODES.INVALID_PAYLOAD);
+      } finally {
+        client.close();
+      }
+    });
+    
+    it('should reject an unknown payload encoding', () => {
+      expect(() => new SessionRecorder({ dir: recordingsDir, payloadEncoding: 'base32' }))
+        .to.throw('Invalid payload encoding');
+    });
+  });
+});
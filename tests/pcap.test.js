@@ -0,0 +1,281 @@
+/**
+ * MiniTel-Lite PCAP Export Tests
+ * Checks the pcap and pcapng files built from a recording byte by byte
+ */
+
+const chai = require('chai');
+const expect = chai.expect;
+const { encodeFrame } = require('../proxy/protocol/encoder');
+const { COMMANDS, RESPONSES } = require('../proxy/protocol/constants');
+const {
+  LINKTYPE_RAW,
+  TCP_FLAGS,
+  REBUILT_COMMENT,
+  internetChecksum,
+  buildPackets,
+  exportSession
+} = require('../proxy/export/pcap');
+
+describe('MiniTel-Lite PCAP Export', () => {
+  const START = Date.parse('2025-01-01T00:00:00.000Z');
+  const HELLO = encodeFrame(COMMANDS.HELLO, 0, '');
+  const HELLO_ACK = encodeFrame(RESPONSES.HELLO_ACK, 1, '');
+  
+  /**
+   * Build a recording step
+   * @param {number} number - Step number
+   * @param {string} direction - 'client' or 'server'
+   * @param {Buffer} frame - Raw frame
+   * @param {number} offsetMs - Time since the start of the session
+   * @returns {Object} - Recording step
+   */
+  function step(number, direction, frame, offsetMs) {
+    return {
+      step: number,
+      timestamp: new Date(START + offsetMs).toISOString(),
+      direction,
+      request: direction === 'client' ? frame.toString('base64') : null,
+      response: direction === 'server' ? frame.toString('base64') : null,
+      decoded: {},
+      valid: true
+    };
+  }
+  
+  /**
+   * Build a session with a HELLO exchange
+   * @param {Object} overrides - Session fields to replace
+   * @returns {Object} - Session data
+   */
+  function session(overrides = {}) {
+    return Object.assign({
+      session_id: 'test',
+      start_time: new Date(START).toISOString(),
+      end_time: new Date(START + 500).toISOString(),
+      server_host: '192.168.1.20',
+      server_port: 7321,
+      steps: [
+        step(1, 'client', HELLO, 100),
+        step(2, 'server', HELLO_ACK, 250)
+      ]
+    }, overrides);
+  }
+  
+  /**
+   * Parse the TCP/IP fields of a synthetic packet
+   * @param {Buffer} packet - Packet starting with the IP header
+   * @returns {Object} - Header fields and payload
+   */
+  function parsePacket(packet) {
+    return {
+      totalLength: packet.readUInt16BE(2),
+      src: [...packet.subarray(12, 16)].join('.'),
+      dst: [...packet.subarray(16, 20)].join('.'),
+      srcPort: packet.readUInt16BE(20),
+      dstPort: packet.readUInt16BE(22),
+      seq: packet.readUInt32BE(24),
+      ack: packet.readUInt32BE(28),
+      flags: packet.readUInt8(33),
+      data: packet.subarray(40)
+    };
+  }
+  
+  describe('Checksums', () => {
+    it('should compute the internet checksum', () => {
+      // Example IPv4 header with its checksum field zeroed
+      const header = Buffer.from('450000730000400040110000c0a80001c0a800c7', 'hex');
+      
+      expect(internetChecksum([header])).to.equal(0xb861);
+    });
+    
+    it('should produce valid IP and TCP checksums', () => {
+      buildPackets(session()).forEach(({ data }) => {
+        const tcpLength = data.length - 20;
+        const pseudoHeader = Buffer.concat([data.subarray(12, 20), Buffer.from([0, 6, tcpLength >> 8, tcpLength & 0xff])]);
+        
+        // A header with a correct checksum sums to zero
+        expect(internetChecksum([data.subarray(0, 20)])).to.equal(0);
+        expect(internetChecksum([pseudoHeader, data.subarray(20)])).to.equal(0);
+      });
+    });
+  });
+  
+  describe('Packets', () => {
+    it('should open, carry the frames and close a TCP connection', () => {
+      const packets = buildPackets(session()).map((packet) => parsePacket(packet.data));
+      const { SYN, ACK, PSH, FIN } = TCP_FLAGS;
+      
+      expect(packets.map((packet) => packet.flags)).to.deep.equal([
+        SYN, SYN | ACK, ACK,
+        PSH | ACK, PSH | ACK,
+        FIN | ACK, FIN | ACK, ACK
+      ]);
+      expect(packets[0]).to.include({ src: '10.0.0.1', dst: '192.168.1.20', srcPort: 49152, dstPort: 7321 });
+      expect(packets[1]).to.include({ src: '192.168.1.20', dst: '10.0.0.1', srcPort: 7321, dstPort: 49152 });
+      expect(packets[3].data).to.deep.equal(HELLO);
+      expect(packets[4].data).to.deep.equal(HELLO_ACK);
+      expect(packets[3].totalLength).to.equal(40 + HELLO.length);
+    });
+    
+    it('should keep sequence and acknowledgment numbers consistent', () => {
+      const [syn, synAck, ack, hello, helloAck, fin, finAck, lastAck] =
+        buildPackets(session()).map((packet) => parsePacket(packet.data));
+      
+      expect(synAck.ack).to.equal(syn.seq + 1);
+      expect(ack).to.include({ seq: syn.seq + 1, ack: synAck.seq + 1 });
+      expect(hello).to.include({ seq: syn.seq + 1, ack: synAck.seq + 1 });
+      expect(helloAck).to.include({ seq: synAck.seq + 1, ack: hello.seq + HELLO.length });
+      expect(fin).to.include({ seq: hello.seq + HELLO.length, ack: helloAck.seq + HELLO_ACK.length });
+      expect(finAck).to.include({ seq: fin.ack, ack: fin.seq + 1 });
+      expect(lastAck).to.include({ seq: fin.seq + 1, ack: finAck.seq + 1 });
+    });
+    
+    it('should use the recorded timestamps', () => {
+      const times = buildPackets(session()).map((packet) => packet.time - START);
+      
+      expect(times).to.deep.equal([0, 0, 0, 100, 250, 500, 500, 500]);
+    });
+    
+    it('should split frames larger than the MSS', () => {
+      const packets = buildPackets(session(), { mss: 10 }).map((packet) => parsePacket(packet.data));
+      const helloSegments = packets.filter((packet) => packet.srcPort === 49152 && packet.data.length > 0);
+      
+      expect(helloSegments).to.have.lengthOf(Math.ceil(HELLO.length / 10));
+      expect(Buffer.concat(helloSegments.map((packet) => packet.data))).to.deep.equal(HELLO);
+      expect(helloSegments[1].seq).to.equal(helloSegments[0].seq + 10);
+    });
+    
+    it('should export each retry attempt as its own connection', () => {
+      const retried = session({
+        steps: [
+          step(1, 'client', HELLO, 100),
+          step(2, 'client', HELLO, 300),
+          step(3, 'server', HELLO_ACK, 310)
+        ],
+        attempts: [
+          { attempt: 1, first_step: 1, last_step: 1 },
+          { attempt: 2, first_step: 2, last_step: 3 }
+        ]
+      });
+      const packets = buildPackets(retried).map((packet) => parsePacket(packet.data));
+      const syns = packets.filter((packet) => packet.flags === TCP_FLAGS.SYN);
+      
+      expect(syns.map((packet) => packet.srcPort)).to.deep.equal([49152, 49153]);
+      expect(packets).to.have.lengthOf(7 + 8);
+    });
+    
+    it('should wrap the client ports of later connections inside the ephemeral range', () => {
+      const retried = session({
+        steps: [
+          step(1, 'client', HELLO, 100),
+          step(2, 'client', HELLO, 200),
+          step(3, 'client', HELLO, 300),
+          step(4, 'server', HELLO_ACK, 310)
+        ],
+        attempts: [
+          { attempt: 1, first_step: 1, last_step: 1 },
+          { attempt: 2, first_step: 2, last_step: 2 },
+          { attempt: 3, first_step: 3, last_step: 4 }
+        ]
+      });
+      const syns = buildPackets(retried, { clientPort: 65534 })
+        .map((packet) => parsePacket(packet.data))
+        .filter((packet) => packet.flags === TCP_FLAGS.SYN);
+      
+      expect(syns.map((packet) => packet.srcPort)).to.deep.equal([65534, 65535, 49152]);
+    });
+    
+    it('should fall back to placeholder addresses for host names', () => {
+      const [syn] = buildPackets(session({ server_host: 'minitel.example' }), { clientHost: '172.16.0.9' })
+        .map((packet) => parsePacket(packet.data));
+      
+      expect(syn).to.include({ src: '172.16.0.9', dst: '10.0.0.2' });
+    });
+    
+    it('should reject sessions it cannot export', () => {
+      expect(() => buildPackets({})).to.throw('no steps');
+      expect(() => buildPackets(session({ server_port: null }))).to.throw('Invalid server port');
+      expect(() => buildPackets(session(), { clientPort: 70000 })).to.throw('Invalid client port');
+      expect(() => buildPackets(session(), { clientPort: 1.5 })).to.throw('Invalid client port');
+      expect(() => exportSession(session(), { format: 'erf' })).to.throw('Invalid capture format');
+    });
+  });
+  
+  describe('Files', () => {
+    it('should write a classic pcap file', () => {
+      const file = exportSession(session());
+      const packets = buildPackets(session());
+      
+      // Global header: magic, version 2.4, zone, accuracy, snaplen, link type
+      expect(file.subarray(0, 24)).to.deep.equal(Buffer.from([
+        0xd4, 0xc3, 0xb2, 0xa1, 0x02, 0x00, 0x04, 0x00,
+        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0xff, 0xff, 0x00, 0x00, LINKTYPE_RAW, 0x00, 0x00, 0x00
+      ]));
+      
+      // Records: seconds, microseconds, captured and original length, data
+      let offset = 24;
+      packets.forEach((packet) => {
+        expect(file.readUInt32LE(offset)).to.equal(Math.floor(packet.time / 1000));
+        expect(file.readUInt32LE(offset + 4)).to.equal((packet.time % 1000) * 1000);
+        expect(file.readUInt32LE(offset + 8)).to.equal(packet.data.length);
+        expect(file.readUInt32LE(offset + 12)).to.equal(packet.data.length);
+        expect(file.subarray(offset + 16, offset + 16 + packet.data.length)).to.deep.equal(packet.data);
+        offset += 16 + packet.data.length;
+      });
+      expect(offset).to.equal(file.length);
+    });
+    
+    it('should write a pcapng file', () => {
+      const file = exportSession(session(), { format: 'pcapng' });
+      const packets = buildPackets(session());
+      const blocks = [];
+      
+      for (let offset = 0; offset < file.length;) {
+        const length = file.readUInt32LE(offset + 4);
+        expect(length % 4).to.equal(0);
+        expect(file.readUInt32LE(offset + length - 4)).to.equal(length);
+        blocks.push({ type: file.readUInt32LE(offset), body: file.subarray(offset + 8, offset + length - 4) });
+        offset += length;
+      }
+      
+      const [section, iface, ...enhanced] = blocks;
+      expect(section.type).to.equal(0x0a0d0d0a);
+      expect(section.body).to.deep.equal(Buffer.from('4d3c2b1a01000000ffffffffffffffff', 'hex'));
+      expect(iface.type).to.equal(1);
+      expect(iface.body).to.deep.equal(Buffer.from([LINKTYPE_RAW, 0, 0, 0, 0xff, 0xff, 0, 0]));
+      
+      expect(enhanced).to.have.lengthOf(packets.length);
+      enhanced.forEach((block, i) => {
+        const micros = (BigInt(block.body.readUInt32LE(4)) << 32n) + BigInt(block.body.readUInt32LE(8));
+        const length = block.body.readUInt32LE(12);
+        expect(block.type).to.equal(6);
+        expect(block.body.readUInt32LE(0)).to.equal(0);
+        expect(micros).to.equal(BigInt(packets[i].time) * 1000n);
+        expect(length).to.equal(packets[i].data.length);
+        expect(block.body.readUInt32LE(16)).to.equal(length);
+        expect(block.body.subarray(20, 20 + length)).to.deep.equal(packets[i].data);
+        expect(block.body.length).to.equal(20 + Math.ceil(length / 4) * 4);
+      });
+    });
+    
+    it('should comment the packets of a rebuilt frame in pcapng files', () => {
+      const redacted = Object.assign(step(3, 'server', HELLO_ACK, 300), {
+        response: null,
+        decoded: { cmd: 'HELLO_ACK', nonce: 1 },
+        redacted: ['frame']
+      });
+      const packets = buildPackets(session({ steps: [step(1, 'client', HELLO, 100), redacted] }));
+      const commented = packets.filter((packet) => packet.comment);
+      expect(commented).to.have.lengthOf(1);
+      expect(commented[0].comment).to.equal(REBUILT_COMMENT);
+      
+      const file = exportSession(session({ steps: [redacted] }), { format: 'pcapng' });
+      const text = Buffer.from(REBUILT_COMMENT);
+      const at = file.indexOf(text);
+      expect(at).to.be.above(0);
+      expect(file.readUInt16LE(at - 4)).to.equal(1);
+      expect(file.readUInt16LE(at - 2)).to.equal(text.length);
+      expect(exportSession(session({ steps: [redacted] })).indexOf(text)).to.equal(-1);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * MiniTel-Lite Recording Picker Tests
+ * Tests sorting, filtering and formatting of the replay TUI's recording list
+ */
+
+const chai = require('chai');
+const expect = chai.expect;
+const {
+  SORT_FIELDS,
+  recordingDuration,
+  recordingOutcome,
+  sortRecordings,
+  filterRecordings,
+  nextOption,
+  formatListDate,
+  formatListDuration
+} = require('../tui/picker');
+
+describe('MiniTel-Lite Recording Picker', () => {
+  const recordings = [
+    {
+      name: 'session-a.jsonl',
+      session_id: 'a',
+      start_time: '2026-01-02T10:00:00.000Z',
+      end_time: '2026-01-02T10:00:04.000Z',
+      step_count: 8,
+      success: true,
+      tags: ['nightly']
+    },
+    {
+      name: 'session-b.jsonl.gz',
+      session_id: 'b',
+      start_time: '2026-01-03T10:00:00.000Z',
+      end_time: '2026-01-03T10:01:30.000Z',
+      step_count: 4,
+      success: false,
+      tags: []
+    },
+    {
+      name: 'session-c.jsonl',
+      session_id: 'c',
+      start_time: '2026-01-01T10:00:00.000Z',
+      end_time: null,
+      step_count: 2,
+      success: false,
+      tags: ['flaky']
+    },
+    { name: 'broken.json', error: 'Session file is not valid JSON' }
+  ];
+  
+  /**
+   * Names of recordings, in order
+   * @param {Object[]} list - Recording metadata
+   * @returns {string[]} - Names
+   */
+  function names(list) {
+    return list.map((recording) => recording.name);
+  }
+  
+  describe('Entries', () => {
+    it('should work out the duration and outcome of each recording', () => {
+      expect(recordings.map(recordingDuration)).to.deep.equal([4000, 90000, null, null]);
+      expect(recordings.map(recordingOutcome)).to.deep.equal(['retrieved', 'not retrieved', 'not retrieved', 'unreadable']);
+      expect(recordingOutcome({ recording: true, success: false })).to.equal('recording');
+    });
+    
+    it('should format dates and durations for the list', () => {
+      expect(formatListDate(recordings[0].start_time)).to.match(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/);
+      expect(formatListDate(undefined)).to.equal('-');
+      expect(formatListDuration(4200)).to.equal('4.2s');
+      expect(formatListDuration(185000)).to.equal('3m 05s');
+      expect(formatListDuration(null)).to.equal('-');
+    });
+  });
+  
+  describe('Sorting', () => {
+    it('should sort by date, duration, steps and outcome', () => {
+      expect(names(sortRecordings(recordings, 'date', true)))
+        .to.deep.equal(['session-b.jsonl.gz', 'session-a.jsonl', 'session-c.jsonl', 'broken.json']);
+      expect(names(sortRecordings(recordings, 'duration', true)))
+        .to.deep.equal(['session-b.jsonl.gz', 'session-a.jsonl', 'session-c.jsonl', 'broken.json']);
+      expect(names(sortRecordings(recordings, 'steps', false)))
+        .to.deep.equal(['broken.json', 'session-c.jsonl', 'session-b.jsonl.gz', 'session-a.jsonl']);
+      expect(names(sortRecordings(recordings, 'outcome', false)).slice(0, 3))
+        .to.deep.equal(['session-b.jsonl.gz', 'session-c.jsonl', 'session-a.jsonl']);
+    });
+    
+    it('should cycle through the sort fields', () => {
+      expect(nextOption(SORT_FIELDS, 'date')).to.equal('duration');
+      expect(nextOption(SORT_FIELDS, 'outcome')).to.equal('date');
+    });
+  });
+  
+  describe('Filtering', () => {
+    it('should filter by text in the name, session ID and tags', () => {
+      expect(names(filterRecordings(recordings, { text: 'NIGHTLY' }))).to.deep.equal(['session-a.jsonl']);
+      expect(names(filterRecordings(recordings, { text: '.gz' }))).to.deep.equal(['session-b.jsonl.gz']);
+      expect(filterRecordings(recordings, { text: '' })).to.have.lengthOf(4);
+    });
+    
+    it('should filter by outcome', () => {
+      expect(names(filterRecordings(recordings, { outcome: 'retrieved' }))).to.deep.equal(['session-a.jsonl']);
+      expect(names(filterRecordings(recordings, { outcome: 'not retrieved', text: 'flaky' })))
+        .to.deep.equal(['session-c.jsonl']);
+    });
+  });
+});
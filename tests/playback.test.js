@@ -0,0 +1,139 @@
+/**
+ * MiniTel-Lite Replay Playback Tests
+ * Tests the timing, speed and error navigation behind the replay TUI's auto-play
+ */
+
+const chai = require('chai');
+const expect = chai.expect;
+const {
+  SPEEDS,
+  stepOffsets,
+  sessionLength,
+  nextDelay,
+  changeSpeed,
+  errorSteps,
+  nextError,
+  followStep,
+  formatClock,
+  progressBar
+} = require('../tui/playback');
+
+describe('MiniTel-Lite Replay Playback', () => {
+  /**
+   * Build a recorded step
+   * @param {number} number - Step number
+   * @param {string} timestamp - ISO timestamp
+   * @param {Object} fields - Fields to override
+   * @returns {Object} - Step
+   */
+  function step(number, timestamp, fields = {}) {
+    return Object.assign({
+      step: number,
+      timestamp,
+      direction: number % 2 === 1 ? 'client' : 'server',
+      decoded: { cmd: number % 2 === 1 ? 'HELLO' : 'HELLO_ACK', nonce: number - 1 },
+      valid: true
+    }, fields);
+  }
+  
+  const sessionData = {
+    start_time: '2026-01-01T00:00:00.000Z',
+    end_time: '2026-01-01T00:00:05.000Z',
+    steps: [
+      step(1, '2026-01-01T00:00:00.500Z'),
+      step(2, '2026-01-01T00:00:00.750Z'),
+      step(3, '2026-01-01T00:00:02.750Z'),
+      step(4, '2026-01-01T00:00:02.800Z', { valid: false, decoded: { cmd: null, nonce: null } })
+    ],
+    attempts: [
+      { attempt: 1, max_attempts: 2, first_step: 1, last_step: 2, error: { code: 'ECONNRESET', message: 'reset' } }
+    ]
+  };
+  
+  describe('Timing', () => {
+    it('should place steps at their offset from the session start', () => {
+      expect(stepOffsets(sessionData)).to.deep.equal([500, 750, 2750, 2800]);
+    });
+    
+    it('should never move backwards or skip steps without a timestamp', () => {
+      const offsets = stepOffsets({
+        start_time: '2026-01-01T00:00:00.000Z',
+        steps: [
+          step(1, '2026-01-01T00:00:01.000Z'),
+          step(2, null),
+          step(3, '2026-01-01T00:00:00.500Z')
+        ]
+      });
+      expect(offsets).to.deep.equal([1000, 1000, 1000]);
+    });
+    
+    it('should measure the session up to its end time, or its last step', () => {
+      const offsets = stepOffsets(sessionData);
+      expect(sessionLength(sessionData, offsets)).to.equal(5000);
+      expect(sessionLength(Object.assign({}, sessionData, { end_time: null }), offsets)).to.equal(2800);
+    });
+    
+    it('should scale the gap to the next step by the speed', () => {
+      const offsets = stepOffsets(sessionData);
+      expect(nextDelay(offsets, 1, 1)).to.equal(2000);
+      expect(nextDelay(offsets, 1, 4)).to.equal(500);
+      expect(nextDelay(offsets, 1, 0.25)).to.equal(8000);
+      expect(nextDelay(offsets, 3, 1)).to.be.null;
+    });
+  });
+  
+  describe('Speed', () => {
+    it('should step through the speeds from 0.25x to 10x and stop at the ends', () => {
+      expect(SPEEDS[0]).to.equal(0.25);
+      expect(SPEEDS[SPEEDS.length - 1]).to.equal(10);
+      expect(changeSpeed(1, 1)).to.equal(2);
+      expect(changeSpeed(1, -1)).to.equal(0.5);
+      expect(changeSpeed(10, 1)).to.equal(10);
+      expect(changeSpeed(0.25, -1)).to.equal(0.25);
+    });
+  });
+  
+  describe('Errors', () => {
+    it('should flag invalid frames, unknown commands and failed attempts', () => {
+      const withUnknown = Object.assign({}, sessionData, {
+        steps: sessionData.steps.concat(step(5, '2026-01-01T00:00:03.000Z', { decoded: { cmd: 'UNKNOWN', nonce: 4 } }))
+      });
+      
+      expect([...errorSteps(withUnknown)]).to.deep.equal([
+        [3, 'invalid frame'],
+        [4, 'unknown command'],
+        [1, 'attempt 1 failed: ECONNRESET']
+      ]);
+    });
+    
+    it('should find the next error after the current step', () => {
+      const errors = errorSteps(sessionData);
+      expect(nextError(errors, 0)).to.equal(1);
+      expect(nextError(errors, 1)).to.equal(3);
+      expect(nextError(errors, 3)).to.equal(-1);
+    });
+  });
+  
+  describe('Following', () => {
+    it('should stay on the newest step unless the viewer stepped back', () => {
+      expect(followStep(0, 0, 2)).to.equal(1);
+      expect(followStep(3, 4, 6)).to.equal(5);
+      expect(followStep(1, 4, 6)).to.equal(1);
+      expect(followStep(0, 0, 0)).to.equal(0);
+    });
+  });
+  
+  describe('Display', () => {
+    it('should format playback times', () => {
+      expect(formatClock(0)).to.equal('0:00.0');
+      expect(formatClock(2750)).to.equal('0:02.7');
+      expect(formatClock(65300)).to.equal('1:05.3');
+    });
+    
+    it('should draw a progress bar', () => {
+      expect(progressBar(0, 5000, 10)).to.equal('[----------]');
+      expect(progressBar(2500, 5000, 10)).to.equal('[#####-----]');
+      expect(progressBar(9000, 5000, 10)).to.equal('[##########]');
+    });
+  });
+});
@@ -8,6 +8,7 @@ const expect = chai.expect;
 const { encodeFrame } = require('../proxy/protocol/encoder');
 const { decodeFrame } = require('../proxy/protocol/decoder');
 const NonceManager = require('../proxy/protocol/nonce');
+const FrameReassembler = require('../proxy/protocol/stream');
 const { COMMANDS, RESPONSES } = require('../proxy/protocol/constants');
 
 describe('MiniTel-Lite Protocol', () => {
@@ -31,7 +32,7 @@ describe('MiniTel-Lite Protocol', () => {
     });
     
     it('should correctly encode and decode a frame with non-empty payload', () => {
-      const cmd = COMMANDS.HELLO;
+      const cmd = RESPONSES.DUMP_OK;
       const nonce = 42;
       const payload = 'test payload';
       
@@ -48,6 +49,11 @@ describe('MiniTel-Lite Protocol', () => {
       expect(decodedFrame.payload).to.equal(payload);
     });
     
+    it('should reject a payload on a code declared without one', () => {
+      expect(() => encodeFrame(COMMANDS.HELLO, 0, 'test payload')).to.throw('Invalid HELLO payload: payload must be empty');
+      expect(() => encodeFrame(RESPONSES.DUMP_OK, 5, Buffer.from([0xff]))).to.throw('Invalid DUMP_OK payload');
+    });
+    
     it('should detect tampered frames', () => {
       const cmd = COMMANDS.HELLO;
       const nonce = 1;
@@ -67,6 +73,109 @@ describe('MiniTel-Lite Protocol', () => {
     });
   });
   
+  describe('Frame Reassembly', () => {
+    let reassembler;
+    let frames;
+    
+    beforeEach(() => {
+      reassembler = new FrameReassembler();
+      frames = [];
+      reassembler.on('frame', (decodedFrame, rawFrame) => {
+        frames.push({ decodedFrame, rawFrame });
+      });
+    });
+    
+    it('should emit a frame delivered in a single chunk', () => {
+      const encodedFrame = encodeFrame(COMMANDS.HELLO, 0);
+      
+      reassembler.push(encodedFrame);
+      
+      expect(frames).to.have.lengthOf(1);
+      expect(frames[0].decodedFrame.valid).to.be.true;
+      expect(frames[0].decodedFrame.cmd).to.equal(COMMANDS.HELLO);
+      expect(frames[0].rawFrame.equals(encodedFrame)).to.be.true;
+      expect(reassembler.bufferedLength).to.equal(0);
+    });
+    
+    it('should reassemble a frame fed one byte at a time', () => {
+      const encodedFrame = encodeFrame(RESPONSES.DUMP_OK, 5, 'CPE1704TKS');
+      
+      // Feed every byte except the last one
+      for (let i = 0; i < encodedFrame.length - 1; i++) {
+        reassembler.push(encodedFrame.slice(i, i + 1));
+        expect(frames).to.have.lengthOf(0);
+      }
+      expect(reassembler.bufferedLength).to.equal(encodedFrame.length - 1);
+      
+      // The last byte completes the frame
+      reassembler.push(encodedFrame.slice(encodedFrame.length - 1));
+      
+      expect(frames).to.have.lengthOf(1);
+      expect(frames[0].decodedFrame.valid).to.be.true;
+      expect(frames[0].decodedFrame.payload).to.equal('CPE1704TKS');
+      expect(reassembler.bufferedLength).to.equal(0);
+    });
+    
+    it('should split several frames delivered in one chunk in order', () => {
+      const chunk = Buffer.concat([
+        encodeFrame(RESPONSES.HELLO_ACK, 1),
+        encodeFrame(RESPONSES.DUMP_FAILED, 3),
+        encodeFrame(RESPONSES.DUMP_OK, 5, 'CPE1704TKS')
+      ]);
+      
+      reassembler.push(chunk);
+      
+      expect(frames.map((frame) => frame.decodedFrame.cmd)).to.deep.equal([
+        RESPONSES.HELLO_ACK,
+        RESPONSES.DUMP_FAILED,
+        RESPONSES.DUMP_OK
+      ]);
+      expect(frames.map((frame) => frame.decodedFrame.nonce)).to.deep.equal([1, 3, 5]);
+      expect(reassembler.bufferedLength).to.equal(0);
+    });
+    
+    it('should keep a trailing partial frame until it is completed', () => {
+      const first = encodeFrame(RESPONSES.HELLO_ACK, 1);
+      const second = encodeFrame(RESPONSES.DUMP_FAILED, 3);
+      const chunk = Buffer.concat([first, second]);
+      
+      // First chunk carries one full frame plus the start of the next one
+      reassembler.push(chunk.slice(0, first.length + 5));
+      expect(frames).to.have.lengthOf(1);
+      expect(reassembler.bufferedLength).to.equal(5);
+      
+      reassembler.push(chunk.slice(first.length + 5));
+      expect(frames).to.have.lengthOf(2);
+      expect(frames[1].decodedFrame.cmd).to.equal(RESPONSES.DUMP_FAILED);
+    });
+    
+    it('should emit tampered frames as invalid without losing the stream', () => {
+      const tampered = encodeFrame(COMMANDS.HELLO, 0);
+      tampered[10] = (tampered[10] + 1) % 256;
+      
+      reassembler.push(Buffer.concat([tampered, encodeFrame(COMMANDS.DUMP, 2)]));
+      
+      expect(frames).to.have.lengthOf(2);
+      expect(frames[0].decodedFrame.valid).to.be.false;
+      expect(frames[1].decodedFrame.valid).to.be.true;
+      expect(frames[1].decodedFrame.cmd).to.equal(COMMANDS.DUMP);
+    });
+    
+    it('should report an error when a frame exceeds the maximum buffer size', () => {
+      reassembler = new FrameReassembler({ maxBufferSize: 32 });
+      const errors = [];
+      reassembler.on('error', (error) => errors.push(error));
+      reassembler.on('frame', (decodedFrame) => frames.push({ decodedFrame }));
+      
+      reassembler.push(encodeFrame(COMMANDS.HELLO, 0));
+      
+      expect(frames).to.have.lengthOf(0);
+      expect(errors).to.have.lengthOf(1);
+      expect(errors[0].message).to.match(/exceeds maximum buffer size/);
+      expect(reassembler.bufferedLength).to.equal(0);
+    });
+  });
+  
   describe('Nonce Management', () => {
     let nonceManager;
     
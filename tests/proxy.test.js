@@ -0,0 +1,208 @@
+/**
+ * MiniTel-Lite Proxy Tests
+ * Tests the WebSocket proxy against the mock server
+ */
+
+const chai = require('chai');
+const expect = chai.expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const mockServer = require('./mock-server');
+const { createProxyServer } = require('../proxy/proxy');
+const { readSessionFile } = require('../proxy/recorder/reader');
+
+describe('MiniTel-Lite Proxy', function() {
+  // Increase timeout for integration tests
+  this.timeout(10000);
+  
+  const TEST_PORT = 7323;
+  let proxy;
+  let proxyPort;
+  let recordingsDir;
+  let clients;
+  
+  before(async () => {
+    // Start the mock server
+    mockServer.start(TEST_PORT);
+  });
+  
+  after(async () => {
+    // Stop the mock server
+    await mockServer.stop();
+  });
+  
+  beforeEach(async () => {
+    recordingsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'minitel-recordings-'));
+    clients = [];
+    
+    proxy = createProxyServer({
+      server: { host: 'localhost', port: TEST_PORT },
+      timeouts: { idle: 2000, response: 2000 },
+      proxy: { port: 0 },
+      recordings: { dir: recordingsDir },
+      logging: { level: 'error' }
+    });
+    
+    await new Promise((resolve) => proxy.server.listen(0, resolve));
+    proxyPort = proxy.server.address().port;
+  });
+  
+  afterEach(async () => {
+    clients.forEach((ws) => ws.terminate());
+    await new Promise((resolve) => proxy.wss.close(resolve));
+    await new Promise((resolve) => proxy.server.close(resolve));
+    fs.rmSync(recordingsDir, { recursive: true, force: true });
+  });
+  
+  /**
+   * Open a WebSocket client and collect every message it receives
+   * @returns {Promise<WebSocket>} - Connected client with a `messages` array
+   */
+  function connectClient() {
+    return new Promise((resolve, reject) => {
+      const ws = new WebSocket(`ws://localhost:${proxyPort}`);
+      ws.messages = [];
+      ws.on('message', (message) => {
+        ws.messages.push(JSON.parse(message));
+        ws.emit('proxy-message');
+      });
+      ws.on('open', () => resolve(ws));
+      ws.on('error', reject);
+      clients.push(ws);
+    });
+  }
+  
+  /**
+   * Wait until the client has received a message matching the predicate
+   * @param {WebSocket} ws - WebSocket client
+   * @param {Function} predicate - Message matcher
+   * @returns {Promise<Object>} - Matching message
+   */
+  function waitForMessage(ws, predicate) {
+    return new Promise((resolve, reject) => {
+      const check = () => {
+        const message = ws.messages.find(predicate);
+        if (message) {
+          clearTimeout(timeoutId);
+          ws.removeListener('proxy-message', check);
+          resolve(message);
+        }
+      };
+      const timeoutId = setTimeout(() => {
+        ws.removeListener('proxy-message', check);
+        reject(new Error('Timed out waiting for proxy message'));
+      }, 5000);
+      ws.on('proxy-message', check);
+      check();
+    });
+  }
+  
+  /**
+   * Run the hack sequence (or another workflow) and wait for its final status message
+   * @param {WebSocket} ws - WebSocket client
+   * @param {string} workflow - Workflow to run (defaults to the hack sequence)
+   * @returns {Promise<Object>} - Final status message
+   */
+  async function hack(ws, workflow) {
+    ws.messages = [];
+    ws.send(JSON.stringify({ command: 'hack', workflow }));
+    await waitForMessage(ws, (message) => message.type === 'success' || message.type === 'error');
+    return waitForMessage(ws, (message) => message.type === 'status' && !message.message);
+  }
+  
+  it('should give every concurrent client its own override code', async () => {
+    const tabs = await Promise.all([connectClient(), connectClient(), connectClient()]);
+    const workflows = ['hack', 'handshake', 'hack'];
+    
+    tabs.forEach((ws) => ws.send(JSON.stringify({ command: 'toggleRecording', enable: true })));
+    await Promise.all(tabs.map((ws) => waitForMessage(ws, (message) => message.type === 'status' && message.recording)));
+    
+    // Press HACK in the first and last tab while the middle one only
+    // authenticates, all at once
+    const statuses = await Promise.all(tabs.map((ws, index) => hack(ws, workflows[index])));
+    
+    tabs.forEach((ws, index) => {
+      const successes = ws.messages.filter((message) => message.type === 'success');
+      expect(ws.messages.filter((message) => message.type === 'error')).to.deep.equal([]);
+      expect(successes).to.have.lengthOf(1);
+      if (workflows[index] === 'hack') {
+        expect(successes[0].overrideCode).to.equal('CPE1704TKS');
+        expect(statuses[index].overrideCode).to.equal('CPE1704TKS');
+      } else {
+        expect(successes[0].message).to.equal('Workflow handshake completed successfully');
+        expect(statuses[index].overrideCode).to.be.null;
+      }
+      expect(statuses[index].connected).to.be.false;
+    });
+    
+    tabs.forEach((ws) => ws.send(JSON.stringify({ command: 'toggleRecording', enable: false })));
+    await Promise.all(tabs.map((ws) => waitForMessage(ws, (message) => message.type === 'status' && !message.recording)));
+    
+    // Each session numbered its own nonces from 0 and recorded only its own steps
+    const sessions = fs.readdirSync(recordingsDir)
+      .map((file) => readSessionFile(path.join(recordingsDir, file)))
+      .sort((a, b) => a.steps.length - b.steps.length);
+    expect(sessions.map((session) => session.steps.length)).to.deep.equal([4, 8, 8]);
+    sessions.forEach((session) => {
+      expect(session.steps.map((step) => step.decoded.nonce)).to.deep.equal(session.steps.map((step, index) => index));
+    });
+    expect(sessions[0].steps.map((step) => step.decoded.cmd)).to.deep.equal([
+      'HELLO', 'HELLO_ACK',
+      'STOP_CMD', 'STOP_OK'
+    ]);
+  });
+  
+  it('should keep a separate recording for each client', async () => {
+    const tabs = await Promise.all([connectClient(), connectClient()]);
+    
+    // Enable recording in every tab
+    tabs.forEach((ws) => ws.send(JSON.stringify({ command: 'toggleRecording', enable: true })));
+    await Promise.all(tabs.map((ws) => waitForMessage(ws, (message) => message.type === 'status' && message.recording)));
+    
+    await Promise.all(tabs.map((ws) => hack(ws)));
+    
+    // Stop recording in every tab
+    tabs.forEach((ws) => ws.send(JSON.stringify({ command: 'toggleRecording', enable: false })));
+    await Promise.all(tabs.map((ws) => waitForMessage(ws, (message) => message.type === 'status' && !message.recording)));
+    
+    const files = fs.readdirSync(recordingsDir);
+    expect(files).to.have.lengthOf(2);
+    
+    files.forEach((file) => {
+      const session = readSessionFile(path.join(recordingsDir, file));
+      expect(session.server_port).to.equal(TEST_PORT);
+      expect(session.steps.map((step) => step.decoded.cmd)).to.deep.equal([
+        'HELLO', 'HELLO_ACK',
+        'DUMP', 'DUMP_FAILED',
+        'DUMP', 'DUMP_OK',
+        'STOP_CMD', 'STOP_OK'
+      ]);
+    });
+  });
+  
+  it('should release the session when the WebSocket closes', async () => {
+    const ws = await connectClient();
+    
+    ws.send(JSON.stringify({ command: 'toggleRecording', enable: true }));
+    await waitForMessage(ws, (message) => message.type === 'status' && message.recording);
+    
+    const [session] = proxy.sessions;
+    expect(session.recorder.isRecording()).to.be.true;
+    
+    // Close the tab
+    await new Promise((resolve) => {
+      ws.on('close', resolve);
+      ws.close();
+    });
+    
+    // Wait for the proxy to process the close
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    
+    expect(proxy.sessions.size).to.equal(0);
+    expect(session.closed).to.be.true;
+    expect(session.recorder.isRecording()).to.be.false;
+    expect(session.isConnected()).to.be.false;
+  });
+});
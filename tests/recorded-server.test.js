@@ -0,0 +1,199 @@
+/**
+ * MiniTel-Lite Recorded Mock Server Tests
+ * Tests the mock server mode that answers with responses from a recording
+ */
+
+const chai = require('chai');
+const expect = chai.expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mockServer = require('./mock-server');
+const { MOCK_REGISTRY } = require('./mock-scenarios');
+const { MiniTelClient, ERROR_CODES } = require('../proxy/client/client');
+const { runHack } = require('../proxy/client/hack');
+const { encodeFrame } = require('../proxy/protocol/encoder');
+const { COMMANDS, RESPONSES, COMMAND_NAMES } = require('../proxy/protocol/constants');
+
+describe('MiniTel-Lite Recorded Mock Server', function() {
+  // Increase timeout for integration tests
+  this.timeout(10000);
+  
+  const TEST_PORT = 7328;
+  const START_TIME = Date.parse('2025-01-01T00:00:00.000Z');
+  let client;
+  
+  beforeEach(() => {
+    client = new MiniTelClient({ host: 'localhost', port: TEST_PORT, responseTimeout: 1000 });
+  });
+  
+  afterEach(async () => {
+    client.close();
+    await mockServer.stop();
+  });
+  
+  /**
+   * Build a recording step the way SessionRecorder writes it
+   * @param {number} cmd - Command or response code
+   * @param {number} nonce - Recorded nonce
+   * @param {string} payload - Payload
+   * @param {number} offsetMs - Time since the start of the session
+   * @param {boolean} tamper - Corrupt the raw frame
+   * @returns {Object} - Recording step
+   */
+  function step(cmd, nonce, payload, offsetMs, tamper = false) {
+    const direction = cmd & 0x80 ? 'server' : 'client';
+    const raw = encodeFrame(cmd, nonce, payload, MOCK_REGISTRY);
+    if (tamper) {
+      raw[10] = (raw[10] + 1) % 256;
+    }
+    return {
+      step: 0,
+      timestamp: new Date(START_TIME + offsetMs).toISOString(),
+      direction,
+      request: direction === 'client' ? raw.toString('base64') : null,
+      response: direction === 'server' ? raw.toString('base64') : null,
+      decoded: { cmd: COMMAND_NAMES[cmd], nonce, payload },
+      valid: !tamper
+    };
+  }
+  
+  /**
+   * Build a session from steps
+   * @param {Object[]} steps - Recording steps
+   * @returns {Object} - Session data
+   */
+  function session(steps) {
+    steps.forEach((item, index) => { item.step = index + 1; });
+    return {
+      session_id: 'test',
+      start_time: new Date(START_TIME).toISOString(),
+      end_time: steps.length ? steps[steps.length - 1].timestamp : null,
+      server_host: 'localhost',
+      server_port: TEST_PORT,
+      steps
+    };
+  }
+  
+  // A production session where the first DUMP already succeeded, with
+  // nonces that do not fit a fresh connection
+  const oddSession = () => session([
+    step(COMMANDS.HELLO, 40, '', 0),
+    step(RESPONSES.HELLO_ACK, 41, '', 10),
+    step(COMMANDS.DUMP, 42, '', 20),
+    step(RESPONSES.DUMP_OK, 43, 'ODDCODE', 320),
+    step(COMMANDS.STOP_CMD, 44, '', 330),
+    step(RESPONSES.STOP_OK, 45, '', 340)
+  ]);
+  
+  it('should answer with the recorded responses and re-stamped nonces', async () => {
+    mockServer.start(TEST_PORT, { recording: oddSession() });
+    await client.connect();
+    
+    const hello = await client.hello();
+    expect(hello.cmd).to.equal(RESPONSES.HELLO_ACK);
+    expect(hello.nonce).to.equal(1);
+    
+    const dump = await client.dump();
+    expect(dump.cmd).to.equal(RESPONSES.DUMP_OK);
+    expect(dump.payload).to.equal('ODDCODE');
+    expect(dump.nonce).to.equal(3);
+    
+    const stop = await client.stop();
+    expect(stop.cmd).to.equal(RESPONSES.STOP_OK);
+  });
+  
+  it('should make the hack sequence fail the way the recorded session did', async () => {
+    mockServer.start(TEST_PORT, { recording: oddSession() });
+    await client.connect();
+    
+    try {
+      await runHack(client);
+      expect.fail('runHack() should have failed');
+    } catch (error) {
+      expect(error.code).to.equal(ERROR_CODES.UNEXPECTED_RESPONSE);
+      expect(error.message).to.equal('Expected DUMP_FAILED, got DUMP_OK');
+    }
+  });
+  
+  it('should replay recorded invalid frames byte for byte', async () => {
+    mockServer.start(TEST_PORT, {
+      recording: session([
+        step(COMMANDS.HELLO, 0, '', 0),
+        step(RESPONSES.HELLO_ACK, 1, '', 10, true)
+      ])
+    });
+    await client.connect();
+    
+    try {
+      await client.hello();
+      expect.fail('hello() should have been rejected');
+    } catch (error) {
+      expect(error.code).to.equal(ERROR_CODES.INVALID_FRAME);
+    }
+  });
+  
+  it('should keep the recorded response delay when asked to', async () => {
+    mockServer.start(TEST_PORT, { recording: oddSession(), preserveTiming: true });
+    await client.connect();
+    await client.hello();
+    
+    // DUMP_OK was recorded 300ms after the DUMP
+    const startTime = Date.now();
+    await client.dump();
+    expect(Date.now() - startTime).to.be.at.least(280);
+  });
+  
+  it('should answer immediately when timing is not preserved', async () => {
+    mockServer.start(TEST_PORT, { recording: oddSession() });
+    await client.connect();
+    await client.hello();
+    
+    const startTime = Date.now();
+    await client.dump();
+    expect(Date.now() - startTime).to.be.below(200);
+  });
+  
+  it('should close the connection when the client deviates from the recording', async () => {
+    mockServer.start(TEST_PORT, { recording: oddSession() });
+    await client.connect();
+    
+    try {
+      await client.dump();
+      expect.fail('dump() should have been rejected');
+    } catch (error) {
+      expect(error.code).to.equal(ERROR_CODES.CONNECTION_CLOSED);
+    }
+  });
+  
+  it('should answer with binary payloads byte for byte', async () => {
+    const bytes = Buffer.from([0xc0, 0xff, 0xee, 0x00]);
+    mockServer.start(TEST_PORT, {
+      recording: session([
+        step(COMMANDS.HELLO, 0, '', 0),
+        step(RESPONSES.HELLO_ACK, 1, bytes, 10)
+      ])
+    });
+    // HELLO_ACK takes no payload in the built-in registry
+    client = new MiniTelClient({ host: 'localhost', port: TEST_PORT, registry: MOCK_REGISTRY });
+    await client.connect();
+    
+    const hello = await client.hello();
+    expect(hello.payloadBytes).to.deep.equal(bytes);
+  });
+  
+  it('should load the recording from a file', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'minitel-recordings-'));
+    const file = path.join(dir, 'session-odd.json');
+    fs.writeFileSync(file, JSON.stringify(oddSession()));
+    
+    try {
+      mockServer.start(TEST_PORT, { recording: file });
+      await client.connect();
+      await client.hello();
+      expect((await client.dump()).payload).to.equal('ODDCODE');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
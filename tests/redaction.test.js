@@ -0,0 +1,195 @@
+/**
+ * MiniTel-Lite Recording Redaction Tests
+ * Tests redaction policies, encryption at rest and how readers handle redacted steps
+ */
+
+const chai = require('chai');
+const expect = chai.expect;
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SessionRecorder = require('../proxy/recorder/recorder');
+const { readSessionFile } = require('../proxy/recorder/reader');
+const { validateSession } = require('../proxy/recorder/schema');
+const { parseJournal } = require('../proxy/recorder/journal');
+const { REDACTED, createRedactionPolicy, isRedacted } = require('../proxy/recorder/redaction');
+const { diffSteps } = require('../proxy/replay/redrive');
+const { buildPackets } = require('../proxy/export/pcap');
+const { encodeFrame } = require('../proxy/protocol/encoder');
+const { decodeFrame } = require('../proxy/protocol/decoder');
+const { COMMANDS, RESPONSES } = require('../proxy/protocol/constants');
+
+describe('MiniTel-Lite Recording Redaction', () => {
+  const CODE = 'CPE1704TKS';
+  const KEY = crypto.randomBytes(32).toString('hex');
+  const FRAMES = [
+    ['client', encodeFrame(COMMANDS.HELLO, 0, '')],
+    ['server', encodeFrame(RESPONSES.HELLO_ACK, 1, '')],
+    ['client', encodeFrame(COMMANDS.DUMP, 2, '')],
+    ['server', encodeFrame(RESPONSES.DUMP_OK, 3, CODE)]
+  ];
+  let recordingsDir;
+  
+  beforeEach(() => {
+    recordingsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'minitel-recordings-'));
+  });
+  
+  afterEach(() => {
+    fs.rmSync(recordingsDir, { recursive: true, force: true });
+  });
+  
+  /**
+   * Record the HELLO and DUMP exchanges with a redaction policy
+   * @param {Object} policy - Redaction policy options
+   * @returns {Promise<string>} - Recording file
+   */
+  async function record(policy) {
+    const recorder = new SessionRecorder({
+      dir: recordingsDir,
+      serverHost: 'localhost',
+      serverPort: 7321,
+      logger: { info: () => {}, error: () => {} },
+      redaction: createRedactionPolicy(policy)
+    });
+    await recorder.startRecording();
+    const file = recorder.recordingFile;
+    FRAMES.forEach(([direction, frame]) => {
+      if (direction === 'client') {
+        recorder.recordRequest(frame, decodeFrame(frame));
+      } else {
+        recorder.recordResponse(frame, decodeFrame(frame));
+      }
+    });
+    await recorder.stopRecording();
+    return file;
+  }
+  
+  /**
+   * Check that a file holds no trace of the override code
+   * @param {string} file - Recording file
+   */
+  function expectNoCode(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    expect(text).to.not.include(CODE);
+    expect(text).to.not.include(Buffer.from(CODE).toString('base64'));
+    expect(text).to.not.include(FRAMES[3][1].toString('base64'));
+  }
+  
+  describe('Policies', () => {
+    it('should reject unknown codes and malformed keys', () => {
+      expect(() => createRedactionPolicy({ codes: ['SECRET'] })).to.throw('Invalid redaction code: SECRET')
+        .with.property('code', 'EINVAL');
+      expect(() => createRedactionPolicy({ key: 'abcd' })).to.throw('Invalid encryption key');
+      expect(createRedactionPolicy({ key: crypto.randomBytes(32).toString('base64') }).key).to.have.lengthOf(32);
+    });
+    
+    it('should record everything when no policy is set', async () => {
+      const file = await record({});
+      
+      const { sessionData } = parseJournal(fs.readFileSync(file, 'utf8'));
+      expect(sessionData).to.not.have.property('redaction');
+      expect(sessionData.steps[3].decoded.payload).to.equal(CODE);
+    });
+  });
+  
+  describe('Masking', () => {
+    it('should remove the payload and frame of the chosen codes', async () => {
+      const file = await record({ codes: ['DUMP_OK'] });
+      
+      expectNoCode(file);
+      const sessionData = readSessionFile(file, { key: null });
+      expect(validateSession(sessionData)).to.deep.equal([]);
+      expect(sessionData.redaction).to.deep.equal({
+        codes: ['DUMP_OK'], drop_raw_frames: false, encrypted: false, key_id: null
+      });
+      
+      const dumpOk = sessionData.steps[3];
+      expect(dumpOk.redacted).to.deep.equal(['payload', 'frame']);
+      expect(dumpOk.response).to.be.null;
+      expect(dumpOk.decoded).to.include({ cmd: 'DUMP_OK', nonce: 3, payload: null, payload_bytes: null });
+      expect(dumpOk).to.not.have.property('sealed');
+      expect(sessionData.steps[1].response).to.equal(FRAMES[1][1].toString('base64'));
+    });
+    
+    it('should drop every raw frame but keep the decoded fields', async () => {
+      const file = await record({ dropRawFrames: true });
+      
+      const sessionData = readSessionFile(file);
+      expect(sessionData.steps.every((step) => step.request === null && step.response === null)).to.be.true;
+      expect(sessionData.steps.every((step) => isRedacted(step, 'frame') && !isRedacted(step, 'payload'))).to.be.true;
+      expect(sessionData.steps[3].decoded.payload).to.equal(CODE);
+    });
+  });
+  
+  describe('Encryption', () => {
+    it('should keep redacted data encrypted and restore it with the key', async () => {
+      const file = await record({ codes: ['DUMP_OK'], key: KEY });
+      
+      expectNoCode(file);
+      const sealed = readSessionFile(file, { key: null });
+      expect(sealed.redaction.encrypted).to.be.true;
+      expect(sealed.steps[3].sealed).to.have.all.keys('iv', 'tag', 'data');
+      expect(validateSession(sealed)).to.deep.equal([]);
+      
+      const restored = readSessionFile(file, { key: KEY });
+      expect(restored.redaction.decrypted).to.be.true;
+      expect(restored.steps[3]).to.not.have.any.keys('redacted', 'sealed');
+      expect(restored.steps[3].decoded.payload).to.equal(CODE);
+      expect(restored.steps[3].response).to.equal(FRAMES[3][1].toString('base64'));
+    });
+    
+    it('should refuse the wrong key', async () => {
+      const file = await record({ codes: ['DUMP_OK'], key: KEY });
+      
+      expect(() => readSessionFile(file, { key: crypto.randomBytes(32) })).to.throw('Cannot decrypt recording')
+        .with.property('code', 'EINVAL');
+    });
+    
+    it('should detect tampered data', async () => {
+      const file = await record({ codes: ['DUMP_OK'], key: KEY });
+      const { sessionData } = parseJournal(fs.readFileSync(file, 'utf8'));
+      const data = Buffer.from(sessionData.steps[3].sealed.data, 'base64');
+      data[0] ^= 0xff;
+      sessionData.steps[3].sealed.data = data.toString('base64');
+      const tampered = path.join(recordingsDir, 'tampered.json');
+      fs.writeFileSync(tampered, JSON.stringify(sessionData));
+      
+      expect(() => readSessionFile(tampered, { key: KEY })).to.throw('wrong key or damaged data');
+    });
+  });
+  
+  describe('Readers', () => {
+    it('should not report redacted payloads as differences', async () => {
+      const recorded = readSessionFile(await record({ codes: ['DUMP_OK'] }), { key: null });
+      const replayed = readSessionFile(await record({}));
+      
+      const diff = diffSteps(recorded.steps, replayed.steps);
+      
+      expect(diff[1].responses[0].original.payload).to.equal(REDACTED);
+      expect(diff.every((entry) => entry.same)).to.be.true;
+    });
+    
+    it('should rebuild dropped frames for capture export with a zeroed hash', async () => {
+      const full = readSessionFile(await record({}));
+      const dropped = readSessionFile(await record({ dropRawFrames: true }));
+      const masked = readSessionFile(await record({ codes: ['DUMP_OK'] }), { key: null });
+      
+      const payloads = (sessionData) => buildPackets(sessionData)
+        .map((packet) => packet.data.subarray(40))
+        .filter((data) => data.length > 0);
+      const binary = (frame) => Buffer.from(frame.subarray(2).toString('ascii'), 'base64');
+      
+      payloads(dropped).forEach((frame, i) => {
+        const original = binary(payloads(full)[i]);
+        expect(binary(frame).subarray(0, -32)).to.deep.equal(original.subarray(0, -32));
+        expect(binary(frame).subarray(-32)).to.deep.equal(Buffer.alloc(32));
+        expect(decodeFrame(frame).error).to.equal('Hash validation failed');
+      });
+      
+      const lastFrame = binary(payloads(masked).pop());
+      expect(lastFrame.subarray(5, -32).toString()).to.equal(REDACTED);
+      expect(buildPackets(masked).filter((packet) => packet.comment)).to.have.lengthOf(1);
+    });
+  });
+});
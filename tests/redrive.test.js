@@ -0,0 +1,157 @@
+/**
+ * MiniTel-Lite Re-drive Tests
+ * Re-sends recordings to the mock server and checks the diff
+ */
+
+const chai = require('chai');
+const expect = chai.expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mockServer = require('./mock-server');
+const { MiniTelClient } = require('../proxy/client/client');
+const { runHack } = require('../proxy/client/hack');
+const { redriveSession, diffSteps } = require('../proxy/replay/redrive');
+const SessionRecorder = require('../proxy/recorder/recorder');
+const { readSessionFile } = require('../proxy/recorder/reader');
+const { encodeFrame } = require('../proxy/protocol/encoder');
+const { defaultRegistry } = require('../proxy/protocol/registry');
+const { recordedPayloadBytes } = require('../proxy/protocol/payload');
+const { COMMANDS } = require('../proxy/protocol/constants');
+
+describe('MiniTel-Lite Re-drive', function() {
+  // Increase timeout for integration tests
+  this.timeout(10000);
+  
+  const TEST_PORT = 7327;
+  const clientOptions = { host: 'localhost', port: TEST_PORT, responseTimeout: 500 };
+  let recordingsDir;
+  let sessionData;
+  
+  before(async () => {
+    // Start the mock server
+    mockServer.start(TEST_PORT);
+    
+    // Record one complete hack to re-drive
+    recordingsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'minitel-recordings-'));
+    const recorder = new SessionRecorder({ dir: recordingsDir, serverHost: 'localhost', serverPort: TEST_PORT });
+    const client = new MiniTelClient(Object.assign({ recorder }, clientOptions));
+    
+    await recorder.startRecording();
+    await client.connect();
+    await runHack(client);
+    client.close();
+    const file = recorder.recordingFile;
+    await recorder.stopRecording();
+    
+    sessionData = readSessionFile(file);
+  });
+  
+  after(async () => {
+    // Stop the mock server
+    await mockServer.stop();
+    fs.rmSync(recordingsDir, { recursive: true, force: true });
+  });
+  
+  /**
+   * Deep copy the recorded session so tests can alter it
+   * @returns {Object} - Session data
+   */
+  function copySession() {
+    return JSON.parse(JSON.stringify(sessionData));
+  }
+  
+  it('should reproduce a recording with no differences', async () => {
+    const result = await redriveSession(sessionData, clientOptions);
+    
+    expect(result.same).to.be.true;
+    expect(result.errors).to.deep.equal([]);
+    expect(result.diff).to.have.lengthOf(4);
+    expect(result.steps.map((step) => step.decoded.cmd)).to.deep.equal(
+      sessionData.steps.map((step) => step.decoded.cmd)
+    );
+  });
+  
+  it('should recompute nonces for the live exchange', async () => {
+    // Shift every recorded nonce: the re-drive must not reuse them
+    const shifted = copySession();
+    shifted.steps.forEach((step) => { step.decoded.nonce += 100; });
+    
+    const result = await redriveSession(shifted, clientOptions);
+    
+    expect(result.same).to.be.true;
+    expect(result.steps.filter((step) => step.direction === 'client').map((step) => step.decoded.nonce))
+      .to.deep.equal([0, 2, 4, 6]);
+  });
+  
+  it('should report a changed response payload', async () => {
+    const original = copySession();
+    const dumpOk = original.steps.find((step) => step.decoded.cmd === 'DUMP_OK');
+    dumpOk.decoded.payload_bytes = Buffer.from('OLDCODE').toString(dumpOk.decoded.payload_encoding);
+    
+    const result = await redriveSession(original, clientOptions);
+    
+    expect(result.same).to.be.false;
+    const changed = result.diff.filter((entry) => !entry.same);
+    expect(changed).to.have.lengthOf(1);
+    expect(changed[0].differences).to.deep.equal([{
+      field: 'response[0].payload',
+      original: 'OLDCODE',
+      replayed: 'CPE1704TKS'
+    }]);
+  });
+  
+  it('should report a changed response command', async () => {
+    const original = copySession();
+    const dumpFailed = original.steps.find((step) => step.decoded.cmd === 'DUMP_FAILED');
+    dumpFailed.decoded.cmd = 'DUMP_OK';
+    
+    const result = await redriveSession(original, clientOptions);
+    
+    const changed = result.diff.filter((entry) => !entry.same);
+    expect(changed).to.have.lengthOf(1);
+    expect(changed[0].differences[0]).to.deep.equal({
+      field: 'response[0].cmd',
+      original: 'DUMP_OK',
+      replayed: 'DUMP_FAILED'
+    });
+  });
+  
+  it('should re-send payloads the built-in codes do not declare', async () => {
+    // A HELLO carrying bytes that are not even UTF-8
+    const binary = Buffer.from([0x00, 0xff, 0x80]);
+    const anomalous = copySession();
+    anomalous.steps[0].request = encodeFrame(COMMANDS.HELLO, 0, binary, defaultRegistry.relaxed()).toString('base64');
+    
+    const result = await redriveSession(anomalous, clientOptions);
+    
+    expect(result.errors).to.deep.equal([]);
+    expect(recordedPayloadBytes(result.steps[0].decoded)).to.deep.equal(binary);
+    expect(result.steps[1].decoded.cmd).to.equal('HELLO_ACK');
+  });
+  
+  it('should re-send commands out of protocol order', async () => {
+    // Drop HELLO and HELLO_ACK: the first command is now a DUMP before HELLO
+    const anomalous = copySession();
+    anomalous.steps = anomalous.steps.slice(2);
+    
+    const result = await redriveSession(anomalous, clientOptions);
+    
+    // The mock server closes the connection on the illegal DUMP
+    expect(result.steps.map((step) => step.decoded.cmd)).to.deep.equal(['DUMP']);
+    expect(result.errors[0].code).to.equal('ECONNCLOSED');
+  });
+  
+  it('should report missing responses when the server stops answering', () => {
+    const replayed = sessionData.steps.slice(0, 3);
+    
+    const diff = diffSteps(sessionData.steps, replayed);
+    
+    expect(diff[1].differences).to.deep.equal([{
+      field: 'response[0]',
+      original: { cmd: 'DUMP_FAILED', payload: '', valid: true },
+      replayed: null
+    }]);
+    expect(diff[2].request.replayed).to.be.null;
+  });
+});
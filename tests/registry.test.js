@@ -0,0 +1,201 @@
+/**
+ * MiniTel-Lite Command Registry Tests
+ * Tests code registration, payload types and validation in the encoder, decoder and client
+ */
+
+const chai = require('chai');
+const expect = chai.expect;
+const { encodeFrame } = require('../proxy/protocol/encoder');
+const { decodeFrame } = require('../proxy/protocol/decoder');
+const { CommandRegistry, INVALID_PAYLOAD, defaultRegistry } = require('../proxy/protocol/registry');
+const { COMMANDS, RESPONSES, COMMAND_NAMES } = require('../proxy/protocol/constants');
+const { MiniTelClient, ERROR_CODES } = require('../proxy/client/client');
+const mockServer = require('./mock-server');
+
+describe('MiniTel-Lite Command Registry', () => {
+  /**
+   * Create a registry with the built-in codes and extra definitions
+   * @param {Object[]} definitions - Extra definitions
+   * @returns {CommandRegistry} - Registry
+   */
+  function extendedRegistry(definitions) {
+    return new CommandRegistry(defaultRegistry.list().concat(definitions));
+  }
+  
+  describe('Registration', () => {
+    it('should derive the constants tables from the built-in codes', () => {
+      expect(COMMANDS).to.deep.equal({ HELLO: 0x01, DUMP: 0x02, STOP_CMD: 0x04 });
+      expect(RESPONSES).to.deep.equal({ HELLO_ACK: 0x81, DUMP_FAILED: 0x82, DUMP_OK: 0x83, STOP_OK: 0x84 });
+      expect(COMMAND_NAMES[0x83]).to.equal('DUMP_OK');
+    });
+    
+    it('should declare strict payload types for the built-in codes', () => {
+      const types = {};
+      defaultRegistry.list().forEach((spec) => { types[spec.name] = spec.payload; });
+      
+      expect(types).to.deep.equal({
+        HELLO: 'empty',
+        DUMP: 'empty',
+        STOP_CMD: 'empty',
+        HELLO_ACK: 'empty',
+        DUMP_FAILED: 'empty',
+        DUMP_OK: 'utf8',
+        STOP_OK: 'empty'
+      });
+    });
+    
+    it('should relax payload types in a copy only', () => {
+      const relaxed = defaultRegistry.relaxed();
+      
+      expect(relaxed.byName('HELLO')).to.include({ code: 0x01, direction: 'client', payload: 'text' });
+      expect(relaxed.encodePayload(0x01, Buffer.from([0xff]))).to.deep.equal(Buffer.from([0xff]));
+      expect(defaultRegistry.byName('HELLO').payload).to.equal('empty');
+    });
+    
+    it('should look up codes by value and by name', () => {
+      const registry = extendedRegistry([{ code: 0x85, name: 'STATUS', direction: 'server', payload: 'json' }]);
+      
+      expect(registry.get(0x85).name).to.equal('STATUS');
+      expect(registry.byName('STATUS').code).to.equal(0x85);
+      expect(registry.nameOf(0x99)).to.equal('UNKNOWN');
+      expect(registry.list('server').map((spec) => spec.name))
+        .to.deep.equal(['HELLO_ACK', 'DUMP_FAILED', 'DUMP_OK', 'STOP_OK', 'STATUS']);
+    });
+    
+    it('should reject invalid and duplicate definitions', () => {
+      const registry = new CommandRegistry([{ code: 0x01, name: 'HELLO', direction: 'client' }]);
+      
+      expect(() => registry.register({ code: 0x100, name: 'BIG', direction: 'client' })).to.throw('Invalid command code');
+      expect(() => registry.register({ code: 0x05, name: 'lower', direction: 'client' })).to.throw('Invalid command name');
+      expect(() => registry.register({ code: 0x05, name: 'UNKNOWN', direction: 'client' })).to.throw('Invalid command name');
+      expect(() => registry.register({ code: 0x05, name: 'PING', direction: 'both' })).to.throw('Invalid direction');
+      expect(() => registry.register({ code: 0x05, name: 'PING', direction: 'client', payload: 'xml' }))
+        .to.throw('Invalid payload type');
+      expect(() => registry.register({ code: 0x05, name: 'PING', direction: 'client', payload: 'json', pattern: /x/ }))
+        .to.throw('requires the text or utf8 payload type');
+      expect(() => registry.register({ code: 0x01, name: 'PING', direction: 'client' })).to.throw('already registered as HELLO');
+      expect(() => registry.register({ code: 0x05, name: 'HELLO', direction: 'client' })).to.throw('already registered');
+    });
+  });
+  
+  describe('Payload types', () => {
+    const registry = new CommandRegistry([
+      { code: 0x10, name: 'EMPTY', direction: 'client', payload: 'empty' },
+      { code: 0x11, name: 'TEXT', direction: 'client', payload: 'utf8' },
+      { code: 0x12, name: 'BYTES', direction: 'client', payload: 'binary' },
+      { code: 0x13, name: 'DATA', direction: 'client', payload: 'json' }
+    ]);
+    
+    it('should encode and decode each payload type', () => {
+      const bytes = Buffer.from([0x00, 0xff, 0x80]);
+      
+      expect(registry.encodePayload(0x10, '')).to.have.lengthOf(0);
+      expect(registry.decodePayload(0x11, registry.encodePayload(0x11, 'héllo'))).to.equal('héllo');
+      expect(registry.decodePayload(0x12, registry.encodePayload(0x12, bytes))).to.deep.equal(bytes);
+      expect(registry.decodePayload(0x13, registry.encodePayload(0x13, { level: 3, tags: ['a'] })))
+        .to.deep.equal({ level: 3, tags: ['a'] });
+    });
+    
+    it('should reject payloads that do not match the type', () => {
+      const cases = [
+        [() => registry.encodePayload(0x10, 'x'), 'payload must be empty'],
+        [() => registry.decodePayload(0x10, Buffer.from('x')), 'payload must be empty'],
+        [() => registry.encodePayload(0x11, 42), 'payload must be a string'],
+        [() => registry.decodePayload(0x11, Buffer.from([0xff])), 'not valid UTF-8'],
+        [() => registry.encodePayload(0x12, 'text'), 'payload must be a Buffer'],
+        [() => registry.encodePayload(0x13, undefined), 'JSON serializable'],
+        [() => registry.decodePayload(0x13, Buffer.from('{')), 'not valid JSON']
+      ];
+      
+      cases.forEach(([operation, message]) => {
+        expect(operation).to.throw(message).with.property('code', INVALID_PAYLOAD);
+      });
+    });
+    
+    it('should apply maxLength, pattern and validate rules', () => {
+      const strict = new CommandRegistry([
+        { code: 0x20, name: 'SHORT', direction: 'client', maxLength: 4 },
+        { code: 0x21, name: 'CODE', direction: 'server', pattern: /^[A-Z0-9]+$/ },
+        { code: 0x22, name: 'LEVEL', direction: 'server', payload: 'json',
+          validate: (value) => Number.isInteger(value.level) || 'level must be an integer' }
+      ]);
+      
+      expect(strict.encodePayload(0x20, 'abcd')).to.have.lengthOf(4);
+      expect(() => strict.encodePayload(0x20, 'abcde')).to.throw('Invalid SHORT payload: payload is 5 bytes, maximum is 4');
+      expect(strict.decodePayload(0x21, Buffer.from('CPE1704TKS'))).to.equal('CPE1704TKS');
+      expect(() => strict.decodePayload(0x21, Buffer.from('cpe 1704'))).to.throw('does not match');
+      expect(() => strict.decodePayload(0x22, Buffer.from('{"level":"high"}'))).to.throw('level must be an integer');
+    });
+  });
+  
+  describe('Codec', () => {
+    const STATUS = 0x85;
+    const registry = extendedRegistry([{ code: STATUS, name: 'STATUS', direction: 'server', payload: 'json' }]);
+    
+    it('should round-trip a new opcode through the encoder and decoder', () => {
+      const decoded = decodeFrame(encodeFrame(STATUS, 7, { uptime: 12 }, registry), registry);
+      
+      expect(decoded).to.include({ cmd: STATUS, cmdName: 'STATUS', nonce: 7, valid: true });
+      expect(decoded.payload).to.deep.equal({ uptime: 12 });
+    });
+    
+    it('should mark frames with a mismatched payload as invalid', () => {
+      // Encoded with the built-in registry, where 0x85 is unknown and sent as text
+      const frame = encodeFrame(STATUS, 7, 'not json');
+      
+      const decoded = decodeFrame(frame, registry);
+      
+      expect(decoded.valid).to.be.false;
+      expect(decoded.error).to.include('Invalid STATUS payload');
+    });
+    
+    it('should throw on encoding a mismatched payload', () => {
+      expect(() => encodeFrame(STATUS, 7, () => {}, registry)).to.throw('Invalid STATUS payload')
+        .with.property('code', INVALID_PAYLOAD);
+    });
+    
+    it('should decode unregistered codes as text', () => {
+      const decoded = decodeFrame(encodeFrame(0x99, 1, 'mystery'));
+      
+      expect(decoded).to.include({ valid: true, cmdName: 'UNKNOWN', payload: 'mystery' });
+    });
+  });
+  
+  describe('Client', function() {
+    // Increase timeout for integration tests
+    this.timeout(10000);
+    
+    const TEST_PORT = 7332;
+    
+    before(async () => {
+      // Start the mock server
+      mockServer.start(TEST_PORT);
+    });
+    
+    after(async () => {
+      // Stop the mock server
+      await mockServer.stop();
+    });
+    
+    it('should reject an invalid payload without sending it', async () => {
+      // HELLO takes no payload
+      const client = new MiniTelClient({ host: 'localhost', port: TEST_PORT });
+      const sent = [];
+      client.on('frameSent', (frame) => sent.push(frame));
+      await client.connect();
+      
+      try {
+        await client.sendCommand(COMMANDS.HELLO, 'unexpected');
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.code).to.equal(ERROR_CODES.INVALID_PAYLOAD);
+      }
+      expect(sent).to.be.empty;
+      
+      // The nonce sequence is untouched, so the exchange can go on
+      const response = await client.sendCommand(COMMANDS.HELLO);
+      expect(response.cmdName).to.equal('HELLO_ACK');
+      client.close();
+    });
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * MiniTel-Lite Recording Retention Tests
+ * Tests the retention limits, gzip compression and reading compressed recordings
+ */
+
+const chai = require('chai');
+const expect = chai.expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const SessionRecorder = require('../proxy/recorder/recorder');
+const RecordingStore = require('../proxy/recorder/store');
+const { readSessionFile } = require('../proxy/recorder/reader');
+const { formatJournal } = require('../proxy/recorder/journal');
+const { createRetentionPolicy, applyRetention } = require('../proxy/recorder/retention');
+const { encodeFrame } = require('../proxy/protocol/encoder');
+const { decodeFrame } = require('../proxy/protocol/decoder');
+const { COMMANDS, RESPONSES } = require('../proxy/protocol/constants');
+
+describe('MiniTel-Lite Recording Retention', () => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const NOW = Date.parse('2026-06-01T12:00:00Z');
+  const HELLO = encodeFrame(COMMANDS.HELLO, 0, '');
+  const HELLO_ACK = encodeFrame(RESPONSES.HELLO_ACK, 1, '');
+  const quietLogger = { info: () => {}, error: () => {} };
+  let recordingsDir;
+  let sessionData;
+  
+  before(async () => {
+    // One real recording, reused as the contents of every test file
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'minitel-recordings-'));
+    const recorder = new SessionRecorder({ dir, logger: quietLogger });
+    await recorder.startRecording();
+    const file = recorder.recordingFile;
+    recorder.recordRequest(HELLO, decodeFrame(HELLO));
+    recorder.recordResponse(HELLO_ACK, decodeFrame(HELLO_ACK));
+    await recorder.stopRecording();
+    sessionData = readSessionFile(file);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  
+  beforeEach(() => {
+    recordingsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'minitel-recordings-'));
+  });
+  
+  afterEach(() => {
+    fs.rmSync(recordingsDir, { recursive: true, force: true });
+  });
+  
+  /**
+   * Write a finished journal recording with a given age
+   * @param {string} name - File name
+   * @param {number} ageDays - Age of the file
+   * @returns {string} - File path
+   */
+  function writeRecording(name, ageDays) {
+    const file = path.join(recordingsDir, name);
+    fs.writeFileSync(file, formatJournal(sessionData));
+    const mtime = new Date(NOW - ageDays * DAY_MS);
+    fs.utimesSync(file, mtime, mtime);
+    return file;
+  }
+  
+  describe('Policy', () => {
+    it('should default to no limits with compression', () => {
+      expect(createRetentionPolicy()).to.deep.equal({
+        maxSessions: 0,
+        maxAgeDays: 0,
+        maxTotalBytes: 0,
+        compress: true
+      });
+    });
+    
+    it('should reject negative and fractional limits', () => {
+      expect(() => createRetentionPolicy({ maxSessions: -1 })).to.throw(/Invalid maxSessions/);
+      expect(() => createRetentionPolicy({ maxSessions: 1.5 })).to.throw(/Invalid maxSessions/);
+      expect(() => createRetentionPolicy({ maxTotalBytes: NaN })).to.throw(/Invalid maxTotalBytes/);
+      expect(createRetentionPolicy({ maxAgeDays: 0.5 }).maxAgeDays).to.equal(0.5);
+    });
+  });
+  
+  describe('Cleanup', () => {
+    it('should remove recordings past the age and count limits, newest kept', async () => {
+      writeRecording('a.jsonl', 1);
+      writeRecording('b.jsonl', 2);
+      writeRecording('c.jsonl', 3);
+      writeRecording('d.jsonl', 40);
+      
+      const policy = createRetentionPolicy({ maxSessions: 2, maxAgeDays: 30, compress: false });
+      const result = await applyRetention(recordingsDir, policy, { now: NOW });
+      
+      expect(result.removed.map((entry) => [entry.name, entry.reason])).to.deep.equal([
+        ['c.jsonl', 'count'],
+        ['d.jsonl', 'age']
+      ]);
+      expect(result.kept).to.equal(2);
+      expect(fs.readdirSync(recordingsDir).sort()).to.deep.equal(['a.jsonl', 'b.jsonl']);
+    });
+    
+    it('should leave active recordings and journals without a footer alone', async () => {
+      writeRecording('old.jsonl', 40);
+      const active = writeRecording('active.jsonl', 40);
+      const unfinished = path.join(recordingsDir, 'unfinished.jsonl');
+      fs.writeFileSync(unfinished, formatJournal(Object.assign({}, sessionData, { end_time: null })));
+      fs.utimesSync(unfinished, new Date(NOW - 40 * DAY_MS), new Date(NOW - 40 * DAY_MS));
+      
+      const policy = createRetentionPolicy({ maxAgeDays: 1 });
+      const result = await applyRetention(recordingsDir, policy, {
+        now: NOW,
+        activeFiles: new Set([path.resolve(active)])
+      });
+      
+      expect(result.removed.map((entry) => entry.name)).to.deep.equal(['old.jsonl']);
+      expect(fs.readdirSync(recordingsDir).sort()).to.deep.equal(['active.jsonl', 'unfinished.jsonl']);
+    });
+    
+    it('should gzip finished recordings and keep their modification time', async () => {
+      const file = writeRecording('session-1.jsonl', 5);
+      const { size } = fs.statSync(file);
+      
+      const result = await applyRetention(recordingsDir, createRetentionPolicy(), { now: NOW });
+      
+      expect(result.compressed).to.have.lengthOf(1);
+      expect(result.compressed[0].size).to.equal(size);
+      expect(fs.existsSync(file)).to.be.false;
+      const stats = fs.statSync(`${file}.gz`);
+      expect(stats.size).to.equal(result.compressed[0].compressedSize);
+      expect(stats.mtime.getTime()).to.equal(NOW - 5 * DAY_MS);
+      expect(zlib.gunzipSync(fs.readFileSync(`${file}.gz`)).toString('utf8')).to.equal(formatJournal(sessionData));
+      
+      // Already compressed files are left as they are
+      const again = await applyRetention(recordingsDir, createRetentionPolicy(), { now: NOW });
+      expect(again.compressed).to.be.empty;
+      expect(again.kept).to.equal(1);
+    });
+    
+    it('should remove the oldest recordings until the total size fits', async () => {
+      writeRecording('a.jsonl', 1);
+      writeRecording('b.jsonl', 2);
+      writeRecording('c.jsonl', 3);
+      const compressedSize = zlib.gzipSync(formatJournal(sessionData)).length;
+      
+      const policy = createRetentionPolicy({ maxTotalBytes: compressedSize * 2 });
+      const result = await applyRetention(recordingsDir, policy, { now: NOW });
+      
+      expect(result.removed.map((entry) => [entry.name, entry.reason])).to.deep.equal([['c.jsonl.gz', 'size']]);
+      expect(result.totalBytes).to.equal(compressedSize * 2);
+      expect(fs.readdirSync(recordingsDir).sort()).to.deep.equal(['a.jsonl.gz', 'b.jsonl.gz']);
+    });
+    
+    it('should only read a recording again once it changes', async () => {
+      const file = writeRecording('a.jsonl', 1);
+      fs.writeFileSync(path.join(recordingsDir, 'b.jsonl.gz'), zlib.gzipSync(formatJournal(sessionData)));
+      const policy = createRetentionPolicy({ compress: false });
+      const reads = [];
+      const readFile = fs.promises.readFile;
+      fs.promises.readFile = (target, ...args) => {
+        reads.push(path.basename(target));
+        return readFile.call(fs.promises, target, ...args);
+      };
+      
+      try {
+        expect((await applyRetention(recordingsDir, policy, { now: NOW })).kept).to.equal(2);
+        expect((await applyRetention(recordingsDir, policy, { now: NOW })).kept).to.equal(2);
+        expect(reads).to.deep.equal(['a.jsonl']);
+        
+        // Reopened: the footer is gone
+        fs.writeFileSync(file, formatJournal(Object.assign({}, sessionData, { end_time: null })));
+        expect((await applyRetention(recordingsDir, policy, { now: NOW })).kept).to.equal(1);
+        expect(reads).to.deep.equal(['a.jsonl', 'a.jsonl']);
+      } finally {
+        fs.promises.readFile = readFile;
+      }
+    });
+    
+    it('should only report changes on a dry run', async () => {
+      writeRecording('a.jsonl', 1);
+      writeRecording('b.jsonl', 40);
+      
+      const policy = createRetentionPolicy({ maxAgeDays: 30 });
+      const result = await applyRetention(recordingsDir, policy, { now: NOW, dryRun: true });
+      
+      expect(result.removed.map((entry) => entry.name)).to.deep.equal(['b.jsonl']);
+      expect(result.compressed.map((entry) => entry.name)).to.deep.equal(['a.jsonl']);
+      expect(fs.readdirSync(recordingsDir).sort()).to.deep.equal(['a.jsonl', 'b.jsonl']);
+    });
+  });
+  
+  describe('Compressed recordings', () => {
+    it('should be read, listed, tagged and renamed like any other', async () => {
+      writeRecording('session-1.jsonl', 1);
+      fs.writeFileSync(path.join(recordingsDir, 'legacy.json'), JSON.stringify(sessionData));
+      await applyRetention(recordingsDir, createRetentionPolicy(), { now: NOW });
+      
+      expect(readSessionFile(path.join(recordingsDir, 'legacy.json.gz')).steps).to.deep.equal(sessionData.steps);
+      
+      const store = new RecordingStore(recordingsDir);
+      expect(store.list().map((recording) => recording.name).sort()).to.deep.equal(['legacy.json.gz', 'session-1.jsonl.gz']);
+      expect(store.describe('session-1.jsonl.gz').step_count).to.equal(2);
+      
+      store.setTags('session-1.jsonl.gz', ['nightly']);
+      expect(store.read('session-1.jsonl.gz').tags).to.deep.equal(['nightly']);
+      
+      expect(store.rename('session-1.jsonl.gz', 'kept')).to.equal('kept.jsonl.gz');
+      expect(readSessionFile(path.join(recordingsDir, 'kept.jsonl.gz')).tags).to.deep.equal(['nightly']);
+    });
+  });
+});
@@ -0,0 +1,260 @@
+/**
+ * MiniTel-Lite Retry Policy Tests
+ * Tests backoff calculation and the proxy session's reconnect-and-resume logic
+ */
+
+const chai = require('chai');
+const expect = chai.expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mockServer = require('./mock-server');
+const ProxySession = require('../proxy/session/session');
+const SessionRecorder = require('../proxy/recorder/recorder');
+const { readSessionFile } = require('../proxy/recorder/reader');
+const { createRetryPolicy, isRetryable, backoffDelay, withRetry } = require('../proxy/client/retry');
+const { loadConfig } = require('../proxy/config');
+
+describe('MiniTel-Lite Retry Policy', function() {
+  // Increase timeout for integration tests
+  this.timeout(10000);
+  
+  /**
+   * Create an error carrying a code
+   * @param {string} code - Error code
+   * @returns {Error} - Error
+   */
+  function codedError(code) {
+    const error = new Error(`Failed with ${code}`);
+    error.code = code;
+    return error;
+  }
+  
+  describe('Policy', () => {
+    it('should fill unset values from the defaults', () => {
+      const policy = createRetryPolicy({ maxAttempts: 5 });
+      
+      expect(policy.maxAttempts).to.equal(5);
+      expect(policy.retryOn).to.deep.equal(['ECONNRESET', 'ERESPONSETIMEOUT', 'EINVALIDFRAME']);
+    });
+    
+    it('should reject invalid settings', () => {
+      expect(() => createRetryPolicy({ maxAttempts: 0 })).to.throw('maxAttempts');
+      expect(() => createRetryPolicy({ jitter: 2 })).to.throw('jitter');
+      expect(() => createRetryPolicy({ baseDelay: NaN })).to.throw('baseDelay');
+      expect(() => createRetryPolicy({ maxDelay: -1 })).to.throw('maxDelay');
+      expect(() => createRetryPolicy({ retryOn: 'ECONNRESET' })).to.throw('retryOn');
+    });
+    
+    it('should be part of the loaded configuration', () => {
+      const settings = {
+        server: { host: 'localhost', port: 7321 },
+        timeouts: { idle: 1000, response: 1000 },
+        proxy: { port: 0 },
+        recordings: { dir: os.tmpdir() },
+        logging: { level: 'error' }
+      };
+      
+      const config = loadConfig(Object.assign({ retry: { maxAttempts: 2 } }, settings));
+      expect(createRetryPolicy(config.retry)).to.deep.equal(createRetryPolicy({ maxAttempts: 2 }));
+      expect(() => loadConfig(Object.assign({ retry: { baseDelay: -5 } }, settings))).to.throw('baseDelay');
+    });
+    
+    it('should only retry the configured error codes', () => {
+      const policy = createRetryPolicy();
+      
+      expect(isRetryable(codedError('ECONNRESET'), policy)).to.be.true;
+      expect(isRetryable(codedError('ERESPONSETIMEOUT'), policy)).to.be.true;
+      expect(isRetryable(codedError('EINVALIDFRAME'), policy)).to.be.true;
+      expect(isRetryable(codedError('ENONCEMISMATCH'), policy)).to.be.false;
+      expect(isRetryable(codedError('ECONNREFUSED'), policy)).to.be.false;
+      expect(isRetryable(new Error('No code'), policy)).to.be.false;
+    });
+  });
+  
+  describe('Backoff', () => {
+    const policy = createRetryPolicy({ baseDelay: 100, maxDelay: 1000, jitter: 0.5 });
+    
+    it('should double the delay after each attempt', () => {
+      const noJitter = () => 0;
+      
+      expect([1, 2, 3, 4].map((attempt) => backoffDelay(attempt, policy, noJitter)))
+        .to.deep.equal([100, 200, 400, 800]);
+    });
+    
+    it('should cap the delay at maxDelay', () => {
+      expect(backoffDelay(10, policy, () => 0)).to.equal(1000);
+    });
+    
+    it('should randomize up to the jitter fraction of the delay', () => {
+      expect(backoffDelay(2, policy, () => 0.5)).to.equal(150);
+      expect(backoffDelay(2, policy, () => 0.999)).to.be.within(100, 200);
+    });
+  });
+  
+  describe('withRetry', () => {
+    const policy = createRetryPolicy({ maxAttempts: 3, baseDelay: 1, maxDelay: 1 });
+    
+    it('should retry retryable failures until the operation succeeds', async () => {
+      const ends = [];
+      const result = await withRetry(async (attempt) => {
+        if (attempt < 3) {
+          throw codedError('ECONNRESET');
+        }
+        return 'done';
+      }, policy, {
+        onAttemptEnd: (attempt, error, retryDelay) => ends.push([attempt, error && error.code, retryDelay])
+      });
+      
+      expect(result).to.equal('done');
+      expect(ends).to.deep.equal([[1, 'ECONNRESET', 1], [2, 'ECONNRESET', 1], [3, null, null]]);
+    });
+    
+    it('should give up after maxAttempts', async () => {
+      let attempts = 0;
+      try {
+        await withRetry(async () => {
+          attempts++;
+          throw codedError('ERESPONSETIMEOUT');
+        }, policy);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.code).to.equal('ERESPONSETIMEOUT');
+      }
+      expect(attempts).to.equal(3);
+    });
+    
+    it('should not retry non-retryable failures or when canRetry refuses', async () => {
+      let attempts = 0;
+      const fail = async () => {
+        attempts++;
+        throw codedError('ENONCEMISMATCH');
+      };
+      
+      await withRetry(fail, policy).catch(() => {});
+      expect(attempts).to.equal(1);
+      
+      attempts = 0;
+      await withRetry(async () => {
+        attempts++;
+        throw codedError('ECONNRESET');
+      }, policy, { canRetry: () => false }).catch(() => {});
+      expect(attempts).to.equal(1);
+    });
+  });
+  
+  describe('Proxy session', () => {
+    const TEST_PORT = 7330;
+    let recordingsDir;
+    let recorder;
+    let messages;
+    
+    before(async () => {
+      // Start the mock server
+      mockServer.start(TEST_PORT);
+    });
+    
+    after(async () => {
+      // Stop the mock server
+      await mockServer.stop();
+    });
+    
+    beforeEach(() => {
+      recordingsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'minitel-recordings-'));
+      recorder = new SessionRecorder({ dir: recordingsDir, logger: { info: () => {}, error: () => {} } });
+      messages = [];
+    });
+    
+    afterEach(() => {
+      fs.rmSync(recordingsDir, { recursive: true, force: true });
+    });
+    
+    /**
+     * Run a hack in a new proxy session that records into the test directory
+     * @param {Object} retry - Retry policy overrides
+     * @returns {Promise<Object>} - { result, session } where session is the recorded data
+     */
+    async function recordedHack(retry = {}) {
+      const session = new ProxySession((message) => messages.push(message), {
+        server: { host: 'localhost', port: TEST_PORT },
+        timeouts: { idle: 2000, response: 300 },
+        recordings: { dir: recordingsDir },
+        retry: Object.assign({ maxAttempts: 3, baseDelay: 10, maxDelay: 50 }, retry)
+      }, { recorder });
+      
+      await recorder.startRecording();
+      const file = recorder.recordingFile;
+      const result = await session.executeHack();
+      await recorder.stopRecording();
+      
+      return { result, session: readSessionFile(file) };
+    }
+    
+    it('should reconnect and restart from HELLO after an invalid frame', async () => {
+      mockServer.queueScenario('corrupt-hash', { command: 'DUMP' });
+      const { result, session } = await recordedHack();
+      
+      expect(result.error).to.be.null;
+      expect(result.overrideCode).to.equal('CPE1704TKS');
+      
+      // The second attempt starts over with fresh nonces
+      const hellos = session.steps.filter((step) => step.decoded.cmd === 'HELLO');
+      expect(hellos.map((step) => step.decoded.nonce)).to.deep.equal([0, 0]);
+      
+      expect(session.attempts).to.have.lengthOf(2);
+      expect(session.attempts[0]).to.include({ attempt: 1, max_attempts: 3, first_step: 1, last_step: 4 });
+      expect(session.attempts[0].error.code).to.equal('EINVALIDFRAME');
+      expect(session.attempts[0].retry_delay_ms).to.be.within(5, 10);
+      expect(session.attempts[1]).to.include({ attempt: 2, first_step: 5, last_step: session.steps.length });
+      expect(session.attempts[1].error).to.be.null;
+      expect(session.attempts[1].retry_delay_ms).to.be.null;
+    });
+    
+    it('should report every attempt to the client', async () => {
+      mockServer.queueScenario('delay', { delayMs: 500 });
+      await recordedHack();
+      
+      const attempts = messages.filter((message) => message.type === 'attempt');
+      expect(attempts.map((message) => message.attempt)).to.deep.equal([1, 1, 2]);
+      expect(attempts[1].code).to.equal('ERESPONSETIMEOUT');
+      expect(attempts[1].message).to.match(/^Attempt 1 of 3 failed: .* Retrying in \d+ ms\.\.\.$/);
+      expect(attempts[2].message).to.equal('Attempt 2 of 3: reconnecting and restarting from HELLO...');
+      expect(messages.find((message) => message.type === 'success').overrideCode).to.equal('CPE1704TKS');
+    });
+    
+    it('should retry a connection reset by the server', async () => {
+      mockServer.queueScenario('drop-after-first-dump', { reset: true });
+      const { result, session } = await recordedHack();
+      
+      expect(result.overrideCode).to.equal('CPE1704TKS');
+      expect(session.attempts[0].error.code).to.equal('ECONNRESET');
+    });
+    
+    it('should not retry a non-retryable failure', async () => {
+      mockServer.queueScenario('wrong-nonce');
+      const { result, session } = await recordedHack();
+      
+      expect(result.error.code).to.equal('ENONCEMISMATCH');
+      expect(session.attempts).to.have.lengthOf(1);
+      expect(messages.find((message) => message.type === 'error').message).to.equal('Hack failed: Nonce mismatch');
+    });
+    
+    it('should give up after the maximum number of attempts', async () => {
+      mockServer.queueScenario('corrupt-hash');
+      mockServer.queueScenario('corrupt-hash');
+      const { result, session } = await recordedHack({ maxAttempts: 2 });
+      
+      expect(result.error.code).to.equal('EINVALIDFRAME');
+      expect(session.attempts.map((attempt) => attempt.retry_delay_ms === null)).to.deep.equal([false, true]);
+    });
+    
+    it('should not repeat a sequence that already retrieved the override code', async () => {
+      mockServer.queueScenario('corrupt-hash', { command: 'STOP_CMD' });
+      const { result, session } = await recordedHack();
+      
+      expect(result.overrideCode).to.equal('CPE1704TKS');
+      expect(result.error.code).to.equal('EINVALIDFRAME');
+      expect(session.attempts).to.have.lengthOf(1);
+    });
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * MiniTel-Lite Recording Schema Tests
+ * Tests session validation and the upgrade of older recordings
+ */
+
+const chai = require('chai');
+const expect = chai.expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SessionRecorder = require('../proxy/recorder/recorder');
+const RecordingStore = require('../proxy/recorder/store');
+const { encodeFrame } = require('../proxy/protocol/encoder');
+const { decodeFrame } = require('../proxy/protocol/decoder');
+const { COMMANDS, RESPONSES } = require('../proxy/protocol/constants');
+const {
+  FORMAT_VERSION,
+  formatVersion,
+  validateSession,
+  migrateSession,
+  loadSession
+} = require('../proxy/recorder/schema');
+const { parseSession } = require('../proxy/recorder/reader');
+const { parseJournal } = require('../proxy/recorder/journal');
+
+describe('MiniTel-Lite Recording Schema', () => {
+  const HELLO = encodeFrame(COMMANDS.HELLO, 0, '');
+  const DUMP_OK = encodeFrame(RESPONSES.DUMP_OK, 3, 'CPE1704TKS');
+  
+  /**
+   * Build a recording as written before format versions existed
+   * @returns {Object} - Version 1 session data
+   */
+  function legacySession() {
+    return {
+      session_id: '2025-01-01T00-00-00Z',
+      start_time: '2025-01-01T00:00:00.000Z',
+      end_time: '2025-01-01T00:00:01.000Z',
+      server_host: 'localhost',
+      server_port: 7321,
+      steps: [
+        {
+          step: 1,
+          timestamp: '2025-01-01T00:00:00.100Z',
+          direction: 'client',
+          request: HELLO.toString('base64'),
+          response: null,
+          decoded: { cmd: 'HELLO', nonce: 0, payload: '' },
+          valid: true
+        },
+        {
+          step: 2,
+          timestamp: '2025-01-01T00:00:00.200Z',
+          direction: 'server',
+          request: null,
+          response: DUMP_OK.toString('base64'),
+          decoded: { cmd: 'DUMP_OK', nonce: 3, payload: 'CPE1704TKS' },
+          valid: true
+        },
+        {
+          step: 3,
+          timestamp: '2025-01-01T00:00:00.300Z',
+          direction: 'server',
+          request: null,
+          response: 'AAAA',
+          decoded: {},
+          valid: false
+        }
+      ]
+    };
+  }
+  
+  describe('Recorder', () => {
+    let recordingsDir;
+    
+    beforeEach(() => {
+      recordingsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'minitel-recordings-'));
+    });
+    
+    afterEach(() => {
+      fs.rmSync(recordingsDir, { recursive: true, force: true });
+    });
+    
+    it('should write files that match the schema', async () => {
+      const recorder = new SessionRecorder({ dir: recordingsDir, logger: { info: () => {}, error: () => {} } });
+      await recorder.startRecording();
+      const file = recorder.recordingFile;
+      recorder.recordRequest(HELLO, decodeFrame(HELLO));
+      recorder.recordResponse(Buffer.from('broken'), { valid: false, error: 'Hash validation failed' });
+      recorder.recordAttempt({ attempt: 1, maxAttempts: 3, error: null });
+      await recorder.stopRecording();
+      
+      const { sessionData } = parseJournal(fs.readFileSync(file, 'utf8'));
+      
+      expect(sessionData.format_version).to.equal(FORMAT_VERSION);
+      expect(validateSession(sessionData)).to.deep.equal([]);
+      expect(sessionData.steps[1].decoded).to.deep.equal({
+        cmd: null,
+        nonce: null,
+        payload: null,
+        payload_encoding: null,
+        payload_bytes: null
+      });
+    });
+  });
+  
+  describe('Validation', () => {
+    it('should report where a file breaks the schema', () => {
+      const sessionData = migrateSession(legacySession());
+      sessionData.steps[0].direction = 'sideways';
+      delete sessionData.steps[1].decoded.nonce;
+      sessionData.server_port = 'http';
+      
+      expect(validateSession(sessionData)).to.have.members([
+        'server_port should be integer,null',
+        'steps[0].direction should be equal to one of the allowed values',
+        'steps[1].decoded should have required property \'nonce\''
+      ]);
+    });
+    
+    it('should refuse files a consumer cannot use', () => {
+      const cases = [
+        [[], 'must contain a JSON object'],
+        [{ format_version: 2, session_id: 'x' }, 'Invalid session file: should have required property \'start_time\''],
+        [{ session_id: 'x', start_time: '2025-01-01T00:00:00.000Z' }, 'steps is not an array'],
+        [{ format_version: FORMAT_VERSION + 1, steps: [] }, `Unsupported format_version ${FORMAT_VERSION + 1}`],
+        [{ format_version: 'two', steps: [] }, 'Invalid format_version']
+      ];
+      
+      cases.forEach(([sessionData, message]) => {
+        expect(() => loadSession(sessionData)).to.throw(message).with.property('code', 'EINVAL');
+      });
+      expect(() => parseSession('{"steps": [')).to.throw('not valid JSON');
+    });
+  });
+  
+  describe('Migration', () => {
+    it('should upgrade version 1 recordings', () => {
+      const legacy = legacySession();
+      expect(formatVersion(legacy)).to.equal(1);
+      
+      const sessionData = loadSession(legacy);
+      
+      expect(sessionData.format_version).to.equal(FORMAT_VERSION);
+      expect(sessionData.steps[1].decoded).to.deep.equal({
+        cmd: 'DUMP_OK',
+        nonce: 3,
+        payload: 'CPE1704TKS',
+        payload_encoding: 'base64',
+        payload_bytes: Buffer.from('CPE1704TKS').toString('base64')
+      });
+      expect(sessionData.steps[2].decoded).to.deep.equal({
+        cmd: null,
+        nonce: null,
+        payload: null,
+        payload_encoding: null,
+        payload_bytes: null
+      });
+    });
+    
+    it('should not modify the original data', () => {
+      const legacy = legacySession();
+      const copy = JSON.parse(JSON.stringify(legacy));
+      
+      migrateSession(legacy);
+      
+      expect(legacy).to.deep.equal(copy);
+    });
+    
+    it('should leave current recordings untouched', () => {
+      const current = migrateSession(legacySession());
+      
+      expect(migrateSession(current)).to.equal(current);
+    });
+    
+    it('should keep the version of a recording when tagging it', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'minitel-recordings-'));
+      try {
+        const file = path.join(dir, 'legacy.json');
+        fs.writeFileSync(file, JSON.stringify(legacySession(), null, 2));
+        
+        expect(new RecordingStore(dir).setTags('legacy.json', ['baseline'])).to.deep.equal(['baseline']);
+        
+        const written = JSON.parse(fs.readFileSync(file, 'utf8'));
+        expect(formatVersion(written)).to.equal(1);
+        expect(written).to.deep.equal(Object.assign(legacySession(), { tags: ['baseline'] }));
+        expect(new RecordingStore(dir).read('legacy.json').tags).to.deep.equal(['baseline']);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
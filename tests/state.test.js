@@ -0,0 +1,167 @@
+/**
+ * MiniTel-Lite Protocol State Machine Tests
+ * Tests every transition of the protocol state machine
+ */
+
+const chai = require('chai');
+const expect = chai.expect;
+const {
+  STATES,
+  ILLEGAL_COMMAND,
+  UNEXPECTED_RESPONSE,
+  ProtocolStateMachine
+} = require('../proxy/protocol/state');
+
+describe('MiniTel-Lite Protocol State Machine', () => {
+  // PING stands for a custom command registered without a rule
+  const COMMAND_NAMES = ['HELLO', 'DUMP', 'STOP_CMD', 'PING'];
+  const RESPONSE_NAMES = ['HELLO_ACK', 'DUMP_FAILED', 'DUMP_OK', 'STOP_OK', 'PONG', 'UNKNOWN'];
+  
+  // Commands allowed in each state
+  const ALLOWED_COMMANDS = {
+    DISCONNECTED: [],
+    CONNECTED: ['HELLO', 'STOP_CMD', 'PING'],
+    AUTHENTICATED: ['HELLO', 'DUMP', 'STOP_CMD', 'PING'],
+    DUMPING: ['HELLO', 'DUMP', 'STOP_CMD', 'PING'],
+    STOPPED: []
+  };
+  
+  // State reached by each response to each command (null: any response, state unchanged)
+  const RESPONSE_STATES = {
+    HELLO: { HELLO_ACK: 'AUTHENTICATED' },
+    DUMP: { DUMP_FAILED: 'DUMPING', DUMP_OK: 'DUMPING' },
+    STOP_CMD: { STOP_OK: 'STOPPED' },
+    PING: null
+  };
+  
+  /**
+   * Create a machine in the given state
+   * @param {string} state - One of STATES
+   * @param {string|null} pending - Pending command
+   * @returns {ProtocolStateMachine} - Machine
+   */
+  function machineIn(state, pending = null) {
+    const machine = new ProtocolStateMachine();
+    machine.state = state;
+    machine.pending = pending;
+    return machine;
+  }
+  
+  it('should start disconnected with no pending command', () => {
+    const machine = new ProtocolStateMachine();
+    expect(machine.state).to.equal(STATES.DISCONNECTED);
+    expect(machine.pending).to.be.null;
+  });
+  
+  describe('Connection', () => {
+    Object.keys(STATES).forEach((state) => {
+      it(`should ${state === 'DISCONNECTED' ? 'allow' : 'refuse'} connect from ${state}`, () => {
+        const machine = machineIn(state);
+        if (state === 'DISCONNECTED') {
+          machine.connect();
+          expect(machine.state).to.equal(STATES.CONNECTED);
+        } else {
+          expect(() => machine.connect()).to.throw(`Already connected (state ${state})`)
+            .with.property('code', ILLEGAL_COMMAND);
+          expect(machine.state).to.equal(state);
+        }
+      });
+      
+      it(`should disconnect from ${state}`, () => {
+        const machine = machineIn(state, state === 'DISCONNECTED' ? null : 'HELLO');
+        machine.disconnect();
+        expect(machine.state).to.equal(STATES.DISCONNECTED);
+        expect(machine.pending).to.be.null;
+      });
+    });
+  });
+  
+  describe('Commands', () => {
+    Object.keys(STATES).forEach((state) => {
+      COMMAND_NAMES.forEach((name) => {
+        const allowed = ALLOWED_COMMANDS[state].includes(name);
+        
+        it(`should ${allowed ? 'allow' : 'refuse'} ${name} in ${state}`, () => {
+          const machine = machineIn(state);
+          expect(machine.canSend(name)).to.equal(allowed);
+          if (allowed) {
+            machine.command(name);
+            expect(machine.pending).to.equal(name);
+          } else {
+            expect(() => machine.command(name)).to.throw(`${name} is not allowed in state ${state}`)
+              .with.property('code', ILLEGAL_COMMAND);
+            expect(machine.pending).to.be.null;
+          }
+          expect(machine.state).to.equal(state);
+        });
+      });
+    });
+    
+    it('should refuse a command while another waits for its response', () => {
+      const machine = machineIn(STATES.AUTHENTICATED, 'DUMP');
+      expect(() => machine.command('DUMP')).to.throw('DUMP sent while DUMP waits for its response')
+        .with.property('code', ILLEGAL_COMMAND);
+      expect(machine.pending).to.equal('DUMP');
+    });
+  });
+  
+  describe('Responses', () => {
+    Object.keys(RESPONSE_STATES).forEach((command) => {
+      Object.keys(STATES).filter((state) => ALLOWED_COMMANDS[state].includes(command)).forEach((state) => {
+        RESPONSE_NAMES.forEach((name) => {
+          const rule = RESPONSE_STATES[command];
+          const next = rule === null ? state : rule[name];
+          
+          it(`should ${next ? `move to ${next} on` : 'reject'} ${name} to ${command} in ${state}`, () => {
+            const machine = machineIn(state, command);
+            if (next) {
+              machine.response(name);
+              expect(machine.state).to.equal(next);
+              expect(machine.pending).to.be.null;
+            } else {
+              expect(() => machine.response(name)).to.throw(`Expected ${Object.keys(rule).join(' or ')}, got ${name}`)
+                .with.property('code', UNEXPECTED_RESPONSE);
+              expect(machine.state).to.equal(state);
+              expect(machine.pending).to.equal(command);
+            }
+          });
+        });
+      });
+    });
+    
+    Object.keys(STATES).forEach((state) => {
+      it(`should reject a response with no pending command in ${state}`, () => {
+        const machine = machineIn(state);
+        expect(() => machine.response('HELLO_ACK')).to.throw('HELLO_ACK without a command to answer')
+          .with.property('code', UNEXPECTED_RESPONSE);
+        expect(machine.state).to.equal(state);
+      });
+    });
+    
+    it('should list the responses expected for the pending command', () => {
+      expect(machineIn(STATES.CONNECTED).expectedResponses()).to.deep.equal([]);
+      expect(machineIn(STATES.AUTHENTICATED, 'DUMP').expectedResponses()).to.deep.equal(['DUMP_FAILED', 'DUMP_OK']);
+      expect(machineIn(STATES.AUTHENTICATED, 'PING').expectedResponses()).to.be.null;
+    });
+    
+    it('should stop waiting for a response when cancelled', () => {
+      const machine = machineIn(STATES.AUTHENTICATED, 'DUMP');
+      machine.cancel();
+      expect(machine.pending).to.be.null;
+      expect(machine.state).to.equal(STATES.AUTHENTICATED);
+      expect(machine.canSend('DUMP')).to.be.true;
+    });
+  });
+  
+  it('should follow the hack sequence', () => {
+    const machine = new ProtocolStateMachine();
+    const states = [];
+    machine.connect();
+    [['HELLO', 'HELLO_ACK'], ['DUMP', 'DUMP_FAILED'], ['DUMP', 'DUMP_OK'], ['STOP_CMD', 'STOP_OK']].forEach(([command, response]) => {
+      machine.command(command);
+      machine.response(response);
+      states.push(machine.state);
+    });
+    expect(states).to.deep.equal(['AUTHENTICATED', 'DUMPING', 'DUMPING', 'STOPPED']);
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * MiniTel-Lite Workflow Tests
+ * Tests workflow validation, the workflow store and running workflows against the mock server
+ */
+
+const chai = require('chai');
+const expect = chai.expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mockServer = require('./mock-server');
+const { MiniTelClient, ERROR_CODES } = require('../proxy/client/client');
+const WorkflowStore = require('../proxy/workflow/store');
+const { normalizeWorkflow, parseWorkflow, runWorkflow } = require('../proxy/workflow/workflow');
+
+describe('MiniTel-Lite Workflows', function() {
+  // Increase timeout for integration tests
+  this.timeout(10000);
+  
+  describe('Validation', () => {
+    it('should apply step defaults', () => {
+      const workflow = normalizeWorkflow({
+        steps: [{ command: 'HELLO', expect: 'HELLO_ACK' }]
+      }, 'minimal');
+      
+      expect(workflow).to.deep.equal({
+        name: 'minimal',
+        description: '',
+        result: null,
+        steps: [{
+          command: 'HELLO',
+          code: 0x01,
+          payload: '',
+          expect: ['HELLO_ACK'],
+          onMismatch: 'fail',
+          maxRepeats: 1,
+          capture: null,
+          message: null
+        }]
+      });
+    });
+    
+    it('should parse YAML and JSON definitions', () => {
+      const fromYaml = parseWorkflow('steps:\n  - command: DUMP\n    expect: [DUMP_OK, DUMP_FAILED]\n', 'yaml', 'dump');
+      const fromJson = parseWorkflow('{"steps":[{"command":"DUMP","expect":["DUMP_OK","DUMP_FAILED"]}]}', 'json', 'dump');
+      
+      expect(fromYaml).to.deep.equal(fromJson);
+      expect(fromYaml.steps[0].expect).to.deep.equal(['DUMP_OK', 'DUMP_FAILED']);
+    });
+    
+    it('should reject invalid definitions', () => {
+      const invalid = [
+        [{}, 'at least one step'],
+        [{ steps: [{ command: 'REBOOT', expect: 'HELLO_ACK' }] }, 'unknown command REBOOT'],
+        [{ steps: [{ command: 'HELLO', expect: 'HELLO' }] }, 'expect must name response codes'],
+        [{ steps: [{ command: 'HELLO', expect: ['HELLO_ACK', 'DUMP_OK'] }] }, 'HELLO is never answered with DUMP_OK (only HELLO_ACK)'],
+        [{ steps: [{ command: 'HELLO', expect: 'HELLO_ACK', on_mismatch: 'ignore' }] }, 'on_mismatch'],
+        [{ steps: [{ command: 'HELLO', expect: 'HELLO_ACK', max_repeats: 0 }] }, 'max_repeats'],
+        [{ steps: [{ command: 'HELLO', expect: 'HELLO_ACK' }], result: 'code' }, 'result code is not captured']
+      ];
+      
+      invalid.forEach(([definition, message]) => {
+        expect(() => normalizeWorkflow(definition, 'broken')).to.throw(message);
+      });
+      expect(() => parseWorkflow('steps: [', 'yaml', 'broken')).to.throw('not valid YAML');
+    });
+  });
+  
+  describe('Store', () => {
+    let workflowsDir;
+    let store;
+    
+    beforeEach(() => {
+      workflowsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'minitel-workflows-'));
+      store = new WorkflowStore(workflowsDir);
+    });
+    
+    afterEach(() => {
+      fs.rmSync(workflowsDir, { recursive: true, force: true });
+    });
+    
+    it('should list workflows, including invalid ones with their error', () => {
+      fs.writeFileSync(path.join(workflowsDir, 'ping.json'), JSON.stringify({
+        description: 'Ping',
+        steps: [{ command: 'HELLO', expect: 'HELLO_ACK' }]
+      }));
+      fs.writeFileSync(path.join(workflowsDir, 'broken.yml'), 'steps: []\n');
+      fs.writeFileSync(path.join(workflowsDir, 'notes.txt'), 'ignored');
+      
+      const workflows = store.list();
+      
+      expect(workflows.map((workflow) => workflow.name)).to.deep.equal(['broken', 'ping']);
+      expect(workflows[0].error).to.include('at least one step');
+      expect(workflows[1]).to.deep.equal({ name: 'ping', description: 'Ping', result: null, step_count: 1 });
+    });
+    
+    it('should reject unknown and invalid names', () => {
+      expect(() => store.load('missing')).to.throw('Unknown workflow').with.property('code', 'ENOENT');
+      expect(() => store.load('../hack')).to.throw('Invalid workflow name').with.property('code', 'EINVAL');
+    });
+    
+    it('should ship the hack workflow', () => {
+      const workflow = new WorkflowStore().load('hack');
+      
+      expect(workflow.steps.map((step) => step.command)).to.deep.equal(['HELLO', 'DUMP', 'DUMP', 'STOP_CMD']);
+      expect(workflow.result).to.equal('overrideCode');
+    });
+  });
+  
+  describe('Running', () => {
+    const TEST_PORT = 7331;
+    let client;
+    
+    before(async () => {
+      // Start the mock server
+      mockServer.start(TEST_PORT);
+    });
+    
+    after(async () => {
+      // Stop the mock server
+      await mockServer.stop();
+    });
+    
+    beforeEach(async () => {
+      client = new MiniTelClient({ host: 'localhost', port: TEST_PORT });
+      await client.connect();
+    });
+    
+    afterEach(() => {
+      client.close();
+    });
+    
+    it('should capture the result and report progress', async () => {
+      const updates = [];
+      const captured = [];
+      const { result, captures } = await runWorkflow(client, new WorkflowStore().load('hack'), {
+        onUpdate: (message) => updates.push(message),
+        onCapture: (name, value) => captured.push([name, value])
+      });
+      
+      expect(result).to.equal('CPE1704TKS');
+      expect(captures).to.deep.equal({ overrideCode: 'CPE1704TKS' });
+      expect(captured).to.deep.equal([['overrideCode', 'CPE1704TKS']]);
+      expect(updates[0]).to.equal('Sending HELLO command...');
+    });
+    
+    it('should repeat a command until the expected response arrives', async () => {
+      const workflow = normalizeWorkflow({
+        result: 'code',
+        steps: [
+          { command: 'HELLO', expect: 'HELLO_ACK' },
+          { command: 'DUMP', expect: 'DUMP_OK', on_mismatch: 'repeat', capture: 'code' }
+        ]
+      }, 'repeat');
+      const sent = [];
+      client.on('frameSent', (frame) => sent.push(frame.cmdName));
+      
+      const { result } = await runWorkflow(client, workflow);
+      
+      expect(result).to.equal('CPE1704TKS');
+      expect(sent).to.deep.equal(['HELLO', 'DUMP', 'DUMP']);
+    });
+    
+    it('should fail on a mismatch unless the step continues', async () => {
+      const strict = normalizeWorkflow({
+        steps: [
+          { command: 'HELLO', expect: 'HELLO_ACK' },
+          { command: 'DUMP', expect: 'DUMP_OK' }
+        ]
+      }, 'strict');
+      
+      try {
+        await runWorkflow(client, strict);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.code).to.equal(ERROR_CODES.UNEXPECTED_RESPONSE);
+        expect(error.message).to.equal('Expected DUMP_OK, got DUMP_FAILED');
+      }
+    });
+    
+    it('should skip a mismatched step marked continue', async () => {
+      const lenient = normalizeWorkflow({
+        steps: [
+          { command: 'HELLO', expect: 'HELLO_ACK' },
+          { command: 'DUMP', expect: 'DUMP_OK', on_mismatch: 'continue', capture: 'code' },
+          { command: 'DUMP', expect: ['DUMP_OK', 'DUMP_FAILED'], capture: 'code' }
+        ]
+      }, 'lenient');
+      
+      const { captures } = await runWorkflow(client, lenient);
+      
+      expect(captures).to.deep.equal({ code: 'CPE1704TKS' });
+    });
+  });
+});
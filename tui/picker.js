@@ -0,0 +1,160 @@
+/**
+ * MiniTel-Lite Recording Picker
+ * Sorting, filtering and formatting for the replay TUI's list of recordings
+ *
+ * Entries are the recording metadata returned by RecordingStore.list().
+ */
+
+// Fields the list can be sorted by, in the order the sort key cycles through them
+const SORT_FIELDS = ['date', 'duration', 'steps', 'outcome'];
+
+// Outcome filters, in the order the filter key cycles through them
+const OUTCOME_FILTERS = ['all', 'retrieved', 'not retrieved'];
+
+/**
+ * Duration of a recording
+ * @param {Object} recording - Recording metadata
+ * @returns {number|null} - Milliseconds, or null without an end time
+ */
+function recordingDuration(recording) {
+  if (!recording.start_time || !recording.end_time) {
+    return null;
+  }
+  return new Date(recording.end_time).getTime() - new Date(recording.start_time).getTime();
+}
+
+/**
+ * Outcome of a recording
+ * @param {Object} recording - Recording metadata
+ * @returns {string} - 'retrieved', 'not retrieved', 'recording' (still being
+ *   written) or 'unreadable'
+ */
+function recordingOutcome(recording) {
+  if (recording.error) {
+    return 'unreadable';
+  }
+  if (recording.recording) {
+    return 'recording';
+  }
+  return recording.success ? 'retrieved' : 'not retrieved';
+}
+
+/**
+ * Value a recording is sorted by
+ * @param {Object} recording - Recording metadata
+ * @param {string} field - One of SORT_FIELDS
+ * @returns {number|string} - Sort key (missing values sort first)
+ */
+function sortKey(recording, field) {
+  switch (field) {
+    case 'duration': {
+      const duration = recordingDuration(recording);
+      return duration === null ? -1 : duration;
+    }
+    case 'steps':
+      return recording.step_count || 0;
+    case 'outcome':
+      return recordingOutcome(recording);
+    default:
+      return recording.start_time || '';
+  }
+}
+
+/**
+ * Sort recordings
+ * Ties keep the newest recording first.
+ * @param {Object[]} recordings - Recording metadata
+ * @param {string} field - One of SORT_FIELDS
+ * @param {boolean} descending - Largest (or newest) first
+ * @returns {Object[]} - Sorted copy
+ */
+function sortRecordings(recordings, field, descending) {
+  const direction = descending ? -1 : 1;
+  return recordings.slice().sort((a, b) => {
+    const keyA = sortKey(a, field);
+    const keyB = sortKey(b, field);
+    if (keyA < keyB) return -direction;
+    if (keyA > keyB) return direction;
+    return String(b.start_time || '').localeCompare(String(a.start_time || ''));
+  });
+}
+
+/**
+ * Filter recordings
+ * @param {Object[]} recordings - Recording metadata
+ * @param {Object} filter - Filter
+ * @param {string} filter.text - Text to look for in the name, session ID and
+ *   tags (case-insensitive)
+ * @param {string} filter.outcome - One of OUTCOME_FILTERS
+ * @returns {Object[]} - Matching recordings
+ */
+function filterRecordings(recordings, filter = {}) {
+  const text = (filter.text || '').toLowerCase();
+  const outcome = filter.outcome || 'all';
+
+  return recordings.filter((recording) => {
+    if (outcome !== 'all' && recordingOutcome(recording) !== outcome) {
+      return false;
+    }
+    if (!text) {
+      return true;
+    }
+    const haystack = [recording.name, recording.session_id || '', ...(recording.tags || [])]
+      .join(' ')
+      .toLowerCase();
+    return haystack.includes(text);
+  });
+}
+
+/**
+ * Cycle through a list of options
+ * @param {string[]} options - Options
+ * @param {string} current - Current option
+ * @returns {string} - The option after `current`, wrapping around
+ */
+function nextOption(options, current) {
+  return options[(options.indexOf(current) + 1) % options.length];
+}
+
+/**
+ * Format a start time for the list
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} - Local date and time as YYYY-MM-DD HH:MM:SS, and - when unknown
+ */
+function formatListDate(timestamp) {
+  const date = new Date(timestamp);
+  if (!timestamp || isNaN(date.getTime())) {
+    return '-';
+  }
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * Format a duration for the list
+ * @param {number|null} ms - Milliseconds
+ * @returns {string} - e.g. 4.2s or 3m 05s, and - when unknown
+ */
+function formatListDuration(ms) {
+  if (ms === null) {
+    return '-';
+  }
+  const seconds = ms / 1000;
+  if (seconds < 60) {
+    return `${seconds.toFixed(1)}s`;
+  }
+  return `${Math.floor(seconds / 60)}m ${String(Math.floor(seconds % 60)).padStart(2, '0')}s`;
+}
+
+module.exports = {
+  SORT_FIELDS,
+  OUTCOME_FILTERS,
+  recordingDuration,
+  recordingOutcome,
+  sortRecordings,
+  filterRecordings,
+  nextOption,
+  formatListDate,
+  formatListDuration
+};
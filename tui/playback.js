@@ -0,0 +1,174 @@
+/**
+ * MiniTel-Lite Replay Playback
+ * Timing, speed and error navigation for auto-playing a recorded session
+ *
+ * Step times are offsets in milliseconds from the session start, taken from
+ * the recorded timestamps, so playback reproduces the real gaps between
+ * frames (scaled by the playback speed).
+ */
+
+// Playback speeds, slowest first
+const SPEEDS = [0.25, 0.5, 1, 2, 4, 10];
+
+// Speed playback starts at
+const DEFAULT_SPEED = 1;
+
+/**
+ * Parse a recorded timestamp
+ * @param {string} timestamp - ISO timestamp
+ * @returns {number} - Milliseconds since the epoch (NaN when missing or invalid)
+ */
+function parseTime(timestamp) {
+  return timestamp ? new Date(timestamp).getTime() : NaN;
+}
+
+/**
+ * Offset of every step from the session start
+ * Steps without a usable timestamp take the previous step's offset.
+ * @param {Object} sessionData - Session data
+ * @returns {number[]} - Milliseconds from the start, one per step (never decreasing)
+ */
+function stepOffsets(sessionData) {
+  const steps = sessionData.steps;
+  const firstStep = steps.length > 0 ? parseTime(steps[0].timestamp) : NaN;
+  const start = isNaN(parseTime(sessionData.start_time)) ? firstStep : parseTime(sessionData.start_time);
+
+  let previous = 0;
+  return steps.map((step) => {
+    const time = parseTime(step.timestamp);
+    if (!isNaN(time) && !isNaN(start)) {
+      previous = Math.max(previous, time - start);
+    }
+    return previous;
+  });
+}
+
+/**
+ * Total length of a session
+ * @param {Object} sessionData - Session data
+ * @param {number[]} offsets - Step offsets (stepOffsets())
+ * @returns {number} - Milliseconds from the start to the end time, or to the
+ *   last step when the recording has no end time
+ */
+function sessionLength(sessionData, offsets) {
+  const lastStep = offsets.length > 0 ? offsets[offsets.length - 1] : 0;
+  const length = parseTime(sessionData.end_time) - parseTime(sessionData.start_time);
+  return isNaN(length) ? lastStep : Math.max(length, lastStep);
+}
+
+/**
+ * Delay before playback moves past a step
+ * @param {number[]} offsets - Step offsets (stepOffsets())
+ * @param {number} index - Current step
+ * @param {number} speed - Playback speed
+ * @returns {number|null} - Milliseconds until the next step, or null at the last step
+ */
+function nextDelay(offsets, index, speed) {
+  if (index >= offsets.length - 1) {
+    return null;
+  }
+  return (offsets[index + 1] - offsets[index]) / speed;
+}
+
+/**
+ * Change the playback speed by one notch
+ * @param {number} speed - Current speed
+ * @param {number} direction - 1 for faster, -1 for slower
+ * @returns {number} - New speed, within SPEEDS
+ */
+function changeSpeed(speed, direction) {
+  const current = SPEEDS.indexOf(speed);
+  const index = Math.min(Math.max((current === -1 ? SPEEDS.indexOf(DEFAULT_SPEED) : current) + direction, 0),
+    SPEEDS.length - 1);
+  return SPEEDS[index];
+}
+
+/**
+ * Find the steps that show something going wrong
+ * Invalid frames, unknown command codes and the last step of a failed attempt.
+ * @param {Object} sessionData - Session data
+ * @returns {Map<number, string>} - Step index to a short reason
+ */
+function errorSteps(sessionData) {
+  const errors = new Map();
+
+  sessionData.steps.forEach((step, index) => {
+    if (!step.valid) {
+      errors.set(index, 'invalid frame');
+    } else if (step.decoded.cmd === 'UNKNOWN') {
+      errors.set(index, 'unknown command');
+    }
+  });
+
+  (sessionData.attempts || []).forEach((attempt) => {
+    const index = sessionData.steps.findIndex((step) => step.step === attempt.last_step);
+    if (attempt.error && index !== -1 && !errors.has(index)) {
+      errors.set(index, `attempt ${attempt.attempt} failed: ${attempt.error.code || attempt.error.message}`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Find the next error step after a step
+ * @param {Map<number, string>} errors - Error steps (errorSteps())
+ * @param {number} index - Current step
+ * @returns {number} - Index of the next error step, or -1 if there is none
+ */
+function nextError(errors, index) {
+  const later = [...errors.keys()].filter((errorIndex) => errorIndex > index);
+  return later.length > 0 ? Math.min(...later) : -1;
+}
+
+/**
+ * Step to show after a followed recording grows
+ * Stays on the newest step while the viewer is on it, and stays put once
+ * they have stepped back to look at something.
+ * @param {number} index - Current step
+ * @param {number} previousCount - Step count before the update
+ * @param {number} count - Step count after the update
+ * @returns {number} - Step to show
+ */
+function followStep(index, previousCount, count) {
+  return index >= previousCount - 1 ? Math.max(count - 1, 0) : index;
+}
+
+/**
+ * Format a playback time
+ * @param {number} ms - Milliseconds
+ * @returns {string} - m:ss.t (e.g. 1:05.3)
+ */
+function formatClock(ms) {
+  const tenths = Math.floor(Math.max(ms, 0) / 100);
+  const minutes = Math.floor(tenths / 600);
+  const seconds = ((tenths % 600) / 10).toFixed(1).padStart(4, '0');
+  return `${minutes}:${seconds}`;
+}
+
+/**
+ * Draw a text progress bar
+ * @param {number} elapsed - Elapsed time
+ * @param {number} total - Total time
+ * @param {number} width - Characters between the brackets
+ * @returns {string} - e.g. [#####-----]
+ */
+function progressBar(elapsed, total, width) {
+  const fraction = total > 0 ? Math.min(Math.max(elapsed / total, 0), 1) : 1;
+  const filled = Math.round(fraction * width);
+  return `[${'#'.repeat(filled)}${'-'.repeat(width - filled)}]`;
+}
+
+module.exports = {
+  SPEEDS,
+  DEFAULT_SPEED,
+  stepOffsets,
+  sessionLength,
+  nextDelay,
+  changeSpeed,
+  errorSteps,
+  nextError,
+  followStep,
+  formatClock,
+  progressBar
+};
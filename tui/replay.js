@@ -1,43 +1,164 @@
 #!/usr/bin/env node
 /**
  * MiniTel-Lite TUI Session Replay Tool
- * Provides a terminal-based replay of recorded sessions
+ * Provides a terminal-based replay of recorded sessions, stepped through by
+ * hand or auto-played with the recorded timing
+ *
+ * Run with a session file to replay it, with two session files to compare
+ * them side by side, or without arguments to pick one from RECORDINGS_DIR.
+ * With --follow, a recording still being written is shown live as steps are
+ * added (the newest one in RECORDINGS_DIR when no file is given).
  */
 
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
 const { terminal } = require('terminal-kit');
+const { isPrintable, hexDump, recordedPayloadBytes } = require('../proxy/protocol/payload');
+const { RECORDING } = require('../proxy/protocol/constants');
+const { readSessionFile } = require('../proxy/recorder/reader');
+const { SessionFollower } = require('../proxy/recorder/follower');
+const RecordingStore = require('../proxy/recorder/store');
+const { REDACTED, isRedacted } = require('../proxy/recorder/redaction');
+const { frameAnatomy, fieldDump, expectedNonces } = require('../proxy/protocol/anatomy');
+const { compareSessions } = require('../proxy/replay/compare');
+const {
+  DEFAULT_SPEED,
+  stepOffsets,
+  sessionLength,
+  nextDelay,
+  changeSpeed,
+  errorSteps,
+  nextError,
+  followStep,
+  formatClock,
+  progressBar
+} = require('./playback');
+const {
+  SORT_FIELDS,
+  OUTCOME_FILTERS,
+  recordingDuration,
+  recordingOutcome,
+  sortRecordings,
+  filterRecordings,
+  nextOption,
+  formatListDate,
+  formatListDuration
+} = require('./picker');
 
-// Check if file path was provided
-if (process.argv.length < 3) {
-  console.error('Error: No session file specified');
-  console.error('Usage: node replay.js <path/to/session.json>');
-  process.exit(1);
-}
+// Recordings listed when no session file is given
+const store = new RecordingStore(RECORDING.DIR);
 
-// Get file path from command line arguments
-const filePath = process.argv[2];
+// Screen shown: the recording picker, a session replay or a comparison
+let mode = 'picker';
 
-// Check if file exists
-if (!fs.existsSync(filePath)) {
-  console.error(`Error: File not found: ${filePath}`);
-  process.exit(1);
-}
+// Picker state: the listed recordings, how they are sorted and filtered,
+// and the selected row of the filtered list
+let recordings = [];
+let selected = 0;
+let sortField = 'date';
+let descending = true;
+let filterText = '';
+let outcomeFilter = 'all';
+let editingFilter = false;
+let pickerMessage = null;
 
-// Load session data
-let sessionData;
-try {
-  const fileContent = fs.readFileSync(filePath, 'utf8');
-  sessionData = JSON.parse(fileContent);
-} catch (error) {
-  console.error(`Error reading session file: ${error.message}`);
-  process.exit(1);
-}
-
-// Initialize state
+// Replay state, set by openSession()
+let filePath = null;
+let sessionData = null;
 let currentStep = 0;
-const totalSteps = sessionData.steps.length;
+let totalSteps = 0;
+
+// Auto-play state: step times from the recording and the pending step timer
+let offsets = [];
+let totalTime = 0;
+let errors = new Map();
+let playing = false;
+let speed = DEFAULT_SPEED;
+let playTimer = null;
+
+// Live tail of a recording still being written (--follow), and the last
+// problem reading it
+let follower = null;
+let followError = null;
+
+// Frame anatomy pane, and the nonce each step should carry
+let showAnatomy = false;
+let nonces = [];
+
+// Comparison state, set by openComparison(): the two files, the aligned
+// rows and the selected row
+let comparePaths = [];
+let comparison = null;
+let compareRow = 0;
+
+// Colors of the frame fields in the anatomy pane
+const FIELD_COLORS = {
+  length: 'yellow',
+  cmd: 'magenta',
+  nonce: 'cyan',
+  payload: 'green',
+  hash: 'blue'
+};
+
+// Colors of the outcomes in the picker
+const OUTCOME_COLORS = {
+  retrieved: 'green',
+  'not retrieved': 'red',
+  recording: 'yellow',
+  unreadable: 'red'
+};
+
+// Command line: up to two session files, and --follow (or -f)
+const args = process.argv.slice(2);
+const followMode = args.includes('--follow') || args.includes('-f');
+const fileArgs = args.filter((arg) => arg !== '--follow' && arg !== '-f');
+
+// B/Esc only lead back to the picker when the tool was started on it
+const startedInPicker = fileArgs.length === 0 && !followMode;
+
+// Compare the two session files given on the command line, open the one
+// session file given, or list RECORDINGS_DIR
+if (fileArgs.length >= 2) {
+  if (followMode) {
+    console.error('Error: --follow takes a single session file');
+    process.exit(1);
+  }
+    
+  const missing = fileArgs.find((fileArg) => !fs.existsSync(fileArg));
+  if (missing) {
+    console.error(`Error: File not found: ${missing}`);
+    process.exit(1);
+  }
+  
+  try {
+    openComparison(fileArgs[0], fileArgs[1]);
+  } catch (error) {
+    console.error(`Error reading session file: ${error.message}`);
+    process.exit(1);
+  }
+} else if (fileArgs.length === 1 || followMode) {
+  const fileArg = fileArgs.length === 1 ? fileArgs[0] : latestUnfinishedRecording();
+  if (!fileArg) {
+    console.error(`Error: No recording in progress in ${path.resolve(RECORDING.DIR)}`);
+    process.exit(1);
+  }
+  
+  // Check if file exists
+  if (!fs.existsSync(fileArg)) {
+    console.error(`Error: File not found: ${fileArg}`);
+    process.exit(1);
+  }
+  
+  try {
+    openSession(fileArg, { follow: followMode });
+  } catch (error) {
+    console.error(`Error reading session file: ${error.message}`);
+    process.exit(1);
+  }
+} else {
+  loadRecordings();
+}
 
 // Set up terminal
 terminal.clear();
@@ -58,26 +179,461 @@ process.stdin.on('keypress', (str, key) => {
     exitApplication();
   }
   
-  switch (key.name.toLowerCase()) {
+  if (mode === 'picker') {
+    handlePickerKey(str, key);
+  } else if (mode === 'compare') {
+    handleCompareKey(str, key);
+  } else {
+    handleReplayKey(str, key);
+  }
+});
+
+// Render the initial screen
+renderScreen();
+
+/**
+ * Load session data and show its replay
+ * The data is upgraded to the current format and validated (encrypted steps
+ * are decrypted when RECORDING_ENCRYPTION_KEY is set).
+ * @param {string} file - Session file
+ * @param {Object} options - Open options
+ * @param {boolean} options.follow - Keep adding steps as they are written,
+ *   until the recording is finalized
+ */
+function openSession(file, options = {}) {
+  stopFollowing();
+  if (options.follow) {
+    follower = new SessionFollower(file);
+    follower.on('update', showSessionUpdate);
+    follower.on('end', renderScreen);
+    follower.on('error', (error) => {
+      followError = error.message;
+      renderScreen();
+    });
+    setSessionData(follower.start());
+  } else {
+    setSessionData(readSessionFile(file));
+  }
+  filePath = file;
+  currentStep = 0;
+  followError = null;
+  playing = false;
+  mode = 'replay';
+}
+
+/**
+ * Set the session being replayed, and everything worked out from it
+ * @param {Object} data - Session data
+ */
+function setSessionData(data) {
+  sessionData = data;
+  totalSteps = sessionData.steps.length;
+  offsets = stepOffsets(sessionData);
+  totalTime = sessionLength(sessionData, offsets);
+  errors = errorSteps(sessionData);
+  nonces = expectedNonces(sessionData);
+}
+
+/**
+ * Show a followed recording that has grown
+ * The view moves to the newest step unless the user has stepped back.
+ * @param {Object} data - Session data as now written
+ */
+function showSessionUpdate(data) {
+  const previousCount = totalSteps;
+  setSessionData(data);
+  followError = null;
+  // Auto-play carries on into the new steps by itself
+  if (!playing) {
+    currentStep = followStep(currentStep, previousCount, totalSteps);
+  }
+  renderScreen();
+}
+
+/**
+ * Stop following the open recording
+ */
+function stopFollowing() {
+  if (follower) {
+    follower.stop();
+    follower.removeAllListeners();
+    follower = null;
+  }
+}
+
+/**
+ * Find the newest recording that has not been finalized
+ * @returns {string|null} - Path of the recording, or null if there is none
+ */
+function latestUnfinishedRecording() {
+  const recording = store.list().find((entry) => !entry.error && !entry.end_time);
+  return recording ? store.resolve(recording.name) : null;
+}
+
+/**
+ * Load two sessions and show them side by side
+ * @param {string} leftFile - First session file (e.g. a known-good run)
+ * @param {string} rightFile - Second session file
+ */
+function openComparison(leftFile, rightFile) {
+  comparison = compareSessions(readSessionFile(leftFile), readSessionFile(rightFile));
+  comparePaths = [leftFile, rightFile];
+  compareRow = 0;
+  mode = 'compare';
+}
+
+/**
+ * Handle a keypress on the replay screen
+ * @param {string} str - Typed character
+ * @param {Object} key - Key details
+ */
+function handleReplayKey(str, key) {
+  // Keys such as + and - have no name
+  switch ((key.name || str || '').toLowerCase()) {
     case 'n':
       nextStep();
       break;
     case 'p':
       previousStep();
       break;
+    case 'space':
+      togglePlayback();
+      break;
+    case '+':
+    case '=':
+      adjustSpeed(1);
+      break;
+    case '-':
+      adjustSpeed(-1);
+      break;
+    case 'e':
+      jumpToNextError();
+      break;
+    case 'a':
+      showAnatomy = !showAnatomy;
+      renderScreen();
+      break;
+    case 'b':
+    case 'escape':
+      if (startedInPicker) {
+        backToList();
+      }
+      break;
     case 'q':
       exitApplication();
       break;
   }
-});
+}
 
-// Render the initial screen
-renderScreen();
+/**
+ * Handle a keypress on the comparison screen
+ * @param {string} str - Typed character
+ * @param {Object} key - Key details
+ */
+function handleCompareKey(str, key) {
+  const rows = comparison.rows;
+  
+  switch ((key.name || str || '').toLowerCase()) {
+    case 'up':
+    case 'k':
+      compareRow = Math.max(compareRow - 1, 0);
+      break;
+    case 'down':
+    case 'j':
+      compareRow = Math.min(compareRow + 1, Math.max(rows.length - 1, 0));
+      break;
+    case 'n': {
+      const next = rows.findIndex((row, index) => index > compareRow && !row.same);
+      compareRow = next === -1 ? compareRow : next;
+      break;
+    }
+    case 'p': {
+      const previous = rows.slice(0, compareRow).map((row) => row.same).lastIndexOf(false);
+      compareRow = previous === -1 ? compareRow : previous;
+      break;
+    }
+    case 'q':
+      exitApplication();
+      return;
+    default:
+      return;
+  }
+  renderScreen();
+}
+
+/**
+ * Handle a keypress on the picker
+ * While the filter is being edited, typed characters go to the filter.
+ * @param {string} str - Typed character
+ * @param {Object} key - Key details
+ */
+function handlePickerKey(str, key) {
+  if (editingFilter) {
+    if (key.name === 'return' || key.name === 'enter') {
+      editingFilter = false;
+    } else if (key.name === 'escape') {
+      editingFilter = false;
+      filterText = '';
+    } else if (key.name === 'backspace') {
+      filterText = filterText.slice(0, -1);
+    } else if (str && str.length === 1 && str >= ' ' && !key.ctrl) {
+      filterText += str;
+    }
+    selected = 0;
+    renderScreen();
+    return;
+  }
+  
+  switch ((key.name || str || '').toLowerCase()) {
+    case 'up':
+    case 'k':
+      selected = Math.max(selected - 1, 0);
+      break;
+    case 'down':
+    case 'j':
+      selected = Math.min(selected + 1, Math.max(visibleRecordings().length - 1, 0));
+      break;
+    case 'return':
+    case 'enter':
+      openSelected();
+      break;
+    case 's':
+      sortField = nextOption(SORT_FIELDS, sortField);
+      break;
+    case 'r':
+      descending = !descending;
+      break;
+    case 'o':
+      outcomeFilter = nextOption(OUTCOME_FILTERS, outcomeFilter);
+      selected = 0;
+      break;
+    case '/':
+      editingFilter = true;
+      break;
+    case 'l':
+      loadRecordings();
+      break;
+    case 'q':
+      exitApplication();
+      return;
+    default:
+      return;
+  }
+  renderScreen();
+}
+
+/**
+ * Read the recordings directory again
+ */
+function loadRecordings() {
+  try {
+    recordings = store.list();
+    pickerMessage = null;
+  } catch (error) {
+    recordings = [];
+    pickerMessage = `Cannot list ${RECORDING.DIR}: ${error.message}`;
+  }
+  selected = Math.min(selected, Math.max(visibleRecordings().length - 1, 0));
+}
+
+/**
+ * Recordings shown in the picker, filtered and sorted
+ * @returns {Object[]} - Recording metadata
+ */
+function visibleRecordings() {
+  return sortRecordings(filterRecordings(recordings, { text: filterText, outcome: outcomeFilter }),
+    sortField, descending);
+}
+
+/**
+ * Open the selected recording, or explain why it cannot be opened
+ */
+function openSelected() {
+  const recording = visibleRecordings()[selected];
+  if (!recording) {
+    return;
+  }
+  
+  try {
+    openSession(store.resolve(recording.name));
+  } catch (error) {
+    pickerMessage = `Cannot open ${recording.name}: ${error.message}`;
+  }
+}
+
+/**
+ * Leave the replay and return to the picker, with the list refreshed
+ */
+function backToList() {
+  stopFollowing();
+  playing = false;
+  schedulePlayback();
+  mode = 'picker';
+  loadRecordings();
+  renderScreen();
+}
 
 /**
  * Render the TUI screen
  */
 function renderScreen() {
+  if (mode === 'picker') {
+    renderPicker();
+  } else if (mode === 'compare') {
+    renderCompare();
+  } else {
+    renderReplay();
+  }
+}
+
+/**
+ * Render the recording picker
+ */
+function renderPicker() {
+  terminal.clear();
+  
+  const { height } = terminal;
+  const visible = visibleRecordings();
+  
+  terminal.bold.cyan('\n  MiniTel-Lite Session Replay Tool\n');
+  terminal.yellow(`  Recordings: ${path.resolve(RECORDING.DIR)}\n`);
+  terminal.yellow(`  Showing ${visible.length} of ${recordings.length}, sorted by ${sortField} ` +
+    `(${descending ? 'descending' : 'ascending'}), outcome: ${outcomeFilter}`);
+  terminal.yellow(`, filter: ${editingFilter ? `${filterText}_` : (filterText || '(none)')}\n`);
+  terminal.gray('  (↑/↓: select, Enter: open, S: sort, R: reverse, O: outcome, /: filter, L: reload, Q: quit)\n\n');
+  
+  terminal.bold(`    ${'Date'.padEnd(20)}${'Duration'.padStart(9)}${'Steps'.padStart(7)}  ${'Outcome'.padEnd(14)}Name\n`);
+  
+  if (visible.length === 0) {
+    terminal.gray(recordings.length === 0 ? '  No recordings found\n' : '  No recordings match the filter\n');
+  }
+  
+  // Scroll so the selected row stays on screen
+  const rows = Math.max((height || 24) - 12, 3);
+  const first = Math.min(Math.max(selected - rows + 1, 0), Math.max(visible.length - rows, 0));
+  visible.slice(first, first + rows).forEach((recording, index) => {
+    const isSelected = first + index === selected;
+    const outcome = recordingOutcome(recording);
+    const tags = recording.tags && recording.tags.length > 0 ? ` [${recording.tags.join(', ')}]` : '';
+    
+    terminal(isSelected ? '  ▶ ' : '    ');
+    const row = `${formatListDate(recording.start_time).padEnd(20)}${formatListDuration(recordingDuration(recording)).padStart(9)}` +
+      `${String(recording.step_count === undefined ? '-' : recording.step_count).padStart(7)}  `;
+    if (isSelected) {
+      terminal.inverse(row);
+    } else {
+      terminal.white(row);
+    }
+    terminal[OUTCOME_COLORS[outcome]](outcome.padEnd(14));
+    terminal.white(recording.name);
+    terminal.gray(`${tags}\n`);
+  });
+  
+  if (pickerMessage) {
+    terminal.red(`\n  ${pickerMessage}\n`);
+  }
+}
+
+/**
+ * Render the two compared sessions side by side
+ * Fields that differ between the two sides are shown in red.
+ */
+function renderCompare() {
+  terminal.clear();
+  
+  const { width, height } = terminal;
+  const { rows, summary } = comparison;
+  const columnWidth = Math.max(Math.floor(((width || 80) - 12) / 2), 24);
+  
+  terminal.bold.cyan('\n  MiniTel-Lite Session Replay Tool - Compare\n');
+  terminal.yellow(`  Left:  ${path.basename(comparePaths[0])}\n`);
+  terminal.yellow(`  Right: ${path.basename(comparePaths[1])}\n`);
+  if (comparison.same) {
+    terminal.green(`  All ${summary.rows} steps match\n`);
+  } else {
+    terminal.red(`  ${summary.different} of ${summary.rows} rows differ`);
+    terminal.yellow(` (${summary.only_left} only left, ${summary.only_right} only right, ${summary.timing} timing)\n`);
+  }
+  terminal.gray('  (↑/↓: select, N: next difference, P: previous difference, Q: quit)\n\n');
+  
+  terminal.bold(`  ${'Row'.padEnd(6)}${'Left'.padEnd(columnWidth + 2)}Right\n`);
+  
+  // Scroll so the selected row stays on screen, leaving room for its details
+  const visibleRows = Math.max((height || 24) - 16, 3);
+  const first = Math.min(Math.max(compareRow - visibleRows + 1, 0), Math.max(rows.length - visibleRows, 0));
+  rows.slice(first, first + visibleRows).forEach((row, index) => {
+    const isSelected = first + index === compareRow;
+    const label = `${isSelected ? '▶' : ' '} ${String(row.row).padEnd(4)}`;
+    if (isSelected) {
+      terminal.inverse(`  ${label}`);
+    } else {
+      terminal(`  ${label}`);
+    }
+    drawCompareSide(row.left, row.differences, columnWidth);
+    terminal('  ');
+    drawCompareSide(row.right, row.differences, columnWidth);
+    terminal('\n');
+  });
+  
+  // Details of the selected row
+  const row = rows[compareRow];
+  if (row) {
+    terminal.bold(`\n  Row ${row.row}: `);
+    if (row.same) {
+      terminal.green('same\n');
+    } else {
+      terminal.red('DIFFERENT\n');
+      row.differences.forEach((difference) => {
+        const unit = difference.field === 'timing' ? ' ms' : '';
+        terminal.white(`    ${difference.field}: `);
+        terminal.red(`${JSON.stringify(difference.left)}${unit} -> ${JSON.stringify(difference.right)}${unit}\n`);
+      });
+    }
+  }
+  
+  const footerY = height - 2;
+  terminal.moveTo(1, footerY);
+  terminal.bold.gray('  Press Q to quit, ↑/↓ to select a row, N/P for the next or previous difference');
+}
+
+/**
+ * Draw one side of a comparison row, padded to the column width
+ * @param {Object|null} side - Side from compareSessions, or null
+ * @param {Object[]} differences - Differences of the row
+ * @param {number} columnWidth - Column width
+ */
+function drawCompareSide(side, differences, columnWidth) {
+  if (!side) {
+    terminal.red('(none)'.padEnd(columnWidth));
+    return;
+  }
+  
+  const differs = (field) => differences.some((difference) => difference.field === field);
+  const payload = side.payload ? JSON.stringify(side.payload) : '';
+  const parts = [
+    { text: `${String(side.step).padStart(3)} ${side.direction === 'client' ? '→' : '←'} `, field: null },
+    { text: side.valid ? String(side.cmd) : 'INVALID', field: side.valid ? 'cmd' : 'valid' },
+    { text: payload ? ` ${payload}` : '', field: 'payload' },
+    { text: side.gap_ms === null ? '' : ` +${side.gap_ms}ms`, field: 'timing' }
+  ];
+  
+  let remaining = columnWidth;
+  parts.forEach((part) => {
+    const text = part.text.slice(0, remaining);
+    remaining -= text.length;
+    if (part.field && differs(part.field)) {
+      terminal.red(text);
+    } else {
+      terminal.white(text);
+    }
+  });
+  terminal(' '.repeat(remaining));
+}
+
+/**
+ * Render the replay of the open session
+ */
+function renderReplay() {
   terminal.clear();
   
   // Get terminal dimensions
@@ -88,11 +644,29 @@ function renderScreen() {
   terminal.yellow(`  File: ${path.basename(filePath)}\n`);
   terminal.yellow(`  Session ID: ${sessionData.session_id}\n`);
   terminal.yellow(`  Server: ${sessionData.server_host}:${sessionData.server_port}\n`);
-  terminal.yellow(`  Duration: ${formatDuration(sessionData.start_time, sessionData.end_time)}\n\n`);
+  terminal.yellow(`  Duration: ${formatDuration(sessionData.start_time, sessionData.end_time)}\n`);
+  if (sessionData.redaction) {
+    terminal.yellow(`  Redaction: ${describeRedaction(sessionData.redaction)}\n`);
+  }
+  if (follower) {
+    drawFollowState();
+  }
+  terminal.white('\n');
+  
+  // Draw playback state and progress
+  const elapsed = totalSteps > 0 ? offsets[currentStep] : 0;
+  terminal.bold(playing ? '  ▶ Playing ' : '  ❚❚ Paused ');
+  terminal.white(`${speed}x  `);
+  terminal.cyan(progressBar(elapsed, totalTime, Math.max(10, Math.min(40, (width || 80) - 50))));
+  terminal.white(`  ${formatClock(elapsed)} / ${formatClock(totalTime)}`);
+  terminal.gray(`  (${errors.size} ${errors.size === 1 ? 'error' : 'errors'})\n\n`);
   
   // Draw step navigation
   terminal.bold(`  Step ${currentStep + 1}/${totalSteps}`);
-  terminal.gray('  (N: next, P: previous, Q: quit)\n\n');
+  if (errors.has(currentStep)) {
+    terminal.red(`  ⚠ ${errors.get(currentStep)}`);
+  }
+  terminal.gray(`  (N: next, P: previous, Space: play/pause, +/-: speed, E: next error, A: anatomy, ${startedInPicker ? 'B: back to list, ' : ''}Q: quit)\n\n`);
   
   // Draw current step content
   if (totalSteps > 0) {
@@ -109,11 +683,13 @@ function renderScreen() {
     terminal.white(`${step.decoded.cmd} (nonce=${step.decoded.nonce})\n\n`);
     
     // Draw request or response section based on direction
-    if (step.direction === 'client') {
-      drawDataSection('Request', step.request, step.decoded.payload);
-    } else {
-      drawDataSection('Response', step.response, step.decoded.payload);
+    const rawData = step.direction === 'client' ? step.request : step.response;
+    drawDataSection(step.direction === 'client' ? 'Request' : 'Response', rawData, step);
+    if (showAnatomy) {
+      drawAnatomy(rawData, step, nonces[currentStep]);
     }
+  } else if (follower && !sessionData.end_time) {
+    terminal.gray('\n  Waiting for the first step...\n');
   } else {
     terminal.red('\n  No steps found in session data\n');
   }
@@ -121,16 +697,66 @@ function renderScreen() {
   // Draw footer
   const footerY = height - 2;
   terminal.moveTo(1, footerY);
-  terminal.bold.gray('  Press Q to quit, N for next step, P for previous step');
+  terminal.bold.gray('  Press Q to quit, B for the list, N/P to step, Space to play or pause, E for the next error, A for the frame anatomy');
+}
+
+/**
+ * Draw whether a followed recording is still live or has been finalized
+ */
+function drawFollowState() {
+  if (sessionData.end_time) {
+    terminal.green(`  ■ Finalized at ${formatTimestamp(sessionData.end_time)} with ${totalSteps} ${totalSteps === 1 ? 'step' : 'steps'}\n`);
+  } else {
+    terminal.bold.red('  ● LIVE');
+    terminal.yellow(` following, ${totalSteps} ${totalSteps === 1 ? 'step' : 'steps'} so far`);
+    if (currentStep < totalSteps - 1) {
+      terminal.gray(' (stepped back: new steps are added without moving)');
+    }
+    terminal('\n');
+  }
+  if (followError) {
+    terminal.red(`  ${followError}\n`);
+  }
+}
+
+/**
+ * Describe the redaction policy a recording was made with
+ * @param {Object} redaction - Session redaction block
+ * @returns {string} - Summary
+ */
+function describeRedaction(redaction) {
+  const parts = [];
+  if (redaction.codes.length > 0) {
+    parts.push(`${redaction.codes.join(', ')} payloads`);
+  }
+  if (redaction.drop_raw_frames) {
+    parts.push('raw frames');
+  }
+  let state = 'not encrypted, removed for good';
+  if (redaction.decrypted) {
+    state = 'decrypted';
+  } else if (redaction.encrypted) {
+    state = `encrypted with key ${redaction.key_id}; set RECORDING_ENCRYPTION_KEY to show`;
+  }
+  return `${parts.join(' and ')} (${state})`;
+}
+
+/**
+ * Draw a redacted value
+ * @param {Object} step - Recorded step
+ */
+function drawRedacted(step) {
+  terminal.red(REDACTED);
+  terminal.gray(step.sealed ? ' (encrypted)\n' : ' (removed)\n');
 }
 
 /**
  * Draw a data section (request or response)
  * @param {string} title - Section title
  * @param {string} rawData - Raw Base64 data
- * @param {string} payload - Decoded payload
+ * @param {Object} step - Recorded step
  */
-function drawDataSection(title, rawData, payload) {
+function drawDataSection(title, rawData, step) {
   const { width } = terminal;
   const contentWidth = width - 4; // Allow for margins
   
@@ -139,7 +765,9 @@ function drawDataSection(title, rawData, payload) {
   // Draw raw data (truncated)
   terminal.white('  ');
   terminal.gray('Raw: ');
-  if (rawData && rawData.length > 0) {
+  if (isRedacted(step, 'frame')) {
+    drawRedacted(step);
+  } else if (rawData && rawData.length > 0) {
     const truncatedData = rawData.length > contentWidth - 10
       ? rawData.substring(0, contentWidth - 13) + '...'
       : rawData;
@@ -148,15 +776,106 @@ function drawDataSection(title, rawData, payload) {
     terminal.gray('(empty)\n');
   }
   
-  // Draw decoded payload
+  // Draw decoded payload: text as is, anything else as a hex dump
+  const payload = recordedPayloadBytes(step.decoded);
   terminal.white('  ');
   terminal.gray('Payload: ');
-  if (payload && payload.length > 0) {
-    terminal.white(`"${payload}"\n`);
-  } else {
+  if (isRedacted(step, 'payload')) {
+    drawRedacted(step);
+  } else if (!payload || payload.length === 0) {
     terminal.gray('(empty)\n');
+  } else if (isPrintable(payload)) {
+    terminal.white(`"${payload.toString('utf8')}"\n`);
+  } else {
+    terminal.gray(`(${payload.length} bytes, binary)\n`);
+    hexDump(payload).forEach((line) => {
+      terminal.white(`    ${line}\n`);
+    });
+  }
+  
+  terminal.white('\n');
+}
+
+/**
+ * Draw the frame anatomy pane: the stored raw frame decoded again, field by field
+ * @param {string} rawData - Raw Base64 data
+ * @param {Object} step - Recorded step
+ * @param {number|null} expectedNonce - Nonce the step should carry, null if unknown
+ */
+function drawAnatomy(rawData, step, expectedNonce) {
+  terminal.bold('  Frame Anatomy:\n');
+  if (isRedacted(step, 'frame')) {
+    terminal.white('  ');
+    drawRedacted(step);
+    return;
+  }
+  if (!rawData) {
+    terminal.gray('  (no raw frame recorded)\n\n');
+    return;
+  }
+  
+  const anatomy = frameAnatomy(Buffer.from(rawData, 'base64'));
+  
+  // Legend, with each field's offset and size in the decoded frame
+  terminal.white('  ');
+  terminal[FIELD_COLORS.length]('LEN ');
+  anatomy.fields.forEach((field) => {
+    terminal[FIELD_COLORS[field.name]](`${field.name.toUpperCase()}@${field.offset}+${field.length} `);
+  });
+  terminal.white('\n');
+  
+  // Length prefix, before the Base64 data it counts
+  terminal.white('  ');
+  terminal.gray('Length prefix: ');
+  if (anatomy.lengthPrefix === null) {
+    terminal.red('missing\n');
+  } else {
+    terminal[FIELD_COLORS.length](`0x${anatomy.lengthPrefix.toString(16).padStart(4, '0')}`);
+    terminal.white(` (${anatomy.lengthPrefix} Base64 bytes) `);
+    if (anatomy.lengthPrefix === anatomy.base64Length) {
+      terminal.green('✓\n');
+    } else {
+      terminal.red(`✗ frame has ${anatomy.base64Length}\n`);
+    }
+  }
+  
+  // Decoded frame as a hex dump, colored by field
+  fieldDump(anatomy.frame, anatomy.fields).forEach((line) => {
+    terminal.white(`    ${line.offset.toString(16).padStart(4, '0')}  `);
+    line.cells.forEach((cell) => {
+      const color = FIELD_COLORS[cell.field] || 'gray';
+      terminal[color](`${cell.byte.toString(16).padStart(2, '0')} `);
+    });
+    terminal.white('\n');
+  });
+  
+  if (anatomy.hash) {
+    terminal.white('  ');
+    terminal.gray('SHA-256: ');
+    if (anatomy.hash.valid) {
+      terminal.green('✓ matches the stored hash\n');
+    } else {
+      terminal.red(`✗ mismatch, computed ${anatomy.hash.computed.slice(0, 16)}… ` +
+        `stored ${anatomy.hash.stored.slice(0, 16)}…\n`);
+    }
+  }
+  
+  if (anatomy.nonce !== null) {
+    terminal.white('  ');
+    terminal.gray('Nonce: ');
+    terminal.white(`${anatomy.nonce} `);
+    if (expectedNonce === null) {
+      terminal.gray('(no expectation: not a reply to a valid client frame)\n');
+    } else if (anatomy.nonce === expectedNonce) {
+      terminal.green(`✓ expected ${expectedNonce}\n`);
+    } else {
+      terminal.red(`✗ expected ${expectedNonce}\n`);
+    }
   }
   
+  anatomy.errors
+    .filter((error) => !error.startsWith('Hash mismatch') && !error.startsWith('Length prefix'))
+    .forEach((error) => terminal.red(`  ✗ ${error}\n`));
   terminal.white('\n');
 }
 
@@ -166,6 +885,7 @@ function drawDataSection(title, rawData, payload) {
 function nextStep() {
   if (currentStep < totalSteps - 1) {
     currentStep++;
+    schedulePlayback();
     renderScreen();
   } else {
     // Flash to indicate end of steps
@@ -180,6 +900,7 @@ function nextStep() {
 function previousStep() {
   if (currentStep > 0) {
     currentStep--;
+    schedulePlayback();
     renderScreen();
   } else {
     // Flash to indicate beginning of steps
@@ -188,6 +909,79 @@ function previousStep() {
   }
 }
 
+/**
+ * Start or pause auto-play
+ * Playing from the last step starts over from the first.
+ */
+function togglePlayback() {
+  if (totalSteps === 0) {
+    return;
+  }
+  
+  if (playing) {
+    playing = false;
+  } else {
+    if (currentStep >= totalSteps - 1) {
+      currentStep = 0;
+    }
+    playing = true;
+  }
+  schedulePlayback();
+  renderScreen();
+}
+
+/**
+ * Schedule the move to the next step, after the recorded gap at the current speed
+ * Replaces any pending move, so it is called whenever the step or speed changes.
+ * Playback pauses at the last step.
+ */
+function schedulePlayback() {
+  clearTimeout(playTimer);
+  playTimer = null;
+  if (!playing) {
+    return;
+  }
+  
+  const delay = nextDelay(offsets, currentStep, speed);
+  if (delay === null) {
+    playing = false;
+    return;
+  }
+  
+  playTimer = setTimeout(() => {
+    currentStep++;
+    schedulePlayback();
+    renderScreen();
+  }, delay);
+}
+
+/**
+ * Make playback faster or slower
+ * @param {number} direction - 1 for faster, -1 for slower
+ */
+function adjustSpeed(direction) {
+  speed = changeSpeed(speed, direction);
+  schedulePlayback();
+  renderScreen();
+}
+
+/**
+ * Jump to the next invalid frame or failed attempt
+ */
+function jumpToNextError() {
+  const index = nextError(errors, currentStep);
+  if (index === -1) {
+    // Flash to indicate there is nothing further to jump to
+    terminal.bold.red('\n  No more errors in this session\n');
+    setTimeout(renderScreen, 500);
+    return;
+  }
+  
+  currentStep = index;
+  schedulePlayback();
+  renderScreen();
+}
+
 /**
  * Format a timestamp for display
  * @param {string} timestamp - ISO timestamp
@@ -201,10 +995,14 @@ function formatTimestamp(timestamp) {
 /**
  * Calculate and format duration between two timestamps
  * @param {string} start - Start time ISO string
- * @param {string} end - End time ISO string
+ * @param {string} end - End time ISO string (null for interrupted recordings)
  * @returns {string} - Formatted duration
  */
 function formatDuration(start, end) {
+  if (!end) {
+    return 'unknown (recording interrupted or still running)';
+  }
+  
   const startTime = new Date(start).getTime();
   const endTime = new Date(end).getTime();
   const durationMs = endTime - startTime;
@@ -224,7 +1022,7 @@ function formatDuration(start, end) {
  */
 function exitApplication() {
   terminal.clear();
-  terminal.showCursor();
+  terminal.hideCursor(false);
   terminal.grabInput(false);
   process.exit(0);
 }
\ No newline at end of file
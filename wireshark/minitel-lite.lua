@@ -0,0 +1,94 @@
+-- MiniTel-Lite dissector for Wireshark
+--
+-- Decodes the MiniTel-Lite framing on TCP:
+--   LEN (2 bytes, big-endian) | Base64(CMD (1) | NONCE (4, big-endian) | PAYLOAD | SHA-256 (32))
+--
+-- Install by copying this file to your Wireshark personal plugins folder
+-- (Help > About Wireshark > Folders), or load it for one run:
+--   wireshark -X lua_script:wireshark/minitel-lite.lua capture.pcap
+-- The TCP port defaults to 7321 and can be changed under
+-- Edit > Preferences > Protocols > MINITEL.
+
+local minitel = Proto("minitel", "MiniTel-Lite")
+
+local command_names = {
+    [0x01] = "HELLO",
+    [0x02] = "DUMP",
+    [0x04] = "STOP_CMD",
+    [0x81] = "HELLO_ACK",
+    [0x82] = "DUMP_FAILED",
+    [0x83] = "DUMP_OK",
+    [0x84] = "STOP_OK"
+}
+
+local HASH_LENGTH = 32
+local MIN_FRAME_LENGTH = 1 + 4 + HASH_LENGTH
+
+local f_length = ProtoField.uint16("minitel.length", "Length", base.DEC)
+local f_base64 = ProtoField.string("minitel.base64", "Base64 data")
+local f_cmd = ProtoField.uint8("minitel.cmd", "Command", base.HEX, command_names)
+local f_nonce = ProtoField.uint32("minitel.nonce", "Nonce", base.DEC)
+local f_payload = ProtoField.bytes("minitel.payload", "Payload")
+local f_payload_text = ProtoField.string("minitel.payload_text", "Payload text")
+local f_hash = ProtoField.bytes("minitel.hash", "SHA-256")
+
+minitel.fields = { f_length, f_base64, f_cmd, f_nonce, f_payload, f_payload_text, f_hash }
+
+local e_short = ProtoExpert.new("minitel.short", "Decoded frame shorter than 37 bytes",
+    expert.group.MALFORMED, expert.severity.ERROR)
+minitel.experts = { e_short }
+
+minitel.prefs.port = Pref.uint("TCP port", 7321, "TCP port of the MiniTel-Lite server")
+
+-- Length of the frame starting at offset: prefix + Base64 data
+local function frame_length(tvb, pinfo, offset)
+    return 2 + tvb(offset, 2):uint()
+end
+
+-- Dissect one complete frame
+local function dissect_frame(tvb, pinfo, tree)
+    local base64_length = tvb(0, 2):uint()
+    local subtree = tree:add(minitel, tvb(0, 2 + base64_length))
+    subtree:add(f_length, tvb(0, 2))
+    subtree:add(f_base64, tvb(2, base64_length))
+
+    local decoded = tvb(2, base64_length):bytes():base64_decode()
+    local frame = decoded:tvb("Decoded MiniTel-Lite frame")
+    if frame:len() < MIN_FRAME_LENGTH then
+        subtree:add_proto_expert_info(e_short)
+        return tvb:len()
+    end
+
+    local cmd = frame(0, 1):uint()
+    local payload_length = frame:len() - MIN_FRAME_LENGTH
+    local name = command_names[cmd] or string.format("UNKNOWN (0x%02x)", cmd)
+
+    subtree:add(f_cmd, frame(0, 1))
+    subtree:add(f_nonce, frame(1, 4))
+    if payload_length > 0 then
+        subtree:add(f_payload, frame(5, payload_length))
+        subtree:add(f_payload_text, frame(5, payload_length))
+    end
+    subtree:add(f_hash, frame(5 + payload_length, HASH_LENGTH))
+    subtree:append_text(string.format(", %s, Nonce: %d", name, frame(1, 4):uint()))
+
+    pinfo.cols.protocol = "MiniTel-Lite"
+    pinfo.cols.info:append(" " .. name)
+    return 2 + base64_length
+end
+
+function minitel.dissector(tvb, pinfo, tree)
+    pinfo.cols.info:clear()
+    dissect_tcp_pdus(tvb, tree, 2, frame_length, dissect_frame)
+    return tvb:len()
+end
+
+local registered_port = minitel.prefs.port
+DissectorTable.get("tcp.port"):add(registered_port, minitel)
+
+function minitel.prefs_changed()
+    local tcp_port = DissectorTable.get("tcp.port")
+    tcp_port:remove(registered_port, minitel)
+    registered_port = minitel.prefs.port
+    tcp_port:add(registered_port, minitel)
+end